@@ -9,6 +9,11 @@ const { logger, logRequest } = require('./utils/logger');
 const { globalErrorHandler, notFoundHandler } = require('./utils/errorHandler');
 const cacheManager = require('./utils/cache');
 const websocketServer = require('./utils/websocketServer');
+const { WebhookService } = require('./services/webhookService');
+const { ReminderService } = require('./services/reminderService');
+const { CalendarSyncService } = require('./services/calendarSyncService');
+const { HolidayExceptionService } = require('./services/holidayExceptionService');
+const { BookingPaymentService } = require('./services/bookingPaymentService');
 
 const authRoutes = require('./routes/auth');
 const userRoutes = require('./routes/user');
@@ -30,6 +35,14 @@ const chatbotWorkflowRoutes = require('./routes/chatbotWorkflow');
 const chatUploadRoutes = require('./routes/chatUpload');
 const subscriptionRoutes = require('./routes/subscriptions');
 const subscriptionStateRoutes = require('./routes/subscriptionState');
+const webhookRoutes = require('./routes/webhooks');
+const thirdPartyClientRoutes = require('./routes/thirdPartyClients');
+const manageBookingRoutes = require('./routes/manageBooking');
+const reminderRoutes = require('./routes/reminders');
+const calendarFeedRoutes = require('./routes/calendarFeed');
+const staffRoutes = require('./routes/staff');
+const groupSessionRoutes = require('./routes/groupSessions');
+const paymentRoutes = require('./routes/payments');
 
 class Application {
   constructor() {
@@ -92,6 +105,14 @@ class Application {
     // Note: webhook route is registered in initializeMiddleware() before JSON parsing
     this.app.use(`${basePath}/subscriptions`, subscriptionRoutes);
     this.app.use(`${basePath}/subscription-state`, securityMiddleware.getRateLimiters().api, subscriptionStateRoutes);
+    this.app.use(`${basePath}/webhooks`, securityMiddleware.getRateLimiters().api, webhookRoutes);
+    this.app.use(`${basePath}/third-party-clients`, securityMiddleware.getRateLimiters().api, thirdPartyClientRoutes);
+    this.app.use(`${basePath}/manage-booking`, securityMiddleware.getRateLimiters().api, manageBookingRoutes);
+    this.app.use(`${basePath}/reminders`, securityMiddleware.getRateLimiters().api, reminderRoutes);
+    this.app.use(`${basePath}/calendar-feed`, securityMiddleware.getRateLimiters().api, calendarFeedRoutes);
+    this.app.use(`${basePath}/staff`, securityMiddleware.getRateLimiters().api, staffRoutes);
+    this.app.use(`${basePath}/group-sessions`, securityMiddleware.getRateLimiters().api, groupSessionRoutes);
+    this.app.use(`${basePath}/payments`, securityMiddleware.getRateLimiters().api, paymentRoutes);
 
     this.app.get('/', (req, res) => {
       res.json({
@@ -123,6 +144,22 @@ class Application {
 
       // Initialize WebSocket server
       websocketServer.initialize(server);
+      await websocketServer.useRedisAdapter();
+
+      // Deliver queued outbound webhooks
+      WebhookService.startWorker();
+
+      // Send due appointment reminders
+      ReminderService.startWorker();
+
+      // Renew calendar change subscriptions (two-way sync)
+      CalendarSyncService.startWorker();
+
+      // Keep public holiday exceptions generated for the rolling horizon
+      HolidayExceptionService.startWorker();
+
+      // Release bookings whose deposit was not paid in time
+      BookingPaymentService.startWorker();
 
       // Keep-alive timeout: 65 seconds, Headers timeout: 66 seconds (must be > keepAliveTimeout)
       server.keepAliveTimeout = 65000; // 65 seconds
@@ -143,6 +180,11 @@ class Application {
       
       server.close(async () => {
         logger.info('HTTP server closed');
+        WebhookService.stopWorker();
+        ReminderService.stopWorker();
+        CalendarSyncService.stopWorker();
+        HolidayExceptionService.stopWorker();
+        BookingPaymentService.stopWorker();
         
         try {
           await databaseManager.disconnect();
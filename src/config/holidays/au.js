@@ -0,0 +1,31 @@
+'use strict';
+
+/**
+ * Australian public holidays: national ones plus those of New South Wales, Victoria and Queensland.
+ * Weekend dates of holidays with a substitute move to the next free weekday.
+ */
+module.exports = {
+  country: 'AU',
+  name: 'Australia',
+  regions: {
+    NSW: 'New South Wales',
+    VIC: 'Victoria',
+    QLD: 'Queensland'
+  },
+  holidays: [
+    { id: 'new_years_day', name: "New Year's Day", month: 1, day: 1, substitute: 'next_weekday' },
+    { id: 'australia_day', name: 'Australia Day', month: 1, day: 26, substitute: 'next_weekday' },
+    { id: 'labour_day', name: 'Labour Day', month: 3, weekday: 1, nth: 2, regions: ['VIC'] },
+    { id: 'good_friday', name: 'Good Friday', easterOffset: -2 },
+    { id: 'easter_saturday', name: 'Easter Saturday', easterOffset: -1, regions: ['NSW', 'VIC', 'QLD'] },
+    { id: 'easter_monday', name: 'Easter Monday', easterOffset: 1 },
+    { id: 'anzac_day', name: 'Anzac Day', month: 4, day: 25 },
+    { id: 'labour_day', name: 'Labour Day', month: 5, weekday: 1, nth: 1, regions: ['QLD'] },
+    { id: 'kings_birthday', name: "King's Birthday", month: 6, weekday: 1, nth: 2, regions: ['NSW', 'VIC'] },
+    { id: 'labour_day', name: 'Labour Day', month: 10, weekday: 1, nth: 1, regions: ['NSW'] },
+    { id: 'kings_birthday', name: "King's Birthday", month: 10, weekday: 1, nth: 1, regions: ['QLD'] },
+    { id: 'melbourne_cup', name: 'Melbourne Cup', month: 11, weekday: 2, nth: 1, regions: ['VIC'] },
+    { id: 'christmas_day', name: 'Christmas Day', month: 12, day: 25, substitute: 'next_weekday' },
+    { id: 'boxing_day', name: 'Boxing Day', month: 12, day: 26, substitute: 'next_weekday' }
+  ]
+};
@@ -0,0 +1,34 @@
+'use strict';
+
+/**
+ * Canadian statutory holidays: nationwide ones plus the provincial holidays of the larger provinces.
+ * Weekend dates move to the next free weekday.
+ */
+module.exports = {
+  country: 'CA',
+  name: 'Canada',
+  regions: {
+    AB: 'Alberta',
+    BC: 'British Columbia',
+    ON: 'Ontario',
+    QC: 'Quebec'
+  },
+  holidays: [
+    { id: 'new_years_day', name: "New Year's Day", month: 1, day: 1, substitute: 'next_weekday' },
+    { id: 'family_day', name: 'Family Day', month: 2, weekday: 1, nth: 3, regions: ['AB', 'BC', 'ON'] },
+    { id: 'good_friday', name: 'Good Friday', easterOffset: -2 },
+    { id: 'victoria_day', name: 'Victoria Day', month: 5, day: 24, weekday: 1, onOrBefore: true, regions: ['AB', 'BC', 'ON'] },
+    { id: 'national_patriots_day', name: "National Patriots' Day", month: 5, day: 24, weekday: 1, onOrBefore: true, regions: ['QC'] },
+    { id: 'st_jean_baptiste_day', name: 'Saint-Jean-Baptiste Day', month: 6, day: 24, substitute: 'next_weekday', regions: ['QC'] },
+    { id: 'canada_day', name: 'Canada Day', month: 7, day: 1, substitute: 'next_weekday' },
+    { id: 'civic_holiday', name: 'Civic Holiday', month: 8, weekday: 1, nth: 1, regions: ['ON'] },
+    { id: 'british_columbia_day', name: 'British Columbia Day', month: 8, weekday: 1, nth: 1, regions: ['BC'] },
+    { id: 'heritage_day', name: 'Heritage Day', month: 8, weekday: 1, nth: 1, regions: ['AB'] },
+    { id: 'labour_day', name: 'Labour Day', month: 9, weekday: 1, nth: 1 },
+    { id: 'truth_and_reconciliation_day', name: 'National Day for Truth and Reconciliation', month: 9, day: 30, regions: ['BC'], from: 2023 },
+    { id: 'thanksgiving', name: 'Thanksgiving', month: 10, weekday: 1, nth: 2, regions: ['AB', 'BC', 'ON', 'QC'] },
+    { id: 'remembrance_day', name: 'Remembrance Day', month: 11, day: 11, substitute: 'next_weekday', regions: ['AB', 'BC'] },
+    { id: 'christmas_day', name: 'Christmas Day', month: 12, day: 25, substitute: 'next_weekday' },
+    { id: 'boxing_day', name: 'Boxing Day', month: 12, day: 26, substitute: 'next_weekday', regions: ['ON'] }
+  ]
+};
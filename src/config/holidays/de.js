@@ -0,0 +1,46 @@
+'use strict';
+
+/** German public holidays (gesetzliche Feiertage), nationwide and per federal state. No substitute days. */
+module.exports = {
+  country: 'DE',
+  name: 'Germany',
+  regions: {
+    BW: 'Baden-Württemberg',
+    BY: 'Bavaria',
+    BE: 'Berlin',
+    BB: 'Brandenburg',
+    HB: 'Bremen',
+    HH: 'Hamburg',
+    HE: 'Hesse',
+    MV: 'Mecklenburg-Vorpommern',
+    NI: 'Lower Saxony',
+    NW: 'North Rhine-Westphalia',
+    RP: 'Rhineland-Palatinate',
+    SL: 'Saarland',
+    SN: 'Saxony',
+    ST: 'Saxony-Anhalt',
+    SH: 'Schleswig-Holstein',
+    TH: 'Thuringia'
+  },
+  holidays: [
+    { id: 'new_years_day', name: "New Year's Day", month: 1, day: 1 },
+    { id: 'epiphany', name: 'Epiphany', month: 1, day: 6, regions: ['BW', 'BY', 'ST'] },
+    { id: 'international_womens_day', name: "International Women's Day", month: 3, day: 8, regions: ['BE'], from: 2019 },
+    { id: 'international_womens_day', name: "International Women's Day", month: 3, day: 8, regions: ['MV'], from: 2023 },
+    { id: 'good_friday', name: 'Good Friday', easterOffset: -2 },
+    { id: 'easter_monday', name: 'Easter Monday', easterOffset: 1 },
+    { id: 'labour_day', name: 'Labour Day', month: 5, day: 1 },
+    { id: 'ascension_day', name: 'Ascension Day', easterOffset: 39 },
+    { id: 'whit_monday', name: 'Whit Monday', easterOffset: 50 },
+    { id: 'corpus_christi', name: 'Corpus Christi', easterOffset: 60, regions: ['BW', 'BY', 'HE', 'NW', 'RP', 'SL'] },
+    { id: 'assumption_day', name: 'Assumption Day', month: 8, day: 15, regions: ['SL'] },
+    { id: 'world_childrens_day', name: "World Children's Day", month: 9, day: 20, regions: ['TH'], from: 2019 },
+    { id: 'german_unity_day', name: 'Day of German Unity', month: 10, day: 3 },
+    { id: 'reformation_day', name: 'Reformation Day', month: 10, day: 31, regions: ['BB', 'MV', 'SN', 'ST', 'TH'] },
+    { id: 'reformation_day', name: 'Reformation Day', month: 10, day: 31, regions: ['HB', 'HH', 'NI', 'SH'], from: 2018 },
+    { id: 'all_saints_day', name: "All Saints' Day", month: 11, day: 1, regions: ['BW', 'BY', 'NW', 'RP', 'SL'] },
+    { id: 'day_of_repentance_and_prayer', name: 'Day of Repentance and Prayer', month: 11, day: 22, weekday: 3, onOrBefore: true, regions: ['SN'] },
+    { id: 'christmas_day', name: 'Christmas Day', month: 12, day: 25 },
+    { id: 'st_stephens_day', name: "St Stephen's Day", month: 12, day: 26 }
+  ]
+};
@@ -0,0 +1,25 @@
+'use strict';
+
+/** French public holidays (jours fériés) of metropolitan France. No substitute days. */
+module.exports = {
+  country: 'FR',
+  name: 'France',
+  regions: {
+    ALSACE_MOSELLE: 'Alsace-Moselle'
+  },
+  holidays: [
+    { id: 'new_years_day', name: "New Year's Day", month: 1, day: 1 },
+    { id: 'good_friday', name: 'Good Friday', easterOffset: -2, regions: ['ALSACE_MOSELLE'] },
+    { id: 'easter_monday', name: 'Easter Monday', easterOffset: 1 },
+    { id: 'labour_day', name: 'Labour Day', month: 5, day: 1 },
+    { id: 'victory_in_europe_day', name: 'Victory in Europe Day', month: 5, day: 8 },
+    { id: 'ascension_day', name: 'Ascension Day', easterOffset: 39 },
+    { id: 'whit_monday', name: 'Whit Monday', easterOffset: 50 },
+    { id: 'bastille_day', name: 'Bastille Day', month: 7, day: 14 },
+    { id: 'assumption_day', name: 'Assumption Day', month: 8, day: 15 },
+    { id: 'all_saints_day', name: "All Saints' Day", month: 11, day: 1 },
+    { id: 'armistice_day', name: 'Armistice Day', month: 11, day: 11 },
+    { id: 'christmas_day', name: 'Christmas Day', month: 12, day: 25 },
+    { id: 'st_stephens_day', name: "St Stephen's Day", month: 12, day: 26, regions: ['ALSACE_MOSELLE'] }
+  ]
+};
@@ -0,0 +1,30 @@
+'use strict';
+
+/**
+ * United Kingdom bank holidays. Weekend dates get a substitute day on the next free weekday.
+ * One-off holidays (jubilees, coronations, moved early May bank holidays) are not included.
+ */
+module.exports = {
+  country: 'GB',
+  name: 'United Kingdom',
+  regions: {
+    ENG: 'England and Wales',
+    SCT: 'Scotland',
+    NIR: 'Northern Ireland'
+  },
+  holidays: [
+    { id: 'new_years_day', name: "New Year's Day", month: 1, day: 1, substitute: 'next_weekday' },
+    { id: 'second_january', name: '2nd January', month: 1, day: 2, substitute: 'next_weekday', regions: ['SCT'] },
+    { id: 'st_patricks_day', name: "St Patrick's Day", month: 3, day: 17, substitute: 'next_weekday', regions: ['NIR'] },
+    { id: 'good_friday', name: 'Good Friday', easterOffset: -2 },
+    { id: 'easter_monday', name: 'Easter Monday', easterOffset: 1, regions: ['ENG', 'NIR'] },
+    { id: 'early_may_bank_holiday', name: 'Early May bank holiday', month: 5, weekday: 1, nth: 1 },
+    { id: 'spring_bank_holiday', name: 'Spring bank holiday', month: 5, weekday: 1, nth: -1 },
+    { id: 'battle_of_the_boyne', name: "Battle of the Boyne (Orangemen's Day)", month: 7, day: 12, substitute: 'next_weekday', regions: ['NIR'] },
+    { id: 'summer_bank_holiday', name: 'Summer bank holiday', month: 8, weekday: 1, nth: 1, regions: ['SCT'] },
+    { id: 'summer_bank_holiday', name: 'Summer bank holiday', month: 8, weekday: 1, nth: -1, regions: ['ENG', 'NIR'] },
+    { id: 'st_andrews_day', name: "St Andrew's Day", month: 11, day: 30, substitute: 'next_weekday', regions: ['SCT'] },
+    { id: 'christmas_day', name: 'Christmas Day', month: 12, day: 25, substitute: 'next_weekday' },
+    { id: 'boxing_day', name: 'Boxing Day', month: 12, day: 26, substitute: 'next_weekday' }
+  ]
+};
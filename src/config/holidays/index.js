@@ -0,0 +1,30 @@
+'use strict';
+
+/**
+ * Bundled public holiday datasets, one module per country. Holidays are rules rather than dated
+ * lists, so any year can be computed offline (see services/holidayCalendarService.js).
+ *
+ * Dataset shape:
+ *   - country  : ISO 3166-1 alpha-2 code
+ *   - name     : country name
+ *   - regions  : { <region code>: <region name> } — subdivisions with extra holidays (may be empty)
+ *   - holidays : Array of rules:
+ *       id             : stable key within the country (per-holiday opt-out is `<country>:<id>`)
+ *       name           : label of the generated exception
+ *       month, day     : fixed date
+ *       easterOffset   : days after Western Easter Sunday (negative = before)
+ *       month, weekday, nth : nth weekday of the month (weekday 0 = Sunday, nth -1 = last)
+ *       month, day, weekday, onOrBefore : last given weekday on or before month/day
+ *       substitute     : 'next_weekday' (weekend holidays move to the next free weekday) or
+ *                        'nearest_weekday' (Saturday -> Friday, Sunday -> Monday)
+ *       regions        : region codes the holiday applies to; omitted = whole country
+ *       from, until    : first / last year the holiday exists (inclusive)
+ */
+module.exports = [
+  require('./au'),
+  require('./ca'),
+  require('./de'),
+  require('./fr'),
+  require('./gb'),
+  require('./us')
+];
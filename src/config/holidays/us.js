@@ -0,0 +1,21 @@
+'use strict';
+
+/** United States federal holidays. Weekend dates are observed on the nearest weekday. */
+module.exports = {
+  country: 'US',
+  name: 'United States',
+  regions: {},
+  holidays: [
+    { id: 'new_years_day', name: "New Year's Day", month: 1, day: 1, substitute: 'nearest_weekday' },
+    { id: 'martin_luther_king_jr_day', name: 'Martin Luther King Jr. Day', month: 1, weekday: 1, nth: 3 },
+    { id: 'washingtons_birthday', name: "Washington's Birthday", month: 2, weekday: 1, nth: 3 },
+    { id: 'memorial_day', name: 'Memorial Day', month: 5, weekday: 1, nth: -1 },
+    { id: 'juneteenth', name: 'Juneteenth National Independence Day', month: 6, day: 19, substitute: 'nearest_weekday', from: 2021 },
+    { id: 'independence_day', name: 'Independence Day', month: 7, day: 4, substitute: 'nearest_weekday' },
+    { id: 'labor_day', name: 'Labor Day', month: 9, weekday: 1, nth: 1 },
+    { id: 'columbus_day', name: 'Columbus Day', month: 10, weekday: 1, nth: 2 },
+    { id: 'veterans_day', name: 'Veterans Day', month: 11, day: 11, substitute: 'nearest_weekday' },
+    { id: 'thanksgiving_day', name: 'Thanksgiving Day', month: 11, weekday: 4, nth: 4 },
+    { id: 'christmas_day', name: 'Christmas Day', month: 12, day: 25, substitute: 'nearest_weekday' }
+  ]
+};
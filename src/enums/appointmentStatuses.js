@@ -0,0 +1,23 @@
+// Lifecycle of an Appointment record.
+const APPOINTMENT_STATUSES = {
+  BOOKED: 'booked',
+  CANCELLED: 'cancelled',
+  RESCHEDULED: 'rescheduled',
+  COMPLETED: 'completed',
+  NO_SHOW: 'no_show',
+  /** Group session attendee waiting for a seat; promoted to booked when one frees up. */
+  WAITLISTED: 'waitlisted',
+  /** Booking whose deposit has not been paid yet; its slot is held until the payment window ends. */
+  PENDING_PAYMENT: 'pending_payment'
+};
+
+const APPOINTMENT_STATUSES_VALUES = Object.values(APPOINTMENT_STATUSES);
+
+// Statuses that still occupy their time slot (count against capacity and daily caps).
+const ACTIVE_APPOINTMENT_STATUSES = [APPOINTMENT_STATUSES.BOOKED, APPOINTMENT_STATUSES.RESCHEDULED];
+
+module.exports = {
+  APPOINTMENT_STATUSES,
+  APPOINTMENT_STATUSES_VALUES,
+  ACTIVE_APPOINTMENT_STATUSES
+};
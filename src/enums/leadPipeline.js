@@ -0,0 +1,42 @@
+// Default sales pipeline applied to apps that have not configured their own stages.
+// `key` is what gets stored on Lead.pipelineStage; `label` is what the dashboard shows.
+const DEFAULT_LEAD_PIPELINE_STAGES = [
+  { key: 'new', label: 'New', order: 0, outcome: 'open' },
+  { key: 'contacted', label: 'Contacted', order: 1, outcome: 'open' },
+  { key: 'quoted', label: 'Quoted', order: 2, outcome: 'open' },
+  { key: 'won', label: 'Won', order: 3, outcome: 'won' },
+  { key: 'lost', label: 'Lost', order: 4, outcome: 'lost' }
+];
+
+const PIPELINE_STAGE_OUTCOMES = ['open', 'won', 'lost'];
+
+const LEAD_ACTIVITY_TYPES = {
+  CREATED: 'created',
+  STATUS_CHANGE: 'status_change',
+  STAGE_CHANGE: 'stage_change',
+  ASSIGNMENT: 'assignment',
+  FIELD_UPDATE: 'field_update',
+  MERGE: 'merge',
+  NOTE: 'note',
+  CALL: 'call',
+  EMAIL: 'email',
+  MEETING: 'meeting'
+};
+
+const LEAD_ACTIVITY_TYPES_VALUES = Object.values(LEAD_ACTIVITY_TYPES);
+
+// Activity types a team member may log by hand; the rest are written by the system.
+const MANUAL_LEAD_ACTIVITY_TYPES = [
+  LEAD_ACTIVITY_TYPES.NOTE,
+  LEAD_ACTIVITY_TYPES.CALL,
+  LEAD_ACTIVITY_TYPES.EMAIL,
+  LEAD_ACTIVITY_TYPES.MEETING
+];
+
+module.exports = {
+  DEFAULT_LEAD_PIPELINE_STAGES,
+  PIPELINE_STAGE_OUTCOMES,
+  LEAD_ACTIVITY_TYPES,
+  LEAD_ACTIVITY_TYPES_VALUES,
+  MANUAL_LEAD_ACTIVITY_TYPES
+};
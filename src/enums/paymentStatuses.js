@@ -0,0 +1,13 @@
+// State of the deposit / prepayment taken for an Appointment.
+const PAYMENT_STATUSES = {
+  PENDING: 'pending',
+  PAID: 'paid',
+  EXPIRED: 'expired'
+};
+
+const PAYMENT_STATUSES_VALUES = Object.values(PAYMENT_STATUSES);
+
+module.exports = {
+  PAYMENT_STATUSES,
+  PAYMENT_STATUSES_VALUES
+};
@@ -0,0 +1,13 @@
+// Channels an appointment reminder can be sent over.
+const REMINDER_CHANNELS = {
+  EMAIL: 'email',
+  SMS: 'sms',
+  WHATSAPP: 'whatsapp'
+};
+
+const REMINDER_CHANNELS_VALUES = Object.values(REMINDER_CHANNELS);
+
+module.exports = {
+  REMINDER_CHANNELS,
+  REMINDER_CHANNELS_VALUES
+};
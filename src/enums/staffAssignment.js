@@ -0,0 +1,13 @@
+// How a booking without a chosen staff member is assigned to one of the staff who can take it.
+const STAFF_ASSIGNMENT = {
+  ROUND_ROBIN: 'round_robin',       // whoever was assigned longest ago
+  LEAST_BUSY: 'least_busy',         // fewest bookings that day
+  CUSTOMER_CHOICE: 'customer_choice' // the customer must pick a staff member
+};
+
+const STAFF_ASSIGNMENT_VALUES = Object.values(STAFF_ASSIGNMENT);
+
+module.exports = {
+  STAFF_ASSIGNMENT,
+  STAFF_ASSIGNMENT_VALUES
+};
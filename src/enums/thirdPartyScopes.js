@@ -0,0 +1,17 @@
+// Scopes that can be granted to a third-party API client (AI runtime, widget backends, ...).
+const THIRD_PARTY_SCOPES = {
+  CONTEXT_READ: 'context:read',
+  CALENDAR_READ: 'calendar:read',
+  CALENDAR_BOOK: 'calendar:book',
+  LEADS_WRITE: 'leads:write',
+  OTP_SEND: 'otp:send',
+  OTP_VERIFY: 'otp:verify',
+  CONVERSATIONS_CONSUME: 'conversations:consume'
+};
+
+const THIRD_PARTY_SCOPES_VALUES = Object.values(THIRD_PARTY_SCOPES);
+
+module.exports = {
+  THIRD_PARTY_SCOPES,
+  THIRD_PARTY_SCOPES_VALUES
+};
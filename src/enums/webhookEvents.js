@@ -0,0 +1,23 @@
+// Event types customers can subscribe to via outbound webhooks.
+const WEBHOOK_EVENTS = {
+  LEAD_CREATED: 'lead.created',
+  LEAD_UPDATED: 'lead.updated',
+  LEAD_QUALIFIED: 'lead.qualified',
+  LEAD_COMPLETED: 'lead.completed',
+  LEAD_MERGED: 'lead.merged',
+  APPOINTMENT_BOOKED: 'appointment.booked',
+  APPOINTMENT_CANCELLED: 'appointment.cancelled',
+  APPOINTMENT_RESCHEDULED: 'appointment.rescheduled',
+  APPOINTMENT_WAITLISTED: 'appointment.waitlisted'
+};
+
+const WEBHOOK_EVENTS_VALUES = Object.values(WEBHOOK_EVENTS);
+
+// Sent only by the "send test event" endpoint; not subscribable.
+const WEBHOOK_TEST_EVENT = 'webhook.test';
+
+module.exports = {
+  WEBHOOK_EVENTS,
+  WEBHOOK_EVENTS_VALUES,
+  WEBHOOK_TEST_EVENT
+};
@@ -0,0 +1,20 @@
+// Socket.io event names emitted by the server to dashboard clients.
+const WS_EVENTS = {
+  NEW_LEAD: 'new_lead',
+  LEAD_UPDATED: 'lead_updated',
+  APPOINTMENT_BOOKED: 'appointment_booked',
+  APPOINTMENT_CANCELLED: 'appointment_cancelled',
+  APPOINTMENT_RESCHEDULED: 'appointment_rescheduled',
+  APPOINTMENT_WAITLISTED: 'appointment_waitlisted',
+  APPOINTMENT_CHANGED_IN_CALENDAR: 'appointment_changed_in_calendar',
+  SUBSCRIPTION_LIMIT_REACHED: 'subscription_limit_reached',
+  WHATSAPP_SENDER_STATUS_CHANGED: 'whatsapp_sender_status_changed',
+  APP_CREATION_PROGRESS: 'app_creation_progress'
+};
+
+const WS_EVENTS_VALUES = Object.values(WS_EVENTS);
+
+module.exports = {
+  WS_EVENTS,
+  WS_EVENTS_VALUES
+};
@@ -18,13 +18,32 @@
  * @method cancelAppointment
  * @param {string} eventId
  * @returns {Promise<CancelAppointmentViewModel>}
+ *
+ * @method rescheduleAppointment
+ * @param {string} eventId
+ * @param {string} newStart - ISO 8601
+ * @param {string} newEnd - ISO 8601
+ * @param {{ timeZone?: string }} [options]
+ * @returns {Promise<RescheduleAppointmentViewModel>}
+ *
+ * @method syncAvailabilityException (optional)
+ * @param {{ id: string, date: string, timezone: string, allDayOff: boolean, overrideAllDay: boolean,
+ *   slots: Array<{ start: string, end: string }>, label: string|null }} exception
+ * @param {Array<string>} existingEventIds - events mirrored for the exception by the previous sync
+ * @returns {Promise<{ synced: boolean, eventIds: Array<string> }|null>} null when the provider does not
+ *   mirror availability exceptions
  */
 
-const { availabilityNotConnectedOrError, bookAppointmentError, cancelAppointmentError } = require('./commonViewModel');
+const {
+  availabilityNotConnectedOrError,
+  bookAppointmentError,
+  cancelAppointmentError,
+  rescheduleAppointmentError
+} = require('./commonViewModel');
 
 /**
  * Base "interface" implementation that throws if a provider forgets to implement a method.
- * Each concrete provider extends or composes this and overrides the three methods.
+ * Each concrete provider extends or composes this and overrides each method.
  */
 class BaseAppointmentSchedulerProvider {
   constructor(providerName, credentials) {
@@ -43,11 +62,21 @@ class BaseAppointmentSchedulerProvider {
   async cancelAppointment(eventId) {
     throw new Error(`${this.constructor.name} must implement cancelAppointment(eventId)`);
   }
+
+  async rescheduleAppointment(eventId, newStart, newEnd, options = {}) {
+    throw new Error(`${this.constructor.name} must implement rescheduleAppointment(eventId, newStart, newEnd, options)`);
+  }
+
+  /** Mirroring availability exceptions into the calendar is optional; providers without it return null. */
+  async syncAvailabilityException(exception, existingEventIds = []) {
+    return null;
+  }
 }
 
 module.exports = {
   BaseAppointmentSchedulerProvider,
   availabilityNotConnectedOrError,
   bookAppointmentError,
-  cancelAppointmentError
+  cancelAppointmentError,
+  rescheduleAppointmentError
 };
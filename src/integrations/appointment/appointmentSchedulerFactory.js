@@ -2,12 +2,14 @@
  * Factory for IAppointmentSchedulerProvider implementations.
  * Returns the correct provider based on calendarProvider type; all return CommonViewModel.
  */
-const { PROVIDER_GOOGLE, PROVIDER_OUTLOOK, PROVIDER_CALENDLY } = require('./commonViewModel');
+const { PROVIDER_GOOGLE, PROVIDER_OUTLOOK, PROVIDER_CALENDLY, PROVIDER_CALDAV } = require('./commonViewModel');
 const { GoogleCalendarProvider } = require('./providers/GoogleCalendarProvider');
 const { OutlookAppointmentProvider } = require('./providers/OutlookAppointmentProvider');
+const { CalendlyAppointmentProvider } = require('./providers/CalendlyAppointmentProvider');
+const { CalDavAppointmentProvider } = require('./providers/CalDavAppointmentProvider');
 
 /**
- * @param {string} providerType - 'google_calendar' | 'outlook' | 'calendly'
+ * @param {string} providerType - 'google_calendar' | 'outlook' | 'calendly' | 'caldav'
  * @param {Object} credentials - Provider-specific (e.g. { encryptedRefreshToken, calendarId } for Google)
  * @returns {import('./IAppointmentSchedulerProvider').BaseAppointmentSchedulerProvider|null}
  */
@@ -19,8 +21,9 @@ function getAppointmentSchedulerProvider(providerType, credentials) {
     case PROVIDER_OUTLOOK:
       return new OutlookAppointmentProvider(credentials);
     case PROVIDER_CALENDLY:
-      // Stub: CalendlyProvider can be added same way
-      return null;
+      return new CalendlyAppointmentProvider(credentials);
+    case PROVIDER_CALDAV:
+      return new CalDavAppointmentProvider(credentials);
     default:
       return null;
   }
@@ -30,5 +33,6 @@ module.exports = {
   getAppointmentSchedulerProvider,
   PROVIDER_GOOGLE,
   PROVIDER_OUTLOOK,
-  PROVIDER_CALENDLY
+  PROVIDER_CALENDLY,
+  PROVIDER_CALDAV
 };
@@ -7,6 +7,7 @@
 /** @typedef {import('./commonViewModel').AvailabilityViewModel} AvailabilityViewModel */
 /** @typedef {import('./commonViewModel').BookAppointmentViewModel} BookAppointmentViewModel */
 /** @typedef {import('./commonViewModel').CancelAppointmentViewModel} CancelAppointmentViewModel */
+/** @typedef {import('./commonViewModel').RescheduleAppointmentViewModel} RescheduleAppointmentViewModel */
 
 /**
  * Response shape for GetAvailableAppointments / getAvailableSlots.
@@ -33,6 +34,8 @@
  * @property {string} [title]
  * @property {string} [provider]
  * @property {string} [error]
+ * @property {string} [code] - 'slot_unavailable' when the time was taken or is outside availability
+ * @property {Array<{ start: string, end: string }>} [alternatives] - free times of the same length (with code)
  */
 
 /**
@@ -44,9 +47,23 @@
  * @property {string} [error]
  */
 
+/**
+ * Response shape for RescheduleAppointment.
+ * @typedef {Object} RescheduleAppointmentViewModel
+ * @property {boolean} success
+ * @property {boolean} [rescheduled]
+ * @property {string} [eventId]
+ * @property {string} [link] - URL to view event
+ * @property {string} [start] - ISO 8601
+ * @property {string} [end] - ISO 8601
+ * @property {string} [provider]
+ * @property {string} [error]
+ */
+
 const PROVIDER_GOOGLE = 'google_calendar';
 const PROVIDER_OUTLOOK = 'outlook';
 const PROVIDER_CALENDLY = 'calendly';
+const PROVIDER_CALDAV = 'caldav';
 
 /**
  * Build a standard availability response (success).
@@ -127,6 +144,22 @@ function bookAppointmentError(error, provider) {
   };
 }
 
+/**
+ * Build the book-appointment (or slot hold) response for a time that is no longer free.
+ * @param {Array<{ start: string, end: string }>} alternatives - nearest free times of the same length
+ * @param {string} [provider]
+ * @returns {BookAppointmentViewModel}
+ */
+function slotUnavailableError(alternatives, provider) {
+  return {
+    success: false,
+    code: 'slot_unavailable',
+    error: 'The requested time is no longer available.',
+    alternatives: alternatives || [],
+    provider
+  };
+}
+
 /**
  * Build a standard cancel-appointment success response.
  * @param {Object} opts
@@ -156,14 +189,55 @@ function cancelAppointmentError(error, provider) {
   };
 }
 
+/**
+ * Build a standard reschedule-appointment success response.
+ * @param {Object} opts
+ * @param {string} [opts.eventId]
+ * @param {string} [opts.link]
+ * @param {string} [opts.start]
+ * @param {string} [opts.end]
+ * @param {string} [opts.provider]
+ * @returns {RescheduleAppointmentViewModel}
+ */
+function rescheduleAppointmentSuccess(opts = {}) {
+  return {
+    success: true,
+    rescheduled: true,
+    eventId: opts.eventId,
+    link: opts.link,
+    start: opts.start,
+    end: opts.end,
+    provider: opts.provider
+  };
+}
+
+/**
+ * Build a standard reschedule-appointment error response.
+ * @param {string} error
+ * @param {string} [provider]
+ * @returns {RescheduleAppointmentViewModel}
+ */
+function rescheduleAppointmentError(error, provider) {
+  return {
+    success: false,
+    rescheduled: false,
+    error: error || 'Failed to reschedule appointment',
+    provider
+  };
+}
+
 module.exports = {
   PROVIDER_GOOGLE,
   PROVIDER_OUTLOOK,
   PROVIDER_CALENDLY,
+  PROVIDER_CALDAV,
   availabilitySuccess,
   availabilityNotConnectedOrError,
   bookAppointmentSuccess,
   bookAppointmentError,
+  slotUnavailableError,
   cancelAppointmentSuccess,
-  cancelAppointmentError
+  cancelAppointmentError,
+  rescheduleAppointmentSuccess,
+  rescheduleAppointmentError
 };
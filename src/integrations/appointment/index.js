@@ -1,17 +1,19 @@
 /**
  * Appointment scheduler integration.
  * Fixed interface (IAppointmentSchedulerProvider) and CommonViewModel return types
- * so all providers (Google, Outlook, Calendly) expose the same fields.
+ * so all providers (Google, Outlook, Calendly, CalDAV) expose the same fields.
  * Single responsibility per provider; add new providers via the factory.
  */
-const { getAppointmentSchedulerProvider, PROVIDER_GOOGLE, PROVIDER_OUTLOOK, PROVIDER_CALENDLY } = require('./appointmentSchedulerFactory');
+const { getAppointmentSchedulerProvider, PROVIDER_GOOGLE, PROVIDER_OUTLOOK, PROVIDER_CALENDLY, PROVIDER_CALDAV } = require('./appointmentSchedulerFactory');
 const {
   availabilitySuccess,
   availabilityNotConnectedOrError,
   bookAppointmentSuccess,
   bookAppointmentError,
   cancelAppointmentSuccess,
-  cancelAppointmentError
+  cancelAppointmentError,
+  rescheduleAppointmentSuccess,
+  rescheduleAppointmentError
 } = require('./commonViewModel');
 const { BaseAppointmentSchedulerProvider } = require('./IAppointmentSchedulerProvider');
 
@@ -20,13 +22,16 @@ module.exports = {
   PROVIDER_GOOGLE,
   PROVIDER_OUTLOOK,
   PROVIDER_CALENDLY,
+  PROVIDER_CALDAV,
   commonViewModel: {
     availabilitySuccess,
     availabilityNotConnectedOrError,
     bookAppointmentSuccess,
     bookAppointmentError,
     cancelAppointmentSuccess,
-    cancelAppointmentError
+    cancelAppointmentError,
+    rescheduleAppointmentSuccess,
+    rescheduleAppointmentError
   },
   BaseAppointmentSchedulerProvider
 };
@@ -0,0 +1,119 @@
+const { BaseAppointmentSchedulerProvider } = require('../IAppointmentSchedulerProvider');
+const {
+  availabilitySuccess,
+  availabilityNotConnectedOrError,
+  bookAppointmentSuccess,
+  bookAppointmentError,
+  cancelAppointmentSuccess,
+  cancelAppointmentError,
+  rescheduleAppointmentSuccess,
+  rescheduleAppointmentError,
+  PROVIDER_CALDAV
+} = require('../commonViewModel');
+const {
+  getFreebusy,
+  computeFreeSlots,
+  createEvent,
+  deleteEvent,
+  updateEventTime
+} = require('../../../services/caldavCalendarService');
+
+/**
+ * CalDAV implementation of IAppointmentSchedulerProvider.
+ * Single responsibility: one CalDAV calendar collection (Fastmail, Nextcloud, iCloud, Radicale, ...).
+ */
+class CalDavAppointmentProvider extends BaseAppointmentSchedulerProvider {
+  constructor(credentials) {
+    super(PROVIDER_CALDAV, credentials);
+    this.credentials = {
+      calendarUrl: credentials.calendarUrl,
+      username: credentials.username,
+      encryptedPassword: credentials.encryptedPassword,
+      timeZone: credentials.timeZone || null
+    };
+  }
+
+  isConnected() {
+    return !!(this.credentials.calendarUrl && this.credentials.encryptedPassword);
+  }
+
+  async getAvailableSlots(timeMin, timeMax, options = {}) {
+    const slotMinutes = options.slotMinutes || 30;
+    if (!this.isConnected()) {
+      return availabilityNotConnectedOrError({ message: 'CalDAV calendar not connected.' });
+    }
+    try {
+      const result = await getFreebusy(this.credentials, timeMin, timeMax);
+      const freeSlots = computeFreeSlots(timeMin, timeMax, result.busy || [], slotMinutes);
+      return availabilitySuccess({
+        provider: PROVIDER_CALDAV,
+        timeMin,
+        timeMax,
+        freeSlots,
+        busy: result.busy || []
+      });
+    } catch (err) {
+      return availabilityNotConnectedOrError({
+        calendarConnected: false,
+        error: err.message || 'Failed to fetch availability'
+      });
+    }
+  }
+
+  async bookAppointment(payload) {
+    if (!this.isConnected()) {
+      return bookAppointmentError('CalDAV calendar not connected.', PROVIDER_CALDAV);
+    }
+    try {
+      const result = await createEvent(this.credentials, {
+        start: payload.start,
+        end: payload.end,
+        title: payload.title || 'Appointment',
+        description: payload.description,
+        attendeeEmail: payload.attendeeEmail
+      });
+      return bookAppointmentSuccess({
+        eventId: result.eventId,
+        link: result.link,
+        start: result.start,
+        end: result.end,
+        title: result.title,
+        provider: PROVIDER_CALDAV
+      });
+    } catch (err) {
+      return bookAppointmentError(err.message || 'Failed to book appointment', PROVIDER_CALDAV);
+    }
+  }
+
+  async cancelAppointment(eventId) {
+    if (!this.isConnected()) {
+      return cancelAppointmentError('CalDAV calendar not connected.', PROVIDER_CALDAV);
+    }
+    try {
+      await deleteEvent(this.credentials, eventId);
+      return cancelAppointmentSuccess({ provider: PROVIDER_CALDAV });
+    } catch (err) {
+      return cancelAppointmentError(err.message || 'Failed to cancel appointment', PROVIDER_CALDAV);
+    }
+  }
+
+  async rescheduleAppointment(eventId, newStart, newEnd) {
+    if (!this.isConnected()) {
+      return rescheduleAppointmentError('CalDAV calendar not connected.', PROVIDER_CALDAV);
+    }
+    try {
+      const result = await updateEventTime(this.credentials, eventId, { start: newStart, end: newEnd });
+      return rescheduleAppointmentSuccess({
+        eventId: result.eventId,
+        link: result.link,
+        start: result.start,
+        end: result.end,
+        provider: PROVIDER_CALDAV
+      });
+    } catch (err) {
+      return rescheduleAppointmentError(err.message || 'Failed to reschedule appointment', PROVIDER_CALDAV);
+    }
+  }
+}
+
+module.exports = { CalDavAppointmentProvider };
@@ -0,0 +1,116 @@
+const { BaseAppointmentSchedulerProvider } = require('../IAppointmentSchedulerProvider');
+const {
+  availabilitySuccess,
+  availabilityNotConnectedOrError,
+  bookAppointmentSuccess,
+  bookAppointmentError,
+  cancelAppointmentSuccess,
+  cancelAppointmentError,
+  rescheduleAppointmentError,
+  PROVIDER_CALENDLY
+} = require('../commonViewModel');
+const {
+  getFreebusy,
+  getAvailableTimes,
+  createEvent,
+  deleteEvent
+} = require('../../../services/calendlyService');
+
+/**
+ * Calendly implementation of IAppointmentSchedulerProvider.
+ * Single responsibility: one Calendly event type of the connected user. Availability is what Calendly
+ * offers for that event type; bookings create invitees, so Calendly sends its own confirmations.
+ */
+class CalendlyAppointmentProvider extends BaseAppointmentSchedulerProvider {
+  constructor(credentials) {
+    super(PROVIDER_CALENDLY, credentials);
+    this.credentials = {
+      appId: credentials.appId,
+      encryptedRefreshToken: credentials.encryptedRefreshToken,
+      encryptedAccessToken: credentials.encryptedAccessToken || null,
+      accessTokenExpiresAt: credentials.accessTokenExpiresAt || null,
+      userUri: credentials.userUri,
+      eventTypeUri: credentials.eventTypeUri || null
+    };
+    this.eventTypeDuration = credentials.eventTypeDuration || null;
+  }
+
+  async getAvailableSlots(timeMin, timeMax, options = {}) {
+    const slotMinutes = this.eventTypeDuration || options.slotMinutes || 30;
+    if (!this.credentials.encryptedRefreshToken) {
+      return availabilityNotConnectedOrError({ message: 'Calendly not connected.' });
+    }
+    if (!this.credentials.eventTypeUri) {
+      return availabilityNotConnectedOrError({ message: 'No Calendly event type selected.' });
+    }
+    try {
+      const [result, freeSlots] = await Promise.all([
+        getFreebusy(this.credentials, timeMin, timeMax),
+        getAvailableTimes(this.credentials, timeMin, timeMax, slotMinutes)
+      ]);
+      return availabilitySuccess({
+        provider: PROVIDER_CALENDLY,
+        timeMin,
+        timeMax,
+        freeSlots,
+        busy: result.busy || []
+      });
+    } catch (err) {
+      return availabilityNotConnectedOrError({
+        calendarConnected: false,
+        error: err.message || 'Failed to fetch availability'
+      });
+    }
+  }
+
+  async bookAppointment(payload) {
+    if (!this.credentials.encryptedRefreshToken || !this.credentials.eventTypeUri) {
+      return bookAppointmentError('Calendly not connected.', PROVIDER_CALENDLY);
+    }
+    try {
+      const result = await createEvent(this.credentials, {
+        start: payload.start,
+        end: payload.end,
+        title: payload.title || 'Appointment',
+        attendeeEmail: payload.attendeeEmail,
+        customerName: payload.customerName,
+        timeZone: payload.timeZone
+      });
+      return bookAppointmentSuccess({
+        eventId: result.eventId,
+        link: result.link,
+        start: result.start,
+        end: result.end,
+        title: result.title,
+        provider: PROVIDER_CALENDLY
+      });
+    } catch (err) {
+      return {
+        ...bookAppointmentError(err.message || 'Failed to book appointment', PROVIDER_CALENDLY),
+        ...(err.schedulingUrl && { schedulingUrl: err.schedulingUrl })
+      };
+    }
+  }
+
+  async cancelAppointment(eventId) {
+    if (!this.credentials.encryptedRefreshToken) {
+      return cancelAppointmentError('Calendly not connected.', PROVIDER_CALENDLY);
+    }
+    try {
+      await deleteEvent(this.credentials, eventId);
+      return cancelAppointmentSuccess({ provider: PROVIDER_CALENDLY });
+    } catch (err) {
+      return cancelAppointmentError(err.message || 'Failed to cancel appointment', PROVIDER_CALENDLY);
+    }
+  }
+
+  async rescheduleAppointment() {
+    // Calendly's API has no way to move a scheduled event; invitees reschedule through their Calendly link.
+    return rescheduleAppointmentError(
+      'Calendly bookings cannot be moved here. Use the reschedule link in the Calendly confirmation email.',
+      PROVIDER_CALENDLY
+    );
+  }
+}
+
+module.exports = { CalendlyAppointmentProvider };
@@ -1,12 +1,25 @@
-const { BaseAppointmentSchedulerProvider, bookAppointmentError, cancelAppointmentError } = require('../IAppointmentSchedulerProvider');
+const {
+  BaseAppointmentSchedulerProvider,
+  bookAppointmentError,
+  cancelAppointmentError,
+  rescheduleAppointmentError
+} = require('../IAppointmentSchedulerProvider');
 const {
   availabilitySuccess,
   availabilityNotConnectedOrError,
   bookAppointmentSuccess,
   cancelAppointmentSuccess,
+  rescheduleAppointmentSuccess,
   PROVIDER_GOOGLE
 } = require('../commonViewModel');
-const { getFreebusy, computeFreeSlots, createEvent, deleteEvent } = require('../../../services/googleCalendarService');
+const {
+  getFreebusy,
+  computeFreeSlots,
+  createEvent,
+  deleteEvent,
+  updateEventTime,
+  syncAvailabilityExceptionToGoogle
+} = require('../../../services/googleCalendarService');
 
 /**
  * Google Calendar implementation of IAppointmentSchedulerProvider.
@@ -99,6 +112,48 @@ class GoogleCalendarProvider extends BaseAppointmentSchedulerProvider {
       return cancelAppointmentError(err.message || 'Failed to cancel appointment', PROVIDER_GOOGLE);
     }
   }
+
+  /**
+   * @returns {Promise<RescheduleAppointmentViewModel>}
+   */
+  async rescheduleAppointment(eventId, newStart, newEnd, options = {}) {
+    if (!this.encryptedRefreshToken) {
+      return rescheduleAppointmentError('Google Calendar not connected.', PROVIDER_GOOGLE);
+    }
+    try {
+      const result = await updateEventTime(this.encryptedRefreshToken, this.calendarId, eventId, {
+        start: newStart,
+        end: newEnd,
+        timeZone: options.timeZone
+      });
+      if (!result) {
+        return rescheduleAppointmentError('Could not update event.', PROVIDER_GOOGLE);
+      }
+      return rescheduleAppointmentSuccess({
+        eventId: result.eventId,
+        link: result.link,
+        start: result.start,
+        end: result.end,
+        provider: PROVIDER_GOOGLE
+      });
+    } catch (err) {
+      return rescheduleAppointmentError(err.message || 'Failed to reschedule appointment', PROVIDER_GOOGLE);
+    }
+  }
+
+  /**
+   * Mirror an availability exception into the calendar under stable event IDs (see syncAvailabilityExceptionToGoogle).
+   * @returns {Promise<{ synced: boolean, eventIds: Array<string> }>}
+   */
+  async syncAvailabilityException(exception, existingEventIds = []) {
+    if (!this.encryptedRefreshToken) return { synced: false, eventIds: [] };
+    return syncAvailabilityExceptionToGoogle({
+      encryptedRefreshToken: this.encryptedRefreshToken,
+      calendarId: this.calendarId,
+      exception,
+      existingEventIds
+    });
+  }
 }
 
 module.exports = { GoogleCalendarProvider };
@@ -6,13 +6,17 @@ const {
   bookAppointmentError,
   cancelAppointmentSuccess,
   cancelAppointmentError,
+  rescheduleAppointmentSuccess,
+  rescheduleAppointmentError,
   PROVIDER_OUTLOOK
 } = require('../commonViewModel');
 const {
   getFreebusy,
   computeFreeSlots,
   createEvent,
-  deleteEvent
+  deleteEvent,
+  updateEventTime,
+  syncAvailabilityExceptionToOutlook
 } = require('../../../services/outlookCalendarService');
 
 /**
@@ -96,6 +100,41 @@ class OutlookAppointmentProvider extends BaseAppointmentSchedulerProvider {
       return cancelAppointmentError(err.message || 'Failed to cancel appointment', PROVIDER_OUTLOOK);
     }
   }
+
+  async rescheduleAppointment(eventId, newStart, newEnd, options = {}) {
+    if (!this.encryptedRefreshToken) {
+      return rescheduleAppointmentError('Outlook Calendar not connected.', PROVIDER_OUTLOOK);
+    }
+    try {
+      const result = await updateEventTime(this.encryptedRefreshToken, this.calendarId, eventId, {
+        start: newStart,
+        end: newEnd,
+        timeZone: options.timeZone
+      });
+      if (!result) {
+        return rescheduleAppointmentError('Could not update event.', PROVIDER_OUTLOOK);
+      }
+      return rescheduleAppointmentSuccess({
+        eventId: result.eventId,
+        link: result.link,
+        start: result.start,
+        end: result.end,
+        provider: PROVIDER_OUTLOOK
+      });
+    } catch (err) {
+      return rescheduleAppointmentError(err.message || 'Failed to reschedule appointment', PROVIDER_OUTLOOK);
+    }
+  }
+
+  async syncAvailabilityException(exception, existingEventIds = []) {
+    if (!this.encryptedRefreshToken) return { synced: false, eventIds: [] };
+    return syncAvailabilityExceptionToOutlook({
+      encryptedRefreshToken: this.encryptedRefreshToken,
+      calendarId: this.calendarId,
+      exception,
+      existingEventIds
+    });
+  }
 }
 
 module.exports = { OutlookAppointmentProvider };
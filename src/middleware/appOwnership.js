@@ -2,6 +2,41 @@ const { App } = require('../models/App');
 const { AppError } = require('../utils/errorHandler');
 const { logger } = require('../utils/logger');
 
+/**
+ * Load an app and check that the given user owns it and it is not deleted.
+ * Shared by verifyAppOwnership and WebSocket app rooms.
+ * @param {string} appId
+ * @param {string} userId
+ * @returns {Promise<Object>} App document
+ * @throws {AppError} 400 invalid ID, 404 missing/deleted, 403 not the owner
+ */
+const assertAppOwnership = async (appId, userId) => {
+  let app;
+  try {
+    app = await App.findById(appId);
+  } catch (error) {
+    if (error.name === 'CastError') {
+      throw new AppError('Invalid app ID format', 400);
+    }
+    throw error;
+  }
+
+  if (!app) {
+    throw new AppError('App not found', 404);
+  }
+
+  if (app.owner.toString() !== userId.toString()) {
+    logger.warn(`Unauthorized app access attempt: user ${userId} tried to access app ${appId}`);
+    throw new AppError('You do not have permission to access this app', 403);
+  }
+
+  if (!app.isActive) {
+    throw new AppError('This app has been deleted', 404);
+  }
+
+  return app;
+};
+
 /**
  * Middleware to verify that the user owns the app specified in the request
  * Expects appId in req.params.appId or req.query.appId
@@ -19,20 +54,7 @@ const verifyAppOwnership = async (req, res, next) => {
       return next(new AppError('Authentication required', 401));
     }
 
-    const app = await App.findById(appId);
-    
-    if (!app) {
-      return next(new AppError('App not found', 404));
-    }
-
-    if (app.owner.toString() !== userId.toString()) {
-      logger.warn(`Unauthorized app access attempt: user ${userId} tried to access app ${appId}`);
-      return next(new AppError('You do not have permission to access this app', 403));
-    }
-
-    if (!app.isActive) {
-      return next(new AppError('This app has been deleted', 404));
-    }
+    const app = await assertAppOwnership(appId, userId);
 
     // Attach app to request for use in controllers
     req.app = app;
@@ -40,13 +62,14 @@ const verifyAppOwnership = async (req, res, next) => {
 
     next();
   } catch (error) {
-    if (error.name === 'CastError') {
-      return next(new AppError('Invalid app ID format', 400));
+    if (error instanceof AppError) {
+      return next(error);
     }
     next(new AppError('Failed to verify app ownership', 500));
   }
 };
 
 module.exports = {
+  assertAppOwnership,
   verifyAppOwnership
 };
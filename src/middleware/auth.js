@@ -2,37 +2,49 @@ const jwt = require('jsonwebtoken');
 const { AppError } = require('../utils/errorHandler');
 const { logger } = require('../utils/logger');
 
+/**
+ * Verify a JWT access token and return the user it identifies.
+ * Shared by HTTP middleware and the WebSocket handshake.
+ * @param {string} token
+ * @returns {{ id: string, email: string, role: string }}
+ * @throws {AppError} 401
+ */
+const verifyAccessToken = (token) => {
+  if (!token) {
+    throw new AppError('Access token is required', 401);
+  }
+
+  let decoded;
+  try {
+    decoded = jwt.verify(token, process.env.JWT_SECRET);
+  } catch (err) {
+    if (err.name === 'TokenExpiredError') {
+      throw new AppError('Token has expired', 401);
+    } else if (err.name === 'JsonWebTokenError') {
+      throw new AppError('Invalid token', 401);
+    } else {
+      throw new AppError('Token verification failed', 401);
+    }
+  }
+
+  return {
+    id: decoded.userId || decoded.id, // Support both userId and id for backward compatibility
+    email: decoded.email,
+    role: decoded.role || 'user'
+  };
+};
+
 // Middleware to verify JWT token
 const authenticateToken = (req, res, next) => {
   try {
     const authHeader = req.headers['authorization'];
     const token = authHeader && authHeader.split(' ')[1]; // Bearer TOKEN
 
-    if (!token) {
-      throw new AppError('Access token is required', 401);
-    }
-
-    jwt.verify(token, process.env.JWT_SECRET, (err, decoded) => {
-      if (err) {
-        if (err.name === 'TokenExpiredError') {
-          throw new AppError('Token has expired', 401);
-        } else if (err.name === 'JsonWebTokenError') {
-          throw new AppError('Invalid token', 401);
-        } else {
-          throw new AppError('Token verification failed', 401);
-        }
-      }
-
-      // Add user info to request
-      req.user = {
-        id: decoded.userId || decoded.id, // Support both userId and id for backward compatibility
-        email: decoded.email,
-        role: decoded.role || 'user'
-      };
+    // Add user info to request
+    req.user = verifyAccessToken(token);
 
-      logger.info(`User authenticated: ${req.user.email} (ID: ${req.user.id})`);
-      next();
-    });
+    logger.info(`User authenticated: ${req.user.email} (ID: ${req.user.id})`);
+    next();
 
   } catch (error) {
     next(error);
@@ -96,6 +108,7 @@ const requireSuperAdmin = requireRole(['super_admin']);
 const requireUserOrAdmin = requireRole(['user', 'admin']);
 
 module.exports = {
+  verifyAccessToken,
   authenticateToken,
   optionalAuth,
   requireRole,
@@ -1,33 +1,31 @@
 const crypto = require('crypto');
 const { AppError } = require('../utils/errorHandler');
 const { logger } = require('../utils/logger');
+const nonceStore = require('../utils/nonceStore');
+const { ThirdPartyClientService } = require('../services/thirdPartyClientService');
 
 // remove JWT option: HMAC-only from here down
 
-// HMAC signed-request verification (per-request random nonce)
+// HMAC signed-request verification (per-request random nonce).
+// Clients send their key ID in X-TP-Key-Id and sign with one of their secrets (see ThirdPartyClient).
+// Requests without a key ID fall back to the shared THIRD_PARTY_SIGNING_SECRET, which has every scope,
+// unless THIRD_PARTY_REQUIRE_KEY_ID=true.
 const getSigningSecret = () => {
   const secret = process.env.THIRD_PARTY_SIGNING_SECRET;
   if (!secret) throw new AppError('THIRD_PARTY_SIGNING_SECRET is not configured', 500);
   return secret;
 };
 
-// simple in-memory nonce store to reduce replay risk
-const seenNonces = new Map(); // nonce -> expiresAt (ms)
+// Nonces are kept in Redis when configured (shared across instances), else in memory
 const NONCE_TTL_MS = 5 * 60 * 1000; // 5 minutes
 const MAX_SKEW_MS = 5 * 60 * 1000; // 5 minutes
 
-const pruneNonces = () => {
-  const now = Date.now();
-  for (const [nonce, exp] of seenNonces.entries()) {
-    if (exp <= now) seenNonces.delete(nonce);
-  }
-};
-
-const verifySignedThirdPartyForParamUser = (req, res, next) => {
+const verifySignedThirdPartyForParamUser = async (req, res, next) => {
   try {
     const ts = req.headers['x-tp-ts'] || req.query.ts;
     const nonce = req.headers['x-tp-nonce'] || req.query.nonce;
     const sig = req.headers['x-tp-sign'] || req.query.sign;
+    const keyId = req.headers['x-tp-key-id'] || req.query.keyId;
     if (!ts || !nonce || !sig) {
       return next(new AppError('Signed request headers missing', 401));
     }
@@ -37,9 +35,6 @@ const verifySignedThirdPartyForParamUser = (req, res, next) => {
     const now = Date.now();
     if (Math.abs(now - tsMs) > MAX_SKEW_MS) return next(new AppError('Timestamp skew too large', 401));
 
-    pruneNonces();
-    if (seenNonces.has(nonce)) return next(new AppError('Replay detected', 401));
-
     // Use canonical (decoded) path for signing so client and server agree regardless of URL encoding
     let basePath = req.originalUrl.split('?')[0];
     try {
@@ -69,35 +64,96 @@ const verifySignedThirdPartyForParamUser = (req, res, next) => {
       paramInfo = { userId };
     }
     
-    const expected = crypto
-      .createHmac('sha256', getSigningSecret())
-      .update(toSign)
-      .digest('hex');
-
     // normalize provided signature to lowercase hex
     const providedSig = String(sig).trim().toLowerCase();
-    if (!crypto.timingSafeEqual(Buffer.from(expected), Buffer.from(providedSig))) {
-      // Dev/debug aid: show canonical server view used for signing
-      logger.error('Third-party HMAC mismatch', {
-        method: req.method,
-        path: basePath,
-        ...paramInfo,
-        ts: tsMs,
-        nonce,
-        toSign,
-        expected,
-        provided: providedSig
-      });
-      return next(new AppError('Invalid signature', 401));
+
+    let client = null;
+    let secret = null;
+    if (keyId) {
+      client = await ThirdPartyClientService.findUsableClient(String(keyId));
+      if (!client) return next(new AppError('Unknown or revoked API key', 401));
+      secret = ThirdPartyClientService.matchSecret(client, toSign, providedSig);
+      if (!secret) {
+        logger.error('Third-party HMAC mismatch', {
+          keyId: client.keyId,
+          method: req.method,
+          path: basePath,
+          ...paramInfo,
+          ts: tsMs,
+          nonce,
+          toSign,
+          provided: providedSig
+        });
+        return next(new AppError('Invalid signature', 401));
+      }
+    } else {
+      if (process.env.THIRD_PARTY_REQUIRE_KEY_ID === 'true') {
+        return next(new AppError('API key ID header missing', 401));
+      }
+      const expected = crypto
+        .createHmac('sha256', getSigningSecret())
+        .update(toSign)
+        .digest('hex');
+
+      if (!crypto.timingSafeEqual(Buffer.from(expected), Buffer.from(providedSig))) {
+        // Dev/debug aid: show canonical server view used for signing
+        logger.error('Third-party HMAC mismatch', {
+          method: req.method,
+          path: basePath,
+          ...paramInfo,
+          ts: tsMs,
+          nonce,
+          toSign,
+          expected,
+          provided: providedSig
+        });
+        return next(new AppError('Invalid signature', 401));
+      }
+    }
+
+    // Claim only after the signature checks out, so unsigned junk cannot burn nonces
+    const firstUse = await nonceStore.claim(`${client ? client.keyId : 'shared'}:${nonce}`, NONCE_TTL_MS);
+    if (!firstUse) return next(new AppError('Replay detected', 401));
+
+    if (client) {
+      const limit = await ThirdPartyClientService.consumeRateLimit(client);
+      if (limit.limit !== null) {
+        res.set('RateLimit-Limit', String(limit.limit));
+        res.set('RateLimit-Remaining', String(limit.remaining));
+      }
+      if (!limit.allowed) {
+        res.set('Retry-After', String(limit.retryAfterSeconds));
+        logger.warn('Third-party client rate limited', { keyId: client.keyId, path: basePath });
+        return next(new AppError('API key rate limit exceeded, please try again later.', 429));
+      }
+      ThirdPartyClientService.touch(client, secret);
     }
 
-    seenNonces.set(nonce, now + NONCE_TTL_MS);
+    req.thirdPartyAuth = client
+      ? { clientId: String(client._id), keyId: client.keyId, name: client.name, scopes: client.scopes }
+      : { clientId: null, keyId: null, name: 'shared-secret', scopes: null };
     next();
   } catch (err) {
     next(new AppError('Invalid signed request', 401));
   }
 };
 
+/**
+ * Require a scope on the verified third-party client. Must run after verifySignedThirdPartyForParamUser.
+ * Requests signed with the shared secret (scopes: null) are not scope-restricted.
+ * @param {string} scope - one of THIRD_PARTY_SCOPES
+ */
+const requireThirdPartyScope = (scope) => (req, res, next) => {
+  const auth = req.thirdPartyAuth;
+  if (!auth) return next(new AppError('Signed request required', 401));
+  if (auth.scopes && !auth.scopes.includes(scope)) {
+    logger.warn('Third-party client missing scope', { keyId: auth.keyId, scope, path: req.originalUrl.split('?')[0] });
+    return next(new AppError(`API key is not allowed to use this endpoint (requires ${scope})`, 403));
+  }
+  next();
+};
+
 module.exports.verifySignedThirdPartyForParamUser = verifySignedThirdPartyForParamUser;
+module.exports.requireThirdPartyScope = requireThirdPartyScope;
 
 
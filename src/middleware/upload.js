@@ -37,6 +37,22 @@ const documentFileFilter = (req, file, cb) => {
   }
 };
 
+// File filter for spreadsheet imports (CSV and XLSX)
+const spreadsheetFileFilter = (req, file, cb) => {
+  const allowedTypes = [
+    'text/csv',
+    'application/csv',
+    'application/vnd.ms-excel',
+    'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet'
+  ];
+  const name = String(file.originalname || '').toLowerCase();
+  if (allowedTypes.includes(file.mimetype) || name.endsWith('.csv') || name.endsWith('.xlsx')) {
+    cb(null, true);
+  } else {
+    cb(new AppError('Only CSV and XLSX files are allowed', 400), false);
+  }
+};
+
 // Configure multer for images
 const uploadImage = multer({
   storage: storage,
@@ -57,6 +73,16 @@ const uploadDocument = multer({
   }
 });
 
+// Configure multer for spreadsheet imports
+const uploadSpreadsheet = multer({
+  storage: storage,
+  fileFilter: spreadsheetFileFilter,
+  limits: {
+    fileSize: parseInt(process.env.MAX_IMPORT_FILE_SIZE) || 10 * 1024 * 1024,
+    files: 1
+  }
+});
+
 const _handleMulterError = (err, fieldName, next) => {
   if (err instanceof multer.MulterError) {
     if (err.code === 'LIMIT_FILE_SIZE') {
@@ -94,7 +120,19 @@ const uploadDocumentSingle = (fieldName) => {
   };
 };
 
+// Middleware for single spreadsheet upload (CSV, XLSX)
+const uploadSpreadsheetSingle = (fieldName) => {
+  return (req, res, next) => {
+    const uploadHandler = uploadSpreadsheet.single(fieldName);
+    uploadHandler(req, res, (err) => {
+      if (err) return _handleMulterError(err, fieldName, next);
+      next();
+    });
+  };
+};
+
 module.exports = {
   uploadSingle,
-  uploadDocumentSingle
+  uploadDocumentSingle,
+  uploadSpreadsheetSingle
 };
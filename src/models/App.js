@@ -1,6 +1,23 @@
 const mongoose = require('mongoose');
 const Joi = require('joi');
 const { INDUSTRIES } = require('../enums/industries');
+const { PIPELINE_STAGE_OUTCOMES } = require('../enums/leadPipeline');
+
+const leadPipelineStageSchema = new mongoose.Schema({
+  key: { type: String, required: true, trim: true, lowercase: true, maxlength: 50 },
+  label: { type: String, required: true, trim: true, maxlength: 80 },
+  order: { type: Number, default: 0 },
+  outcome: { type: String, enum: PIPELINE_STAGE_OUTCOMES, default: 'open' },
+  color: { type: String, trim: true, default: null }
+}, { _id: false });
+
+const teamMemberSchema = new mongoose.Schema({
+  name: { type: String, required: true, trim: true, maxlength: 150 },
+  email: { type: String, trim: true, lowercase: true, default: null, maxlength: 200 },
+  userId: { type: mongoose.Schema.Types.ObjectId, ref: 'User', default: null },
+  isActive: { type: Boolean, default: true },
+  addedAt: { type: Date, default: Date.now }
+});
 
 const appSchema = new mongoose.Schema({
   owner: {
@@ -155,6 +172,16 @@ const appSchema = new mongoose.Schema({
     default: null,
     sparse: true
   },
+  /** Sales pipeline stages for leads of this app. Empty means DEFAULT_LEAD_PIPELINE_STAGES. */
+  leadPipelineStages: {
+    type: [leadPipelineStageSchema],
+    default: undefined
+  },
+  /** People leads can be assigned to (Lead.assignedTo references a member _id). */
+  teamMembers: {
+    type: [teamMemberSchema],
+    default: []
+  },
   isActive: {
     type: Boolean,
     default: true,
@@ -419,8 +446,30 @@ const appUpdateValidationSchema = Joi.object({
     .optional()
 }).min(1);
 
+const leadPipelineUpdateSchema = Joi.object({
+  stages: Joi.array().items(
+    Joi.object({
+      key: Joi.string().trim().lowercase().pattern(/^[a-z0-9_-]+$/).max(50).required(),
+      label: Joi.string().trim().max(80).required(),
+      order: Joi.number().integer().min(0).optional(),
+      outcome: Joi.string().valid(...PIPELINE_STAGE_OUTCOMES).optional(),
+      color: Joi.string().pattern(/^#[0-9A-Fa-f]{6}$/).allow(null, '').optional()
+    })
+  ).min(1).max(20).unique('key').optional(),
+  teamMembers: Joi.array().items(
+    Joi.object({
+      _id: Joi.string().optional(),
+      name: Joi.string().trim().max(150).required(),
+      email: Joi.string().trim().email().max(200).allow(null, '').optional(),
+      userId: Joi.string().allow(null, '').optional(),
+      isActive: Joi.boolean().optional()
+    })
+  ).max(100).optional()
+}).min(1);
+
 module.exports = {
   App,
   appValidationSchema,
-  appUpdateValidationSchema
+  appUpdateValidationSchema,
+  leadPipelineUpdateSchema
 };
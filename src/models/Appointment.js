@@ -1,5 +1,10 @@
 const mongoose = require('mongoose');
 const Joi = require('joi');
+const { APPOINTMENT_STATUSES, APPOINTMENT_STATUSES_VALUES } = require('../enums/appointmentStatuses');
+const { PAYMENT_STATUSES_VALUES } = require('../enums/paymentStatuses');
+const { PROVIDER_GOOGLE, PROVIDER_OUTLOOK, PROVIDER_CALENDLY, PROVIDER_CALDAV } = require('../integrations/appointment/commonViewModel');
+
+const APPOINTMENT_PROVIDERS = [PROVIDER_GOOGLE, PROVIDER_OUTLOOK, PROVIDER_CALENDLY, PROVIDER_CALDAV];
 
 const appointmentSchema = new mongoose.Schema({
   owner: { type: mongoose.Schema.Types.ObjectId, ref: 'App', required: true, index: true },
@@ -7,11 +12,75 @@ const appointmentSchema = new mongoose.Schema({
   description: { type: String, trim: true, default: '' },
   startAt: { type: Date, required: true, index: true },
   endAt: { type: Date, required: true, index: true },
+  timeZone: { type: String, trim: true, default: null },
+  status: { type: String, enum: APPOINTMENT_STATUSES_VALUES, default: APPOINTMENT_STATUSES.BOOKED, index: true },
+  attendee: {
+    name: { type: String, trim: true, default: null },
+    email: { type: String, trim: true, lowercase: true, default: null },
+    phone: { type: String, trim: true, default: null }
+  },
+  leadId: { type: mongoose.Schema.Types.ObjectId, ref: 'Lead', default: null, index: true },
+  /** Calendar the appointment was booked into; null for appointments created only in the dashboard. */
+  provider: { type: String, enum: [...APPOINTMENT_PROVIDERS, null], default: null },
+  externalEventId: { type: String, trim: true, default: null },
+  link: { type: String, trim: true, default: null },
+  /** Staff member the appointment is with (apps with staff only). */
+  staffId: { type: mongoose.Schema.Types.ObjectId, ref: 'StaffMember', default: null, index: true },
+  /** True when the event was created in the staff member's own calendar rather than the app's. */
+  staffCalendar: { type: Boolean, default: false },
+  /** Service plan (Questionnaire SERVICE_PLAN item) that was booked, if any. */
+  serviceId: { type: mongoose.Schema.Types.ObjectId, ref: 'Questionnaire', default: null },
+  /** Group session this is a seat (or waitlist place) in; startAt identifies the occurrence. */
+  groupSessionId: { type: mongoose.Schema.Types.ObjectId, ref: 'GroupSession', default: null },
+  /** When a waitlisted attendee was given a seat. */
+  promotedAt: { type: Date, default: null },
+  /** Deposit taken through Stripe Checkout on the app's connected account; null when none was required. */
+  payment: {
+    type: {
+      status: { type: String, enum: PAYMENT_STATUSES_VALUES, required: true },
+      /** Major units (e.g. 25.5), as on the service plan. */
+      amount: { type: Number, required: true },
+      currency: { type: String, uppercase: true, trim: true, required: true },
+      stripeAccountId: { type: String, default: null },
+      checkoutSessionId: { type: String, default: null },
+      checkoutUrl: { type: String, default: null },
+      paymentIntentId: { type: String, default: null },
+      /** The slot is released and the booking cancelled if not paid by then. */
+      expiresAt: { type: Date, default: null },
+      paidAt: { type: Date, default: null },
+      /** When confirming the paid booking started; a booking still pending_payment long after it is confirmed again. */
+      confirmingAt: { type: Date, default: null },
+      /** The expiry worker skips the booking until then (Stripe could not settle it on the last check). */
+      nextCheckAt: { type: Date, default: null },
+      /** SlotHold keeping the slot while payment is pending. */
+      holdId: { type: mongoose.Schema.Types.ObjectId, ref: 'SlotHold', default: null },
+      /** Note for the confirmation email, kept until the booking is confirmed. */
+      postBookingNote: { type: String, default: null }
+    },
+    default: null,
+    _id: false
+  },
+  /** Where the booking came from: the lead's sourceChannel (web, whatsapp, ...) or 'dashboard'. */
+  channel: { type: String, trim: true, default: null },
+  cancelledAt: { type: Date, default: null },
+  cancellationReason: { type: String, trim: true, default: null },
+  /** Times before the most recent reschedule. */
+  previousStartAt: { type: Date, default: null },
+  previousEndAt: { type: Date, default: null },
+  rescheduledAt: { type: Date, default: null },
+  rescheduleReason: { type: String, trim: true, default: null },
+  /** iCalendar SEQUENCE of the invite sent to the attendee; bumped on every reschedule/cancellation. */
+  sequence: { type: Number, default: 0 },
   createdAt: { type: Date, default: Date.now },
   updatedAt: { type: Date, default: Date.now }
 }, { timestamps: true });
 
 appointmentSchema.index({ owner: 1, startAt: 1 });
+appointmentSchema.index({ owner: 1, status: 1, startAt: 1 });
+appointmentSchema.index({ owner: 1, groupSessionId: 1, startAt: 1, status: 1 }, { partialFilterExpression: { groupSessionId: { $type: 'objectId' } } });
+appointmentSchema.index({ status: 1, 'payment.expiresAt': 1 }, { partialFilterExpression: { status: APPOINTMENT_STATUSES.PENDING_PAYMENT } });
+appointmentSchema.index({ 'payment.checkoutSessionId': 1 }, { partialFilterExpression: { 'payment.checkoutSessionId': { $type: 'string' } } });
+appointmentSchema.index({ owner: 1, externalEventId: 1 }, { partialFilterExpression: { externalEventId: { $type: 'string' } } });
 
 appointmentSchema.pre('save', function(next) {
   this.updatedAt = new Date();
@@ -20,11 +89,20 @@ appointmentSchema.pre('save', function(next) {
 
 const Appointment = mongoose.model('Appointment', appointmentSchema);
 
+const attendeeJoi = Joi.object({
+  name: Joi.string().trim().max(200).allow(null, '').optional(),
+  email: Joi.string().trim().email().max(255).allow(null, '').optional(),
+  phone: Joi.string().trim().max(50).allow(null, '').optional()
+});
+
 const appointmentCreateSchema = Joi.object({
   title: Joi.string().max(200).allow('').optional(),
   description: Joi.string().max(2000).allow('').optional(),
   startAt: Joi.date().iso().required(),
-  endAt: Joi.date().iso().required()
+  endAt: Joi.date().iso().required(),
+  timeZone: Joi.string().max(100).allow(null, '').optional(),
+  attendee: attendeeJoi.optional(),
+  leadId: Joi.string().hex().length(24).allow(null).optional()
 }).custom((value, helpers) => {
   if (new Date(value.endAt) <= new Date(value.startAt)) {
     return helpers.error('any.invalid');
@@ -32,21 +110,51 @@ const appointmentCreateSchema = Joi.object({
   return value;
 }, 'start/end validation');
 
+const csvOf = (values) => Joi.alternatives().try(
+  Joi.array().items(Joi.string().valid(...values)),
+  Joi.string().custom((value, helpers) => {
+    const parts = value.split(',').map((v) => v.trim()).filter(Boolean);
+    const invalid = parts.find((p) => !values.includes(p));
+    if (invalid) return helpers.message(`{{#label}} contains unknown value "${invalid}"`);
+    return parts;
+  })
+);
+
 const appointmentQuerySchema = Joi.object({
   from: Joi.date().iso().optional(),
   to: Joi.date().iso().optional(),
   page: Joi.number().integer().min(1).default(1),
   limit: Joi.number().integer().min(1).max(100).default(20),
   q: Joi.string().max(200).optional(),
+  // Single value or comma-separated list, e.g. status=booked,rescheduled
+  status: csvOf(APPOINTMENT_STATUSES_VALUES).optional(),
+  channel: Joi.string().max(50).optional(),
+  provider: Joi.string().valid(...APPOINTMENT_PROVIDERS).optional(),
+  leadId: Joi.string().hex().length(24).optional(),
+  staffId: Joi.string().hex().length(24).optional(),
+  groupSessionId: Joi.string().hex().length(24).optional(),
   sortBy: Joi.string().valid('startAt','endAt','createdAt','updatedAt').default('startAt'),
   sortOrder: Joi.string().valid('asc','desc').default('asc')
 });
 
+// Calendar view: every appointment overlapping [from, to], not paginated.
+const appointmentCalendarQuerySchema = Joi.object({
+  from: Joi.date().iso().required(),
+  to: Joi.date().iso().greater(Joi.ref('from')).required(),
+  status: csvOf(APPOINTMENT_STATUSES_VALUES).optional(),
+  channel: Joi.string().max(50).optional(),
+  staffId: Joi.string().hex().length(24).optional()
+});
+
 const appointmentUpdateSchema = Joi.object({
   title: Joi.string().max(200).allow(''),
   description: Joi.string().max(2000).allow(''),
   startAt: Joi.date().iso(),
-  endAt: Joi.date().iso()
+  endAt: Joi.date().iso(),
+  timeZone: Joi.string().max(100).allow(null, ''),
+  status: Joi.string().valid(...APPOINTMENT_STATUSES_VALUES),
+  attendee: attendeeJoi,
+  cancellationReason: Joi.string().max(500).allow(null, '')
 }).custom((value, helpers) => {
   if (value.startAt && value.endAt) {
     if (new Date(value.endAt) <= new Date(value.startAt)) {
@@ -56,11 +164,38 @@ const appointmentUpdateSchema = Joi.object({
   return value;
 }, 'start/end validation');
 
+// Moving a calendar booking (PATCH /calendar/apps/:appId/appointments/:eventId).
+const appointmentRescheduleSchema = Joi.object({
+  start: Joi.date().iso().required(),
+  end: Joi.date().iso().greater(Joi.ref('start')).required(),
+  timeZone: Joi.string().max(100).allow(null, '').optional(),
+  reason: Joi.string().trim().max(500).allow(null, '').optional()
+});
+
+// Customer manage-booking links (routes/manageBooking).
+const manageBookingSlotsQuerySchema = Joi.object({
+  from: Joi.date().iso().optional(),
+  to: Joi.date().iso().optional()
+});
+
+const manageBookingRescheduleSchema = Joi.object({
+  start: Joi.date().iso().required(),
+  reason: Joi.string().trim().max(500).allow(null, '').optional()
+});
+
+const manageBookingCancelSchema = Joi.object({
+  reason: Joi.string().trim().max(500).allow(null, '').optional()
+});
+
 module.exports = {
   Appointment,
+  APPOINTMENT_PROVIDERS,
   appointmentCreateSchema,
   appointmentQuerySchema,
-  appointmentUpdateSchema
+  appointmentCalendarQuerySchema,
+  appointmentUpdateSchema,
+  appointmentRescheduleSchema,
+  manageBookingSlotsQuerySchema,
+  manageBookingRescheduleSchema,
+  manageBookingCancelSchema
 };
-
-
@@ -0,0 +1,57 @@
+const mongoose = require('mongoose');
+const Joi = require('joi');
+const { REMINDER_CHANNELS_VALUES } = require('../enums/reminderChannels');
+
+const REMINDER_STATUSES = ['pending', 'sending', 'sent', 'delivered', 'failed', 'cancelled', 'skipped'];
+
+// One row per (appointment, channel, offset). Doubles as the durable reminder queue and the send log.
+const appointmentReminderSchema = new mongoose.Schema({
+  appId: { type: mongoose.Schema.Types.ObjectId, ref: 'App', required: true, index: true },
+  appointmentId: { type: mongoose.Schema.Types.ObjectId, ref: 'Appointment', required: true, index: true },
+  channel: { type: String, enum: REMINDER_CHANNELS_VALUES, required: true },
+  offsetMinutes: { type: Number, required: true },
+  /** Appointment start the reminder was scheduled for; a moved appointment gets new reminders. */
+  appointmentStartAt: { type: Date, required: true },
+  sendAt: { type: Date, required: true },
+  status: { type: String, enum: REMINDER_STATUSES, default: 'pending', index: true },
+  recipient: { type: String, trim: true, default: null },
+  attempts: { type: Number, default: 0 },
+  maxAttempts: { type: Number, default: 3 },
+  lockedAt: { type: Date, default: null },
+  lastAttemptAt: { type: Date, default: null },
+  /** SendGrid message id or Twilio message SID, and the latest status Twilio reported for it. */
+  providerMessageId: { type: String, default: null },
+  providerStatus: { type: String, default: null },
+  error: { type: String, default: null },
+  sentAt: { type: Date, default: null },
+  deliveredAt: { type: Date, default: null },
+  cancelledAt: { type: Date, default: null }
+}, { timestamps: true });
+
+// Worker pick-up: due pending rows, oldest first.
+appointmentReminderSchema.index({ status: 1, sendAt: 1 });
+appointmentReminderSchema.index({ appId: 1, sendAt: -1 });
+// At most one live reminder per (appointment, channel, offset, start), so concurrent syncs cannot queue duplicates.
+appointmentReminderSchema.index(
+  { appointmentId: 1, channel: 1, offsetMinutes: 1, appointmentStartAt: 1 },
+  { unique: true, partialFilterExpression: { status: { $in: REMINDER_STATUSES.filter((s) => s !== 'cancelled') } } }
+);
+appointmentReminderSchema.index({ providerMessageId: 1 }, { partialFilterExpression: { providerMessageId: { $type: 'string' } } });
+// Keep the reminder log for 90 days.
+appointmentReminderSchema.index({ createdAt: 1 }, { expireAfterSeconds: 90 * 24 * 60 * 60 });
+
+const AppointmentReminder = mongoose.model('AppointmentReminder', appointmentReminderSchema);
+
+const appointmentReminderQuerySchema = Joi.object({
+  appointmentId: Joi.string().hex().length(24).optional(),
+  status: Joi.string().valid(...REMINDER_STATUSES).optional(),
+  channel: Joi.string().valid(...REMINDER_CHANNELS_VALUES).optional(),
+  page: Joi.number().integer().min(1).default(1),
+  limit: Joi.number().integer().min(1).max(100).default(20)
+});
+
+module.exports = {
+  AppointmentReminder,
+  REMINDER_STATUSES,
+  appointmentReminderQuerySchema
+};
@@ -9,6 +9,8 @@ const slotSchema = new mongoose.Schema({
 
 const availabilitySchema = new mongoose.Schema({
   owner: { type: mongoose.Schema.Types.ObjectId, ref: 'App', required: true, index: true },
+  // Weekly hours of one staff member of the app; null for the app's business hours.
+  staffId: { type: mongoose.Schema.Types.ObjectId, ref: 'StaffMember', default: null },
   timezone: { type: String, default: 'UTC' },
   dayOfWeek: { type: Number, min: 0, max: 6, required: true, index: true },
   slots: { type: [slotSchema], default: [] },
@@ -16,7 +18,7 @@ const availabilitySchema = new mongoose.Schema({
   updatedAt: { type: Date, default: Date.now }
 }, { timestamps: true });
 
-availabilitySchema.index({ owner: 1, dayOfWeek: 1 }, { unique: true });
+availabilitySchema.index({ owner: 1, staffId: 1, dayOfWeek: 1 }, { unique: true });
 
 availabilitySchema.pre('save', function(next) {
   this.updatedAt = new Date();
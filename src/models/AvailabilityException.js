@@ -1,6 +1,8 @@
 const mongoose = require('mongoose');
 const Joi = require('joi');
 
+const EXCEPTION_SOURCES = ['manual', 'holiday'];
+
 // Exception to weekly availability rules for a specific calendar date.
 // date: ISO date string in format YYYY-MM-DD (no time component)
 const exceptionSlotSchema = new mongoose.Schema({
@@ -10,6 +12,8 @@ const exceptionSlotSchema = new mongoose.Schema({
 
 const availabilityExceptionSchema = new mongoose.Schema({
   owner: { type: mongoose.Schema.Types.ObjectId, ref: 'App', required: true, index: true },
+  // Exception of one staff member of the app; null for the whole business.
+  staffId: { type: mongoose.Schema.Types.ObjectId, ref: 'StaffMember', default: null },
   date: { type: String, required: true, index: true }, // YYYY-MM-DD
   timezone: { type: String, default: 'UTC' },
   // When true, no availability at all on this date (overrides weekly rules).
@@ -20,9 +24,15 @@ const availabilityExceptionSchema = new mongoose.Schema({
   slots: { type: [exceptionSlotSchema], default: [] },
   // Optional user-defined label (e.g., Vacation, Team Meeting, Lunch Break).
   label: { type: String, trim: true, maxlength: 80, default: null },
-  // Outlook events created by Assistly for this exception (for idempotent update/delete).
+  // 'holiday' when generated from the app's public holiday calendars; editing it makes it 'manual'.
+  source: { type: String, enum: EXCEPTION_SOURCES, default: 'manual' },
+  // Holidays (`<country>:<id>`) a generated exception stands for.
+  holidayIds: { type: [String], default: [] },
+  // Calendar events created by Assistly for this exception, per provider (for idempotent update/delete).
   outlookManagedEventIds: { type: [String], default: [] },
-  // Outlook sync observability fields.
+  googleManagedEventIds: { type: [String], default: [] },
+  // Calendar sync observability fields; syncProvider is the calendar last synced to.
+  syncProvider: { type: String, default: null },
   syncStatus: {
     type: String,
     enum: ['idle', 'pending', 'synced', 'failed', 'skipped'],
@@ -34,7 +44,7 @@ const availabilityExceptionSchema = new mongoose.Schema({
   updatedAt: { type: Date, default: Date.now }
 }, { timestamps: true });
 
-availabilityExceptionSchema.index({ owner: 1, date: 1 }, { unique: true });
+availabilityExceptionSchema.index({ owner: 1, staffId: 1, date: 1 }, { unique: true });
 
 availabilityExceptionSchema.pre('save', function(next) {
   this.updatedAt = new Date();
@@ -90,6 +100,7 @@ const availabilityExceptionBulkSchema = Joi.object({
 
 module.exports = {
   AvailabilityException,
+  EXCEPTION_SOURCES,
   availabilityExceptionUpsertSchema,
   availabilityExceptionBulkSchema
 };
@@ -0,0 +1,68 @@
+const mongoose = require('mongoose');
+const Joi = require('joi');
+
+// Seasonal weekly hours (e.g. "Summer") that replace the app's default weekly Availability between
+// effectiveFrom and effectiveTo. Days missing from `days` are closed while the schedule applies.
+// Single-date AvailabilityException overrides still take precedence.
+const scheduleSlotSchema = new mongoose.Schema({
+  start: { type: String, required: true }, // HH:MM 24h
+  end: { type: String, required: true }    // HH:MM 24h
+}, { _id: false });
+
+const scheduleDaySchema = new mongoose.Schema({
+  dayOfWeek: { type: Number, min: 0, max: 6, required: true }, // 0=Sunday ... 6=Saturday
+  slots: { type: [scheduleSlotSchema], default: [] },
+  allDay: { type: Boolean, default: false }
+}, { _id: false });
+
+const availabilityScheduleSchema = new mongoose.Schema({
+  owner: { type: mongoose.Schema.Types.ObjectId, ref: 'App', required: true, index: true },
+  name: { type: String, required: true, trim: true, maxlength: 80 },
+  effectiveFrom: { type: String, required: true }, // YYYY-MM-DD, inclusive
+  effectiveTo: { type: String, default: null },    // YYYY-MM-DD, inclusive; null = open-ended
+  days: { type: [scheduleDaySchema], default: [] }
+}, { timestamps: true });
+
+availabilityScheduleSchema.index({ owner: 1, effectiveFrom: 1 });
+
+const AvailabilitySchedule = mongoose.model('AvailabilitySchedule', availabilityScheduleSchema);
+
+const dateJoi = Joi.string().pattern(/^\d{4}-\d{2}-\d{2}$/);
+const slotJoi = Joi.object({
+  start: Joi.string().pattern(/^([01]\d|2[0-3]):[0-5]\d$/).required(),
+  end: Joi.string().pattern(/^([01]\d|2[0-3]):[0-5]\d$/).required()
+});
+const daysJoi = Joi.array().items(
+  Joi.object({
+    dayOfWeek: Joi.number().integer().min(0).max(6).required(),
+    slots: Joi.array().items(slotJoi).required(),
+    allDay: Joi.boolean().optional()
+  })
+).max(7).unique('dayOfWeek');
+
+const effectiveRange = (value, helpers) => {
+  if (value.effectiveFrom && value.effectiveTo && value.effectiveTo < value.effectiveFrom) {
+    return helpers.message('effectiveTo must be on or after effectiveFrom');
+  }
+  return value;
+};
+
+const availabilityScheduleCreateSchema = Joi.object({
+  name: Joi.string().trim().min(1).max(80).required(),
+  effectiveFrom: dateJoi.required(),
+  effectiveTo: dateJoi.allow(null).optional(),
+  days: daysJoi.required()
+}).custom(effectiveRange, 'effective date range');
+
+const availabilityScheduleUpdateSchema = Joi.object({
+  name: Joi.string().trim().min(1).max(80).optional(),
+  effectiveFrom: dateJoi.optional(),
+  effectiveTo: dateJoi.allow(null).optional(),
+  days: daysJoi.optional()
+}).min(1).custom(effectiveRange, 'effective date range');
+
+module.exports = {
+  AvailabilitySchedule,
+  availabilityScheduleCreateSchema,
+  availabilityScheduleUpdateSchema
+};
@@ -0,0 +1,98 @@
+const mongoose = require('mongoose');
+const Joi = require('joi');
+const { STAFF_ASSIGNMENT, STAFF_ASSIGNMENT_VALUES } = require('../enums/staffAssignment');
+const { ALLOWED_INTERVAL_MINUTES } = require('../services/availabilitySlotGenerator');
+
+const HOLIDAY_HORIZON_DAYS = { min: 30, max: 730, default: 365 };
+// Stripe Checkout sessions expire between 30 minutes and 24 hours after creation.
+const PAYMENT_WINDOW_MINUTES = { min: 30, max: 1440, default: 30 };
+
+// Per-app booking rules applied on top of availability hours when generating slots and booking,
+// and what customers may change themselves through manage-booking links.
+const availabilitySettingsSchema = new mongoose.Schema({
+  owner: { type: mongoose.Schema.Types.ObjectId, ref: 'App', required: true, unique: true },
+  /** Free time required before / after every appointment (checked against calendar busy times). */
+  bufferBeforeMinutes: { type: Number, min: 0, max: 240, default: 0 },
+  bufferAfterMinutes: { type: Number, min: 0, max: 240, default: 0 },
+  /** Slots starting sooner than this from now are not offered. */
+  minNoticeMinutes: { type: Number, min: 0, default: 0 },
+  /** Slots starting more than this many days ahead are not offered. null = no limit. */
+  maxHorizonDays: { type: Number, min: 1, default: null },
+  /** Maximum bookings per local calendar day. null = no limit. */
+  dailyBookingCap: { type: Number, min: 1, default: null },
+  /** Whether customers may cancel / reschedule through the manage-booking link in their emails. */
+  selfServiceCancelEnabled: { type: Boolean, default: true },
+  selfServiceRescheduleEnabled: { type: Boolean, default: true },
+  /** Customers cannot cancel / reschedule online later than this before the appointment starts. */
+  cancelCutoffMinutes: { type: Number, min: 0, default: 0 },
+  rescheduleCutoffMinutes: { type: Number, min: 0, default: 0 },
+  /** How bookings without a chosen staff member are assigned when the app has staff (enums/staffAssignment). */
+  staffAssignment: { type: String, enum: STAFF_ASSIGNMENT_VALUES, default: STAFF_ASSIGNMENT.ROUND_ROBIN },
+  /** Minutes between offered start times for services with their own duration. null = the app's slot length. */
+  startIntervalMinutes: { type: Number, enum: [...ALLOWED_INTERVAL_MINUTES, null], default: null },
+  /** Public holiday calendars ('US', 'GB-SCT', ...) whose holidays become allDayOff exceptions. */
+  holidayCalendars: { type: [String], default: [] },
+  /** Holidays (`<country>:<id>`, e.g. 'GB:boxing_day') the business stays open on. */
+  holidayOptOuts: { type: [String], default: [] },
+  /** Dates whose generated holiday exception was deleted by hand; not generated again. */
+  holidayDismissedDates: { type: [String], default: [] },
+  /** How many days ahead holiday exceptions are kept generated. */
+  holidayHorizonDays: { type: Number, min: HOLIDAY_HORIZON_DAYS.min, max: HOLIDAY_HORIZON_DAYS.max, default: HOLIDAY_HORIZON_DAYS.default },
+  /** How long a booking waits for its deposit (slot held) before it is cancelled. */
+  paymentWindowMinutes: { type: Number, min: PAYMENT_WINDOW_MINUTES.min, max: PAYMENT_WINDOW_MINUTES.max, default: PAYMENT_WINDOW_MINUTES.default },
+  /** Last time the holiday exceptions were generated (also the holiday worker's claim). */
+  holidaysRefreshedAt: { type: Date, default: null }
+}, { timestamps: true });
+
+availabilitySettingsSchema.index({ holidaysRefreshedAt: 1 });
+
+const AvailabilitySettings = mongoose.model('AvailabilitySettings', availabilitySettingsSchema);
+
+const DEFAULT_AVAILABILITY_SETTINGS = {
+  bufferBeforeMinutes: 0,
+  bufferAfterMinutes: 0,
+  minNoticeMinutes: 0,
+  maxHorizonDays: null,
+  dailyBookingCap: null,
+  selfServiceCancelEnabled: true,
+  selfServiceRescheduleEnabled: true,
+  cancelCutoffMinutes: 0,
+  rescheduleCutoffMinutes: 0,
+  staffAssignment: STAFF_ASSIGNMENT.ROUND_ROBIN,
+  startIntervalMinutes: null,
+  paymentWindowMinutes: PAYMENT_WINDOW_MINUTES.default
+};
+
+const availabilitySettingsUpdateSchema = Joi.object({
+  bufferBeforeMinutes: Joi.number().integer().min(0).max(240).optional(),
+  bufferAfterMinutes: Joi.number().integer().min(0).max(240).optional(),
+  minNoticeMinutes: Joi.number().integer().min(0).max(60 * 24 * 90).optional(),
+  maxHorizonDays: Joi.number().integer().min(1).max(730).allow(null).optional(),
+  dailyBookingCap: Joi.number().integer().min(1).max(1000).allow(null).optional(),
+  selfServiceCancelEnabled: Joi.boolean().optional(),
+  selfServiceRescheduleEnabled: Joi.boolean().optional(),
+  cancelCutoffMinutes: Joi.number().integer().min(0).max(60 * 24 * 30).optional(),
+  rescheduleCutoffMinutes: Joi.number().integer().min(0).max(60 * 24 * 30).optional(),
+  staffAssignment: Joi.string().valid(...STAFF_ASSIGNMENT_VALUES).optional(),
+  startIntervalMinutes: Joi.number().valid(...ALLOWED_INTERVAL_MINUTES).allow(null).optional(),
+  paymentWindowMinutes: Joi.number().integer().min(PAYMENT_WINDOW_MINUTES.min).max(PAYMENT_WINDOW_MINUTES.max).optional()
+}).min(1);
+
+const holidaySettingsUpdateSchema = Joi.object({
+  calendars: Joi.array().items(Joi.string().trim().uppercase().max(20)).max(10).unique().required(),
+  optOuts: Joi.array().items(Joi.string().trim().max(80)).max(200).unique().optional(),
+  horizonDays: Joi.number().integer().min(HOLIDAY_HORIZON_DAYS.min).max(HOLIDAY_HORIZON_DAYS.max).optional()
+});
+
+// Settings to preview without saving them; omitted ones fall back to the saved settings.
+const holidayPreviewQuerySchema = holidaySettingsUpdateSchema.fork(['calendars'], (schema) => schema.optional());
+
+module.exports = {
+  AvailabilitySettings,
+  DEFAULT_AVAILABILITY_SETTINGS,
+  HOLIDAY_HORIZON_DAYS,
+  PAYMENT_WINDOW_MINUTES,
+  availabilitySettingsUpdateSchema,
+  holidaySettingsUpdateSchema,
+  holidayPreviewQuerySchema
+};
@@ -0,0 +1,36 @@
+const mongoose = require('mongoose');
+const { PROVIDER_GOOGLE, PROVIDER_OUTLOOK } = require('../integrations/appointment/commonViewModel');
+
+// Calendars whose event changes are pushed to us (two-way sync).
+const CALENDAR_SYNC_PROVIDERS = [PROVIDER_GOOGLE, PROVIDER_OUTLOOK];
+
+// A change-notification subscription on a connected calendar: a Google Calendar watch channel or a
+// Microsoft Graph subscription. Both expire, so the sync worker renews them before expiresAt.
+const calendarSubscriptionSchema = new mongoose.Schema({
+  owner: { type: mongoose.Schema.Types.ObjectId, ref: 'App', required: true, index: true },
+  /** Staff member whose own calendar this is; null for the app's calendar. */
+  staffId: { type: mongoose.Schema.Types.ObjectId, ref: 'StaffMember', default: null },
+  provider: { type: String, enum: CALENDAR_SYNC_PROVIDERS, required: true },
+  calendarId: { type: String, trim: true, default: 'primary' },
+  /** Google channel id / Graph subscription id, sent back with every notification. */
+  channelId: { type: String, required: true, unique: true },
+  /** Google: id of the watched resource, needed to stop the channel. */
+  resourceId: { type: String, default: null },
+  /** Encrypted secret echoed by the provider (Google channel token / Graph clientState). */
+  verificationToken: { type: String, required: true, select: false },
+  expiresAt: { type: Date, required: true, index: true },
+  /** Google: changes are listed from here (updatedMin) on the next notification. */
+  lastSyncedAt: { type: Date, default: null },
+  lastNotifiedAt: { type: Date, default: null },
+  /** Set while a worker renews the subscription. */
+  renewLockedAt: { type: Date, default: null }
+}, { timestamps: true });
+
+calendarSubscriptionSchema.index({ owner: 1, staffId: 1 });
+
+const CalendarSubscription = mongoose.model('CalendarSubscription', calendarSubscriptionSchema);
+
+module.exports = {
+  CalendarSubscription,
+  CALENDAR_SYNC_PROVIDERS
+};
@@ -0,0 +1,112 @@
+const mongoose = require('mongoose');
+const Joi = require('joi');
+
+const MAX_CAPACITY = 500;
+
+// A class, workshop or other offering many attendees book into. It recurs weekly on daysOfWeek at
+// startTime (local to timezone) from startDate until endDate; with no daysOfWeek it is a one-off on
+// startDate. Each attendee is an Appointment with this groupSessionId and the occurrence's startAt.
+const groupSessionSchema = new mongoose.Schema({
+  owner: { type: mongoose.Schema.Types.ObjectId, ref: 'App', required: true, index: true },
+  title: { type: String, required: true, trim: true, maxlength: 200 },
+  description: { type: String, trim: true, maxlength: 2000, default: '' },
+  /** Service plan the session is offered for, if any (availability can be filtered by serviceId). */
+  serviceId: { type: mongoose.Schema.Types.ObjectId, ref: 'Questionnaire', default: null },
+  /** Staff member who runs the session; their calendar and 1:1 availability are blocked by it. */
+  staffId: { type: mongoose.Schema.Types.ObjectId, ref: 'StaffMember', default: null },
+  /** Maximum attendees per occurrence. */
+  capacity: { type: Number, required: true, min: 1, max: MAX_CAPACITY },
+  waitlistEnabled: { type: Boolean, default: true },
+  /** Maximum waitlisted attendees per occurrence; null = no limit. */
+  waitlistCapacity: { type: Number, min: 1, max: MAX_CAPACITY, default: null },
+  timezone: { type: String, trim: true, default: 'UTC' },
+  /** 0 = Sunday ... 6 = Saturday; empty for a one-off session. */
+  daysOfWeek: [{ type: Number, min: 0, max: 6 }],
+  /** HH:MM local time. */
+  startTime: { type: String, required: true, match: /^([01]\d|2[0-3]):[0-5]\d$/ },
+  durationMinutes: { type: Number, required: true, min: 5, max: 720 },
+  /** YYYY-MM-DD, inclusive; endDate null = open-ended. */
+  startDate: { type: String, required: true, match: /^\d{4}-\d{2}-\d{2}$/ },
+  endDate: { type: String, match: /^\d{4}-\d{2}-\d{2}$/, default: null },
+  /** Inactive sessions keep their attendees but are not offered for booking. */
+  isActive: { type: Boolean, default: true }
+}, { timestamps: true });
+
+groupSessionSchema.index({ owner: 1, isActive: 1 });
+
+const GroupSession = mongoose.model('GroupSession', groupSessionSchema);
+
+const dateStr = Joi.string().pattern(/^\d{4}-\d{2}-\d{2}$/).message('{{#label}} must be YYYY-MM-DD');
+const hhmm = Joi.string().pattern(/^([01]\d|2[0-3]):[0-5]\d$/).message('{{#label}} must be HH:MM');
+
+const groupSessionFields = {
+  title: Joi.string().trim().min(1).max(200),
+  description: Joi.string().trim().max(2000).allow(''),
+  serviceId: Joi.string().hex().length(24).allow(null),
+  staffId: Joi.string().hex().length(24).allow(null),
+  capacity: Joi.number().integer().min(1).max(MAX_CAPACITY),
+  waitlistEnabled: Joi.boolean(),
+  waitlistCapacity: Joi.number().integer().min(1).max(MAX_CAPACITY).allow(null),
+  timezone: Joi.string().trim().max(100),
+  daysOfWeek: Joi.array().items(Joi.number().integer().min(0).max(6)).unique().max(7),
+  startTime: hhmm,
+  durationMinutes: Joi.number().integer().min(5).max(720),
+  startDate: dateStr,
+  endDate: dateStr.allow(null),
+  isActive: Joi.boolean()
+};
+
+const endNotBeforeStart = (value, helpers) => {
+  if (value.startDate && value.endDate && value.endDate < value.startDate) {
+    return helpers.message('endDate must not be before startDate');
+  }
+  return value;
+};
+
+const groupSessionCreateSchema = Joi.object({
+  ...groupSessionFields,
+  title: groupSessionFields.title.required(),
+  capacity: groupSessionFields.capacity.required(),
+  startTime: groupSessionFields.startTime.required(),
+  durationMinutes: groupSessionFields.durationMinutes.required(),
+  startDate: groupSessionFields.startDate.required()
+}).custom(endNotBeforeStart, 'date range validation');
+
+const groupSessionUpdateSchema = Joi.object(groupSessionFields).min(1).custom(endNotBeforeStart, 'date range validation');
+
+const groupSessionOccurrencesQuerySchema = Joi.object({
+  from: Joi.date().iso().optional(),
+  to: Joi.date().iso().optional()
+});
+
+const groupSessionAttendeesQuerySchema = Joi.object({
+  start: Joi.date().iso().required()
+});
+
+// Booking a seat through the calendar API (POST /calendar/apps/:appId/group-sessions/:groupSessionId/bookings).
+const groupSessionBookingSchema = Joi.object({
+  start: Joi.date().iso().required(),
+  attendeeEmail: Joi.string().trim().email().max(255).allow(null, '').optional(),
+  customerName: Joi.string().trim().max(200).allow(null, '').optional(),
+  customerPhone: Joi.string().trim().max(50).allow(null, '').optional(),
+  leadId: Joi.string().hex().length(24).allow(null).optional(),
+  channel: Joi.string().trim().max(50).allow(null, '').optional(),
+  postBookingNote: Joi.string().max(2000).allow(null, '').optional(),
+  /** When the occurrence is full: join its waitlist (default) or only report the next occurrences with seats. */
+  joinWaitlist: Joi.boolean().default(true)
+});
+
+const groupSessionCancelSchema = Joi.object({
+  reason: Joi.string().trim().max(500).allow(null, '').optional()
+});
+
+module.exports = {
+  GroupSession,
+  MAX_CAPACITY,
+  groupSessionCreateSchema,
+  groupSessionUpdateSchema,
+  groupSessionOccurrencesQuerySchema,
+  groupSessionAttendeesQuerySchema,
+  groupSessionBookingSchema,
+  groupSessionCancelSchema
+};
@@ -127,10 +127,15 @@ const integrationSchema = new mongoose.Schema({
     type: Boolean,
     default: false
   },
-  /** Which provider is connected: 'google_calendar' | 'outlook' | 'calendly'. Used by appointment scheduler factory. */
+  /** Provider-specific connection flag for CalDAV (Fastmail, Nextcloud, iCloud, Radicale, ...). */
+  caldavConnected: {
+    type: Boolean,
+    default: false
+  },
+  /** Which provider is connected: 'google_calendar' | 'outlook' | 'calendly' | 'caldav'. Used by appointment scheduler factory. */
   calendarProvider: {
     type: String,
-    enum: ['google_calendar', 'outlook', 'calendly'],
+    enum: ['google_calendar', 'outlook', 'calendly', 'caldav'],
     default: null,
     trim: true
   },
@@ -160,6 +165,90 @@ const integrationSchema = new mongoose.Schema({
     trim: true,
     maxlength: 255
   },
+  /** Calendly: encrypted OAuth refresh token (use utils/encrypt). Rotated by Calendly on every refresh. */
+  calendlyRefreshToken: {
+    type: String,
+    default: null,
+    trim: true
+  },
+  /** Calendly: encrypted access token and its expiry, reused until it expires. */
+  calendlyAccessToken: {
+    type: String,
+    default: null,
+    trim: true
+  },
+  calendlyTokenExpiresAt: {
+    type: Date,
+    default: null
+  },
+  /** Calendly: URIs of the connected user and their organization. */
+  calendlyUserUri: {
+    type: String,
+    default: null,
+    trim: true,
+    maxlength: 500
+  },
+  calendlyOrganizationUri: {
+    type: String,
+    default: null,
+    trim: true,
+    maxlength: 500
+  },
+  /** Calendly: event type the bot books (availability comes from it), with its length in minutes and public link. */
+  calendlyEventTypeUri: {
+    type: String,
+    default: null,
+    trim: true,
+    maxlength: 500
+  },
+  calendlyEventTypeDuration: {
+    type: Number,
+    default: null
+  },
+  calendlySchedulingUrl: {
+    type: String,
+    default: null,
+    trim: true,
+    maxlength: 500
+  },
+  /** Calendly: webhook subscription for invitee.created/canceled and its encrypted signing key (null when the plan has no webhooks). */
+  calendlyWebhookUri: {
+    type: String,
+    default: null,
+    trim: true,
+    maxlength: 500
+  },
+  calendlyWebhookSigningKey: {
+    type: String,
+    default: null,
+    trim: true
+  },
+  /** CalDAV: server URL the owner entered (used for rediscovery). */
+  caldavServerUrl: {
+    type: String,
+    default: null,
+    trim: true,
+    maxlength: 500
+  },
+  /** CalDAV: URL of the calendar collection events are read from and written to. */
+  caldavCalendarUrl: {
+    type: String,
+    default: null,
+    trim: true,
+    maxlength: 1000
+  },
+  caldavUsername: {
+    type: String,
+    default: null,
+    trim: true,
+    maxlength: 255
+  },
+  /** CalDAV: encrypted (app) password (use utils/encrypt). */
+  caldavPassword: {
+    type: String,
+    default: null,
+    select: false
+  },
   /** Email of the connected calendar account (e.g. Google). Shown in UI. */
   calendarAccountEmail: {
     type: String,
@@ -180,6 +269,40 @@ const integrationSchema = new mongoose.Schema({
     default: 30,
     enum: [15, 30, 60]
   },
+  /** iCalendar feed of booked appointments: SHA-256 of the secret feed token (the token is only shown once). */
+  icalFeedTokenHash: {
+    type: String,
+    default: null,
+    select: false
+  },
+  /** Last 4 characters of the feed token, so owners can tell which URL is current. */
+  icalFeedTokenHint: {
+    type: String,
+    default: null
+  },
+  icalFeedCreatedAt: {
+    type: Date,
+    default: null
+  },
+  /** Stripe Connect account deposits are paid into (acct_...). */
+  stripeAccountId: {
+    type: String,
+    default: null,
+    trim: true
+  },
+  /** Mirrors the connected account's charges_enabled / details_submitted; deposits are only taken once charges are enabled. */
+  stripeChargesEnabled: {
+    type: Boolean,
+    default: false
+  },
+  stripeDetailsSubmitted: {
+    type: Boolean,
+    default: false
+  },
+  stripeConnectedAt: {
+    type: Date,
+    default: null
+  },
   /** Preferred languages for this app's chatbot (max 3). ISO 639-1 codes. Used for labels/synonyms UI. */
   preferredLanguages: {
     type: [String],
@@ -249,6 +372,8 @@ const integrationSchema = new mongoose.Schema({
 
 // Ensure one integration per app
 integrationSchema.index({ owner: 1 }, { unique: true });
+integrationSchema.index({ icalFeedTokenHash: 1 }, { partialFilterExpression: { icalFeedTokenHash: { $type: 'string' } } });
+integrationSchema.index({ stripeAccountId: 1 }, { partialFilterExpression: { stripeAccountId: { $type: 'string' } } });
 
 // Set default leadTypeMessages if not provided
 integrationSchema.pre('save', function(next) {
@@ -341,10 +466,28 @@ const integrationUpdateValidationSchema = Joi.object({
   ).optional()
 }).min(1);
 
+/** Body of POST /calendar/caldav: account credentials, and optionally which calendar to use. */
+const caldavConnectSchema = Joi.object({
+  serverUrl: Joi.string().trim().uri({ scheme: ['http', 'https'] }).max(500).required(),
+  username: Joi.string().trim().max(255).required(),
+  password: Joi.string().max(500).required(),
+  calendarUrl: Joi.string().trim().uri({ scheme: ['http', 'https'] }).max(1000).optional(),
+  timeZone: Joi.string().trim().max(100).optional(),
+  /** Connect the calendar of this staff member instead of the app's. */
+  staffId: Joi.string().hex().length(24).optional()
+});
+
+/** Body of PUT /calendar/calendly/event-type: which Calendly event type the bot books. */
+const calendlyEventTypeSchema = Joi.object({
+  eventTypeUri: Joi.string().trim().uri({ scheme: ['https'] }).max(500).required()
+});
+
 const Integration = mongoose.model('Integration', integrationSchema);
 
 module.exports = {
   Integration,
   integrationValidationSchema,
-  integrationUpdateValidationSchema
+  integrationUpdateValidationSchema,
+  caldavConnectSchema,
+  calendlyEventTypeSchema
 };
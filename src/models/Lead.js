@@ -1,6 +1,7 @@
 const mongoose = require('mongoose');
 const Joi = require('joi');
 const { LEAD_TYPES_VALUES } = require('../enums/leadTypes');
+const { normalizePhone, normalizeEmail } = require('../utils/contactIdentity');
 
 const leadSchema = new mongoose.Schema({
   appId: { type: mongoose.Schema.Types.ObjectId, ref: 'App', required: false, index: true }, // Required for new leads, optional for migration
@@ -11,10 +12,21 @@ const leadSchema = new mongoose.Schema({
   leadName: { type: String, trim: true, default: null, maxlength: 150 },
   leadPhoneNumber: { type: String, trim: true, default: null, maxlength: 50 },
   leadEmail: { type: String, trim: true, lowercase: true, default: null, maxlength: 200 },
+  // Contact identity keys derived from leadPhoneNumber/leadEmail (see pre-validate hook); used to find
+  // the same person across channels and time.
+  normalizedPhone: { type: String, default: null },
+  normalizedEmail: { type: String, default: null },
+  // Leads that were merged into this one (they no longer exist; see LeadMerge for their snapshots).
+  mergedLeadIds: [{ type: mongoose.Schema.Types.ObjectId }],
   leadType: { type: String, default: null, index: true },
   serviceType: { type: String, default: null, index: true },
   sourceChannel: { type: String, default: null, index: true },
   status: { type: String, enum: ['interacting', 'in_progress', 'complete', 'confirmed'], default: 'interacting', index: true },
+  // Sales pipeline stage key (App.leadPipelineStages); independent of the chatbot conversation status above.
+  pipelineStage: { type: String, trim: true, lowercase: true, default: 'new', index: true },
+  // App.teamMembers[]._id of the person working this lead.
+  assignedTo: { type: mongoose.Schema.Types.ObjectId, default: null, index: true },
+  assignedAt: { type: Date, default: null },
   location: {
     country: { type: String, trim: true, default: null },
     countryCode: { type: String, trim: true, default: null }
@@ -70,6 +82,35 @@ leadSchema.index({ userId: 1, status: 1, createdAt: -1 });
 leadSchema.index({ userId: 1, appId: 1, status: 1, createdAt: -1 });
 leadSchema.index({ userId: 1, sourceChannel: 1, status: 1, createdAt: -1 });
 leadSchema.index({ userId: 1, appId: 1, sourceChannel: 1, status: 1, createdAt: -1 });
+leadSchema.index({ appId: 1, pipelineStage: 1, createdAt: -1 });
+leadSchema.index({ appId: 1, assignedTo: 1, createdAt: -1 });
+// Full-text search (GET /leads/apps/:appId?q=...). Contact fields rank above conversation text.
+leadSchema.index({
+  leadName: 'text',
+  leadEmail: 'text',
+  leadPhoneNumber: 'text',
+  title: 'text',
+  summary: 'text',
+  description: 'text',
+  'history.content': 'text'
+}, {
+  name: 'lead_text_search',
+  weights: { leadName: 10, leadEmail: 10, leadPhoneNumber: 10, title: 5, summary: 3, description: 2, 'history.content': 1 },
+  default_language: 'english'
+});
+leadSchema.index({ appId: 1, normalizedPhone: 1 }, { partialFilterExpression: { normalizedPhone: { $type: 'string' } } });
+leadSchema.index({ appId: 1, normalizedEmail: 1 }, { partialFilterExpression: { normalizedEmail: { $type: 'string' } } });
+
+// Runs for save() and insertMany(), so imported leads get identity keys too.
+leadSchema.pre('validate', function(next) {
+  if (this.isNew || this.isModified('leadPhoneNumber') || this.isModified('location.countryCode')) {
+    this.normalizedPhone = normalizePhone(this.leadPhoneNumber, this.location?.countryCode);
+  }
+  if (this.isNew || this.isModified('leadEmail')) {
+    this.normalizedEmail = normalizeEmail(this.leadEmail);
+  }
+  next();
+});
 
 leadSchema.pre('save', function(next) {
   const now = new Date();
@@ -147,8 +188,15 @@ const leadQuerySchema = Joi.object({
   serviceType: Joi.string().optional(),
   sourceChannel: Joi.string().optional(),
   status: Joi.string().valid('interacting', 'in_progress', 'complete', 'confirmed').optional(),
-  sortBy: Joi.string().valid('leadDateTime', 'createdAt', 'updatedAt', 'title').default('leadDateTime'),
+  country: Joi.string().max(100).optional(),
+  pipelineStage: Joi.string().trim().lowercase().max(50).optional(),
+  assignedTo: Joi.string().optional(),
+  from: Joi.date().iso().optional(),
+  to: Joi.date().iso().optional(),
+  // Defaults to relevance when q is a text search, otherwise leadDateTime.
+  sortBy: Joi.string().valid('relevance', 'leadDateTime', 'createdAt', 'updatedAt', 'title').optional(),
   sortOrder: Joi.string().valid('asc', 'desc').default('desc'),
+  facets: Joi.boolean().default(false),
   page: Joi.number().integer().min(1).default(1),
   limit: Joi.number().integer().min(1).max(100).default(20)
 });
@@ -213,11 +261,56 @@ const leadUpdateSchema = Joi.object({
   ).allow(null).optional()
 });
 
+// Same filters as the list endpoint, without pagination, plus export options.
+const leadExportQuerySchema = leadQuerySchema
+  .fork(['page', 'limit', 'facets'], (schema) => schema.strip())
+  .keys({
+    format: Joi.string().valid('csv', 'xlsx').default('csv'),
+    includeHistory: Joi.boolean().default(false)
+  });
+
+const leadStageUpdateSchema = Joi.object({
+  stage: Joi.string().trim().lowercase().max(50).required(),
+  note: Joi.string().trim().max(2000).allow(null, '').optional()
+});
+
+const leadAssignSchema = Joi.object({
+  assigneeId: Joi.string().allow(null, '').required(),
+  note: Joi.string().trim().max(2000).allow(null, '').optional()
+});
+
+const leadAnalyticsQuerySchema = Joi.object({
+  from: Joi.date().iso().optional(),
+  to: Joi.date().iso().optional(),
+  interval: Joi.string().valid('day', 'week', 'month').default('day'),
+  timezone: Joi.string().max(100).optional(),
+  sourceChannel: Joi.string().optional(),
+  leadType: Joi.string().optional(),
+  serviceType: Joi.string().optional(),
+  topClickedItems: Joi.number().integer().min(1).max(50).default(10)
+});
+
+const leadDuplicateGroupsQuerySchema = Joi.object({
+  page: Joi.number().integer().min(1).default(1),
+  limit: Joi.number().integer().min(1).max(100).default(20)
+});
+
+const leadMergeSchema = Joi.object({
+  sourceLeadIds: Joi.array().items(Joi.string().hex().length(24)).min(1).max(20).unique().required(),
+  note: Joi.string().trim().max(2000).allow(null, '').optional()
+});
+
 module.exports = {
   Lead,
   leadCreateSchema,
   leadQuerySchema,
-  leadUpdateSchema
+  leadUpdateSchema,
+  leadExportQuerySchema,
+  leadStageUpdateSchema,
+  leadAssignSchema,
+  leadAnalyticsQuerySchema,
+  leadDuplicateGroupsQuerySchema,
+  leadMergeSchema
 };
 
 
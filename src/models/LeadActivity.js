@@ -0,0 +1,50 @@
+const mongoose = require('mongoose');
+const Joi = require('joi');
+const { LEAD_ACTIVITY_TYPES_VALUES, MANUAL_LEAD_ACTIVITY_TYPES } = require('../enums/leadPipeline');
+
+// Append-only timeline entry for a lead. Entries are never updated once written.
+const leadActivitySchema = new mongoose.Schema({
+  appId: { type: mongoose.Schema.Types.ObjectId, ref: 'App', default: null, index: true },
+  leadId: { type: mongoose.Schema.Types.ObjectId, ref: 'Lead', required: true, index: true },
+  type: { type: String, enum: LEAD_ACTIVITY_TYPES_VALUES, required: true, index: true },
+  actorType: { type: String, enum: ['user', 'system', 'ai'], default: 'system' },
+  actorId: { type: String, default: null },
+  actorEmail: { type: String, trim: true, lowercase: true, default: null },
+  message: { type: String, trim: true, default: null, maxlength: 5000 },
+  changes: [{
+    field: { type: String, trim: true, required: true },
+    from: { type: mongoose.Schema.Types.Mixed, default: null },
+    to: { type: mongoose.Schema.Types.Mixed, default: null }
+  }],
+  metadata: { type: mongoose.Schema.Types.Mixed, default: {} },
+  occurredAt: { type: Date, default: Date.now, index: true }
+}, { timestamps: true });
+
+leadActivitySchema.index({ leadId: 1, occurredAt: -1 });
+leadActivitySchema.index({ appId: 1, occurredAt: -1 });
+
+const LeadActivity = mongoose.model('LeadActivity', leadActivitySchema);
+
+const leadActivityCreateSchema = Joi.object({
+  type: Joi.string().valid(...MANUAL_LEAD_ACTIVITY_TYPES).required(),
+  message: Joi.string().trim().max(5000).required(),
+  occurredAt: Joi.date().iso().optional(),
+  metadata: Joi.object({
+    direction: Joi.string().valid('inbound', 'outbound').optional(),
+    durationMinutes: Joi.number().integer().min(0).max(24 * 60).optional(),
+    outcome: Joi.string().trim().max(200).allow(null, '').optional(),
+    subject: Joi.string().trim().max(300).allow(null, '').optional()
+  }).optional()
+});
+
+const leadActivityQuerySchema = Joi.object({
+  type: Joi.string().valid(...LEAD_ACTIVITY_TYPES_VALUES).optional(),
+  page: Joi.number().integer().min(1).default(1),
+  limit: Joi.number().integer().min(1).max(100).default(50)
+});
+
+module.exports = {
+  LeadActivity,
+  leadActivityCreateSchema,
+  leadActivityQuerySchema
+};
@@ -0,0 +1,20 @@
+const mongoose = require('mongoose');
+
+// Audit record for a lead merge. Keeps full snapshots of the merged (deleted) leads so a merge can be reviewed later.
+const leadMergeSchema = new mongoose.Schema({
+  appId: { type: mongoose.Schema.Types.ObjectId, ref: 'App', required: true, index: true },
+  survivorLeadId: { type: mongoose.Schema.Types.ObjectId, ref: 'Lead', required: true, index: true },
+  mergedLeadIds: [{ type: mongoose.Schema.Types.ObjectId, index: true }],
+  mergedLeads: [{ type: mongoose.Schema.Types.Mixed }],
+  survivorBefore: { type: mongoose.Schema.Types.Mixed, default: null },
+  // Fields on the survivor that were filled from a merged lead: [{ field, from, to, sourceLeadId }]
+  filledFields: [{ type: mongoose.Schema.Types.Mixed }],
+  actorType: { type: String, enum: ['user', 'system', 'ai'], default: 'user' },
+  actorId: { type: String, default: null },
+  actorEmail: { type: String, trim: true, lowercase: true, default: null },
+  note: { type: String, trim: true, default: null, maxlength: 2000 }
+}, { timestamps: true });
+
+const LeadMerge = mongoose.model('LeadMerge', leadMergeSchema);
+
+module.exports = { LeadMerge };
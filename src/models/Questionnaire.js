@@ -48,6 +48,42 @@ const questionnaireSchema = new mongoose.Schema({
       default: 0
     }
   }],
+  // For service plans: how long an appointment takes; offered start times fit the whole duration.
+  // null = the app's slot length.
+  durationMinutes: {
+    type: Number,
+    min: 5,
+    max: 720,
+    default: null
+  },
+  // For service plans: preparation / clean-up time that must also be free before / after the appointment
+  paddingBeforeMinutes: {
+    type: Number,
+    min: 0,
+    max: 240,
+    default: 0
+  },
+  paddingAfterMinutes: {
+    type: Number,
+    min: 0,
+    max: 240,
+    default: 0
+  },
+  // For service plans: price and the deposit taken when booking (same currency), null = not shown
+  price: {
+    amount: { type: Number, min: 0, default: null },
+    currency: { type: String, trim: true, uppercase: true, maxlength: 3, default: null }
+  },
+  depositAmount: {
+    type: Number,
+    min: 0,
+    default: null
+  },
+  // For service plans: staff members who can perform it (empty = any active staff member)
+  staffIds: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'StaffMember'
+  }],
   isActive: {
     type: Boolean,
     default: true,
@@ -102,8 +138,22 @@ const questionnaireArraySchema = Joi.object({
           workflowId: Joi.string().allow(null, ''),
           order: Joi.number().default(0)
         })
-      ).optional()
-    })
+      ).optional(),
+      staffIds: Joi.array().items(Joi.string().hex().length(24)).max(200).optional(),
+      durationMinutes: Joi.number().integer().min(5).max(720).allow(null).optional(),
+      paddingBeforeMinutes: Joi.number().integer().min(0).max(240).optional(),
+      paddingAfterMinutes: Joi.number().integer().min(0).max(240).optional(),
+      price: Joi.object({
+        amount: Joi.number().min(0).required(),
+        currency: Joi.string().trim().length(3).uppercase().required()
+      }).allow(null).optional(),
+      depositAmount: Joi.number().min(0).allow(null).optional()
+    }).custom((value, helpers) => {
+      if (value.depositAmount && (!value.price || value.depositAmount > value.price.amount)) {
+        return helpers.message('depositAmount requires a price and cannot exceed it');
+      }
+      return value;
+    }, 'deposit validation')
   ).required()
 });
 
@@ -0,0 +1,43 @@
+const mongoose = require('mongoose');
+const Joi = require('joi');
+const { REMINDER_CHANNELS, REMINDER_CHANNELS_VALUES } = require('../enums/reminderChannels');
+
+// Longest offset accepted: reminders further ahead than this are not useful.
+const MAX_REMINDER_OFFSET_MINUTES = 60 * 24 * 14;
+
+// Per-app appointment reminder rules: when before the appointment and over which channels.
+const reminderSettingsSchema = new mongoose.Schema({
+  owner: { type: mongoose.Schema.Types.ObjectId, ref: 'App', required: true, unique: true },
+  enabled: { type: Boolean, default: true },
+  /** Minutes before the appointment start; one reminder per offset and channel. */
+  offsetsMinutes: { type: [Number], default: [1440, 60] },
+  channels: { type: [{ type: String, enum: REMINDER_CHANNELS_VALUES }], default: [REMINDER_CHANNELS.EMAIL] },
+  /** Approved WhatsApp template (Twilio Content SID) for reminders; without it a free-form body is sent. */
+  whatsappContentSid: { type: String, trim: true, default: null }
+}, { timestamps: true });
+
+const ReminderSettings = mongoose.model('ReminderSettings', reminderSettingsSchema);
+
+const DEFAULT_REMINDER_SETTINGS = {
+  enabled: true,
+  offsetsMinutes: [1440, 60],
+  channels: [REMINDER_CHANNELS.EMAIL],
+  whatsappContentSid: null
+};
+
+const reminderSettingsUpdateSchema = Joi.object({
+  enabled: Joi.boolean().optional(),
+  offsetsMinutes: Joi.array()
+    .items(Joi.number().integer().min(5).max(MAX_REMINDER_OFFSET_MINUTES))
+    .max(5)
+    .unique()
+    .optional(),
+  channels: Joi.array().items(Joi.string().valid(...REMINDER_CHANNELS_VALUES)).unique().optional(),
+  whatsappContentSid: Joi.string().trim().pattern(/^HX[0-9a-fA-F]{32}$/).allow(null, '').optional()
+}).min(1);
+
+module.exports = {
+  ReminderSettings,
+  DEFAULT_REMINDER_SETTINGS,
+  reminderSettingsUpdateSchema
+};
@@ -0,0 +1,45 @@
+const mongoose = require('mongoose');
+const Joi = require('joi');
+
+const DEFAULT_HOLD_MINUTES = 10;
+const MAX_HOLD_MINUTES = 30;
+
+// A time a chat session is about to book. Until it expires the slot is not offered to other sessions
+// and cannot be booked by them; confirming books it, releasing frees it.
+const slotHoldSchema = new mongoose.Schema({
+  owner: { type: mongoose.Schema.Types.ObjectId, ref: 'App', required: true },
+  /** Chat session / visitor that placed the hold; its own holds never block it. */
+  sessionId: { type: String, required: true, trim: true, maxlength: 200 },
+  start: { type: Date, required: true },
+  end: { type: Date, required: true },
+  /** Staff member the slot is held with (apps with staff), null for the app-wide calendar. */
+  staffId: { type: mongoose.Schema.Types.ObjectId, ref: 'StaffMember', default: null },
+  serviceId: { type: mongoose.Schema.Types.ObjectId, ref: 'Questionnaire', default: null },
+  expiresAt: {
+    type: Date,
+    required: true,
+    default: () => new Date(Date.now() + DEFAULT_HOLD_MINUTES * 60 * 1000),
+    index: { expireAfterSeconds: 0 }
+  }
+}, { timestamps: true });
+
+slotHoldSchema.index({ owner: 1, staffId: 1, start: 1, end: 1 });
+slotHoldSchema.index({ owner: 1, sessionId: 1 });
+
+const SlotHold = mongoose.model('SlotHold', slotHoldSchema);
+
+const slotHoldCreateSchema = Joi.object({
+  sessionId: Joi.string().trim().min(1).max(200).required(),
+  start: Joi.date().iso().required(),
+  end: Joi.date().iso().greater(Joi.ref('start')).optional(),
+  serviceId: Joi.string().hex().length(24).optional(),
+  staffId: Joi.string().hex().length(24).optional(),
+  ttlMinutes: Joi.number().integer().min(1).max(MAX_HOLD_MINUTES).optional()
+});
+
+module.exports = {
+  SlotHold,
+  DEFAULT_HOLD_MINUTES,
+  MAX_HOLD_MINUTES,
+  slotHoldCreateSchema
+};
@@ -0,0 +1,79 @@
+const mongoose = require('mongoose');
+const Joi = require('joi');
+const { PROVIDER_GOOGLE, PROVIDER_OUTLOOK, PROVIDER_CALDAV } = require('../integrations/appointment/commonViewModel');
+
+// Calendars a staff member can connect on their own (Calendly stays app-wide).
+const STAFF_CALENDAR_PROVIDERS = [PROVIDER_GOOGLE, PROVIDER_OUTLOOK, PROVIDER_CALDAV];
+
+// A practitioner of an app who can be booked. Weekly hours and exceptions are Availability /
+// AvailabilityException documents with this staffId; without weekly hours of their own the
+// app's business hours apply.
+const staffMemberSchema = new mongoose.Schema({
+  owner: { type: mongoose.Schema.Types.ObjectId, ref: 'App', required: true, index: true },
+  name: { type: String, required: true, trim: true, maxlength: 120 },
+  email: { type: String, trim: true, lowercase: true, maxlength: 255, default: null },
+  phone: { type: String, trim: true, maxlength: 50, default: null },
+  /** Inactive staff keep their history but are not offered or assigned. */
+  isActive: { type: Boolean, default: true, index: true },
+  /** Display order, also the tie-breaker when assigning bookings. */
+  order: { type: Number, default: 0 },
+  /** Optional own calendar: bookings go there and its busy times block this staff member only. */
+  calendarProvider: { type: String, enum: [...STAFF_CALENDAR_PROVIDERS, null], default: null },
+  calendarConnected: { type: Boolean, default: false },
+  /** Google / Outlook: encrypted refresh token (use utils/encrypt). */
+  calendarRefreshToken: { type: String, default: null, select: false },
+  calendarId: { type: String, trim: true, maxlength: 255, default: null },
+  caldavServerUrl: { type: String, trim: true, maxlength: 500, default: null },
+  caldavCalendarUrl: { type: String, trim: true, maxlength: 1000, default: null },
+  caldavUsername: { type: String, trim: true, maxlength: 255, default: null },
+  /** CalDAV: encrypted (app) password (use utils/encrypt). */
+  caldavPassword: { type: String, default: null, select: false },
+  calendarAccountEmail: { type: String, trim: true, maxlength: 255, default: null },
+  calendarTimezone: { type: String, trim: true, maxlength: 100, default: null },
+  /** When a booking was last assigned to this staff member (round-robin order). */
+  lastAssignedAt: { type: Date, default: null }
+}, { timestamps: true });
+
+staffMemberSchema.index({ owner: 1, isActive: 1, order: 1 });
+
+const StaffMember = mongoose.model('StaffMember', staffMemberSchema);
+
+const STAFF_PUBLIC_FIELDS = 'name email phone isActive order calendarProvider calendarConnected calendarAccountEmail calendarTimezone lastAssignedAt createdAt updatedAt';
+
+const CLEARED_STAFF_CALENDAR_FIELDS = {
+  calendarProvider: null,
+  calendarConnected: false,
+  calendarRefreshToken: null,
+  calendarId: null,
+  caldavServerUrl: null,
+  caldavCalendarUrl: null,
+  caldavUsername: null,
+  caldavPassword: null,
+  calendarAccountEmail: null,
+  calendarTimezone: null
+};
+
+const staffMemberCreateSchema = Joi.object({
+  name: Joi.string().trim().min(1).max(120).required(),
+  email: Joi.string().trim().email().max(255).allow(null, '').optional(),
+  phone: Joi.string().trim().max(50).allow(null, '').optional(),
+  isActive: Joi.boolean().optional(),
+  order: Joi.number().integer().min(0).max(10000).optional()
+});
+
+const staffMemberUpdateSchema = Joi.object({
+  name: Joi.string().trim().min(1).max(120),
+  email: Joi.string().trim().email().max(255).allow(null, ''),
+  phone: Joi.string().trim().max(50).allow(null, ''),
+  isActive: Joi.boolean(),
+  order: Joi.number().integer().min(0).max(10000)
+}).min(1);
+
+module.exports = {
+  StaffMember,
+  STAFF_CALENDAR_PROVIDERS,
+  STAFF_PUBLIC_FIELDS,
+  CLEARED_STAFF_CALENDAR_FIELDS,
+  staffMemberCreateSchema,
+  staffMemberUpdateSchema
+};
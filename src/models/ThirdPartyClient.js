@@ -0,0 +1,75 @@
+const mongoose = require('mongoose');
+const Joi = require('joi');
+const { THIRD_PARTY_SCOPES_VALUES } = require('../enums/thirdPartyScopes');
+
+// A client may hold several secrets at once so it can be rotated without downtime.
+const clientSecretSchema = new mongoose.Schema({
+  /** HMAC signing secret, encrypted with utils/encrypt. Only returned by the API when issued. */
+  secretEnc: { type: String, required: true, select: false },
+  /** Last 4 characters of the secret so admins can tell secrets apart. */
+  hint: { type: String, default: null },
+  createdAt: { type: Date, default: Date.now },
+  /** Set when a newer secret replaces this one with a grace period. */
+  expiresAt: { type: Date, default: null },
+  revokedAt: { type: Date, default: null },
+  lastUsedAt: { type: Date, default: null }
+});
+
+const thirdPartyClientSchema = new mongoose.Schema({
+  name: { type: String, required: true, trim: true, maxlength: 100 },
+  description: { type: String, trim: true, default: null, maxlength: 500 },
+  /** Public key ID, sent by the client in the X-TP-Key-Id header. */
+  keyId: { type: String, required: true, unique: true },
+  scopes: { type: [{ type: String, enum: THIRD_PARTY_SCOPES_VALUES }], default: [] },
+  rateLimit: {
+    maxRequests: { type: Number, default: 600 },
+    windowSeconds: { type: Number, default: 60 }
+  },
+  secrets: { type: [clientSecretSchema], default: [] },
+  /** Paused clients can be re-enabled; revoked clients cannot. */
+  isActive: { type: Boolean, default: true },
+  revokedAt: { type: Date, default: null },
+  revokedReason: { type: String, default: null },
+  lastUsedAt: { type: Date, default: null },
+  createdBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User', default: null }
+}, { timestamps: true });
+
+const ThirdPartyClient = mongoose.model('ThirdPartyClient', thirdPartyClientSchema);
+
+const scopesJoi = Joi.array().items(Joi.string().valid(...THIRD_PARTY_SCOPES_VALUES)).min(1).unique();
+const rateLimitJoi = Joi.object({
+  maxRequests: Joi.number().integer().min(1).max(100000).required(),
+  windowSeconds: Joi.number().integer().min(1).max(3600).required()
+});
+
+const thirdPartyClientCreateSchema = Joi.object({
+  name: Joi.string().trim().min(1).max(100).required(),
+  description: Joi.string().trim().max(500).allow(null, '').optional(),
+  scopes: scopesJoi.required(),
+  rateLimit: rateLimitJoi.optional()
+});
+
+const thirdPartyClientUpdateSchema = Joi.object({
+  name: Joi.string().trim().min(1).max(100).optional(),
+  description: Joi.string().trim().max(500).allow(null, '').optional(),
+  scopes: scopesJoi.optional(),
+  rateLimit: rateLimitJoi.optional(),
+  isActive: Joi.boolean().optional()
+}).min(1);
+
+const thirdPartySecretIssueSchema = Joi.object({
+  // Existing secrets stay valid for this long so the client can switch over; omit to keep them until revoked.
+  retireExistingInMinutes: Joi.number().integer().min(0).max(7 * 24 * 60).optional()
+});
+
+const thirdPartyClientRevokeSchema = Joi.object({
+  reason: Joi.string().trim().max(200).allow(null, '').optional()
+});
+
+module.exports = {
+  ThirdPartyClient,
+  thirdPartyClientCreateSchema,
+  thirdPartyClientUpdateSchema,
+  thirdPartySecretIssueSchema,
+  thirdPartyClientRevokeSchema
+};
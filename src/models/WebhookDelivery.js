@@ -0,0 +1,49 @@
+const mongoose = require('mongoose');
+const Joi = require('joi');
+
+// One row per (event, subscription). Doubles as the durable delivery queue and the delivery log.
+const webhookDeliverySchema = new mongoose.Schema({
+  appId: { type: mongoose.Schema.Types.ObjectId, ref: 'App', required: true, index: true },
+  subscriptionId: { type: mongoose.Schema.Types.ObjectId, ref: 'WebhookSubscription', required: true, index: true },
+  eventId: { type: String, required: true, index: true },
+  eventType: { type: String, required: true, index: true },
+  payload: { type: mongoose.Schema.Types.Mixed, required: true },
+  isTest: { type: Boolean, default: false },
+  status: {
+    type: String,
+    enum: ['pending', 'sending', 'succeeded', 'failed'],
+    default: 'pending',
+    index: true
+  },
+  attempts: { type: Number, default: 0 },
+  maxAttempts: { type: Number, default: 8 },
+  nextAttemptAt: { type: Date, default: Date.now },
+  lockedAt: { type: Date, default: null },
+  lastAttemptAt: { type: Date, default: null },
+  deliveredAt: { type: Date, default: null },
+  responseStatus: { type: Number, default: null },
+  responseBody: { type: String, default: null },
+  error: { type: String, default: null },
+  durationMs: { type: Number, default: null }
+}, { timestamps: true });
+
+// Worker pick-up: due pending rows, oldest first.
+webhookDeliverySchema.index({ status: 1, nextAttemptAt: 1 });
+webhookDeliverySchema.index({ appId: 1, createdAt: -1 });
+// Keep the delivery log for 30 days.
+webhookDeliverySchema.index({ createdAt: 1 }, { expireAfterSeconds: 30 * 24 * 60 * 60 });
+
+const WebhookDelivery = mongoose.model('WebhookDelivery', webhookDeliverySchema);
+
+const webhookDeliveryQuerySchema = Joi.object({
+  subscriptionId: Joi.string().optional(),
+  status: Joi.string().valid('pending', 'sending', 'succeeded', 'failed').optional(),
+  eventType: Joi.string().max(100).optional(),
+  page: Joi.number().integer().min(1).default(1),
+  limit: Joi.number().integer().min(1).max(100).default(20)
+});
+
+module.exports = {
+  WebhookDelivery,
+  webhookDeliveryQuerySchema
+};
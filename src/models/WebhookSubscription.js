@@ -0,0 +1,48 @@
+const mongoose = require('mongoose');
+const Joi = require('joi');
+const { WEBHOOK_EVENTS_VALUES } = require('../enums/webhookEvents');
+
+const webhookSubscriptionSchema = new mongoose.Schema({
+  appId: { type: mongoose.Schema.Types.ObjectId, ref: 'App', required: true, index: true },
+  url: { type: String, required: true, trim: true, maxlength: 2000 },
+  description: { type: String, trim: true, default: null, maxlength: 200 },
+  events: { type: [{ type: String, enum: WEBHOOK_EVENTS_VALUES }], default: [] },
+  /** Signing secret, encrypted with utils/encrypt. Never returned by the API after creation. */
+  secretEnc: { type: String, required: true, select: false },
+  /** Last 4 characters of the secret so owners can tell keys apart in the UI. */
+  secretHint: { type: String, default: null },
+  isActive: { type: Boolean, default: true, index: true },
+  // Delivery health, updated by the webhook worker.
+  consecutiveFailures: { type: Number, default: 0 },
+  lastDeliveryAt: { type: Date, default: null },
+  lastDeliveryStatus: { type: String, enum: ['succeeded', 'failed', null], default: null },
+  disabledAt: { type: Date, default: null },
+  disabledReason: { type: String, default: null }
+}, { timestamps: true });
+
+webhookSubscriptionSchema.index({ appId: 1, isActive: 1, events: 1 });
+
+const WebhookSubscription = mongoose.model('WebhookSubscription', webhookSubscriptionSchema);
+
+const urlJoi = Joi.string().trim().uri({ scheme: ['https', 'http'] }).max(2000);
+
+const webhookSubscriptionCreateSchema = Joi.object({
+  url: urlJoi.required(),
+  description: Joi.string().trim().max(200).allow(null, '').optional(),
+  events: Joi.array().items(Joi.string().valid(...WEBHOOK_EVENTS_VALUES)).min(1).unique().required(),
+  secret: Joi.string().min(16).max(200).optional(),
+  isActive: Joi.boolean().optional()
+});
+
+const webhookSubscriptionUpdateSchema = Joi.object({
+  url: urlJoi.optional(),
+  description: Joi.string().trim().max(200).allow(null, '').optional(),
+  events: Joi.array().items(Joi.string().valid(...WEBHOOK_EVENTS_VALUES)).min(1).unique().optional(),
+  isActive: Joi.boolean().optional()
+}).min(1);
+
+module.exports = {
+  WebhookSubscription,
+  webhookSubscriptionCreateSchema,
+  webhookSubscriptionUpdateSchema
+};
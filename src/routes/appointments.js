@@ -1,8 +1,23 @@
 const express = require('express');
+const mongoose = require('mongoose');
 const { AppError } = require('../utils/errorHandler');
 const { authenticateToken, requireUserOrAdmin } = require('../middleware/auth');
 const { verifyAppOwnership } = require('../middleware/appOwnership');
-const { Appointment, appointmentCreateSchema, appointmentQuerySchema, appointmentUpdateSchema } = require('../models/Appointment');
+const {
+  Appointment,
+  appointmentCreateSchema,
+  appointmentQuerySchema,
+  appointmentCalendarQuerySchema,
+  appointmentUpdateSchema
+} = require('../models/Appointment');
+const { AppointmentService } = require('../services/appointmentService');
+const { ReminderService } = require('../services/reminderService');
+const { GroupSessionService } = require('../services/groupSessionService');
+const { BookingPaymentService } = require('../services/bookingPaymentService');
+const { APPOINTMENT_STATUSES, ACTIVE_APPOINTMENT_STATUSES } = require('../enums/appointmentStatuses');
+
+// Upper bound for calendar-range queries, which are not paginated.
+const CALENDAR_RANGE_LIMIT = 1000;
 
 const router = express.Router();
 
@@ -15,13 +30,15 @@ router.post('/apps/:appId', authenticateToken, verifyAppOwnership, async (req, r
       throw new AppError(`Validation failed: ${messages.join(', ')}`, 400);
     }
     const appId = req.appId;
-    const appt = new Appointment({ owner: appId, ...value });
+    const appt = new Appointment({ owner: appId, ...value, channel: 'dashboard' });
     await appt.save();
+    await ReminderService.syncForAppointment(appt);
     res.status(201).json({ status: 'success', message: 'Appointment created', data: { appointment: appt } });
   } catch (err) { next(err); }
 });
 
 // List appointments for app - NEW APP-SCOPED ROUTE
+// Filters: from/to (start time), status (comma-separated), channel, provider, leadId, staffId, groupSessionId, q
 router.get('/apps/:appId', authenticateToken, verifyAppOwnership, async (req, res, next) => {
   try {
     const appId = req.appId;
@@ -33,19 +50,7 @@ router.get('/apps/:appId', authenticateToken, verifyAppOwnership, async (req, re
       throw new AppError(`Validation failed: ${messages.join(', ')}`, 400);
     }
 
-    const conditions = [ { owner: appId } ];
-    if (value.from || value.to) {
-      const range = {};
-      if (value.from) range.$gte = new Date(value.from);
-      if (value.to) range.$lte = new Date(value.to);
-      conditions.push({ startAt: range });
-    }
-    if (value.q && String(value.q).trim().length > 0) {
-      const needle = String(value.q).trim();
-      const rx = new RegExp(needle.replace(/[.*+?^${}()|[\]\\]/g, '\\$&'), 'i');
-      conditions.push({ $or: [ { title: rx }, { description: rx } ] });
-    }
-    const filter = conditions.length > 1 ? { $and: conditions } : conditions[0];
+    const filter = AppointmentService.buildFilter({ owner: appId }, value);
 
     const page = value.page;
     const limit = value.limit;
@@ -76,6 +81,40 @@ router.get('/apps/:appId', authenticateToken, verifyAppOwnership, async (req, re
   } catch (err) { next(err); }
 });
 
+// Appointments overlapping a date range, for calendar views (not paginated)
+router.get('/apps/:appId/calendar', authenticateToken, verifyAppOwnership, async (req, res, next) => {
+  try {
+    const { error, value } = appointmentCalendarQuerySchema.validate(req.query, { abortEarly: false, stripUnknown: true });
+    if (error) {
+      const messages = error.details.map(d => d.message);
+      throw new AppError(`Validation failed: ${messages.join(', ')}`, 400);
+    }
+
+    const filter = AppointmentService.buildFilter({ owner: req.appId }, value, { overlap: true });
+    const items = await Appointment.find(filter).sort({ startAt: 1 }).limit(CALENDAR_RANGE_LIMIT + 1).exec();
+    const truncated = items.length > CALENDAR_RANGE_LIMIT;
+
+    res.status(200).json({
+      status: 'success',
+      data: {
+        appointments: truncated ? items.slice(0, CALENDAR_RANGE_LIMIT) : items,
+        range: { from: value.from, to: value.to },
+        truncated
+      }
+    });
+  } catch (err) { next(err); }
+});
+
+// Get a single appointment for app
+router.get('/apps/:appId/:appointmentId', authenticateToken, verifyAppOwnership, async (req, res, next) => {
+  try {
+    if (!mongoose.isValidObjectId(req.params.appointmentId)) throw new AppError('Invalid appointment ID format', 400);
+    const appt = await Appointment.findOne({ _id: req.params.appointmentId, owner: req.appId }).exec();
+    if (!appt) throw new AppError('Appointment not found', 404);
+    res.status(200).json({ status: 'success', data: { appointment: appt } });
+  } catch (err) { next(err); }
+});
+
 // Create appointment for current user - LEGACY ROUTE
 router.post('/', authenticateToken, requireUserOrAdmin, async (req, res, next) => {
   try {
@@ -104,19 +143,7 @@ router.get('/user/:id', authenticateToken, requireUserOrAdmin, async (req, res,
       throw new AppError(`Validation failed: ${messages.join(', ')}`, 400);
     }
 
-    const conditions = [ { owner: id } ];
-    if (value.from || value.to) {
-      const range = {};
-      if (value.from) range.$gte = new Date(value.from);
-      if (value.to) range.$lte = new Date(value.to);
-      conditions.push({ startAt: range });
-    }
-    if (value.q && String(value.q).trim().length > 0) {
-      const needle = String(value.q).trim();
-      const rx = new RegExp(needle.replace(/[.*+?^${}()|[\]\\]/g, '\\$&'), 'i');
-      conditions.push({ $or: [ { title: rx }, { description: rx } ] });
-    }
-    const filter = conditions.length > 1 ? { $and: conditions } : conditions[0];
+    const filter = AppointmentService.buildFilter({ owner: id }, value);
 
     const page = value.page;
     const limit = value.limit;
@@ -164,8 +191,20 @@ router.put('/:id', authenticateToken, requireUserOrAdmin, async (req, res, next)
     if (!appt) return next(new AppError('Appointment not found', 404));
     if (req.user.role !== 'admin' && String(appt.owner) !== req.user.id) return next(new AppError('Insufficient permissions', 403));
 
+    if (value.status === APPOINTMENT_STATUSES.CANCELLED && appt.status !== APPOINTMENT_STATUSES.CANCELLED) {
+      appt.cancelledAt = new Date();
+    }
+    const heldSeat = ACTIVE_APPOINTMENT_STATUSES.includes(appt.status);
+    const awaitingPayment = appt.status === APPOINTMENT_STATUSES.PENDING_PAYMENT;
     Object.assign(appt, value);
     await appt.save();
+    await ReminderService.syncForAppointment(appt);
+    if (awaitingPayment && appt.status !== APPOINTMENT_STATUSES.PENDING_PAYMENT) {
+      await BookingPaymentService.releasePayment(appt);
+    }
+    if (appt.groupSessionId && heldSeat && !ACTIVE_APPOINTMENT_STATUSES.includes(appt.status)) {
+      await GroupSessionService.promoteFromWaitlist(appt.owner, appt.groupSessionId, appt.startAt);
+    }
     res.status(200).json({ status: 'success', message: 'Appointment updated', data: { appointment: appt } });
   } catch (err) { next(err); }
 });
@@ -181,6 +220,11 @@ router.delete('/:id', authenticateToken, requireUserOrAdmin, async (req, res, ne
     if (req.user.role !== 'admin' && String(appt.owner) !== req.user.id) return next(new AppError('Insufficient permissions', 403));
 
     await Appointment.deleteOne({ _id: id });
+    await ReminderService.cancelForAppointment(appt._id);
+    if (appt.status === APPOINTMENT_STATUSES.PENDING_PAYMENT) await BookingPaymentService.releasePayment(appt);
+    if (appt.groupSessionId && ACTIVE_APPOINTMENT_STATUSES.includes(appt.status)) {
+      await GroupSessionService.promoteFromWaitlist(appt.owner, appt.groupSessionId, appt.startAt);
+    }
     res.status(200).json({ status: 'success', message: 'Appointment deleted' });
   } catch (err) { next(err); }
 });
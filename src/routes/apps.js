@@ -5,14 +5,18 @@ const { User } = require('../models/User');
 const { logger } = require('../utils/logger');
 const { AppError } = require('../utils/errorHandler');
 const { authenticateToken, requireSuperAdmin } = require('../middleware/auth');
-const { verifySignedThirdPartyForParamUser } = require('../middleware/thirdParty');
+const { verifySignedThirdPartyForParamUser, requireThirdPartyScope } = require('../middleware/thirdParty');
+const { THIRD_PARTY_SCOPES } = require('../enums/thirdPartyScopes');
 const SeedDataService = require('../services/seedDataService');
 const { LEAD_TYPES_LIST } = require('../enums/leadTypes');
 const cacheManager = require('../utils/cache');
+const websocketServer = require('../utils/websocketServer');
+const { WS_EVENTS } = require('../enums/websocketEvents');
 const { Integration } = require('../models/Integration');
 const { Questionnaire, QUESTIONNAIRE_TYPES } = require('../models/Questionnaire');
 const { QuestionType } = require('../models/QuestionType');
 const { ChatbotWorkflow } = require('../models/ChatbotWorkflow');
+const { StaffMember } = require('../models/StaffMember');
 const { AppSubscriptionStateService } = require('../services/appSubscriptionStateService');
 const { getTwilioPhoneService, createTwilioPhoneServiceForAccount } = require('../services/twilioPhoneService');
 const { getWhatsAppSenderService, createWhatsAppSenderServiceForAccount } = require('../services/whatsappSenderService');
@@ -34,7 +38,8 @@ function getDefaultIntegrationConfig() {
     calendarConnected: false,
     googleCalendarConnected: false,
     outlookCalendarConnected: false,
-    calendlyConnected: false
+    calendlyConnected: false,
+    caldavConnected: false
   };
 }
 
@@ -42,7 +47,8 @@ function isAnyCalendarConnected(integration) {
   return !!(
     integration?.googleCalendarConnected ||
     integration?.outlookCalendarConnected ||
-    integration?.calendlyConnected
+    integration?.calendlyConnected ||
+    integration?.caldavConnected
   );
 }
 
@@ -1296,8 +1302,16 @@ class AppController {
       const status = (updated.status || '').toUpperCase();
       const isOnline = status === 'ONLINE';
       const isFailed = status === 'OFFLINE' || status === 'FAILED' || (status && status.includes('FAILED'));
+      const previousNumberStatus = app.whatsappNumberStatus;
       app.whatsappNumberStatus = isOnline ? 'registered' : (isFailed ? 'failed' : 'pending');
       await app.save();
+      if (previousNumberStatus !== app.whatsappNumberStatus) {
+        websocketServer.emitToApp(String(app._id), WS_EVENTS.WHATSAPP_SENDER_STATUS_CHANGED, {
+          whatsappNumberStatus: app.whatsappNumberStatus,
+          previousStatus: previousNumberStatus || null,
+          senderStatus: updated.status || null
+        }, String(app.owner));
+      }
 
       res.status(200).json({
         status: 'success',
@@ -1400,12 +1414,20 @@ class AppController {
       }
 
       const status = (Status || '').toUpperCase();
+      const previousNumberStatus = app.whatsappNumberStatus;
       if (status === 'ONLINE') {
         app.whatsappNumberStatus = 'registered';
       } else if (status === 'OFFLINE' || status === 'FAILED' || status.includes('FAILED')) {
         app.whatsappNumberStatus = 'failed';
       }
       await app.save();
+      if (previousNumberStatus !== app.whatsappNumberStatus) {
+        websocketServer.emitToApp(String(app._id), WS_EVENTS.WHATSAPP_SENDER_STATUS_CHANGED, {
+          whatsappNumberStatus: app.whatsappNumberStatus,
+          previousStatus: previousNumberStatus || null,
+          senderStatus: Status || null
+        }, String(app.owner));
+      }
       logger.info('WhatsApp sender status updated from webhook', { appId: app._id, sid, status, whatsappNumberStatus: app.whatsappNumberStatus });
 
       res.status(200).send('OK');
@@ -1471,7 +1493,7 @@ class AppController {
       const userApp = { _id: app._id, name: app.name, industry: app.industry };
       
       const treatmentPromise = Questionnaire.find({ owner: appId, type: QUESTIONNAIRE_TYPES.SERVICE_PLAN, isActive: true })
-        .select('question answer attachedWorkflows')
+        .select('question answer attachedWorkflows staffIds durationMinutes price depositAmount')
         .populate('attachedWorkflows.workflowId', 'title question questionTypeId choiceInputMode options isRoot order askForBookingAtEnd')
         .sort({ updatedAt: -1 })
         .exec();
@@ -1505,7 +1527,14 @@ class AppController {
       const questionTypeCodeById = await loadQuestionTypeCodeById();
 
       // Process treatment plans
+      // Active staff the bot can offer; empty for apps without staff.
+      const staffDocs = await StaffMember.find({ owner: appId, isActive: true }).select('name').sort({ order: 1, createdAt: 1 }).lean();
       const treatmentPlans = treatmentDocs.map(d => ({
+        id: d._id,
+        staffIds: (d.staffIds || []).map(String),
+        durationMinutes: d.durationMinutes || null,
+        price: d.price?.amount != null ? { amount: d.price.amount, currency: d.price.currency } : null,
+        depositAmount: d.depositAmount ?? null,
         question: d.question,
         answer: d.answer,
         attachedWorkflows: (d.attachedWorkflows || [])
@@ -1678,6 +1707,7 @@ class AppController {
         googleCalendarConnected: !!integration.googleCalendarConnected,
         outlookCalendarConnected: !!integration.outlookCalendarConnected,
         calendlyConnected: !!integration.calendlyConnected,
+        caldavConnected: !!integration.caldavConnected,
         calendarSlotMinutes: integration.calendarSlotMinutes ?? 30,
         calendarTimezone: integration.googleCalendarTimezone || null,
         leadTypeMessages: integration.leadTypeMessages || [],
@@ -1703,6 +1733,7 @@ class AppController {
           app: userApp ? { id: userApp._id, name: userApp.name, industry: userApp.industry } : null,
           leadTypes: getLeadTypesFromIntegration(integration),
           treatmentPlans,
+          staff: staffDocs.map(st => ({ id: st._id, name: st.name })),
           faq,
           integration: integrationData,
           workflows,
@@ -1767,7 +1798,7 @@ class AppController {
       }
       const userApp = { _id: app._id, name: app.name, industry: app.industry };
       const treatmentPromise = Questionnaire.find({ owner: appId, type: QUESTIONNAIRE_TYPES.SERVICE_PLAN, isActive: true })
-        .select('question answer attachedWorkflows')
+        .select('question answer attachedWorkflows staffIds durationMinutes price depositAmount')
         .populate('attachedWorkflows.workflowId', 'title question questionTypeId choiceInputMode options isRoot order askForBookingAtEnd')
         .sort({ updatedAt: -1 })
         .exec();
@@ -1786,7 +1817,14 @@ class AppController {
       const defaultQuestionType = await QuestionType.findOne({ isActive: true }).sort({ id: 1 }).select('id').lean();
       const defaultQuestionTypeId = defaultQuestionType?.id || 1;
       const questionTypeCodeById = await loadQuestionTypeCodeById();
+      // Active staff the bot can offer; empty for apps without staff.
+      const staffDocs = await StaffMember.find({ owner: appId, isActive: true }).select('name').sort({ order: 1, createdAt: 1 }).lean();
       const treatmentPlans = treatmentDocs.map(d => ({
+        id: d._id,
+        staffIds: (d.staffIds || []).map(String),
+        durationMinutes: d.durationMinutes || null,
+        price: d.price?.amount != null ? { amount: d.price.amount, currency: d.price.currency } : null,
+        depositAmount: d.depositAmount ?? null,
         question: d.question,
         answer: d.answer,
         attachedWorkflows: (d.attachedWorkflows || [])
@@ -1927,6 +1965,7 @@ class AppController {
         googleCalendarConnected: !!integration.googleCalendarConnected,
         outlookCalendarConnected: !!integration.outlookCalendarConnected,
         calendlyConnected: !!integration.calendlyConnected,
+        caldavConnected: !!integration.caldavConnected,
         calendarSlotMinutes: integration.calendarSlotMinutes ?? 30,
         calendarTimezone: integration.googleCalendarTimezone || null,
         leadTypeMessages: integration.leadTypeMessages || [],
@@ -1951,6 +1990,7 @@ class AppController {
           app: userApp ? { id: userApp._id, name: userApp.name, industry: userApp.industry } : null,
           leadTypes: getLeadTypesFromIntegration(integration),
           treatmentPlans,
+          staff: staffDocs.map(st => ({ id: st._id, name: st.name })),
           faq,
           integration: integrationData,
           workflows: rootWorkflows,
@@ -2212,8 +2252,8 @@ router.post('/register-sender-after-meta', authenticateToken, appController.regi
 router.post('/', authenticateToken, appController.createApp);
 router.get('/', authenticateToken, appController.getApps);
 router.get('/admin/all', authenticateToken, requireSuperAdmin, appController.getAllApps);
-router.get('/by-twilio/:twilioPhoneNumber/context', verifySignedThirdPartyForParamUser, appController.getAppContextByTwilioNumber);
-router.get('/by-social-sender/:socialSenderId/context', verifySignedThirdPartyForParamUser, appController.getAppContextBySocialSender);
+router.get('/by-twilio/:twilioPhoneNumber/context', verifySignedThirdPartyForParamUser, requireThirdPartyScope(THIRD_PARTY_SCOPES.CONTEXT_READ), appController.getAppContextByTwilioNumber);
+router.get('/by-social-sender/:socialSenderId/context', verifySignedThirdPartyForParamUser, requireThirdPartyScope(THIRD_PARTY_SCOPES.CONTEXT_READ), appController.getAppContextBySocialSender);
 // More specific routes must come before generic :id routes
 router.post('/:id/facebook/connect', authenticateToken, appController.connectFacebook.bind(appController));
 router.post('/:id/facebook/disconnect', authenticateToken, appController.disconnectFacebook.bind(appController));
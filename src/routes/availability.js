@@ -1,81 +1,51 @@
 const express = require('express');
+const mongoose = require('mongoose');
 const { AppError } = require('../utils/errorHandler');
 const { authenticateToken, requireUserOrAdmin } = require('../middleware/auth');
 const { verifyAppOwnership } = require('../middleware/appOwnership');
-const { verifySignedThirdPartyForParamUser } = require('../middleware/thirdParty');
+const { verifySignedThirdPartyForParamUser, requireThirdPartyScope } = require('../middleware/thirdParty');
+const { THIRD_PARTY_SCOPES } = require('../enums/thirdPartyScopes');
 const { Availability, availabilityUpsertSchema, availabilityBulkSchema } = require('../models/Availability');
-const { Integration } = require('../models/Integration');
-const { PROVIDER_OUTLOOK } = require('../integrations/appointment/commonViewModel');
-const { syncAvailabilityExceptionToOutlook } = require('../services/outlookCalendarService');
-const { logger } = require('../utils/logger');
+const { syncExceptionToCalendar } = require('../services/availabilityExceptionSyncService');
 const {
   AvailabilityException,
   availabilityExceptionUpsertSchema,
   availabilityExceptionBulkSchema
 } = require('../models/AvailabilityException');
+const {
+  AvailabilitySchedule,
+  availabilityScheduleCreateSchema,
+  availabilityScheduleUpdateSchema
+} = require('../models/AvailabilitySchedule');
+const {
+  AvailabilitySettings,
+  availabilitySettingsUpdateSchema,
+  holidaySettingsUpdateSchema,
+  holidayPreviewQuerySchema
+} = require('../models/AvailabilitySettings');
+const { getAvailabilitySettings, assertNoScheduleOverlap } = require('../services/availabilityRulesService');
+const { listHolidayCalendars, isHolidayCalendarId } = require('../services/holidayCalendarService');
+const { HolidayExceptionService, planHolidayExceptions, getHolidaySettings } = require('../services/holidayExceptionService');
 
 const router = express.Router();
 
-async function trySyncExceptionToOutlook(appId, exceptionDoc) {
-  try {
-    if (!exceptionDoc?._id) return;
-    await AvailabilityException.updateOne(
-      { _id: exceptionDoc._id },
-      { $set: { syncStatus: 'pending', syncError: null }, $inc: { syncAttempts: 1 } }
-    );
-
-    const integration = await Integration.findOne({ owner: appId })
-      .select('calendarProvider outlookCalendarConnected outlookCalendarRefreshToken outlookCalendarCalendarId')
-      .lean()
-      .exec();
-
-    if (!integration || integration.calendarProvider !== PROVIDER_OUTLOOK || !integration.outlookCalendarConnected || !integration.outlookCalendarRefreshToken) {
-      await AvailabilityException.updateOne(
-        { _id: exceptionDoc._id },
-        { $set: { syncStatus: 'skipped', syncError: null, lastSyncedAt: new Date() } }
-      );
-      return;
-    }
-
-    const result = await syncAvailabilityExceptionToOutlook({
-      encryptedRefreshToken: integration.outlookCalendarRefreshToken,
-      calendarId: integration.outlookCalendarCalendarId || 'primary',
-      exception: {
-        date: exceptionDoc.date,
-        timezone: exceptionDoc.timezone || 'UTC',
-        allDayOff: !!exceptionDoc.allDayOff,
-        overrideAllDay: !!exceptionDoc.overrideAllDay,
-        slots: Array.isArray(exceptionDoc.slots) ? exceptionDoc.slots : [],
-        label: exceptionDoc.label || null
-      },
-      existingEventIds: Array.isArray(exceptionDoc.outlookManagedEventIds) ? exceptionDoc.outlookManagedEventIds : []
-    });
-
-    if (result?.synced) {
-      await AvailabilityException.updateOne(
-        { _id: exceptionDoc._id },
-        {
-          $set: {
-            outlookManagedEventIds: result.eventIds || [],
-            syncStatus: 'synced',
-            syncError: null,
-            lastSyncedAt: new Date()
-          }
-        }
-      );
-    }
-  } catch (err) {
-    // Best-effort sync: do not fail availability exception writes.
-    if (exceptionDoc?._id) {
-      await AvailabilityException.updateOne(
-        { _id: exceptionDoc._id },
-        { $set: { syncStatus: 'failed', syncError: err?.message || 'Sync failed', lastSyncedAt: new Date() } }
-      );
-    }
-    logger.warn('Outlook exception sync failed', { appId, date: exceptionDoc?.date, error: err?.message });
+function assertHolidayCalendarIds(calendars = []) {
+  const unknown = calendars.filter((id) => !isHolidayCalendarId(id));
+  if (unknown.length > 0) {
+    throw new AppError(`Unknown holiday calendar: ${unknown.join(', ')}. See GET /availability/holidays/calendars`, 400);
   }
 }
 
+function toHolidaySettingsView(settings) {
+  return {
+    calendars: settings.calendars,
+    optOuts: settings.optOuts,
+    dismissedDates: settings.dismissedDates,
+    horizonDays: settings.horizonDays,
+    refreshedAt: settings.refreshedAt
+  };
+}
+
 // Upsert availability for app by dayOfWeek - NEW APP-SCOPED ROUTE
 router.put('/apps/:appId', authenticateToken, verifyAppOwnership, async (req, res, next) => {
   try {
@@ -94,7 +64,7 @@ router.put('/apps/:appId', authenticateToken, verifyAppOwnership, async (req, re
       $setOnInsert: { owner: appId, dayOfWeek }
     };
     const doc = await Availability.findOneAndUpdate(
-      { owner: appId, dayOfWeek },
+      { owner: appId, staffId: null, dayOfWeek },
       update,
       { new: true, upsert: true, setDefaultsOnInsert: true }
     );
@@ -109,7 +79,7 @@ router.get('/apps/:appId', authenticateToken, verifyAppOwnership, async (req, re
     const appId = req.appId;
     if (!appId) return next(new AppError('App ID is required', 400));
 
-    const existing = await Availability.find({ owner: appId }).sort({ dayOfWeek: 1 }).exec();
+    const existing = await Availability.find({ owner: appId, staffId: null }).sort({ dayOfWeek: 1 }).exec();
 
     // Ensure 7 days exist by default
     const present = new Set(existing.map(d => d.dayOfWeek));
@@ -126,7 +96,7 @@ router.get('/apps/:appId', authenticateToken, verifyAppOwnership, async (req, re
       await Availability.insertMany(toCreate);
     }
 
-    const items = await Availability.find({ owner: appId }).sort({ dayOfWeek: 1 }).exec();
+    const items = await Availability.find({ owner: appId, staffId: null }).sort({ dayOfWeek: 1 }).exec();
     const ordered = items.slice().sort((a, b) => {
       const ak = a.dayOfWeek === 0 ? 7 : a.dayOfWeek;
       const bk = b.dayOfWeek === 0 ? 7 : b.dayOfWeek;
@@ -155,7 +125,7 @@ router.put('/apps/:appId/bulk', authenticateToken, verifyAppOwnership, async (re
         $setOnInsert: { owner: appId, dayOfWeek: d.dayOfWeek }
       };
       return Availability.findOneAndUpdate(
-        { owner: appId, dayOfWeek: d.dayOfWeek },
+        { owner: appId, staffId: null, dayOfWeek: d.dayOfWeek },
         upd,
         { new: true, upsert: true, setDefaultsOnInsert: true }
       );
@@ -165,6 +135,95 @@ router.put('/apps/:appId/bulk', authenticateToken, verifyAppOwnership, async (re
   } catch (err) { next(err); }
 });
 
+// Get booking rules (buffers, minimum notice, horizon, daily cap) for app
+router.get('/apps/:appId/settings', authenticateToken, verifyAppOwnership, async (req, res, next) => {
+  try {
+    const settings = await getAvailabilitySettings(req.appId);
+    res.status(200).json({ status: 'success', data: { settings } });
+  } catch (err) { next(err); }
+});
+
+// Update booking rules for app
+router.put('/apps/:appId/settings', authenticateToken, verifyAppOwnership, async (req, res, next) => {
+  try {
+    const { error, value } = availabilitySettingsUpdateSchema.validate(req.body, { abortEarly: false, stripUnknown: true });
+    if (error) {
+      const messages = error.details.map(d => d.message);
+      throw new AppError(`Validation failed: ${messages.join(', ')}`, 400);
+    }
+    await AvailabilitySettings.findOneAndUpdate(
+      { owner: req.appId },
+      { $set: value, $setOnInsert: { owner: req.appId } },
+      { new: true, upsert: true, setDefaultsOnInsert: true, runValidators: true }
+    );
+    const settings = await getAvailabilitySettings(req.appId);
+    res.status(200).json({ status: 'success', message: 'Booking rules saved', data: { settings } });
+  } catch (err) { next(err); }
+});
+
+// List seasonal schedules for app
+router.get('/apps/:appId/schedules', authenticateToken, verifyAppOwnership, async (req, res, next) => {
+  try {
+    const schedules = await AvailabilitySchedule.find({ owner: req.appId }).sort({ effectiveFrom: 1 }).exec();
+    res.status(200).json({ status: 'success', data: { schedules } });
+  } catch (err) { next(err); }
+});
+
+// Create a seasonal schedule (weekly hours for a date range)
+router.post('/apps/:appId/schedules', authenticateToken, verifyAppOwnership, async (req, res, next) => {
+  try {
+    const { error, value } = availabilityScheduleCreateSchema.validate(req.body, { abortEarly: false, stripUnknown: true });
+    if (error) {
+      const messages = error.details.map(d => d.message);
+      throw new AppError(`Validation failed: ${messages.join(', ')}`, 400);
+    }
+    await assertNoScheduleOverlap(req.appId, value);
+    const schedule = await AvailabilitySchedule.create({
+      owner: req.appId,
+      name: value.name,
+      effectiveFrom: value.effectiveFrom,
+      effectiveTo: value.effectiveTo || null,
+      days: value.days
+    });
+    res.status(201).json({ status: 'success', message: 'Schedule created', data: { schedule } });
+  } catch (err) { next(err); }
+});
+
+// Update a seasonal schedule
+router.put('/apps/:appId/schedules/:scheduleId', authenticateToken, verifyAppOwnership, async (req, res, next) => {
+  try {
+    const { error, value } = availabilityScheduleUpdateSchema.validate(req.body, { abortEarly: false, stripUnknown: true });
+    if (error) {
+      const messages = error.details.map(d => d.message);
+      throw new AppError(`Validation failed: ${messages.join(', ')}`, 400);
+    }
+    if (!mongoose.isValidObjectId(req.params.scheduleId)) throw new AppError('Invalid schedule ID format', 400);
+    const schedule = await AvailabilitySchedule.findOne({ _id: req.params.scheduleId, owner: req.appId }).exec();
+    if (!schedule) throw new AppError('Schedule not found', 404);
+
+    const effectiveFrom = value.effectiveFrom || schedule.effectiveFrom;
+    const effectiveTo = value.effectiveTo !== undefined ? value.effectiveTo : schedule.effectiveTo;
+    if (effectiveTo && effectiveTo < effectiveFrom) {
+      throw new AppError('Validation failed: effectiveTo must be on or after effectiveFrom', 400);
+    }
+    await assertNoScheduleOverlap(req.appId, { effectiveFrom, effectiveTo }, schedule._id);
+
+    Object.assign(schedule, value, { effectiveFrom, effectiveTo: effectiveTo || null });
+    await schedule.save();
+    res.status(200).json({ status: 'success', message: 'Schedule updated', data: { schedule } });
+  } catch (err) { next(err); }
+});
+
+// Delete a seasonal schedule
+router.delete('/apps/:appId/schedules/:scheduleId', authenticateToken, verifyAppOwnership, async (req, res, next) => {
+  try {
+    if (!mongoose.isValidObjectId(req.params.scheduleId)) throw new AppError('Invalid schedule ID format', 400);
+    const result = await AvailabilitySchedule.deleteOne({ _id: req.params.scheduleId, owner: req.appId });
+    if (result.deletedCount === 0) throw new AppError('Schedule not found', 404);
+    res.status(200).json({ status: 'success', message: 'Schedule deleted' });
+  } catch (err) { next(err); }
+});
+
 // Upsert availability for current user by dayOfWeek - LEGACY ROUTE
 router.put('/', authenticateToken, requireUserOrAdmin, async (req, res, next) => {
   try {
@@ -231,7 +290,7 @@ router.get('/user/:id', authenticateToken, requireUserOrAdmin, async (req, res,
 });
 
 // Public: get availability for user (HMAC)
-router.get('/public/:id', verifySignedThirdPartyForParamUser, async (req, res, next) => {
+router.get('/public/:id', verifySignedThirdPartyForParamUser, requireThirdPartyScope(THIRD_PARTY_SCOPES.CALENDAR_READ), async (req, res, next) => {
   try {
     const { id } = req.params;
     const docs = await Availability.find({ owner: id }).sort({ dayOfWeek: 1 }).select('dayOfWeek timezone slots allDay').exec();
@@ -303,6 +362,7 @@ router.get('/apps/:appId/exceptions', authenticateToken, verifyAppOwnership, asy
 
     const docs = await AvailabilityException.find({
       owner: appId,
+      staffId: null,
       date: { $gte: from, $lte: to }
     }).sort({ date: 1 }).exec();
 
@@ -310,6 +370,55 @@ router.get('/apps/:appId/exceptions', authenticateToken, verifyAppOwnership, asy
   } catch (err) { next(err); }
 });
 
+// List the bundled public holiday calendars an app can opt into
+router.get('/holidays/calendars', authenticateToken, async (req, res, next) => {
+  try {
+    res.status(200).json({ status: 'success', data: { calendars: listHolidayCalendars() } });
+  } catch (err) { next(err); }
+});
+
+// Holiday calendar settings for app and a preview of the holiday exceptions they produce.
+// Query params calendars / optOuts (comma-separated) and horizonDays preview settings without saving them.
+router.get('/apps/:appId/exceptions/holidays', authenticateToken, verifyAppOwnership, async (req, res, next) => {
+  try {
+    const splitList = (v) => (v === undefined ? undefined : String(v).split(',').map((s) => s.trim()).filter(Boolean));
+    const { error, value } = holidayPreviewQuerySchema.validate({
+      calendars: splitList(req.query.calendars),
+      optOuts: splitList(req.query.optOuts),
+      horizonDays: req.query.horizonDays
+    }, { abortEarly: false, stripUnknown: true });
+    if (error) {
+      const messages = error.details.map(d => d.message);
+      throw new AppError(`Validation failed: ${messages.join(', ')}`, 400);
+    }
+    assertHolidayCalendarIds(value.calendars);
+
+    const settings = await getHolidaySettings(req.appId);
+    const preview = await planHolidayExceptions(req.appId, value);
+    res.status(200).json({ status: 'success', data: { settings: toHolidaySettingsView(settings), preview } });
+  } catch (err) { next(err); }
+});
+
+// Save holiday calendar settings for app and generate / remove holiday exceptions to match
+router.put('/apps/:appId/exceptions/holidays', authenticateToken, verifyAppOwnership, async (req, res, next) => {
+  try {
+    const { error, value } = holidaySettingsUpdateSchema.validate(req.body, { abortEarly: false, stripUnknown: true });
+    if (error) {
+      const messages = error.details.map(d => d.message);
+      throw new AppError(`Validation failed: ${messages.join(', ')}`, 400);
+    }
+    assertHolidayCalendarIds(value.calendars);
+
+    const applied = await HolidayExceptionService.updateSettings(req.appId, value);
+    const settings = await getHolidaySettings(req.appId);
+    res.status(200).json({
+      status: 'success',
+      message: 'Holiday calendars saved',
+      data: { settings: toHolidaySettingsView(settings), applied }
+    });
+  } catch (err) { next(err); }
+});
+
 // Upsert a single availability exception for app by date
 router.put('/apps/:appId/exceptions', authenticateToken, verifyAppOwnership, async (req, res, next) => {
   try {
@@ -330,18 +439,20 @@ router.put('/apps/:appId/exceptions', authenticateToken, verifyAppOwnership, asy
         allDayOff: !!allDayOff,
         overrideAllDay: !!overrideAllDay,
         slots: Array.isArray(slots) ? slots : [],
-        label: typeof label === 'string' && label.trim() ? label.trim() : null
+        label: typeof label === 'string' && label.trim() ? label.trim() : null,
+        source: 'manual',
+        holidayIds: []
       },
       $setOnInsert: { owner: appId, date }
     };
 
     const doc = await AvailabilityException.findOneAndUpdate(
-      { owner: appId, date },
+      { owner: appId, staffId: null, date },
       update,
       { new: true, upsert: true, setDefaultsOnInsert: true }
     );
 
-    await trySyncExceptionToOutlook(appId, doc);
+    await syncExceptionToCalendar(appId, doc);
 
     res.status(200).json({ status: 'success', message: 'Availability exception saved', data: { exception: doc } });
   } catch (err) { next(err); }
@@ -367,19 +478,21 @@ router.put('/apps/:appId/exceptions/bulk', authenticateToken, verifyAppOwnership
           allDayOff: !!ex.allDayOff,
           overrideAllDay: !!ex.overrideAllDay,
           slots: Array.isArray(ex.slots) ? ex.slots : [],
-          label: typeof ex.label === 'string' && ex.label.trim() ? ex.label.trim() : null
+          label: typeof ex.label === 'string' && ex.label.trim() ? ex.label.trim() : null,
+          source: 'manual',
+          holidayIds: []
         },
         $setOnInsert: { owner: appId, date: ex.date }
       };
       return AvailabilityException.findOneAndUpdate(
-        { owner: appId, date: ex.date },
+        { owner: appId, staffId: null, date: ex.date },
         update,
         { new: true, upsert: true, setDefaultsOnInsert: true }
       );
     });
 
     const results = await Promise.all(ops);
-    await Promise.all(results.map((doc) => trySyncExceptionToOutlook(appId, doc)));
+    await Promise.all(results.map((doc) => syncExceptionToCalendar(appId, doc)));
     res.status(200).json({ status: 'success', message: 'Availability exceptions updated', data: { count: results.length } });
   } catch (err) { next(err); }
 });
@@ -395,13 +508,13 @@ router.delete('/apps/:appId/exceptions/:date', authenticateToken, verifyAppOwner
       return next(new AppError('Invalid date format. Expected YYYY-MM-DD', 400));
     }
 
-    const existing = await AvailabilityException.findOne({ owner: appId, date }).exec();
+    const existing = await AvailabilityException.findOne({ owner: appId, staffId: null, date }).exec();
     if (!existing) {
       return res.status(200).json({ status: 'success', message: 'Availability exception removed' });
     }
 
-    // Best-effort cleanup in Outlook first, then remove DB record.
-    await trySyncExceptionToOutlook(appId, {
+    // Best-effort cleanup in the calendar first, then remove DB record.
+    await syncExceptionToCalendar(appId, {
       ...existing.toObject(),
       allDayOff: false,
       overrideAllDay: false,
@@ -410,11 +523,12 @@ router.delete('/apps/:appId/exceptions/:date', authenticateToken, verifyAppOwner
     });
 
     await AvailabilityException.deleteOne({ _id: existing._id });
+    if (existing.source === 'holiday') await HolidayExceptionService.dismissDate(appId, date);
     res.status(200).json({ status: 'success', message: 'Availability exception removed' });
   } catch (err) { next(err); }
 });
 
-// Retry Outlook sync for an existing exception date.
+// Retry calendar sync (Google or Outlook) for an existing exception date.
 router.post('/apps/:appId/exceptions/:date/retry-sync', authenticateToken, verifyAppOwnership, async (req, res, next) => {
   try {
     const appId = req.appId;
@@ -425,10 +539,10 @@ router.post('/apps/:appId/exceptions/:date/retry-sync', authenticateToken, verif
       return next(new AppError('Invalid date format. Expected YYYY-MM-DD', 400));
     }
 
-    const existing = await AvailabilityException.findOne({ owner: appId, date }).exec();
+    const existing = await AvailabilityException.findOne({ owner: appId, staffId: null, date }).exec();
     if (!existing) return next(new AppError('Availability exception not found', 404));
 
-    await trySyncExceptionToOutlook(appId, existing);
+    await syncExceptionToCalendar(appId, existing);
     const refreshed = await AvailabilityException.findById(existing._id).exec();
     res.status(200).json({ status: 'success', message: 'Sync retry completed', data: { exception: refreshed } });
   } catch (err) { next(err); }
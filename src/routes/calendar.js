@@ -1,104 +1,76 @@
 const express = require('express');
+const mongoose = require('mongoose');
 const { AppError } = require('../utils/errorHandler');
-const { verifySignedThirdPartyForParamUser } = require('../middleware/thirdParty');
-const { Integration } = require('../models/Integration');
+const { verifySignedThirdPartyForParamUser, requireThirdPartyScope } = require('../middleware/thirdParty');
+const { THIRD_PARTY_SCOPES } = require('../enums/thirdPartyScopes');
 const { Availability } = require('../models/Availability');
-const { AvailabilityException } = require('../models/AvailabilityException');
-const { App } = require('../models/App');
-const { User } = require('../models/User');
-const { Lead } = require('../models/Lead');
-const { getAppointmentSchedulerProvider, PROVIDER_GOOGLE, PROVIDER_OUTLOOK } = require('../integrations/appointment/appointmentSchedulerFactory');
-const { availabilitySuccess, availabilityNotConnectedOrError } = require('../integrations/appointment/commonViewModel');
-const { generateSlotsFromRules, isAllowedSlotMinutes } = require('../services/availabilitySlotGenerator');
+const { Appointment, appointmentRescheduleSchema } = require('../models/Appointment');
+const { availabilitySuccess, availabilityNotConnectedOrError, slotUnavailableError } = require('../integrations/appointment/commonViewModel');
+const {
+  generateSlotsFromRules,
+  checkBookingAgainstRules,
+  isAllowedSlotMinutes,
+  isAllowedIntervalMinutes
+} = require('../services/availabilitySlotGenerator');
+const { getAvailabilitySettings } = require('../services/availabilityRulesService');
+const { AppointmentService } = require('../services/appointmentService');
+const {
+  getProviderForApp,
+  loadSlotInputs,
+  isTimeAvailable,
+  rescheduleBooking,
+  cancelBooking,
+  notifyBookingConfirmed
+} = require('../services/calendarBookingService');
+const { listBookableStaff, getStaffAvailability, assignStaff } = require('../services/staffSchedulingService');
+const { getServicePlan, toServiceViewModel, withServicePadding } = require('../services/servicePlanService');
+const {
+  toHoldViewModel,
+  findActiveHold,
+  getActiveHold,
+  findAlternativeTimes,
+  holdSlot,
+  placeHold,
+  releaseHold,
+  releaseSessionHolds
+} = require('../services/slotHoldService');
+const { slotHoldCreateSchema } = require('../models/SlotHold');
+const { GroupSession, groupSessionBookingSchema, groupSessionCancelSchema } = require('../models/GroupSession');
+const { GroupSessionService, SEAT_STATUSES, getBookableOccurrences } = require('../services/groupSessionService');
+const { resolvePublicBackendBaseUrl } = require('../services/bookingContextService');
+const { BookingPaymentService } = require('../services/bookingPaymentService');
 const { logger } = require('../utils/logger');
-const EmailService = require('../utils/emailService');
-
-function resolvePublicBackendBaseUrl(req) {
-  const raw =
-    process.env.BACKEND_URL ||
-    process.env.API_BASE_URL ||
-    process.env.APP_URL ||
-    process.env.NEXT_PUBLIC_API_URL ||
-    '';
-  const trimmed = String(raw).trim().replace(/\/$/, '');
-  if (trimmed) {
-    return trimmed.replace(/\/api(?:\/v\d+)?$/i, '');
-  }
-
-  const requestHost = String(req?.get?.('host') || '').trim();
-  if (!requestHost) return '';
-  const protocol =
-    String(req?.headers?.['x-forwarded-proto'] || '').split(',')[0].trim() ||
-    req?.protocol ||
-    'https';
-  return `${protocol}://${requestHost}`.replace(/\/$/, '');
-}
 
 const router = express.Router();
 
-/**
- * Resolve integration and return provider instance + credentials for the app's calendar.
- * Returns { provider, integration } or { provider: null, integration }.
- */
-async function getProviderForApp(appId) {
-  const integration = await Integration.findOne({ owner: appId })
-    .select(
-      'googleCalendarConnected outlookCalendarConnected calendlyConnected calendarProvider googleCalendarRefreshToken googleCalendarCalendarId outlookCalendarRefreshToken outlookCalendarCalendarId calendarSlotMinutes googleCalendarTimezone'
-    )
-    .lean()
-    .exec();
-
-  let providerType = integration?.calendarProvider || null;
-  if (!providerType) {
-    if (integration?.googleCalendarRefreshToken) providerType = PROVIDER_GOOGLE;
-    else if (integration?.outlookCalendarRefreshToken) providerType = PROVIDER_OUTLOOK;
-  }
-  const hasGoogleToken = !!integration?.googleCalendarRefreshToken;
-  const hasOutlookToken = !!integration?.outlookCalendarRefreshToken;
-  const connectedByFlag = !!(integration?.googleCalendarConnected || integration?.outlookCalendarConnected || integration?.calendlyConnected);
-  // Backward compatibility: old records only had googleCalendarConnected.
-  const connected = connectedByFlag && (hasGoogleToken || hasOutlookToken);
-
-  if (!connected || !providerType) {
-    return { provider: null, integration };
-  }
-
-  let credentials = null;
-  if (providerType === PROVIDER_GOOGLE) {
-    credentials = {
-      encryptedRefreshToken: integration.googleCalendarRefreshToken,
-      calendarId: integration.googleCalendarCalendarId || 'primary'
-    };
-  } else if (providerType === PROVIDER_OUTLOOK) {
-    credentials = {
-      encryptedRefreshToken: integration.outlookCalendarRefreshToken,
-      calendarId: integration.outlookCalendarCalendarId || 'primary'
-    };
-  }
-
-  if (!credentials?.encryptedRefreshToken) {
-    return { provider: null, integration };
-  }
-
-  const provider = getAppointmentSchedulerProvider(providerType, credentials);
-  return { provider, integration };
-}
+// How long a direct booking (without a hold of its own) holds its time while the event is created.
+const BOOKING_HOLD_MS = 2 * 60 * 1000;
 
 /**
  * GET /apps/:appId/availability
- * Query: from, to (ISO), slotMinutes (optional). Uses app availability rules + calendar provider.
- * Returns CommonViewModel (AvailabilityViewModel) with freeSlots from rules and provider busy.
+ * Query: from, to (ISO), slotMinutes (optional). Uses app availability rules (weekly hours, seasonal
+ * schedules, exceptions, booking rules) + calendar provider.
+ * Returns CommonViewModel (AvailabilityViewModel) with freeSlots from rules and provider busy,
+ * plus the bookingRules and seasonal schedules that were applied.
+ * serviceId (service plan) with a duration: every slot is a whole appointment of that duration (plus
+ * its padding), starting every interval minutes (query, else the app's startIntervalMinutes, else slotMinutes).
+ * Apps with staff: serviceId and staffId narrow the staff considered; freeSlots are pooled
+ * over them (each with the staffIds free at that time) and mode=per_staff adds each staff member's slots.
+ * Times held by other chat sessions are left out; pass sessionId to keep the caller's own holds.
+ * groupSessions lists the bookable occurrences of the app's group sessions (narrowed by serviceId and
+ * staffId) with capacity, booked, remaining and waitlisted counts; full ones say whether their waitlist is open.
  */
-router.get('/apps/:appId/availability', verifySignedThirdPartyForParamUser, async (req, res, next) => {
+router.get('/apps/:appId/availability', verifySignedThirdPartyForParamUser, requireThirdPartyScope(THIRD_PARTY_SCOPES.CALENDAR_READ), async (req, res, next) => {
   try {
     const appId = req.params.appId;
     const fromParam = req.query.from || req.query.timeMin;
     const toParam = req.query.to || req.query.timeMax;
+    const sessionId = req.query.sessionId ? String(req.query.sessionId) : null;
     let slotMinutes = parseInt(req.query.slotMinutes, 10);
 
     if (!appId) return next(new AppError('App ID is required', 400));
 
-    const { provider, integration } = await getProviderForApp(appId);
+    const { provider, providerType, integration } = await getProviderForApp(appId);
 
     if (!Number.isInteger(slotMinutes) || !isAllowedSlotMinutes(slotMinutes)) {
       slotMinutes = integration?.calendarSlotMinutes ?? 30;
@@ -116,27 +88,53 @@ router.get('/apps/:appId/availability', verifySignedThirdPartyForParamUser, asyn
     const timeMin = fromParam ? new Date(fromParam).toISOString() : defaultFrom.toISOString();
     const timeMax = toParam ? new Date(toParam).toISOString() : defaultTo.toISOString();
 
-    const fromDateStr = timeMin.slice(0, 10);
-    const toDateStr = timeMax.slice(0, 10);
-
-    const [weeklyDocs, exceptionDocs] = await Promise.all([
-      Availability.find({ owner: appId }).sort({ dayOfWeek: 1 }).select('dayOfWeek timezone slots allDay').lean().exec(),
-      AvailabilityException.find({ owner: appId, date: { $gte: fromDateStr, $lte: toDateStr } })
-        .select('date timezone allDayOff overrideAllDay slots').lean().exec()
-    ]);
-
-    const weeklyAvailability = weeklyDocs.map((d) => ({
-      dayOfWeek: d.dayOfWeek,
-      timezone: d.timezone || 'UTC',
-      allDay: !!d.allDay,
-      slots: d.slots || []
-    }));
-    const exceptions = exceptionDocs.map((d) => ({
-      date: d.date,
-      allDayOff: !!d.allDayOff,
-      overrideAllDay: !!d.overrideAllDay,
-      slots: d.slots || []
-    }));
+    const service = req.query.serviceId ? await getServicePlan(appId, req.query.serviceId) : null;
+    const durationMinutes = service?.durationMinutes || null;
+    let intervalMinutes = null;
+    if (durationMinutes) {
+      intervalMinutes = parseInt(req.query.interval, 10);
+      if (!isAllowedIntervalMinutes(intervalMinutes)) {
+        const { startIntervalMinutes } = await getAvailabilitySettings(appId);
+        intervalMinutes = startIntervalMinutes || slotMinutes;
+      }
+    }
+
+    const groupSessions = await getBookableOccurrences(appId, {
+      timeMin,
+      timeMax,
+      serviceId: service?._id || null,
+      staffId: req.query.staffId || null
+    });
+
+    const candidates = await listBookableStaff(appId, {
+      service,
+      staffId: req.query.staffId || null
+    });
+    if (candidates) {
+      const bookingRules = await getAvailabilitySettings(appId);
+      const calendarTimezone = integration?.googleCalendarTimezone || null;
+      const { staff, pooled } = await getStaffAvailability(appId, candidates, {
+        timeMin, timeMax, slotMinutes, durationMinutes, intervalMinutes, service, sessionId, defaultTimezone: calendarTimezone
+      });
+      return res.status(200).json({
+        status: 'success',
+        data: {
+          ...availabilitySuccess({ provider: providerType || null, timeMin, timeMax, freeSlots: pooled }),
+          calendarConnected: !!provider || staff.some((s) => s.calendarConnected),
+          calendarTimezone,
+          bookingRules,
+          staffAssignment: bookingRules.staffAssignment,
+          ...(service && { service: toServiceViewModel(service), intervalMinutes }),
+          ...(req.query.mode === 'per_staff' && {
+            staff: staff.map(({ staffId, name, freeSlots }) => ({ staffId, name, freeSlots }))
+          }),
+          groupSessions
+        }
+      });
+    }
+
+    const { weeklyAvailability, exceptions, schedules, bookingRules, existingBookings, holds } =
+      await loadSlotInputs(appId, timeMin, timeMax, { sessionId });
 
     let providerBusy = [];
     let baseViewModel = { success: true, calendarConnected: false, freeSlots: [], busy: [] };
@@ -155,16 +153,26 @@ router.get('/apps/:appId/availability', verifySignedThirdPartyForParamUser, asyn
       timeMax,
       weeklyAvailability,
       exceptions,
+      schedules,
       providerBusy,
+      holds,
       slotMinutes,
-      defaultTimezone: calendarTimezone
+      durationMinutes,
+      intervalMinutes,
+      defaultTimezone: calendarTimezone,
+      rules: withServicePadding(bookingRules, service),
+      existingBookings
     });
 
     const viewModel = {
       ...baseViewModel,
       freeSlots,
       calendarConnected: !!provider,
-      calendarTimezone
+      calendarTimezone,
+      bookingRules,
+      schedules: schedules.map((sc) => ({ name: sc.name, effectiveFrom: sc.effectiveFrom, effectiveTo: sc.effectiveTo || null })),
+      ...(service && { service: toServiceViewModel(service), intervalMinutes }),
+      groupSessions
     };
 
     res.status(200).json({
@@ -182,20 +190,120 @@ router.get('/apps/:appId/availability', verifySignedThirdPartyForParamUser, asyn
 
 /**
  * POST /apps/:appId/appointments
- * Body: { start, end, title, attendeeEmail?, description? } (ISO dates).
- * Returns CommonViewModel (BookAppointmentViewModel).
+ * Body: { start, end, title, attendeeEmail?, description?, customerName?, customerPhone?, leadId?, channel?,
+ *   staffId?, serviceId?, holdId?, sessionId?, successUrl?, cancelUrl? } (ISO dates). With a serviceId that has a duration, end defaults
+ * to start + duration and title to the service name. An unexpired holdId supplies start, end, staffId and
+ * serviceId; after booking, the holds of the session are released.
+ * The time is re-checked before booking (hours, calendar, booking rules, other sessions' holds); when it is
+ * taken the result has code 'slot_unavailable' and alternatives.
+ * Apps with staff assign the booking to a free staff member who performs the service: the chosen staffId,
+ * or one picked by the app's staffAssignment rule. The event goes into that staff member's own calendar
+ * when they have one, otherwise into the app's.
+ * Every successful booking is also saved as an Appointment record.
+ * When the service has a deposit and the app has a connected Stripe account, no event is created yet: the
+ * booking is saved as pending_payment with the time held, and the result has paymentRequired, checkoutUrl
+ * (Stripe Checkout link for the customer) and paymentExpiresAt. Paying confirms the booking; otherwise it is
+ * cancelled when the payment window ends. Optional successUrl / cancelUrl are where Checkout returns to.
+ * Returns CommonViewModel (BookAppointmentViewModel) plus appointmentId and staffId.
  */
-router.post('/apps/:appId/appointments', verifySignedThirdPartyForParamUser, async (req, res, next) => {
+async function bookAppointment(req, res, next) {
   try {
     const appId = req.params.appId;
-    const { start, end, title, attendeeEmail, description, timeZone, customerName, customerPhone, leadId, postBookingNote } = req.body || {};
+    const {
+      attendeeEmail, description, timeZone, customerName, customerPhone, leadId, postBookingNote, channel, holdId, successUrl, cancelUrl
+    } = req.body || {};
+    let { start, end, title, staffId, serviceId } = req.body || {};
 
     if (!appId) return next(new AppError('App ID is required', 400));
+    const hold = holdId ? await findActiveHold(appId, holdId) : null;
+    if (hold) {
+      start = new Date(hold.start).toISOString();
+      end = new Date(hold.end).toISOString();
+      staffId = hold.staffId ? String(hold.staffId) : staffId;
+      serviceId = hold.serviceId ? String(hold.serviceId) : serviceId;
+    }
+    const sessionId = hold?.sessionId || (req.body?.sessionId ? String(req.body.sessionId) : null);
+    const service = serviceId ? await getServicePlan(appId, serviceId) : null;
+    if (service) {
+      if (!end && start && service.durationMinutes && !Number.isNaN(new Date(start).getTime())) {
+        end = new Date(new Date(start).getTime() + service.durationMinutes * 60 * 1000).toISOString();
+      }
+      title = title || service.question;
+    }
     if (!start || !end || !title) {
       return next(new AppError('start, end, and title are required', 400));
     }
+    if (Number.isNaN(new Date(start).getTime()) || Number.isNaN(new Date(end).getTime())) {
+      return next(new AppError('start and end must be ISO 8601 dates', 400));
+    }
+
+    const { provider: appProvider, providerType: appProviderType, integration: providerIntegration } = await getProviderForApp(appId);
+    let candidates = await listBookableStaff(appId, { service, staffId: staffId || null });
+    // Without an app calendar only staff with their own calendar can take bookings.
+    if (candidates && !appProvider) candidates = candidates.filter((s) => s.calendarConnected);
+    if (!appProvider && !(candidates && candidates.length > 0)) {
+      return res.status(200).json({
+        status: 'success',
+        data: { success: false, error: 'No calendar connected for this app.', calendarConnected: false }
+      });
+    }
+
+    // Minimum notice, booking horizon and daily cap apply to direct bookings too, not only offered slots.
+    const bookingRules = await getAvailabilitySettings(appId);
+    let rulesTimezone = providerIntegration?.googleCalendarTimezone || 'UTC';
+    if (candidates || bookingRules.minNoticeMinutes || bookingRules.maxHorizonDays || bookingRules.dailyBookingCap) {
+      const weeklyDoc = await Availability.findOne({ owner: appId, staffId: null }).select('timezone').lean().exec();
+      rulesTimezone = weeklyDoc?.timezone || rulesTimezone;
+    }
+    if (bookingRules.minNoticeMinutes || bookingRules.maxHorizonDays || bookingRules.dailyBookingCap) {
+      const existingBookings = bookingRules.dailyBookingCap
+        ? await AppointmentService.getActiveBookings(appId, start, start)
+        : [];
+      const ruleError = checkBookingAgainstRules({ start, rules: bookingRules, existingBookings, timezone: rulesTimezone });
+      if (ruleError) {
+        return res.status(200).json({
+          status: 'error',
+          data: { success: false, error: ruleError, calendarConnected: true }
+        });
+      }
+    }
 
-    const { provider } = await getProviderForApp(appId);
+    // Re-check the time itself: it may have been taken since it was offered.
+    let assignment = null;
+    let unavailable = false;
+    if (candidates) {
+      assignment = await assignStaff(appId, {
+        candidates,
+        start,
+        end,
+        strategy: bookingRules.staffAssignment,
+        requestedStaffId: staffId || null,
+        integration: providerIntegration,
+        timezone: rulesTimezone,
+        sessionId
+      });
+      unavailable = assignment.unavailable;
+      if (!assignment.staff && !unavailable) {
+        return res.status(200).json({
+          status: 'error',
+          data: { success: false, error: assignment.error, calendarConnected: true }
+        });
+      }
+    } else {
+      unavailable = !(await isTimeAvailable({ appId, provider: appProvider, integration: providerIntegration, start, end, sessionId }));
+    }
+    if (unavailable) {
+      const alternatives = await findAlternativeTimes(appId, {
+        start, end, candidates, service, sessionId, provider: appProvider, integration: providerIntegration
+      });
+      return res.status(200).json({
+        status: 'error',
+        data: { ...slotUnavailableError(alternatives, appProviderType || undefined), calendarConnected: true }
+      });
+    }
+    const assignedStaff = assignment?.staff || null;
+    const provider = assignment?.provider || appProvider;
+    const providerType = assignment?.provider ? assignment.providerType : appProviderType;
     if (!provider) {
       return res.status(200).json({
         status: 'success',
@@ -203,171 +311,323 @@ router.post('/apps/:appId/appointments', verifySignedThirdPartyForParamUser, asy
       });
     }
 
-    const viewModel = await provider.bookAppointment({
+    // Services with a deposit wait for payment before the event is created; the time is held meanwhile.
+    const deposit = await BookingPaymentService.getDepositRequirement(appId, service);
+    if (deposit) {
+      const pending = await BookingPaymentService.startDepositBooking(appId, {
+        deposit,
+        booking: {
+          start, end, title, description, timeZone, attendeeEmail, customerName, customerPhone, leadId, postBookingNote,
+          channel: typeof channel === 'string' ? channel.trim().slice(0, 50) : null,
+          staffId: assignedStaff?._id || null,
+          staffCalendar: !!assignment?.provider,
+          serviceId: service?._id || null
+        },
+        sessionId,
+        successUrl: typeof successUrl === 'string' && /^https?:\/\//i.test(successUrl) ? successUrl : null,
+        cancelUrl: typeof cancelUrl === 'string' && /^https?:\/\//i.test(cancelUrl) ? cancelUrl : null
+      });
+      if (pending.unavailable) {
+        const alternatives = await findAlternativeTimes(appId, {
+          start, end, candidates, service, sessionId, provider: appProvider, integration: providerIntegration
+        });
+        return res.status(200).json({
+          status: 'error',
+          data: { ...slotUnavailableError(alternatives, appProviderType || undefined), calendarConnected: true }
+        });
+      }
+      if (!pending.appointment) {
+        return res.status(200).json({
+          status: 'error',
+          data: { success: false, error: pending.error, calendarConnected: true }
+        });
+      }
+      const { appointment } = pending;
+      const { payment } = appointment;
+      return res.status(201).json({
+        status: 'success',
+        message: 'Booking pending deposit payment',
+        data: {
+          success: true,
+          paymentRequired: true,
+          status: appointment.status,
+          appointmentId: String(appointment._id),
+          checkoutUrl: payment.checkoutUrl,
+          paymentExpiresAt: payment.expiresAt.toISOString(),
+          deposit: { amount: payment.amount, currency: payment.currency },
+          staffId: assignedStaff ? String(assignedStaff._id) : null,
+          staffName: assignedStaff?.name || null,
+          calendarConnected: true
+        }
+      });
+    }
+
+    // Without the caller's own hold, hold the time while the event is created so a concurrent booking
+    // that passed the same check cannot take it too.
+    const bookingHold = hold ? null : await holdSlot(appId, {
+      sessionId: sessionId || `booking:${new mongoose.Types.ObjectId()}`,
       start,
       end,
-      title,
-      attendeeEmail,
-      description,
-      timeZone
+      staffId: assignedStaff?._id || null,
+      serviceId: service?._id || null,
+      expiresAt: new Date(Date.now() + BOOKING_HOLD_MS)
     });
+    if (!hold && !bookingHold) {
+      const alternatives = await findAlternativeTimes(appId, {
+        start, end, candidates, service, sessionId, provider: appProvider, integration: providerIntegration
+      });
+      return res.status(200).json({
+        status: 'error',
+        data: { ...slotUnavailableError(alternatives, appProviderType || undefined), calendarConnected: true }
+      });
+    }
 
-    if (viewModel.success) {
-      try {
-        const app = await App.findById(appId).select('owner name twilioPhoneNumber whatsappNumber').lean().exec();
-        const owner = app?.owner
-          ? await User.findById(app.owner).select('email firstName lastName phoneNumber').lean().exec()
-          : null;
-        const integration = await Integration.findOne({ owner: appId })
-          .select('assistantName companyName primaryColor chatbotImage googleCalendarTimezone')
-          .lean()
-          .exec();
-        const emailService = new EmailService();
-        const publicBackendBase = resolvePublicBackendBaseUrl(req);
-        const logoUrl = integration?.chatbotImage?.filename
-          ? (publicBackendBase
-            ? `${publicBackendBase}/api/v1/integration/public/apps/${appId}/chatbot-image`
-            : '')
-          : '';
-        // companyName is the real business brand (e.g. "Facelism"); assistantName is the bot persona (e.g. "Assistant")
-        const resolvedCompanyName = integration?.companyName || app?.name || 'Business';
-        const businessData = {
+    let viewModel;
+    let appointment = null;
+    try {
+      viewModel = await provider.bookAppointment({
+        start,
+        end,
+        title,
+        attendeeEmail,
+        customerName,
+        // Events in the shared app calendar say whose appointment they are.
+        description: assignedStaff && !assignment.provider
+          ? [description, `Staff: ${assignedStaff.name}`].filter(Boolean).join('\n\n')
+          : description,
+        timeZone
+      });
+      if (viewModel.success) {
+        appointment = await AppointmentService.recordBooking({
           appId,
-          companyName: resolvedCompanyName,
-          name: resolvedCompanyName,
-          email: owner?.email || '',
-          // Prefer owner's user phone; fallback to app-level numbers.
-          phone: owner?.phoneNumber || app?.twilioPhoneNumber || app?.whatsappNumber || '',
-          primaryColor: integration?.primaryColor || '#c01721',
-          logoUrl,
-        };
-        const calTz = integration?.googleCalendarTimezone || 'UTC';
-        const formatInCalTz = (isoStr) => {
-          try {
-            return new Date(isoStr).toLocaleString('en-US', {
-              timeZone: calTz,
-              weekday: 'short',
-              year: 'numeric',
-              month: 'short',
-              day: 'numeric',
-              hour: 'numeric',
-              minute: '2-digit',
-              hour12: true,
-            });
-          } catch {
-            return new Date(isoStr).toLocaleString();
-          }
-        };
-        const appointmentData = {
-          serviceName: title,
-          title,
-          startText: formatInCalTz(start),
-          endText: formatInCalTz(end),
-          link: viewModel.link || '',
-          postBookingNote: postBookingNote || ''
-        };
-        const resolvedCustomerName = customerName || 'Customer';
-        const resolvedCustomerPhone = customerPhone || 'Not provided';
-        let confirmationEmailSent = false;
-        if (attendeeEmail) {
-          await emailService.sendAppointmentConfirmationEmail(
-            { name: resolvedCustomerName, email: attendeeEmail },
-            appointmentData,
-            businessData
-          );
-          confirmationEmailSent = true;
-        }
-        if (businessData.email) {
-          await emailService.sendAppointmentBusinessNotificationEmail(
-            businessData,
-            { name: resolvedCustomerName, email: attendeeEmail || 'Not provided', phone: resolvedCustomerPhone },
-            appointmentData
-          );
-        }
-
-        // If customer confirmation email was sent successfully, mark the initiating lead as confirmed.
-        if (confirmationEmailSent) {
-          try {
-            const patch = {
-              status: 'confirmed',
-              appointmentDetails: {
-                eventId: viewModel.eventId || null,
-                start: start ? new Date(start) : null,
-                end: end ? new Date(end) : null,
-                link: viewModel.link || '',
-                confirmed: true
-              }
-            };
-
-            // Preferred: leadId provided by AI/widget.
-            let lead = null;
-            if (leadId) {
-              lead = await Lead.findById(leadId);
-            }
-
-            // Fallback: try to resolve lead by app + email/phone within recent window.
-            if (!lead) {
-              const cutoff = new Date(Date.now() - 24 * 60 * 60 * 1000);
-              const or = [];
-              if (attendeeEmail) or.push({ leadEmail: String(attendeeEmail).toLowerCase() });
-              if (customerPhone) or.push({ leadPhoneNumber: String(customerPhone) });
-              if (or.length > 0) {
-                lead = await Lead.findOne({
-                  appId,
-                  createdAt: { $gte: cutoff },
-                  $or: or
-                }).sort({ createdAt: -1 });
-              }
-            }
-
-            if (lead) {
-              Object.assign(lead, patch);
-              await lead.save();
-            } else {
-              logger.warn('Booking confirmation email sent, but no lead was found to confirm', { appId, leadId: leadId || null });
-            }
-          } catch (leadErr) {
-            logger.error('Failed to update lead to confirmed after booking', { appId, leadId: leadId || null, error: leadErr.message });
+          provider: providerType,
+          viewModel,
+          booking: {
+            start, end, title, description, timeZone, attendeeEmail, customerName, customerPhone, leadId,
+            channel: typeof channel === 'string' ? channel.trim().slice(0, 50) : null,
+            staffId: assignedStaff?._id || null,
+            staffCalendar: !!assignment?.provider,
+            serviceId: service?._id || null
           }
-        }
-      } catch (emailErr) {
-        logger.error('Calendar booking email sending failed', { appId, error: emailErr.message });
+        });
       }
+    } finally {
+      // The saved appointment now blocks the time.
+      if (bookingHold) await releaseHold(appId, bookingHold._id).catch(() => {});
+    }
+
+    if (viewModel.success) {
+      if (sessionId) await releaseSessionHolds(appId, sessionId);
+
+      await notifyBookingConfirmed(appId, {
+        viewModel,
+        appointment,
+        booking: {
+          start, end, title, timeZone, attendeeEmail, customerName, customerPhone, leadId, postBookingNote,
+          staffId: assignedStaff?._id || null,
+          serviceId: service?._id || null
+        },
+        publicBackendBase: resolvePublicBackendBaseUrl(req)
+      });
     }
 
     res.status(viewModel.success ? 201 : 200).json({
       status: viewModel.success ? 'success' : 'error',
-      data: viewModel
+      data: {
+        ...viewModel,
+        appointmentId: appointment ? String(appointment._id) : null,
+        staffId: assignedStaff ? String(assignedStaff._id) : null,
+        staffName: assignedStaff?.name || null
+      }
     });
   } catch (err) {
     logger.error('Calendar book appointment error', { appId: req.params.appId, error: err.message });
     next(err);
   }
+}
+
+router.post('/apps/:appId/appointments', verifySignedThirdPartyForParamUser, requireThirdPartyScope(THIRD_PARTY_SCOPES.CALENDAR_BOOK), bookAppointment);
+
+/**
+ * POST /apps/:appId/holds
+ * Body: { sessionId, start, end?, serviceId?, staffId?, ttlMinutes? } (ISO dates; end defaults to start + the
+ * service's duration). Holds the time for the chat session for ttlMinutes (default 10, max 30) after
+ * re-checking it; other sessions are not offered it and cannot book it meanwhile. A session has one hold
+ * at a time. When the time is taken the result has code 'slot_unavailable' and alternatives.
+ */
+router.post('/apps/:appId/holds', verifySignedThirdPartyForParamUser, requireThirdPartyScope(THIRD_PARTY_SCOPES.CALENDAR_BOOK), async (req, res, next) => {
+  try {
+    const { error, value } = slotHoldCreateSchema.validate(req.body, { abortEarly: false, stripUnknown: true });
+    if (error) {
+      const messages = error.details.map(d => d.message);
+      throw new AppError(`Validation failed: ${messages.join(', ')}`, 400);
+    }
+    const appId = req.params.appId;
+    const service = value.serviceId ? await getServicePlan(appId, value.serviceId) : null;
+    const result = await placeHold(appId, {
+      sessionId: value.sessionId,
+      start: value.start,
+      end: value.end || null,
+      service,
+      staffId: value.staffId || null,
+      ttlMinutes: value.ttlMinutes
+    });
+    if (!result.hold) {
+      return res.status(200).json({
+        status: 'error',
+        data: result.unavailable
+          ? { ...slotUnavailableError(result.alternatives, result.providerType || undefined), calendarConnected: true }
+          : { success: false, error: result.error, calendarConnected: result.calendarConnected }
+      });
+    }
+    res.status(201).json({
+      status: 'success',
+      message: 'Slot held',
+      data: { success: true, hold: toHoldViewModel(result.hold) }
+    });
+  } catch (err) { next(err); }
+});
+
+/**
+ * POST /apps/:appId/holds/:holdId/confirm
+ * Books the held time. Body: the booking fields of POST /apps/:appId/appointments except start, end,
+ * staffId and serviceId, which come from the hold. 404 when the hold has expired or was released.
+ */
+router.post('/apps/:appId/holds/:holdId/confirm', verifySignedThirdPartyForParamUser, requireThirdPartyScope(THIRD_PARTY_SCOPES.CALENDAR_BOOK), async (req, res, next) => {
+  try {
+    await getActiveHold(req.params.appId, req.params.holdId);
+    req.body = { ...(req.body || {}), holdId: req.params.holdId };
+    return bookAppointment(req, res, next);
+  } catch (err) { next(err); }
+});
+
+/**
+ * DELETE /apps/:appId/holds/:holdId
+ * Releases a hold so its time is offered again.
+ */
+router.delete('/apps/:appId/holds/:holdId', verifySignedThirdPartyForParamUser, requireThirdPartyScope(THIRD_PARTY_SCOPES.CALENDAR_BOOK), async (req, res, next) => {
+  try {
+    const released = await releaseHold(req.params.appId, req.params.holdId);
+    if (!released) throw new AppError('Hold not found or expired', 404);
+    res.status(200).json({ status: 'success', message: 'Hold released' });
+  } catch (err) { next(err); }
+});
+
+/** Group session of the app named by :groupSessionId, or 404. */
+async function findGroupSession(appId, groupSessionId) {
+  if (!mongoose.isValidObjectId(groupSessionId)) throw new AppError('Invalid group session ID format', 400);
+  const session = await GroupSession.findOne({ _id: groupSessionId, owner: appId }).lean().exec();
+  if (!session) throw new AppError('Group session not found', 404);
+  return session;
+}
+
+/**
+ * POST /apps/:appId/group-sessions/:groupSessionId/bookings
+ * Body: { start, attendeeEmail?, customerName?, customerPhone?, leadId?, channel?, postBookingNote?,
+ *   joinWaitlist? } (start = an occurrence's start, ISO). Books a seat and emails the attendee a
+ * confirmation. When the occurrence is full the attendee joins its waitlist (unless joinWaitlist is false)
+ * and is given a seat automatically when one frees up.
+ * Returns { success, status: 'booked'|'waitlisted', appointmentId, waitlistPosition }; when there is no
+ * place, code 'session_full' and alternatives (next occurrences with seats).
+ */
+router.post('/apps/:appId/group-sessions/:groupSessionId/bookings', verifySignedThirdPartyForParamUser, requireThirdPartyScope(THIRD_PARTY_SCOPES.CALENDAR_BOOK), async (req, res, next) => {
+  try {
+    const { error, value } = groupSessionBookingSchema.validate(req.body || {}, { abortEarly: false, stripUnknown: true });
+    if (error) {
+      return next(new AppError(`Validation failed: ${error.details.map(d => d.message).join(', ')}`, 400));
+    }
+    const appId = req.params.appId;
+    const session = await findGroupSession(appId, req.params.groupSessionId);
+    const result = await GroupSessionService.bookSeat(appId, session, {
+      ...value,
+      channel: value.channel || null
+    }, { publicBackendBase: resolvePublicBackendBaseUrl(req) });
+
+    if (!result.appointment) {
+      return res.status(200).json({
+        status: 'error',
+        data: result.full
+          ? { success: false, code: 'session_full', error: 'This session is full.', alternatives: result.alternatives }
+          : { success: false, error: result.error }
+      });
+    }
+    res.status(201).json({
+      status: 'success',
+      data: {
+        success: true,
+        status: result.status,
+        appointmentId: String(result.appointment._id),
+        groupSessionId: String(session._id),
+        start: result.appointment.startAt.toISOString(),
+        end: result.appointment.endAt.toISOString(),
+        title: session.title,
+        waitlistPosition: result.position
+      }
+    });
+  } catch (err) {
+    logger.error('Group session booking error', { appId: req.params.appId, error: err.message });
+    next(err);
+  }
+});
+
+/**
+ * DELETE /apps/:appId/group-sessions/:groupSessionId/bookings/:appointmentId
+ * Body: { reason? }. Cancels an attendee's seat or waitlist place; a freed seat goes to the first
+ * attendee on the waitlist.
+ */
+router.delete('/apps/:appId/group-sessions/:groupSessionId/bookings/:appointmentId', verifySignedThirdPartyForParamUser, requireThirdPartyScope(THIRD_PARTY_SCOPES.CALENDAR_BOOK), async (req, res, next) => {
+  try {
+    const { error, value } = groupSessionCancelSchema.validate(req.body || {}, { abortEarly: false, stripUnknown: true });
+    if (error) {
+      return next(new AppError(`Validation failed: ${error.details.map(d => d.message).join(', ')}`, 400));
+    }
+    const appId = req.params.appId;
+    const session = await findGroupSession(appId, req.params.groupSessionId);
+    if (!mongoose.isValidObjectId(req.params.appointmentId)) throw new AppError('Invalid appointment ID format', 400);
+    const appointment = await Appointment.findOne({
+      _id: req.params.appointmentId,
+      owner: appId,
+      groupSessionId: session._id,
+      status: { $in: SEAT_STATUSES }
+    }).exec();
+    if (!appointment) throw new AppError('Booking not found', 404);
+
+    const { appointment: cancelled } = await GroupSessionService.cancelSeat(appId, appointment, {
+      reason: value.reason || null,
+      publicBackendBase: resolvePublicBackendBaseUrl(req)
+    });
+    if (!cancelled) throw new AppError('Booking not found', 404);
+    res.status(200).json({
+      status: 'success',
+      data: { success: true, appointmentId: String(cancelled._id), status: cancelled.status }
+    });
+  } catch (err) {
+    logger.error('Group session cancel error', { appId: req.params.appId, error: err.message });
+    next(err);
+  }
 });
 
 /**
  * DELETE /apps/:appId/appointments/:eventId
+ * Body: { reason? }. Marks the matching Appointment record cancelled.
  * Returns CommonViewModel (CancelAppointmentViewModel).
  */
-router.delete('/apps/:appId/appointments/:eventId', verifySignedThirdPartyForParamUser, async (req, res, next) => {
+router.delete('/apps/:appId/appointments/:eventId', verifySignedThirdPartyForParamUser, requireThirdPartyScope(THIRD_PARTY_SCOPES.CALENDAR_BOOK), async (req, res, next) => {
   try {
     const appId = req.params.appId;
     const eventId = req.params.eventId;
 
     if (!appId || !eventId) return next(new AppError('App ID and event ID are required', 400));
 
-    const { provider } = await getProviderForApp(appId);
-    if (!provider) {
-      return res.status(200).json({
-        status: 'success',
-        data: { success: false, cancelled: false, error: 'No calendar connected for this app.' }
-      });
-    }
-
-    const viewModel = await provider.cancelAppointment(eventId);
+    const { viewModel } = await cancelBooking({
+      appId,
+      eventId,
+      reason: typeof req.body?.reason === 'string' ? req.body.reason.trim().slice(0, 500) || null : null,
+      publicBackendBase: resolvePublicBackendBaseUrl(req)
+    });
 
     res.status(200).json({
-      status: viewModel.success ? 'success' : 'error',
+      status: viewModel.success || viewModel.calendarConnected === false ? 'success' : 'error',
       data: viewModel
     });
   } catch (err) {
@@ -376,4 +636,47 @@ router.delete('/apps/:appId/appointments/:eventId', verifySignedThirdPartyForPar
   }
 });
 
+/**
+ * PATCH /apps/:appId/appointments/:eventId
+ * Body: { start, end, timeZone?, reason? } (ISO dates). Moves a booked event to a new time.
+ * The new time must be free under the app's availability rules and calendar (the event's current
+ * time does not count as busy). Updates the Appointment record and the linked lead, and emails
+ * the attendee.
+ * Returns CommonViewModel (RescheduleAppointmentViewModel) plus appointmentId.
+ */
+router.patch('/apps/:appId/appointments/:eventId', verifySignedThirdPartyForParamUser, requireThirdPartyScope(THIRD_PARTY_SCOPES.CALENDAR_BOOK), async (req, res, next) => {
+  try {
+    const appId = req.params.appId;
+    const eventId = req.params.eventId;
+
+    if (!appId || !eventId) return next(new AppError('App ID and event ID are required', 400));
+
+    const { error, value } = appointmentRescheduleSchema.validate(req.body || {}, { abortEarly: false, stripUnknown: true });
+    if (error) {
+      return next(new AppError(`Validation failed: ${error.details.map(d => d.message).join(', ')}`, 400));
+    }
+
+    const { viewModel, appointment } = await rescheduleBooking({
+      appId,
+      eventId,
+      start: new Date(value.start).toISOString(),
+      end: new Date(value.end).toISOString(),
+      timeZone: value.timeZone || null,
+      reason: value.reason || null,
+      publicBackendBase: resolvePublicBackendBaseUrl(req)
+    });
+
+    res.status(200).json({
+      status: viewModel.success || viewModel.calendarConnected === false ? 'success' : 'error',
+      data: { ...viewModel, appointmentId: appointment ? String(appointment._id) : null }
+    });
+  } catch (err) {
+    logger.error('Calendar reschedule appointment error', { appId: req.params.appId, error: err.message });
+    if (err.code === 401 || (err.message && err.message.includes('invalid_grant'))) {
+      return next(new AppError('Calendar access expired or revoked. Please reconnect your calendar.', 401));
+    }
+    next(err);
+  }
+});
+
 module.exports = router;
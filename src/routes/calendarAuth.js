@@ -1,18 +1,29 @@
 /**
  * Calendar OAuth connect/disconnect. Used by the frontend to attach a calendar (e.g. Google).
  * On connect we set provider-specific calendar connected flags and store encrypted token.
+ * CalDAV calendars connect with a username and (app) password instead of OAuth.
+ * Calendly bookings made outside the bot arrive through the Calendly webhook endpoint below.
+ * Connected Google and Outlook calendars are subscribed to change notifications, which arrive on the
+ * notification endpoints below (two-way sync, see CalendarSyncService).
+ * With a staffId (query for OAuth, body for CalDAV) the calendar is connected for that staff member instead
+ * of the app; Calendly is app-wide only.
  */
 const express = require('express');
 const { google } = require('googleapis');
 const { AppError } = require('../utils/errorHandler');
 const { authenticateToken } = require('../middleware/auth');
 const { verifyAppOwnership } = require('../middleware/appOwnership');
-const { Integration } = require('../models/Integration');
-const { encrypt } = require('../utils/encrypt');
+const { Integration, caldavConnectSchema, calendlyEventTypeSchema } = require('../models/Integration');
+const { StaffMember, CLEARED_STAFF_CALENDAR_FIELDS } = require('../models/StaffMember');
+const { encrypt, decrypt } = require('../utils/encrypt');
 const cacheManager = require('../utils/cache');
 const { logger } = require('../utils/logger');
-const { PROVIDER_GOOGLE, PROVIDER_OUTLOOK } = require('../integrations/appointment/appointmentSchedulerFactory');
+const { PROVIDER_GOOGLE, PROVIDER_OUTLOOK, PROVIDER_CALENDLY, PROVIDER_CALDAV } = require('../integrations/appointment/appointmentSchedulerFactory');
 const { getCalendarAccountEmail } = require('../services/outlookCalendarService');
+const { assertCalDavUrl, discoverCalendars } = require('../services/caldavCalendarService');
+const calendlyService = require('../services/calendlyService');
+const { handleCalendlyWebhook } = require('../services/calendlyWebhookService');
+const { CalendarSyncService } = require('../services/calendarSyncService');
 
 const router = express.Router();
 
@@ -50,9 +61,66 @@ function resolveProvider(req) {
     'ms'
   ]);
   if (outlookAliases.has(raw)) return PROVIDER_OUTLOOK;
+  if (raw === PROVIDER_CALENDLY) return PROVIDER_CALENDLY;
   return PROVIDER_GOOGLE;
 }
 
+/** Optional ?staffId= of an OAuth connect request, or null. Throws for Calendly, which cannot be connected per staff member. */
+function resolveStaffId(req, provider) {
+  const raw = req.query.staffId;
+  if (!raw) return null;
+  if (!/^[a-f0-9]{24}$/i.test(String(raw))) throw new AppError('Invalid staff ID format', 400);
+  if (provider === PROVIDER_CALENDLY) throw new AppError('Calendly can only be connected for the whole app', 400);
+  return String(raw);
+}
+
+function buildCalendlyWebhookUrl(appId) {
+  const base = sanitizeEnv(process.env.CALENDLY_WEBHOOK_BASE_URL || process.env.APP_URL || 'http://localhost:5000').replace(/\/+$/, '');
+  return `${base}/api/v1/integration/calendar/calendly/webhook/${encodeURIComponent(String(appId))}`;
+}
+
+const CLEARED_CALENDLY_FIELDS = {
+  calendlyRefreshToken: null,
+  calendlyAccessToken: null,
+  calendlyTokenExpiresAt: null,
+  calendlyUserUri: null,
+  calendlyOrganizationUri: null,
+  calendlyEventTypeUri: null,
+  calendlyEventTypeDuration: null,
+  calendlySchedulingUrl: null,
+  calendlyWebhookUri: null,
+  calendlyWebhookSigningKey: null
+};
+
+const CLEARED_CALDAV_FIELDS = {
+  caldavServerUrl: null,
+  caldavCalendarUrl: null,
+  caldavUsername: null,
+  caldavPassword: null
+};
+
+/** Remove the app's Calendly webhook subscription and revoke its token (best effort, before replacing or clearing the connection). */
+async function releaseCalendlyConnection(appId) {
+  try {
+    const integration = await Integration.findOne({ owner: appId })
+      .select('calendlyRefreshToken calendlyAccessToken calendlyTokenExpiresAt calendlyWebhookUri')
+      .lean();
+    if (!integration?.calendlyRefreshToken) return;
+    const credentials = {
+      appId: String(appId),
+      encryptedRefreshToken: integration.calendlyRefreshToken,
+      encryptedAccessToken: integration.calendlyAccessToken,
+      accessTokenExpiresAt: integration.calendlyTokenExpiresAt
+    };
+    if (integration.calendlyWebhookUri) {
+      await calendlyService.deleteWebhookSubscription(credentials, integration.calendlyWebhookUri);
+    }
+    await calendlyService.revokeToken(credentials.encryptedRefreshToken);
+  } catch (err) {
+    logger.warn('Calendly connection could not be released', { appId: String(appId), message: err.message });
+  }
+}
+
 function encodeState(stateObj) {
   return Buffer.from(JSON.stringify(stateObj), 'utf8').toString('base64url');
 }
@@ -95,6 +163,14 @@ router.get('/apps/:appId/calendar/auth', authenticateToken, verifyAppOwnership,
     const appId = req.appId || req.params.appId;
     if (!appId) return next(new AppError('App ID is required', 400));
     const provider = resolveProvider(req);
+    const staffId = resolveStaffId(req, provider);
+
+    if (provider === PROVIDER_CALENDLY) {
+      if (!calendlyService.isConfigured()) {
+        return next(new AppError('Calendly OAuth is not configured. Set CALENDLY_CLIENT_ID and CALENDLY_CLIENT_SECRET.', 503));
+      }
+      return res.redirect(calendlyService.buildAuthorizeUrl(encodeState({ appId: String(appId), provider: PROVIDER_CALENDLY })));
+    }
 
     if (provider === PROVIDER_OUTLOOK) {
       const clientId = sanitizeEnv(process.env.OUTLOOK_CALENDAR_CLIENT_ID);
@@ -104,7 +180,7 @@ router.get('/apps/:appId/calendar/auth', authenticateToken, verifyAppOwnership,
         return next(new AppError('Outlook Calendar OAuth is not configured. Set OUTLOOK_CALENDAR_CLIENT_ID.', 503));
       }
 
-      const state = encodeState({ appId: String(appId), provider: PROVIDER_OUTLOOK });
+      const state = encodeState({ appId: String(appId), provider: PROVIDER_OUTLOOK, ...(staffId && { staffId }) });
       const authorizeUrl = new URL(`https://login.microsoftonline.com/${encodeURIComponent(tenantId)}/oauth2/v2.0/authorize`);
       authorizeUrl.searchParams.set('client_id', clientId);
       authorizeUrl.searchParams.set('response_type', 'code');
@@ -124,7 +200,7 @@ router.get('/apps/:appId/calendar/auth', authenticateToken, verifyAppOwnership,
     }
 
     const oauth2Client = new google.auth.OAuth2(clientId, clientSecret, redirectUri);
-    const state = encodeState({ appId: String(appId), provider: PROVIDER_GOOGLE });
+    const state = encodeState({ appId: String(appId), provider: PROVIDER_GOOGLE, ...(staffId && { staffId }) });
     const url = oauth2Client.generateAuthUrl({
       access_type: 'offline',
       prompt: 'consent',
@@ -147,6 +223,15 @@ router.get('/apps/:appId/calendar/auth-url', authenticateToken, verifyAppOwnersh
     const appId = req.appId || req.params.appId;
     if (!appId) return next(new AppError('App ID is required', 400));
     const provider = resolveProvider(req);
+    const staffId = resolveStaffId(req, provider);
+
+    if (provider === PROVIDER_CALENDLY) {
+      if (!calendlyService.isConfigured()) {
+        return next(new AppError('Calendly OAuth is not configured.', 503));
+      }
+      const url = calendlyService.buildAuthorizeUrl(encodeState({ appId: String(appId), provider: PROVIDER_CALENDLY }));
+      return res.status(200).json({ status: 'success', data: { url } });
+    }
 
     if (provider === PROVIDER_OUTLOOK) {
       const clientId = sanitizeEnv(process.env.OUTLOOK_CALENDAR_CLIENT_ID);
@@ -155,7 +240,7 @@ router.get('/apps/:appId/calendar/auth-url', authenticateToken, verifyAppOwnersh
       if (!clientId) {
         return next(new AppError('Outlook Calendar OAuth is not configured.', 503));
       }
-      const state = encodeState({ appId: String(appId), provider: PROVIDER_OUTLOOK });
+      const state = encodeState({ appId: String(appId), provider: PROVIDER_OUTLOOK, ...(staffId && { staffId }) });
       const authorizeUrl = new URL(`https://login.microsoftonline.com/${encodeURIComponent(tenantId)}/oauth2/v2.0/authorize`);
       authorizeUrl.searchParams.set('client_id', clientId);
       authorizeUrl.searchParams.set('response_type', 'code');
@@ -175,7 +260,7 @@ router.get('/apps/:appId/calendar/auth-url', authenticateToken, verifyAppOwnersh
     }
 
     const oauth2Client = new google.auth.OAuth2(clientId, clientSecret, redirectUri);
-    const state = encodeState({ appId: String(appId), provider: PROVIDER_GOOGLE });
+    const state = encodeState({ appId: String(appId), provider: PROVIDER_GOOGLE, ...(staffId && { staffId }) });
     const url = oauth2Client.generateAuthUrl({
       access_type: 'offline',
       prompt: 'consent',
@@ -213,12 +298,79 @@ router.get('/calendar/callback', async (req, res, next) => {
       return res.redirect(failureUrl);
     }
     const appId = parsedState.appId;
-    const provider = parsedState.provider === PROVIDER_OUTLOOK ? PROVIDER_OUTLOOK : PROVIDER_GOOGLE;
+    const provider = [PROVIDER_OUTLOOK, PROVIDER_CALENDLY].includes(parsedState.provider) ? parsedState.provider : PROVIDER_GOOGLE;
+    const staffId = parsedState.staffId || null;
+    if (staffId && provider === PROVIDER_CALENDLY) {
+      return res.redirect(failureUrl);
+    }
 
     let refreshToken = null;
     let calendarAccountEmail = null;
     let calendarTimezone = null;
-    if (provider === PROVIDER_OUTLOOK) {
+    let calendlyFields = CLEARED_CALENDLY_FIELDS;
+    if (provider === PROVIDER_CALENDLY) {
+      if (!calendlyService.isConfigured()) {
+        return res.redirect(failureUrl);
+      }
+      let tokens;
+      try {
+        tokens = await calendlyService.exchangeCode(code);
+      } catch (tokenErr) {
+        logger.warn('Calendly getToken failed', { status: tokenErr.status, body: tokenErr.responseBody });
+        return res.redirect(failureUrl);
+      }
+      refreshToken = tokens.refreshToken || null;
+      if (refreshToken) {
+        const user = await calendlyService.getCurrentUser(tokens.accessToken).catch((userErr) => {
+          logger.warn('Calendly: could not fetch current user', { message: userErr.message });
+          return null;
+        });
+        const userUri = user?.uri || tokens.userUri;
+        const organizationUri = user?.current_organization || tokens.organizationUri;
+        calendarAccountEmail = user?.email || null;
+        calendarTimezone = user?.timezone || null;
+
+        const credentials = {
+          appId: String(appId),
+          encryptedAccessToken: encrypt(tokens.accessToken),
+          encryptedRefreshToken: encrypt(refreshToken),
+          accessTokenExpiresAt: tokens.expiresAt,
+          userUri
+        };
+        // Book the first active event type until the owner picks another one.
+        const eventTypes = await calendlyService.listEventTypes(credentials).catch((typesErr) => {
+          logger.warn('Calendly: could not list event types', { message: typesErr.message });
+          return [];
+        });
+        const eventType = eventTypes[0] || null;
+
+        await releaseCalendlyConnection(appId);
+        let webhook = null;
+        try {
+          webhook = await calendlyService.createWebhookSubscription(tokens.accessToken, {
+            url: buildCalendlyWebhookUrl(appId),
+            userUri,
+            organizationUri
+          });
+        } catch (hookErr) {
+          logger.warn('Calendly webhook subscription failed; bookings made on Calendly will not sync', {
+            appId, status: hookErr.status, message: hookErr.message
+          });
+        }
+
+        calendlyFields = {
+          calendlyAccessToken: credentials.encryptedAccessToken,
+          calendlyTokenExpiresAt: tokens.expiresAt,
+          calendlyUserUri: userUri,
+          calendlyOrganizationUri: organizationUri,
+          calendlyEventTypeUri: eventType?.uri || null,
+          calendlyEventTypeDuration: eventType?.duration || null,
+          calendlySchedulingUrl: eventType?.schedulingUrl || user?.scheduling_url || null,
+          calendlyWebhookUri: webhook?.webhookUri || null,
+          calendlyWebhookSigningKey: webhook ? encrypt(webhook.signingKey) : null
+        };
+      }
+    } else if (provider === PROVIDER_OUTLOOK) {
       const clientId = sanitizeEnv(process.env.OUTLOOK_CALENDAR_CLIENT_ID);
       const clientSecret = sanitizeEnv(process.env.OUTLOOK_CALENDAR_CLIENT_SECRET);
       const tenantId = resolveOutlookTenantId();
@@ -307,6 +459,28 @@ router.get('/calendar/callback', async (req, res, next) => {
       return res.redirect(failureUrl);
     }
 
+    if (staffId) {
+      await CalendarSyncService.unsubscribe(appId, { staffId });
+      const staff = await StaffMember.findOneAndUpdate(
+        { _id: staffId, owner: appId },
+        {
+          $set: {
+            ...CLEARED_STAFF_CALENDAR_FIELDS,
+            calendarProvider: provider,
+            calendarConnected: true,
+            calendarRefreshToken: encrypted,
+            calendarId: 'primary',
+            calendarAccountEmail: calendarAccountEmail || null,
+            calendarTimezone: calendarTimezone || null
+          }
+        }
+      );
+      if (!staff) return res.redirect(failureUrl);
+      await CalendarSyncService.subscribe(appId, { staffId });
+      logger.info('Calendar connected for staff member', { appId, staffId, provider });
+      return res.redirect(successUrl);
+    }
+
     let integration = await Integration.findOne({ owner: appId });
     if (!integration) {
       integration = new Integration({
@@ -321,6 +495,8 @@ router.get('/calendar/callback', async (req, res, next) => {
       });
       await integration.save();
     }
+    if (provider !== PROVIDER_CALENDLY) await releaseCalendlyConnection(appId);
+    await CalendarSyncService.unsubscribe(appId);
 
     await Integration.findOneAndUpdate(
       { owner: appId },
@@ -331,13 +507,18 @@ router.get('/calendar/callback', async (req, res, next) => {
         outlookCalendarCalendarId: provider === PROVIDER_OUTLOOK ? 'primary' : null,
         googleCalendarConnected: provider === PROVIDER_GOOGLE,
         outlookCalendarConnected: provider === PROVIDER_OUTLOOK,
-        calendlyConnected: false,
+        calendlyConnected: provider === PROVIDER_CALENDLY,
+        ...calendlyFields,
+        calendlyRefreshToken: provider === PROVIDER_CALENDLY ? encrypted : null,
+        caldavConnected: false,
+        ...CLEARED_CALDAV_FIELDS,
         calendarProvider: provider,
         calendarAccountEmail: calendarAccountEmail || null,
-        googleCalendarTimezone: provider === PROVIDER_GOOGLE ? calendarTimezone || null : null
+        googleCalendarTimezone: provider !== PROVIDER_OUTLOOK ? calendarTimezone || null : null
       },
       { new: true }
     );
+    await CalendarSyncService.subscribe(appId);
 
     try {
       await cacheManager.del(cacheManager.getAppContextKey(appId));
@@ -352,15 +533,301 @@ router.get('/calendar/callback', async (req, res, next) => {
   }
 });
 
+/**
+ * POST /apps/:appId/calendar/caldav
+ * Connect a CalDAV calendar. Body: { serverUrl, username, password, calendarUrl?, timeZone? }.
+ * The credentials are checked by discovering the account's calendars; without calendarUrl the first one is used.
+ */
+router.post('/apps/:appId/calendar/caldav', authenticateToken, verifyAppOwnership, async (req, res, next) => {
+  try {
+    const appId = req.appId || req.params.appId;
+    if (!appId) return next(new AppError('App ID is required', 400));
+
+    const { error, value } = caldavConnectSchema.validate(req.body, { abortEarly: false, stripUnknown: true });
+    if (error) {
+      const messages = error.details.map(d => d.message);
+      throw new AppError(`Validation failed: ${messages.join(', ')}`, 400);
+    }
+
+    try {
+      await assertCalDavUrl(value.serverUrl);
+      if (value.calendarUrl) await assertCalDavUrl(value.calendarUrl);
+    } catch (urlErr) {
+      throw new AppError(urlErr.message, 400);
+    }
+    if (value.staffId && !(await StaffMember.exists({ _id: value.staffId, owner: appId }))) {
+      throw new AppError('Staff member not found', 404);
+    }
+
+    let calendars;
+    try {
+      calendars = await discoverCalendars({ serverUrl: value.calendarUrl || value.serverUrl, username: value.username, password: value.password });
+    } catch (davErr) {
+      logger.warn('CalDAV discovery failed', { appId, message: davErr.message, status: davErr.status });
+      throw new AppError(davErr.status === 401 ? davErr.message : 'Could not reach the CalDAV server. Check the server URL.', 400);
+    }
+    if (value.calendarUrl && calendars.length === 0) {
+      // The URL was not a calendar itself; fall back to the account's calendars.
+      calendars = await discoverCalendars({ serverUrl: value.serverUrl, username: value.username, password: value.password })
+        .catch(() => []);
+    }
+    const calendar = calendars.find((c) => !value.calendarUrl || c.url === value.calendarUrl.replace(/\/?$/, '/')) || calendars[0];
+    if (!calendar) {
+      throw new AppError('No calendars that accept events were found for this CalDAV account', 400);
+    }
+
+    const encrypted = encrypt(value.password);
+    if (!encrypted) {
+      logger.warn('Calendar token encryption key not set, cannot store CalDAV password', { appId });
+      throw new AppError('Calendar credential encryption is not configured. Set CALENDAR_TOKEN_ENCRYPTION_KEY.', 503);
+    }
+
+    const calendarTimezone = value.timeZone || calendar.timeZone || null;
+    if (value.staffId) {
+      await CalendarSyncService.unsubscribe(appId, { staffId: value.staffId });
+      await StaffMember.updateOne(
+        { _id: value.staffId, owner: appId },
+        {
+          $set: {
+            ...CLEARED_STAFF_CALENDAR_FIELDS,
+            calendarProvider: PROVIDER_CALDAV,
+            calendarConnected: true,
+            caldavServerUrl: value.serverUrl,
+            caldavCalendarUrl: calendar.url,
+            caldavUsername: value.username,
+            caldavPassword: encrypted,
+            calendarAccountEmail: value.username.includes('@') ? value.username : null,
+            calendarTimezone
+          }
+        }
+      );
+      logger.info('Calendar connected for staff member', { appId, staffId: value.staffId, provider: PROVIDER_CALDAV });
+      return res.status(200).json({
+        status: 'success',
+        message: 'CalDAV calendar connected',
+        data: {
+          calendarConnected: true,
+          calendarProvider: PROVIDER_CALDAV,
+          calendarUrl: calendar.url,
+          calendars,
+          staffId: value.staffId
+        }
+      });
+    }
+
+    await releaseCalendlyConnection(appId);
+    await CalendarSyncService.unsubscribe(appId);
+    await Integration.findOneAndUpdate(
+      { owner: appId },
+      {
+        $set: {
+          googleCalendarRefreshToken: null,
+          outlookCalendarRefreshToken: null,
+          googleCalendarConnected: false,
+          outlookCalendarConnected: false,
+          calendlyConnected: false,
+          ...CLEARED_CALENDLY_FIELDS,
+          caldavConnected: true,
+          caldavServerUrl: value.serverUrl,
+          caldavCalendarUrl: calendar.url,
+          caldavUsername: value.username,
+          caldavPassword: encrypted,
+          calendarProvider: PROVIDER_CALDAV,
+          calendarAccountEmail: value.username.includes('@') ? value.username : null,
+          googleCalendarTimezone: calendarTimezone
+        },
+        $setOnInsert: { owner: appId }
+      },
+      { new: true, upsert: true, setDefaultsOnInsert: true }
+    );
+
+    try {
+      await cacheManager.del(cacheManager.getAppContextKey(appId));
+    } catch (_) {}
+
+    logger.info('Calendar connected for app', { appId, provider: PROVIDER_CALDAV });
+    res.status(200).json({
+      status: 'success',
+      message: 'CalDAV calendar connected',
+      data: {
+        calendarConnected: true,
+        calendarProvider: PROVIDER_CALDAV,
+        calendarUrl: calendar.url,
+        calendars
+      }
+    });
+  } catch (err) {
+    next(err);
+  }
+});
+
+/**
+ * GET /apps/:appId/calendar/calendly/event-types
+ * Active event types of the connected Calendly user, and which one the bot books.
+ */
+router.get('/apps/:appId/calendar/calendly/event-types', authenticateToken, verifyAppOwnership, async (req, res, next) => {
+  try {
+    const appId = req.appId || req.params.appId;
+    const integration = await Integration.findOne({ owner: appId })
+      .select('calendlyConnected calendlyRefreshToken calendlyAccessToken calendlyTokenExpiresAt calendlyUserUri calendlyEventTypeUri')
+      .lean();
+    if (!integration?.calendlyConnected || !integration.calendlyRefreshToken) {
+      throw new AppError('Calendly is not connected for this app', 400);
+    }
+    const eventTypes = await calendlyService.listEventTypes({
+      appId: String(appId),
+      encryptedRefreshToken: integration.calendlyRefreshToken,
+      encryptedAccessToken: integration.calendlyAccessToken,
+      accessTokenExpiresAt: integration.calendlyTokenExpiresAt,
+      userUri: integration.calendlyUserUri
+    });
+    res.status(200).json({
+      status: 'success',
+      data: { eventTypes, selectedEventTypeUri: integration.calendlyEventTypeUri || null }
+    });
+  } catch (err) {
+    next(err);
+  }
+});
+
+/**
+ * PUT /apps/:appId/calendar/calendly/event-type
+ * Body: { eventTypeUri }. Choose the Calendly event type the bot offers and books.
+ */
+router.put('/apps/:appId/calendar/calendly/event-type', authenticateToken, verifyAppOwnership, async (req, res, next) => {
+  try {
+    const appId = req.appId || req.params.appId;
+    const { error, value } = calendlyEventTypeSchema.validate(req.body, { abortEarly: false, stripUnknown: true });
+    if (error) {
+      const messages = error.details.map(d => d.message);
+      throw new AppError(`Validation failed: ${messages.join(', ')}`, 400);
+    }
+    const integration = await Integration.findOne({ owner: appId })
+      .select('calendlyConnected calendlyRefreshToken calendlyAccessToken calendlyTokenExpiresAt calendlyUserUri')
+      .lean();
+    if (!integration?.calendlyConnected || !integration.calendlyRefreshToken) {
+      throw new AppError('Calendly is not connected for this app', 400);
+    }
+    const eventTypes = await calendlyService.listEventTypes({
+      appId: String(appId),
+      encryptedRefreshToken: integration.calendlyRefreshToken,
+      encryptedAccessToken: integration.calendlyAccessToken,
+      accessTokenExpiresAt: integration.calendlyTokenExpiresAt,
+      userUri: integration.calendlyUserUri
+    });
+    const eventType = eventTypes.find((t) => t.uri === value.eventTypeUri);
+    if (!eventType) throw new AppError('Event type not found in the connected Calendly account', 404);
+
+    await Integration.updateOne(
+      { owner: appId },
+      {
+        $set: {
+          calendlyEventTypeUri: eventType.uri,
+          calendlyEventTypeDuration: eventType.duration || null,
+          calendlySchedulingUrl: eventType.schedulingUrl || null
+        }
+      }
+    );
+    try {
+      await cacheManager.del(cacheManager.getAppContextKey(appId));
+    } catch (_) {}
+
+    res.status(200).json({ status: 'success', message: 'Calendly event type saved', data: { eventType } });
+  } catch (err) {
+    next(err);
+  }
+});
+
+/**
+ * POST /calendar/calendly/webhook/:appId
+ * Calendly invitee.created / invitee.canceled deliveries (public; authenticated by Calendly-Webhook-Signature).
+ */
+router.post('/calendar/calendly/webhook/:appId', async (req, res, next) => {
+  try {
+    const appId = req.params.appId;
+    const integration = /^[a-f0-9]{24}$/i.test(String(appId))
+      ? await Integration.findOne({ owner: appId }).select('calendlyConnected calendlyWebhookSigningKey').lean()
+      : null;
+    const signingKey = integration?.calendlyWebhookSigningKey ? decrypt(integration.calendlyWebhookSigningKey) : null;
+    if (!integration?.calendlyConnected || !signingKey) throw new AppError('Calendly webhook not found', 404);
+    if (!calendlyService.verifyWebhookSignature(signingKey, req.get('Calendly-Webhook-Signature'), req.rawBody)) {
+      throw new AppError('Invalid Calendly signature', 403);
+    }
+
+    await handleCalendlyWebhook(appId, req.body);
+    res.status(200).json({ status: 'success' });
+  } catch (err) {
+    next(err);
+  }
+});
+
+/**
+ * POST /calendar/google/notifications
+ * Google Calendar watch-channel notifications (public; authenticated by the channel token). Google only
+ * says that something changed, so the changed events are listed after acknowledging.
+ */
+router.post('/calendar/google/notifications', async (req, res, next) => {
+  try {
+    const subscription = await CalendarSyncService.verifyGoogleNotification(
+      req.get('X-Goog-Channel-ID'),
+      req.get('X-Goog-Channel-Token')
+    );
+    // Unknown channels get a 404, so Google stops delivering to channels we no longer track.
+    if (!subscription) throw new AppError('Calendar channel not found', 404);
+
+    res.status(200).end();
+    CalendarSyncService.handleGoogleNotification(subscription, req.get('X-Goog-Resource-State')).catch((syncErr) => {
+      logger.error('Google Calendar change sync failed', { appId: String(subscription.owner), error: syncErr.message });
+    });
+  } catch (err) {
+    next(err);
+  }
+});
+
+/**
+ * POST /calendar/outlook/notifications
+ * Microsoft Graph change notifications (public; authenticated by each notification's clientState). Graph
+ * validates the URL when a subscription is created by sending a validationToken that must be echoed back.
+ */
+router.post('/calendar/outlook/notifications', async (req, res, next) => {
+  try {
+    if (req.query.validationToken) {
+      return res.status(200).type('text/plain').send(String(req.query.validationToken));
+    }
+    const verified = await CalendarSyncService.verifyOutlookNotifications(Array.isArray(req.body?.value) ? req.body.value : []);
+    if (verified.length === 0) throw new AppError('Calendar subscription not found', 404);
+
+    // Graph expects an answer within a few seconds; the events are read after acknowledging.
+    res.status(202).end();
+    CalendarSyncService.handleOutlookNotifications(verified).catch((syncErr) => {
+      logger.error('Outlook change sync failed', { error: syncErr.message });
+    });
+  } catch (err) {
+    next(err);
+  }
+});
+
 /**
  * DELETE /apps/:appId/calendar
  * Disconnect calendar: clear tokens and reset all provider-specific flags.
+ * With ?staffId= only that staff member's calendar is disconnected.
  */
 router.delete('/apps/:appId/calendar', authenticateToken, verifyAppOwnership, async (req, res, next) => {
   try {
     const appId = req.appId || req.params.appId;
     if (!appId) return next(new AppError('App ID is required', 400));
 
+    const staffId = resolveStaffId(req, null);
+    if (staffId) {
+      await CalendarSyncService.unsubscribe(appId, { staffId });
+      const result = await StaffMember.updateOne({ _id: staffId, owner: appId }, { $set: CLEARED_STAFF_CALENDAR_FIELDS });
+      if (result.matchedCount === 0) throw new AppError('Staff member not found', 404);
+      logger.info('Calendar disconnected for staff member', { appId, staffId });
+      return res.status(200).json({ status: 'success', data: { calendarConnected: false, staffId } });
+    }
+
+    await releaseCalendlyConnection(appId);
+    await CalendarSyncService.unsubscribe(appId);
     await Integration.findOneAndUpdate(
       { owner: appId },
       {
@@ -369,6 +836,9 @@ router.delete('/apps/:appId/calendar', authenticateToken, verifyAppOwnership, as
         googleCalendarConnected: false,
         outlookCalendarConnected: false,
         calendlyConnected: false,
+        ...CLEARED_CALENDLY_FIELDS,
+        caldavConnected: false,
+        ...CLEARED_CALDAV_FIELDS,
         calendarProvider: null,
         calendarAccountEmail: null,
         googleCalendarTimezone: null
@@ -0,0 +1,134 @@
+const express = require('express');
+const crypto = require('crypto');
+const { AppError } = require('../utils/errorHandler');
+const { authenticateToken } = require('../middleware/auth');
+const { verifyAppOwnership } = require('../middleware/appOwnership');
+const { Integration } = require('../models/Integration');
+const { Appointment } = require('../models/Appointment');
+const { APPOINTMENT_STATUSES } = require('../enums/appointmentStatuses');
+const {
+  resolvePublicBackendBaseUrl,
+  buildBookingEmailContext,
+  toCalendarEvent
+} = require('../services/bookingContextService');
+const { buildCalendar } = require('../utils/icsCalendar');
+const { logger } = require('../utils/logger');
+
+// Per-app iCalendar feed of bot-booked appointments, for owners who subscribe from Apple Calendar
+// (or any client) instead of connecting Google/Outlook. The secret token in the URL is the only credential.
+const router = express.Router();
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+// Past appointments kept in the feed, and the most events a feed returns.
+const FEED_PAST_DAYS = 90;
+const FEED_EVENT_LIMIT = 2000;
+
+function hashToken(token) {
+  return crypto.createHash('sha256').update(String(token)).digest('hex');
+}
+
+function buildFeedUrls(req, token) {
+  const apiPrefix = process.env.API_PREFIX || '/api';
+  const apiVersion = process.env.API_VERSION || 'v1';
+  const url = `${resolvePublicBackendBaseUrl(req)}${apiPrefix}/${apiVersion}/calendar-feed/${token}.ics`;
+  return { url, webcalUrl: url.replace(/^https?:\/\//i, 'webcal://') };
+}
+
+function serializeFeed(integration) {
+  return {
+    enabled: !!integration?.icalFeedTokenHint,
+    tokenHint: integration?.icalFeedTokenHint || null,
+    createdAt: integration?.icalFeedCreatedAt || null
+  };
+}
+
+// Feed status for app (the URL itself is only returned when it is created)
+router.get('/apps/:appId', authenticateToken, verifyAppOwnership, async (req, res, next) => {
+  try {
+    const integration = await Integration.findOne({ owner: req.appId }).select('icalFeedTokenHint icalFeedCreatedAt').lean();
+    res.status(200).json({ status: 'success', data: { feed: serializeFeed(integration) } });
+  } catch (err) { next(err); }
+});
+
+// Create the feed URL, or replace it (the previous URL stops working). The URL is only returned in this response.
+router.post('/apps/:appId', authenticateToken, verifyAppOwnership, async (req, res, next) => {
+  try {
+    const token = `icf_${crypto.randomBytes(24).toString('hex')}`;
+    const integration = await Integration.findOneAndUpdate(
+      { owner: req.appId },
+      {
+        $set: { icalFeedTokenHash: hashToken(token), icalFeedTokenHint: token.slice(-4), icalFeedCreatedAt: new Date() },
+        $setOnInsert: { owner: req.appId }
+      },
+      { new: true, upsert: true, setDefaultsOnInsert: true }
+    );
+    logger.info('Calendar feed URL created', { appId: req.appId });
+    res.status(201).json({
+      status: 'success',
+      message: 'Calendar feed URL created',
+      data: { feed: serializeFeed(integration), ...buildFeedUrls(req, token) }
+    });
+  } catch (err) { next(err); }
+});
+
+// Turn the feed off
+router.delete('/apps/:appId', authenticateToken, verifyAppOwnership, async (req, res, next) => {
+  try {
+    await Integration.updateOne(
+      { owner: req.appId },
+      { $set: { icalFeedTokenHash: null, icalFeedTokenHint: null, icalFeedCreatedAt: null } }
+    );
+    res.status(200).json({ status: 'success', message: 'Calendar feed disabled' });
+  } catch (err) { next(err); }
+});
+
+// The feed itself (public; subscribed to by calendar clients)
+router.get('/:token.ics', async (req, res, next) => {
+  try {
+    const token = String(req.params.token || '');
+    const integration = token.startsWith('icf_')
+      ? await Integration.findOne({ icalFeedTokenHash: hashToken(token) }).select('owner googleCalendarTimezone').lean()
+      : null;
+    if (!integration) throw new AppError('Calendar feed not found', 404);
+
+    const appId = String(integration.owner);
+    const [{ businessData }, appointments] = await Promise.all([
+      buildBookingEmailContext(appId, resolvePublicBackendBaseUrl(req)),
+      Appointment.find({
+        owner: appId,
+        // Bot bookings only; appointments entered in the dashboard are already in the owner's hands.
+        channel: { $ne: 'dashboard' },
+        // Waitlisted attendees have no seat and unpaid bookings may still lapse, so neither is put in the calendar.
+        status: { $nin: [APPOINTMENT_STATUSES.WAITLISTED, APPOINTMENT_STATUSES.PENDING_PAYMENT] },
+        endAt: { $gte: new Date(Date.now() - FEED_PAST_DAYS * DAY_MS) }
+      })
+        .sort({ startAt: 1 })
+        .limit(FEED_EVENT_LIMIT)
+        .lean()
+        .exec()
+    ]);
+
+    const events = appointments.map((appointment) => {
+      const attendee = appointment.attendee || {};
+      const contact = [attendee.name, attendee.email, attendee.phone].filter(Boolean).join(' | ');
+      return {
+        ...toCalendarEvent(appointment, businessData),
+        title: attendee.name ? `${appointment.title || 'Appointment'} – ${attendee.name}` : (appointment.title || 'Appointment'),
+        description: [appointment.description || '', contact ? `Customer: ${contact}` : ''].filter(Boolean).join('\n')
+      };
+    });
+
+    const ics = buildCalendar({
+      method: 'PUBLISH',
+      name: `${businessData.companyName} appointments`,
+      timeZone: integration.googleCalendarTimezone || undefined,
+      events
+    });
+    res.set('Content-Type', 'text/calendar; charset=utf-8');
+    res.set('Content-Disposition', 'inline; filename="appointments.ics"');
+    res.set('Cache-Control', 'private, max-age=300');
+    res.status(200).send(ics);
+  } catch (err) { next(err); }
+});
+
+module.exports = router;
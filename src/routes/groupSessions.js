@@ -0,0 +1,194 @@
+const express = require('express');
+const mongoose = require('mongoose');
+const { AppError } = require('../utils/errorHandler');
+const { authenticateToken } = require('../middleware/auth');
+const { verifyAppOwnership } = require('../middleware/appOwnership');
+const {
+  GroupSession,
+  groupSessionCreateSchema,
+  groupSessionUpdateSchema,
+  groupSessionOccurrencesQuerySchema,
+  groupSessionAttendeesQuerySchema,
+  groupSessionCancelSchema
+} = require('../models/GroupSession');
+const { Appointment } = require('../models/Appointment');
+const { Availability } = require('../models/Availability');
+const { StaffMember } = require('../models/StaffMember');
+const { getServicePlan } = require('../services/servicePlanService');
+const { GroupSessionService, SEAT_STATUSES, listSessionOccurrences } = require('../services/groupSessionService');
+const { resolvePublicBackendBaseUrl } = require('../services/bookingContextService');
+
+const router = express.Router();
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const DEFAULT_OCCURRENCE_RANGE_DAYS = 14;
+const MAX_OCCURRENCE_RANGE_DAYS = 62;
+
+function validate(schema, input) {
+  const { error, value } = schema.validate(input || {}, { abortEarly: false, stripUnknown: true });
+  if (error) {
+    const messages = error.details.map(d => d.message);
+    throw new AppError(`Validation failed: ${messages.join(', ')}`, 400);
+  }
+  return value;
+}
+
+/** Group session of req.appId named by :sessionId, or 404. */
+async function findGroupSession(req) {
+  if (!mongoose.isValidObjectId(req.params.sessionId)) throw new AppError('Invalid group session ID format', 400);
+  const session = await GroupSession.findOne({ _id: req.params.sessionId, owner: req.appId }).exec();
+  if (!session) throw new AppError('Group session not found', 404);
+  return session;
+}
+
+/** Check that the service and staff member a session refers to belong to the app. */
+async function checkReferences(appId, value) {
+  if (value.serviceId) await getServicePlan(appId, value.serviceId);
+  if (value.staffId && !(await StaffMember.exists({ _id: value.staffId, owner: appId }))) {
+    throw new AppError('Staff member not found', 404);
+  }
+}
+
+// List group sessions of app
+router.get('/apps/:appId', authenticateToken, verifyAppOwnership, async (req, res, next) => {
+  try {
+    const filter = { owner: req.appId };
+    if (!req.query.includeInactive) filter.isActive = true;
+    const sessions = await GroupSession.find(filter).sort({ title: 1, createdAt: 1 }).exec();
+    res.status(200).json({ status: 'success', data: { sessions, count: sessions.length } });
+  } catch (err) { next(err); }
+});
+
+// Create a group session; the timezone defaults to the business hours' timezone
+router.post('/apps/:appId', authenticateToken, verifyAppOwnership, async (req, res, next) => {
+  try {
+    const value = validate(groupSessionCreateSchema, req.body);
+    await checkReferences(req.appId, value);
+    if (!value.timezone) {
+      const businessDay = await Availability.findOne({ owner: req.appId, staffId: null }).select('timezone').lean().exec();
+      value.timezone = businessDay?.timezone || 'UTC';
+    }
+    const session = await GroupSession.create({ owner: req.appId, ...value });
+    res.status(201).json({ status: 'success', message: 'Group session created', data: { session } });
+  } catch (err) { next(err); }
+});
+
+// Get a group session
+router.get('/apps/:appId/:sessionId', authenticateToken, verifyAppOwnership, async (req, res, next) => {
+  try {
+    const session = await findGroupSession(req);
+    res.status(200).json({ status: 'success', data: { session } });
+  } catch (err) { next(err); }
+});
+
+// Update a group session. Raising the capacity (or reopening it) gives the new seats to waitlisted attendees.
+// Existing attendees keep their times when the schedule changes.
+router.put('/apps/:appId/:sessionId', authenticateToken, verifyAppOwnership, async (req, res, next) => {
+  try {
+    const value = validate(groupSessionUpdateSchema, req.body);
+    const session = await findGroupSession(req);
+    await checkReferences(req.appId, value);
+    const endDate = value.endDate !== undefined ? value.endDate : session.endDate;
+    if (endDate && endDate < (value.startDate || session.startDate)) {
+      throw new AppError('Validation failed: endDate must not be before startDate', 400);
+    }
+    Object.assign(session, value);
+    await session.save();
+    const promoted = await GroupSessionService.promoteAllWaitlisted(req.appId, session._id, {
+      publicBackendBase: resolvePublicBackendBaseUrl(req)
+    });
+    res.status(200).json({
+      status: 'success',
+      message: 'Group session updated',
+      data: { session, promotedCount: promoted.length }
+    });
+  } catch (err) { next(err); }
+});
+
+// Delete a group session. Not allowed while upcoming occurrences have attendees; deactivate it instead.
+router.delete('/apps/:appId/:sessionId', authenticateToken, verifyAppOwnership, async (req, res, next) => {
+  try {
+    const session = await findGroupSession(req);
+    const upcoming = await Appointment.countDocuments({
+      owner: req.appId,
+      groupSessionId: session._id,
+      status: { $in: SEAT_STATUSES },
+      startAt: { $gt: new Date() }
+    });
+    if (upcoming > 0) {
+      throw new AppError(`This session has ${upcoming} upcoming attendee(s). Cancel them or deactivate the session instead.`, 409);
+    }
+    await GroupSession.deleteOne({ _id: session._id });
+    res.status(200).json({ status: 'success', message: 'Group session deleted' });
+  } catch (err) { next(err); }
+});
+
+// Occurrences of a group session in [from, to] with booked, remaining and waitlisted counts
+router.get('/apps/:appId/:sessionId/occurrences', authenticateToken, verifyAppOwnership, async (req, res, next) => {
+  try {
+    const value = validate(groupSessionOccurrencesQuerySchema, req.query);
+    const session = await findGroupSession(req);
+    const from = value.from ? new Date(value.from) : new Date();
+    const to = value.to ? new Date(value.to) : new Date(from.getTime() + DEFAULT_OCCURRENCE_RANGE_DAYS * DAY_MS);
+    if (to <= from) throw new AppError('"to" must be after "from"', 400);
+    if (to.getTime() - from.getTime() > MAX_OCCURRENCE_RANGE_DAYS * DAY_MS) {
+      throw new AppError(`Occurrence range cannot exceed ${MAX_OCCURRENCE_RANGE_DAYS} days`, 400);
+    }
+    const occurrences = await listSessionOccurrences(req.appId, [session], from, to);
+    res.status(200).json({
+      status: 'success',
+      data: { from: from.toISOString(), to: to.toISOString(), occurrences }
+    });
+  } catch (err) { next(err); }
+});
+
+// Attendees and waitlist of one occurrence (start = the occurrence's start time)
+router.get('/apps/:appId/:sessionId/attendees', authenticateToken, verifyAppOwnership, async (req, res, next) => {
+  try {
+    const value = validate(groupSessionAttendeesQuerySchema, req.query);
+    const session = await findGroupSession(req);
+    const { attendees, waitlist } = await GroupSessionService.listAttendees(req.appId, session._id, value.start);
+    res.status(200).json({
+      status: 'success',
+      data: {
+        start: new Date(value.start).toISOString(),
+        capacity: session.capacity,
+        booked: attendees.length,
+        remaining: Math.max(0, session.capacity - attendees.length),
+        attendees,
+        waitlist
+      }
+    });
+  } catch (err) { next(err); }
+});
+
+// Cancel an attendee's seat or waitlist place; a freed seat goes to the first attendee on the waitlist
+router.delete('/apps/:appId/:sessionId/attendees/:appointmentId', authenticateToken, verifyAppOwnership, async (req, res, next) => {
+  try {
+    const value = validate(groupSessionCancelSchema, req.body);
+    const session = await findGroupSession(req);
+    if (!mongoose.isValidObjectId(req.params.appointmentId)) throw new AppError('Invalid appointment ID format', 400);
+    const appointment = await Appointment.findOne({
+      _id: req.params.appointmentId,
+      owner: req.appId,
+      groupSessionId: session._id,
+      status: { $in: SEAT_STATUSES }
+    }).exec();
+    if (!appointment) throw new AppError('Attendee not found', 404);
+    const { appointment: cancelled, promoted } = await GroupSessionService.cancelSeat(req.appId, appointment, {
+      reason: value.reason || null,
+      publicBackendBase: resolvePublicBackendBaseUrl(req)
+    });
+    if (!cancelled) throw new AppError('Attendee not found', 404);
+    res.status(200).json({
+      status: 'success',
+      message: 'Attendee cancelled',
+      data: {
+        appointment: cancelled,
+        promoted: promoted.map((a) => ({ appointmentId: String(a._id), name: a.attendee?.name || null, email: a.attendee?.email || null }))
+      }
+    });
+  } catch (err) { next(err); }
+});
+
+module.exports = router;
@@ -4,7 +4,8 @@ const { Integration, integrationValidationSchema, integrationUpdateValidationSch
 const { logger } = require('../utils/logger');
 const { AppError } = require('../utils/errorHandler');
 const { authenticateToken, requireUserOrAdmin } = require('../middleware/auth');
-const { verifySignedThirdPartyForParamUser } = require('../middleware/thirdParty');
+const { verifySignedThirdPartyForParamUser, requireThirdPartyScope } = require('../middleware/thirdParty');
+const { THIRD_PARTY_SCOPES } = require('../enums/thirdPartyScopes');
 const { verifyAppOwnership } = require('../middleware/appOwnership');
 const { uploadSingle } = require('../middleware/upload');
 const cacheManager = require('../utils/cache');
@@ -13,7 +14,8 @@ function isAnyCalendarConnected(integration) {
   return !!(
     integration?.googleCalendarConnected ||
     integration?.outlookCalendarConnected ||
-    integration?.calendlyConnected
+    integration?.calendlyConnected ||
+    integration?.caldavConnected
   );
 }
 
@@ -87,6 +89,7 @@ class IntegrationController {
             googleCalendarConnected: !!integration.googleCalendarConnected,
             outlookCalendarConnected: !!integration.outlookCalendarConnected,
             calendlyConnected: !!integration.calendlyConnected,
+            caldavConnected: !!integration.caldavConnected,
             calendarProvider: integration.calendarProvider || null,
             calendarAccountEmail: integration.calendarAccountEmail || null,
             calendarSlotMinutes: integration.calendarSlotMinutes ?? 30,
@@ -349,6 +352,7 @@ class IntegrationController {
             googleCalendarConnected: !!integration.googleCalendarConnected,
             outlookCalendarConnected: !!integration.outlookCalendarConnected,
             calendlyConnected: !!integration.calendlyConnected,
+            caldavConnected: !!integration.caldavConnected,
             calendarProvider: integration.calendarProvider || null,
             calendarAccountEmail: integration.calendarAccountEmail || null,
             calendarSlotMinutes: integration.calendarSlotMinutes ?? 30,
@@ -466,7 +470,7 @@ router.put('/apps/:appId', authenticateToken, verifyAppOwnership, uploadSingle('
 router.get('/apps/:appId/image', authenticateToken, verifyAppOwnership, integrationController.getChatbotImage);
 
 // Public routes (HMAC protected) - for widget access
-router.get('/public/apps/:appId', verifySignedThirdPartyForParamUser, integrationController.getPublicIntegration);
+router.get('/public/apps/:appId', verifySignedThirdPartyForParamUser, requireThirdPartyScope(THIRD_PARTY_SCOPES.CONTEXT_READ), integrationController.getPublicIntegration);
 // Public chatbot image endpoint for email clients and widgets that cannot sign requests.
 router.get('/public/apps/:appId/chatbot-image', integrationController.getChatbotImage);
 
@@ -1,13 +1,43 @@
 const express = require('express');
+const mongoose = require('mongoose');
 const { AppError } = require('../utils/errorHandler');
 const { authenticateToken, requireUserOrAdmin } = require('../middleware/auth');
-const { verifySignedThirdPartyForParamUser } = require('../middleware/thirdParty');
+const { verifySignedThirdPartyForParamUser, requireThirdPartyScope } = require('../middleware/thirdParty');
+const { THIRD_PARTY_SCOPES } = require('../enums/thirdPartyScopes');
 const { verifyAppOwnership } = require('../middleware/appOwnership');
-const { App } = require('../models/App');
+const { App, leadPipelineUpdateSchema } = require('../models/App');
 const { User } = require('../models/User');
 const { Integration } = require('../models/Integration');
-const { Lead, leadCreateSchema, leadQuerySchema, leadUpdateSchema } = require('../models/Lead');
+const {
+  Lead,
+  leadCreateSchema,
+  leadQuerySchema,
+  leadUpdateSchema,
+  leadExportQuerySchema,
+  leadStageUpdateSchema,
+  leadAssignSchema,
+  leadAnalyticsQuerySchema,
+  leadDuplicateGroupsQuerySchema,
+  leadMergeSchema
+} = require('../models/Lead');
 const { LeadReadState } = require('../models/LeadReadState');
+const { LeadActivity, leadActivityCreateSchema, leadActivityQuerySchema } = require('../models/LeadActivity');
+const { LeadPipelineService } = require('../services/leadPipelineService');
+const { LeadDuplicateService } = require('../services/leadDuplicateService');
+const { buildLeadFilter, buildLeadSort, searchLeads } = require('../services/leadSearchService');
+const { LeadAnalyticsService, isValidTimezone } = require('../services/leadAnalyticsService');
+const { LEAD_ACTIVITY_TYPES } = require('../enums/leadPipeline');
+const { WebhookService } = require('../services/webhookService');
+const { WEBHOOK_EVENTS } = require('../enums/webhookEvents');
+const { uploadSpreadsheetSingle } = require('../middleware/upload');
+const {
+  MAX_IMPORT_ROWS,
+  buildExportColumns,
+  streamLeadsCsv,
+  streamLeadsXlsx,
+  parseImportFile,
+  importRecordToLead
+} = require('../services/leadExportService');
 const EmailService = require('../utils/emailService');
 const { logger } = require('../utils/logger');
 const websocketServer = require('../utils/websocketServer');
@@ -48,6 +78,8 @@ function buildLeadBroadcastPayload(lead) {
     serviceType: lead.serviceType,
     sourceChannel: lead.sourceChannel,
     status: lead.status,
+    pipelineStage: lead.pipelineStage,
+    assignedTo: lead.assignedTo,
     location: lead.location,
     clientContext: lead.clientContext,
     initialInteraction: lead.initialInteraction,
@@ -81,6 +113,30 @@ function hasCompletedWorkflowData(lead) {
   return isCompleted && hasHistory;
 }
 
+function leadWebhookState(lead) {
+  return { qualified: hasQualifiedLeadData(lead), completed: hasCompletedWorkflowData(lead) };
+}
+
+/**
+ * Publish a lead write: `lead_updated` on WebSocket for updates, plus outbound webhooks.
+ * `previous` is null for a new lead, otherwise the leadWebhookState() taken before the update
+ * so qualified/completed fire only on the transition.
+ */
+async function publishLeadEvents(lead, previous = null, userId = null) {
+  const payload = buildLeadBroadcastPayload(lead);
+  if (previous) websocketServer.broadcastLeadUpdated(userId, payload);
+  if (!lead?.appId) return;
+  const data = { lead: payload };
+  await WebhookService.emit(lead.appId, previous ? WEBHOOK_EVENTS.LEAD_UPDATED : WEBHOOK_EVENTS.LEAD_CREATED, data);
+  const current = leadWebhookState(lead);
+  if (current.qualified && !previous?.qualified) {
+    await WebhookService.emit(lead.appId, WEBHOOK_EVENTS.LEAD_QUALIFIED, data);
+  }
+  if (current.completed && !previous?.completed) {
+    await WebhookService.emit(lead.appId, WEBHOOK_EVENTS.LEAD_COMPLETED, data);
+  }
+}
+
 function getFrontendBaseUrl() {
   return (process.env.FRONTEND_BASE_URL || process.env.FRONTEND_URL || 'http://localhost:3000').replace(/\/$/, '');
 }
@@ -252,6 +308,14 @@ async function canAccessLead(lead, userId, userRole, reqAppId) {
   return false;
 }
 
+/** Load a lead that belongs to the given app, or throw a 400/404 AppError. */
+async function findLeadInApp(appId, leadId) {
+  if (!mongoose.isValidObjectId(leadId)) throw new AppError('Invalid lead ID format', 400);
+  const lead = await Lead.findOne({ _id: leadId, appId });
+  if (!lead) throw new AppError('Lead not found', 404);
+  return lead;
+}
+
 // Create lead for app - NEW APP-SCOPED ROUTE
 router.post('/apps/:appId', authenticateToken, verifyAppOwnership, async (req, res, next) => {
   try {
@@ -263,10 +327,17 @@ router.post('/apps/:appId', authenticateToken, verifyAppOwnership, async (req, r
     const appId = req.appId;
     const userId = req.user.id;
     const ctx = buildClientContextFromReq(req);
-    const lead = new Lead({ appId, ...value, clientContext: mergeClientContext(value.clientContext, ctx) });
+    const lead = new Lead({
+      appId,
+      ...value,
+      pipelineStage: LeadPipelineService.getInitialStageKey(req.app),
+      clientContext: mergeClientContext(value.clientContext, ctx)
+    });
     await lead.save();
+    await LeadPipelineService.recordCreated(lead, LeadPipelineService.actorFromRequest(req));
     await maybeSendQualifiedLeadEmail(lead);
     await maybeSendCompletedWorkflowEmail(lead);
+    await publishLeadEvents(lead);
     
     // Broadcast new lead to user via WebSocket
     websocketServer.broadcastToUser(userId, {
@@ -293,8 +364,10 @@ router.post('/', authenticateToken, requireUserOrAdmin, async (req, res, next) =
     leadData.clientContext = mergeClientContext(value.clientContext, ctx);
     const lead = new Lead(leadData);
     await lead.save();
+    await LeadPipelineService.recordCreated(lead, LeadPipelineService.actorFromRequest(req));
     await maybeSendQualifiedLeadEmail(lead);
     await maybeSendCompletedWorkflowEmail(lead);
+    await publishLeadEvents(lead);
     
     // Broadcast new lead to user via WebSocket
     websocketServer.broadcastToUser(userId, {
@@ -314,7 +387,16 @@ router.get('/:id', authenticateToken, requireUserOrAdmin, async (req, res, next)
     if (!lead) return next(new AppError('Lead not found', 404));
     const allowed = await canAccessLead(lead, req.user.id, req.user.role, req.appId);
     if (!allowed) return next(new AppError('Insufficient permissions', 403));
-    res.status(200).json({ status: 'success', data: { lead } });
+    const duplicates = await LeadDuplicateService.findDuplicates(lead, { limit: 10 });
+    const possibleDuplicates = duplicates.map((d) => ({
+      _id: d._id,
+      leadName: d.leadName,
+      sourceChannel: d.sourceChannel,
+      status: d.status,
+      createdAt: d.createdAt,
+      matchedOn: d.matchedOn
+    }));
+    res.status(200).json({ status: 'success', data: { lead, possibleDuplicates } });
   } catch (err) { next(err); }
 });
 
@@ -382,6 +464,487 @@ router.post('/apps/:appId/read-state/mark', authenticateToken, verifyAppOwnershi
   } catch (err) { next(err); }
 });
 
+// Stream leads for app as CSV or XLSX, using the same filters as the list endpoint
+router.get('/apps/:appId/export', authenticateToken, verifyAppOwnership, async (req, res, next) => {
+  try {
+    const { error, value } = leadExportQuerySchema.validate(req.query, { abortEarly: false, stripUnknown: true });
+    if (error) {
+      const messages = error.details.map(d => d.message);
+      throw new AppError(`Validation failed: ${messages.join(', ')}`, 400);
+    }
+
+    const filter = buildLeadFilter({ appId: req.appId }, value);
+    const columns = buildExportColumns({ includeHistory: value.includeHistory });
+    const { sort, projection } = buildLeadSort(value);
+    const query = Lead.find(filter, projection).sort(sort);
+    if (!value.includeHistory) query.select('-history');
+    const cursor = query.lean().cursor({ batchSize: 500 });
+
+    const safeName = String(req.app?.name || 'leads').toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '') || 'leads';
+    const filename = `${safeName}-leads-${new Date().toISOString().slice(0, 10)}.${value.format}`;
+    res.setHeader('Content-Disposition', `attachment; filename="${filename}"`);
+    res.setHeader('Cache-Control', 'no-store');
+
+    try {
+      let count;
+      if (value.format === 'xlsx') {
+        res.setHeader('Content-Type', 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet');
+        count = await streamLeadsXlsx(cursor, res, columns);
+      } else {
+        res.setHeader('Content-Type', 'text/csv; charset=utf-8');
+        count = await streamLeadsCsv(cursor, res, columns);
+      }
+      logger.info('Lead export completed', { appId: req.appId, format: value.format, count });
+    } catch (streamErr) {
+      logger.error('Lead export failed', { appId: req.appId, format: value.format, error: streamErr.message });
+      await cursor.close().catch(() => {});
+      // Headers (and possibly rows) are already on the wire; abort so the client sees a failed download.
+      if (res.headersSent) return res.destroy(streamErr);
+      throw streamErr;
+    }
+  } catch (err) { next(err); }
+});
+
+// Bulk import leads for app from CSV/XLSX. ?dryRun=true validates and reports without writing.
+router.post('/apps/:appId/import', authenticateToken, verifyAppOwnership, uploadSpreadsheetSingle('file'), async (req, res, next) => {
+  try {
+    if (!req.file) throw new AppError('No file provided', 400);
+    const appId = req.appId;
+    const dryRun = String(req.query.dryRun ?? req.body?.dryRun ?? '').toLowerCase() === 'true';
+
+    let parsed;
+    try {
+      parsed = await parseImportFile(req.file);
+    } catch (parseErr) {
+      throw new AppError(`Could not read import file: ${parseErr.message}`, 400);
+    }
+    const { records, unknownHeaders } = parsed;
+    if (records.length === 0) throw new AppError('Import file has no data rows', 400);
+    if (records.length > MAX_IMPORT_ROWS) {
+      throw new AppError(`Import file has ${records.length} rows; the maximum is ${MAX_IMPORT_ROWS}`, 400);
+    }
+
+    const emailRegex = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+    const initialStage = LeadPipelineService.getInitialStageKey(req.app);
+    const report = [];
+    const docs = [];
+
+    for (const record of records) {
+      const errors = [];
+      const { leadDateTime, pipelineStage, ...payload } = importRecordToLead(record.values);
+
+      if (payload.leadEmail && !emailRegex.test(payload.leadEmail)) errors.push(`Invalid email: ${payload.leadEmail}`);
+      if (!payload.leadName && !payload.leadEmail && !payload.leadPhoneNumber) {
+        errors.push('At least one of name, email or phone is required');
+      }
+
+      let stageKey = initialStage;
+      if (pipelineStage) {
+        const stage = LeadPipelineService.getStage(req.app, pipelineStage)
+          || LeadPipelineService.getStages(req.app).find((s) => s.label.toLowerCase() === String(pipelineStage).toLowerCase());
+        if (stage) stageKey = stage.key;
+        else errors.push(`Unknown pipeline stage: ${pipelineStage}`);
+      }
+
+      let occurredAt = null;
+      if (leadDateTime) {
+        occurredAt = new Date(leadDateTime);
+        if (Number.isNaN(occurredAt.getTime())) errors.push(`Invalid lead date: ${leadDateTime}`);
+      }
+
+      const { error, value } = leadCreateSchema.validate(payload, { abortEarly: false, stripUnknown: true });
+      if (error) errors.push(...error.details.map(d => d.message));
+
+      if (errors.length === 0) {
+        const lead = new Lead({
+          appId,
+          sourceChannel: 'import',
+          ...value,
+          pipelineStage: stageKey,
+          ...(occurredAt ? { leadDateTime: occurredAt, createdAt: occurredAt } : {})
+        });
+        const validationError = lead.validateSync();
+        if (validationError) {
+          errors.push(...Object.values(validationError.errors).map((e) => e.message));
+        } else {
+          docs.push({ rowNumber: record.rowNumber, lead });
+        }
+      }
+
+      report.push({ row: record.rowNumber, status: errors.length ? 'invalid' : (dryRun ? 'valid' : 'created'), errors });
+    }
+
+    let imported = 0;
+    let failed = 0;
+    if (!dryRun && docs.length > 0) {
+      const CHUNK = 500;
+      const reportByRow = new Map(report.map((r) => [r.row, r]));
+      for (let i = 0; i < docs.length; i += CHUNK) {
+        const chunk = docs.slice(i, i + CHUNK);
+        // Unordered, so one bad row (e.g. a duplicate key) does not stop the rest of the chunk.
+        let writeErrors = [];
+        try {
+          await Lead.insertMany(chunk.map((d) => d.lead), { ordered: false });
+        } catch (insertErr) {
+          if (insertErr.name !== 'MongoBulkWriteError') throw insertErr;
+          writeErrors = [].concat(insertErr.writeErrors || []);
+        }
+        const failedIndexes = new Set();
+        for (const writeError of writeErrors) {
+          failedIndexes.add(writeError.index);
+          const row = reportByRow.get(chunk[writeError.index].rowNumber);
+          row.status = 'failed';
+          // Mongoose re-maps the driver's WriteErrors to plain objects; the details stay under err.
+          const { code, errmsg } = writeError.err || writeError;
+          row.errors.push(code === 11000 ? 'Duplicate of an existing lead' : errmsg);
+        }
+        const inserted = chunk.filter((d, index) => !failedIndexes.has(index));
+        if (inserted.length > 0) {
+          await LeadPipelineService.recordImported(inserted.map((d) => d.lead), LeadPipelineService.actorFromRequest(req));
+        }
+        inserted.forEach((d) => { reportByRow.get(d.rowNumber).leadId = String(d.lead._id); });
+        imported += inserted.length;
+        failed += failedIndexes.size;
+      }
+      logger.info('Lead import completed', { appId, imported, failed, invalid: records.length - docs.length });
+    }
+
+    res.status(dryRun ? 200 : 201).json({
+      status: 'success',
+      message: dryRun ? 'Import validated' : 'Import completed',
+      data: {
+        dryRun,
+        summary: {
+          totalRows: records.length,
+          valid: docs.length,
+          invalid: records.length - docs.length,
+          imported,
+          failed
+        },
+        unknownHeaders,
+        rows: report
+      }
+    });
+  } catch (err) { next(err); }
+});
+
+// Get pipeline stages and team members for app
+router.get('/apps/:appId/pipeline', authenticateToken, verifyAppOwnership, async (req, res, next) => {
+  try {
+    res.status(200).json({
+      status: 'success',
+      data: {
+        stages: LeadPipelineService.getStages(req.app),
+        teamMembers: req.app.teamMembers || []
+      }
+    });
+  } catch (err) { next(err); }
+});
+
+// Replace pipeline stages and/or team members for app
+router.put('/apps/:appId/pipeline', authenticateToken, verifyAppOwnership, async (req, res, next) => {
+  try {
+    const { error, value } = leadPipelineUpdateSchema.validate(req.body, { abortEarly: false, stripUnknown: true });
+    if (error) {
+      const messages = error.details.map(d => d.message);
+      throw new AppError(`Validation failed: ${messages.join(', ')}`, 400);
+    }
+    const app = req.app;
+    const appId = req.appId;
+
+    if (value.stages) {
+      const nextKeys = new Set(value.stages.map((s) => s.key));
+      const usedKeys = await Lead.distinct('pipelineStage', { appId });
+      const removedInUse = usedKeys.filter((k) => k && !nextKeys.has(k));
+      if (removedInUse.length > 0) {
+        throw new AppError(`Cannot remove stages that still have leads: ${removedInUse.join(', ')}`, 400);
+      }
+      app.leadPipelineStages = value.stages.map((s, index) => ({
+        key: s.key,
+        label: s.label,
+        order: Number.isInteger(s.order) ? s.order : index,
+        outcome: s.outcome || 'open',
+        color: s.color || null
+      }));
+    }
+
+    if (value.teamMembers) {
+      const existingById = new Map((app.teamMembers || []).map((m) => [String(m._id), m]));
+      const nextMembers = value.teamMembers.map((m) => {
+        const existing = m._id ? existingById.get(String(m._id)) : null;
+        if (m._id && !existing) throw new AppError(`Unknown team member: ${m._id}`, 400);
+        return {
+          ...(existing ? { _id: existing._id, addedAt: existing.addedAt } : {}),
+          name: m.name,
+          email: m.email || null,
+          userId: m.userId && mongoose.isValidObjectId(m.userId) ? m.userId : null,
+          isActive: m.isActive !== false
+        };
+      });
+      const keptIds = new Set(nextMembers.filter((m) => m._id).map((m) => String(m._id)));
+      const removedIds = [...existingById.keys()].filter((id) => !keptIds.has(id));
+      if (removedIds.length > 0) {
+        const assigned = await Lead.countDocuments({ appId, assignedTo: { $in: removedIds } });
+        if (assigned > 0) {
+          throw new AppError('Cannot remove team members that still have assigned leads; deactivate them instead', 400);
+        }
+      }
+      app.teamMembers = nextMembers;
+    }
+
+    await app.save();
+    res.status(200).json({
+      status: 'success',
+      message: 'Pipeline updated',
+      data: {
+        stages: LeadPipelineService.getStages(app),
+        teamMembers: app.teamMembers
+      }
+    });
+  } catch (err) { next(err); }
+});
+
+// Move a lead to another pipeline stage
+router.patch('/apps/:appId/:leadId/stage', authenticateToken, verifyAppOwnership, async (req, res, next) => {
+  try {
+    const { error, value } = leadStageUpdateSchema.validate(req.body, { abortEarly: false, stripUnknown: true });
+    if (error) {
+      const messages = error.details.map(d => d.message);
+      throw new AppError(`Validation failed: ${messages.join(', ')}`, 400);
+    }
+    const stage = LeadPipelineService.getStage(req.app, value.stage);
+    if (!stage) throw new AppError(`Unknown pipeline stage: ${value.stage}`, 400);
+
+    const lead = await findLeadInApp(req.appId, req.params.leadId);
+    const before = LeadPipelineService.snapshot(lead);
+    lead.pipelineStage = stage.key;
+    await lead.save();
+
+    const actor = LeadPipelineService.actorFromRequest(req);
+    const changes = LeadPipelineService.diff(before, lead);
+    if (changes.length > 0) {
+      await LeadPipelineService.record(lead, {
+        ...actor,
+        type: LEAD_ACTIVITY_TYPES.STAGE_CHANGE,
+        message: value.note || null,
+        changes,
+        metadata: { outcome: stage.outcome }
+      });
+      await publishLeadEvents(lead, leadWebhookState(lead), req.user.id);
+    }
+    res.status(200).json({ status: 'success', message: 'Lead stage updated', data: { lead } });
+  } catch (err) { next(err); }
+});
+
+// Assign a lead to a team member (assigneeId null to unassign)
+router.patch('/apps/:appId/:leadId/assignee', authenticateToken, verifyAppOwnership, async (req, res, next) => {
+  try {
+    const { error, value } = leadAssignSchema.validate(req.body, { abortEarly: false, stripUnknown: true });
+    if (error) {
+      const messages = error.details.map(d => d.message);
+      throw new AppError(`Validation failed: ${messages.join(', ')}`, 400);
+    }
+    let member = null;
+    if (value.assigneeId) {
+      member = LeadPipelineService.getTeamMember(req.app, value.assigneeId);
+      if (!member) throw new AppError('Team member not found', 404);
+      if (member.isActive === false) throw new AppError('Team member is inactive', 400);
+    }
+
+    const lead = await findLeadInApp(req.appId, req.params.leadId);
+    const before = LeadPipelineService.snapshot(lead);
+    lead.assignedTo = member ? member._id : null;
+    lead.assignedAt = member ? new Date() : null;
+    await lead.save();
+
+    const changes = LeadPipelineService.diff(before, lead);
+    if (changes.length > 0) {
+      await LeadPipelineService.record(lead, {
+        ...LeadPipelineService.actorFromRequest(req),
+        type: LEAD_ACTIVITY_TYPES.ASSIGNMENT,
+        message: value.note || null,
+        changes,
+        metadata: { assigneeName: member ? member.name : null }
+      });
+      await publishLeadEvents(lead, leadWebhookState(lead), req.user.id);
+    }
+    res.status(200).json({ status: 'success', message: member ? 'Lead assigned' : 'Lead unassigned', data: { lead } });
+  } catch (err) { next(err); }
+});
+
+// Lead analytics for app: totals, conversion funnel, booking rate, feedback, breakdowns and time series
+router.get('/apps/:appId/analytics', authenticateToken, verifyAppOwnership, async (req, res, next) => {
+  try {
+    const { error, value } = leadAnalyticsQuerySchema.validate(req.query, { abortEarly: false, stripUnknown: true });
+    if (error) {
+      const messages = error.details.map(d => d.message);
+      throw new AppError(`Validation failed: ${messages.join(', ')}`, 400);
+    }
+    if (value.timezone && !isValidTimezone(value.timezone)) {
+      throw new AppError(`Invalid timezone: ${value.timezone}`, 400);
+    }
+
+    const to = value.to ? new Date(value.to) : new Date();
+    const from = value.from ? new Date(value.from) : new Date(to.getTime() - 30 * 24 * 60 * 60 * 1000);
+    if (from > to) throw new AppError('from must be before to', 400);
+    const maxDays = { day: 366, week: 3 * 366, month: 10 * 366 }[value.interval];
+    if (to - from > maxDays * 24 * 60 * 60 * 1000) {
+      throw new AppError(`Date range too large for ${value.interval} buckets (max ${maxDays} days)`, 400);
+    }
+
+    const timezone = value.timezone || await LeadAnalyticsService.resolveTimezone(req.appId);
+    const analytics = await LeadAnalyticsService.getCachedAnalytics(req.appId, {
+      from,
+      to,
+      interval: value.interval,
+      timezone,
+      sourceChannel: value.sourceChannel,
+      leadType: value.leadType,
+      serviceType: value.serviceType,
+      topClickedItems: value.topClickedItems
+    });
+    res.status(200).json({ status: 'success', data: analytics });
+  } catch (err) { next(err); }
+});
+
+// Groups of leads in the app that share a phone number or email
+router.get('/apps/:appId/duplicates', authenticateToken, verifyAppOwnership, async (req, res, next) => {
+  try {
+    const { error, value } = leadDuplicateGroupsQuerySchema.validate(req.query, { abortEarly: false, stripUnknown: true });
+    if (error) {
+      const messages = error.details.map(d => d.message);
+      throw new AppError(`Validation failed: ${messages.join(', ')}`, 400);
+    }
+    await LeadDuplicateService.ensureIdentityKeys(req.appId);
+    const { page, limit } = value;
+    const { groups, total } = await LeadDuplicateService.findDuplicateGroups(req.appId, { page, limit });
+    const totalPages = Math.ceil(total / limit);
+    res.status(200).json({
+      status: 'success',
+      data: {
+        groups,
+        pagination: {
+          page,
+          limit,
+          total,
+          totalPages,
+          hasNextPage: page < totalPages,
+          hasPrevPage: page > 1
+        }
+      }
+    });
+  } catch (err) { next(err); }
+});
+
+// Possible duplicates of a lead (same normalized phone or email, any channel)
+router.get('/apps/:appId/:leadId/duplicates', authenticateToken, verifyAppOwnership, async (req, res, next) => {
+  try {
+    const lead = await findLeadInApp(req.appId, req.params.leadId);
+    await LeadDuplicateService.ensureIdentityKeys(req.appId);
+    const duplicates = await LeadDuplicateService.findDuplicates(lead);
+    res.status(200).json({ status: 'success', data: { duplicates } });
+  } catch (err) { next(err); }
+});
+
+// Merge other leads into this one; the merged leads are deleted and kept as snapshots in the audit trail
+router.post('/apps/:appId/:leadId/merge', authenticateToken, verifyAppOwnership, async (req, res, next) => {
+  try {
+    const { error, value } = leadMergeSchema.validate(req.body, { abortEarly: false, stripUnknown: true });
+    if (error) {
+      const messages = error.details.map(d => d.message);
+      throw new AppError(`Validation failed: ${messages.join(', ')}`, 400);
+    }
+    const survivor = await findLeadInApp(req.appId, req.params.leadId);
+    if (value.sourceLeadIds.includes(String(survivor._id))) {
+      throw new AppError('A lead cannot be merged into itself', 400);
+    }
+    const sources = await Lead.find({ _id: { $in: value.sourceLeadIds }, appId: req.appId });
+    if (sources.length !== value.sourceLeadIds.length) {
+      const found = new Set(sources.map((s) => String(s._id)));
+      const missing = value.sourceLeadIds.filter((id) => !found.has(id));
+      throw new AppError(`Leads not found in this app: ${missing.join(', ')}`, 404);
+    }
+
+    const webhookState = leadWebhookState(survivor);
+    const { lead, merge } = await LeadDuplicateService.merge(
+      survivor,
+      sources,
+      LeadPipelineService.actorFromRequest(req),
+      value.note || null
+    );
+    await WebhookService.emit(lead.appId, WEBHOOK_EVENTS.LEAD_MERGED, {
+      lead: buildLeadBroadcastPayload(lead),
+      mergedLeadIds: merge.mergedLeadIds
+    });
+    await publishLeadEvents(lead, webhookState, req.user.id);
+
+    res.status(200).json({
+      status: 'success',
+      message: 'Leads merged',
+      data: { lead, mergeId: merge._id, mergedLeadIds: merge.mergedLeadIds }
+    });
+  } catch (err) { next(err); }
+});
+
+// Activity timeline for a lead (newest first)
+router.get('/apps/:appId/:leadId/activities', authenticateToken, verifyAppOwnership, async (req, res, next) => {
+  try {
+    const { error, value } = leadActivityQuerySchema.validate(req.query, { abortEarly: false, stripUnknown: true });
+    if (error) {
+      const messages = error.details.map(d => d.message);
+      throw new AppError(`Validation failed: ${messages.join(', ')}`, 400);
+    }
+    const lead = await findLeadInApp(req.appId, req.params.leadId);
+
+    const filter = { leadId: lead._id };
+    if (value.type) filter.type = value.type;
+
+    const page = value.page;
+    const limit = value.limit;
+    const skip = (page - 1) * limit;
+
+    const [items, total] = await Promise.all([
+      LeadActivity.find(filter).sort({ occurredAt: -1, _id: -1 }).skip(skip).limit(limit).lean(),
+      LeadActivity.countDocuments(filter)
+    ]);
+
+    res.status(200).json({
+      status: 'success',
+      data: {
+        activities: items,
+        pagination: {
+          page,
+          limit,
+          total,
+          totalPages: Math.ceil(total / limit),
+          hasNextPage: skip + items.length < total,
+          hasPrevPage: page > 1
+        }
+      }
+    });
+  } catch (err) { next(err); }
+});
+
+// Log a note, call, email or meeting on a lead's timeline
+router.post('/apps/:appId/:leadId/activities', authenticateToken, verifyAppOwnership, async (req, res, next) => {
+  try {
+    const { error, value } = leadActivityCreateSchema.validate(req.body, { abortEarly: false, stripUnknown: true });
+    if (error) {
+      const messages = error.details.map(d => d.message);
+      throw new AppError(`Validation failed: ${messages.join(', ')}`, 400);
+    }
+    const lead = await findLeadInApp(req.appId, req.params.leadId);
+    const activity = await LeadPipelineService.record(lead, {
+      ...LeadPipelineService.actorFromRequest(req),
+      type: value.type,
+      message: value.message,
+      metadata: value.metadata || {},
+      occurredAt: value.occurredAt ? new Date(value.occurredAt) : new Date()
+    });
+    res.status(201).json({ status: 'success', message: 'Activity logged', data: { activity } });
+  } catch (err) { next(err); }
+});
+
 // Paginated list by app (auth; owner/admin) with filters - NEW APP-SCOPED ROUTE
 router.get('/apps/:appId', authenticateToken, verifyAppOwnership, async (req, res, next) => {
   try {
@@ -394,34 +957,17 @@ router.get('/apps/:appId', authenticateToken, verifyAppOwnership, async (req, re
       throw new AppError(`Validation failed: ${messages.join(', ')}`, 400);
     }
 
-    const conditions = [ { appId } ];
-    if (value.leadType) conditions.push({ leadType: value.leadType });
-    if (value.serviceType) conditions.push({ serviceType: value.serviceType });
-    if (value.sourceChannel) conditions.push({ sourceChannel: value.sourceChannel });
-    if (value.status) conditions.push({ status: value.status });
-    if (value.q && String(value.q).trim().length > 0) {
-      const needle = String(value.q).trim();
-      const rx = new RegExp(needle.replace(/[.*+?^${}()|[\]\\]/g, '\\$&'), 'i');
-      conditions.push({ $or: [ { title: rx }, { summary: rx }, { description: rx } ] });
-    }
-    const filter = conditions.length > 1 ? { $and: conditions } : conditions[0];
-
     const page = Number(value.page);
     const limit = Number(value.limit);
     const skip = (page - 1) * limit;
 
-    const sortField = value.sortBy;
-    const sortDir = value.sortOrder === 'asc' ? 1 : -1;
-
-    const [items, total] = await Promise.all([
-      Lead.find(filter).sort({ [sortField]: sortDir }).skip(skip).limit(limit).exec(),
-      Lead.countDocuments(filter)
-    ]);
+    const { leads: items, total, facets } = await searchLeads({ appId }, value);
 
     res.status(200).json({
       status: 'success',
       data: {
         leads: items,
+        facets,
         pagination: {
           page,
           limit,
@@ -448,34 +994,17 @@ router.get('/user/:userId', authenticateToken, requireUserOrAdmin, async (req, r
       throw new AppError(`Validation failed: ${messages.join(', ')}`, 400);
     }
 
-    const conditions = [ { userId } ];
-    if (value.leadType) conditions.push({ leadType: value.leadType });
-    if (value.serviceType) conditions.push({ serviceType: value.serviceType });
-    if (value.sourceChannel) conditions.push({ sourceChannel: value.sourceChannel });
-    if (value.status) conditions.push({ status: value.status });
-    if (value.q && String(value.q).trim().length > 0) {
-      const needle = String(value.q).trim();
-      const rx = new RegExp(needle.replace(/[.*+?^${}()|[\]\\]/g, '\\$&'), 'i');
-      conditions.push({ $or: [ { title: rx }, { summary: rx }, { description: rx } ] });
-    }
-    const filter = conditions.length > 1 ? { $and: conditions } : conditions[0];
-
     const page = Number(value.page);
     const limit = Number(value.limit);
     const skip = (page - 1) * limit;
 
-    const sortField = value.sortBy;
-    const sortDir = value.sortOrder === 'asc' ? 1 : -1;
-
-    const [items, total] = await Promise.all([
-      Lead.find(filter).sort({ [sortField]: sortDir }).skip(skip).limit(limit).exec(),
-      Lead.countDocuments(filter)
-    ]);
+    const { leads: items, total, facets } = await searchLeads({ userId }, value);
 
     res.status(200).json({
       status: 'success',
       data: {
         leads: items,
+        facets,
         pagination: {
           page,
           limit,
@@ -506,10 +1035,14 @@ router.put('/:id', authenticateToken, requireUserOrAdmin, async (req, res, next)
     const allowed = await canAccessLead(lead, req.user.id, req.user.role, req.appId);
     if (!allowed) return next(new AppError('Insufficient permissions', 403));
 
+    const before = LeadPipelineService.snapshot(lead);
+    const webhookState = leadWebhookState(lead);
     Object.assign(lead, value);
     await lead.save();
+    await LeadPipelineService.recordChanges(lead, before, LeadPipelineService.actorFromRequest(req));
     await maybeSendQualifiedLeadEmail(lead);
     await maybeSendCompletedWorkflowEmail(lead);
+    await publishLeadEvents(lead, webhookState, req.user.id);
     res.status(200).json({ status: 'success', message: 'Lead updated', data: { lead } });
   } catch (err) { next(err); }
 });
@@ -524,12 +1057,13 @@ router.delete('/:id', authenticateToken, requireUserOrAdmin, async (req, res, ne
     const allowed = await canAccessLead(lead, req.user.id, req.user.role, req.appId);
     if (!allowed) return next(new AppError('Insufficient permissions', 403));
     await Lead.deleteOne({ _id: id });
+    await LeadActivity.deleteMany({ leadId: id });
     res.status(200).json({ status: 'success', message: 'Lead deleted' });
   } catch (err) { next(err); }
 });
 
 // HMAC public create for a specific user (no JWT)
-router.post('/public/:userId', verifySignedThirdPartyForParamUser, async (req, res, next) => {
+router.post('/public/:userId', verifySignedThirdPartyForParamUser, requireThirdPartyScope(THIRD_PARTY_SCOPES.LEADS_WRITE), async (req, res, next) => {
   try {
     const { userId } = req.params;
     const { error, value } = leadCreateSchema.validate(req.body, { abortEarly: false, stripUnknown: true });
@@ -567,20 +1101,30 @@ router.post('/public/:userId', verifySignedThirdPartyForParamUser, async (req, r
       // creates (AI egress) do not permanently mask the visitor IP / user-agent.
       const incomingCtx = mergeClientContext(value.clientContext, ctx);
       mergeData.clientContext = { ...(existingOpenLead.clientContext || {}), ...incomingCtx };
+      const before = LeadPipelineService.snapshot(existingOpenLead);
+      const webhookState = leadWebhookState(existingOpenLead);
       Object.assign(existingOpenLead, mergeData);
       await existingOpenLead.save();
+      await LeadPipelineService.recordChanges(existingOpenLead, before, { actorType: 'ai' });
       await maybeSendQualifiedLeadEmail(existingOpenLead);
       await maybeSendCompletedWorkflowEmail(existingOpenLead);
+      await publishLeadEvents(existingOpenLead, webhookState, userId);
       websocketServer.broadcastToUser(userId, { lead: buildLeadBroadcastPayload(existingOpenLead) });
       return res.status(200).json({ status: 'success', message: 'Lead reused', data: { lead: existingOpenLead } });
     }
 
     // Accept appId from body for app-scoped leads (from widget).
     const leadData = { userId, ...value, clientContext: mergeClientContext(value.clientContext, ctx) };
+    if (value.appId && mongoose.isValidObjectId(value.appId)) {
+      const app = await App.findById(value.appId).select('leadPipelineStages').lean();
+      leadData.pipelineStage = LeadPipelineService.getInitialStageKey(app);
+    }
     const lead = new Lead(leadData);
     await lead.save();
+    await LeadPipelineService.recordCreated(lead, { actorType: 'ai' });
     await maybeSendQualifiedLeadEmail(lead);
     await maybeSendCompletedWorkflowEmail(lead);
+    await publishLeadEvents(lead);
     
     // Broadcast new lead to user via WebSocket
     websocketServer.broadcastToUser(userId, {
@@ -592,7 +1136,7 @@ router.post('/public/:userId', verifySignedThirdPartyForParamUser, async (req, r
 });
 
 // HMAC public partial update (no JWT)
-router.patch('/public/:userId/:leadId', verifySignedThirdPartyForParamUser, async (req, res, next) => {
+router.patch('/public/:userId/:leadId', verifySignedThirdPartyForParamUser, requireThirdPartyScope(THIRD_PARTY_SCOPES.LEADS_WRITE), async (req, res, next) => {
   try {
     const { userId, leadId } = req.params;
     if (!leadId) return next(new AppError('Lead ID is required', 400));
@@ -603,10 +1147,14 @@ router.patch('/public/:userId/:leadId', verifySignedThirdPartyForParamUser, asyn
     }
     const lead = await Lead.findById(leadId);
     if (!lead) return next(new AppError('Lead not found', 404));
+    const before = LeadPipelineService.snapshot(lead);
+    const webhookState = leadWebhookState(lead);
     Object.assign(lead, value);
     await lead.save();
+    await LeadPipelineService.recordChanges(lead, before, { actorType: 'ai' });
     await maybeSendQualifiedLeadEmail(lead);
     await maybeSendCompletedWorkflowEmail(lead);
+    await publishLeadEvents(lead, webhookState, userId);
     websocketServer.broadcastToUser(userId, { lead: buildLeadBroadcastPayload(lead) });
     res.status(200).json({ status: 'success', message: 'Lead updated', data: { lead } });
   } catch (err) { next(err); }
@@ -0,0 +1,180 @@
+const express = require('express');
+const { AppError } = require('../utils/errorHandler');
+const {
+  Appointment,
+  manageBookingSlotsQuerySchema,
+  manageBookingRescheduleSchema,
+  manageBookingCancelSchema
+} = require('../models/Appointment');
+const { App } = require('../models/App');
+const { Integration } = require('../models/Integration');
+const { getAvailabilitySettings } = require('../services/availabilityRulesService');
+const {
+  findAlternativeSlots,
+  rescheduleBooking,
+  cancelBooking,
+  getSelfServicePolicy
+} = require('../services/calendarBookingService');
+const { GroupSessionService } = require('../services/groupSessionService');
+const { resolvePublicBackendBaseUrl } = require('../services/bookingContextService');
+const { verifyManageBookingToken } = require('../utils/manageBookingToken');
+const { logger } = require('../utils/logger');
+
+// Public routes behind the manage-booking links in customer emails; the token is the only credential.
+const router = express.Router();
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const DEFAULT_SLOT_RANGE_DAYS = 14;
+const MAX_SLOT_RANGE_DAYS = 31;
+
+function validate(schema, body) {
+  const { error, value } = schema.validate(body || {}, { abortEarly: false, stripUnknown: true });
+  if (error) {
+    const messages = error.details.map(d => d.message);
+    throw new AppError(`Validation failed: ${messages.join(', ')}`, 400);
+  }
+  return value;
+}
+
+async function loadBooking(token) {
+  const { appointmentId, appId } = verifyManageBookingToken(token);
+  const appointment = await Appointment.findOne({ _id: appointmentId, owner: appId });
+  if (!appointment) throw new AppError('Booking not found', 404);
+  const settings = await getAvailabilitySettings(appId);
+  return { appointment, appId, policy: getSelfServicePolicy(appointment, settings), settings };
+}
+
+function serializeBooking(appointment) {
+  return {
+    appointmentId: String(appointment._id),
+    title: appointment.title,
+    start: appointment.startAt,
+    end: appointment.endAt,
+    timeZone: appointment.timeZone,
+    status: appointment.status,
+    attendeeName: appointment.attendee?.name || null
+  };
+}
+
+// View a booking and what the customer may still change
+router.get('/:token', async (req, res, next) => {
+  try {
+    const { appointment, appId, policy, settings } = await loadBooking(req.params.token);
+    const [app, integration] = await Promise.all([
+      App.findById(appId).select('name').lean().exec(),
+      Integration.findOne({ owner: appId }).select('companyName primaryColor').lean().exec()
+    ]);
+    res.status(200).json({
+      status: 'success',
+      data: {
+        booking: serializeBooking(appointment),
+        business: {
+          name: integration?.companyName || app?.name || null,
+          primaryColor: integration?.primaryColor || null
+        },
+        policy: {
+          ...policy,
+          cancelCutoffMinutes: settings.cancelCutoffMinutes,
+          rescheduleCutoffMinutes: settings.rescheduleCutoffMinutes
+        }
+      }
+    });
+  } catch (err) { next(err); }
+});
+
+// Alternative start times the booking can move to (same length as the booking)
+router.get('/:token/slots', async (req, res, next) => {
+  try {
+    const value = validate(manageBookingSlotsQuerySchema, req.query);
+    const { appointment, appId, policy } = await loadBooking(req.params.token);
+    if (!policy.canReschedule) throw new AppError('This booking can no longer be rescheduled online', 403);
+
+    const from = value.from ? new Date(value.from) : new Date();
+    const to = value.to ? new Date(value.to) : new Date(from.getTime() + DEFAULT_SLOT_RANGE_DAYS * DAY_MS);
+    if (to <= from) throw new AppError('"to" must be after "from"', 400);
+    if (to.getTime() - from.getTime() > MAX_SLOT_RANGE_DAYS * DAY_MS) {
+      throw new AppError(`Slot range cannot exceed ${MAX_SLOT_RANGE_DAYS} days`, 400);
+    }
+
+    const slots = await findAlternativeSlots(appId, appointment, from.toISOString(), to.toISOString());
+    res.status(200).json({
+      status: 'success',
+      data: { from: from.toISOString(), to: to.toISOString(), slots }
+    });
+  } catch (err) { next(err); }
+});
+
+// Move the booking to a new start time; the length stays the same
+router.post('/:token/reschedule', async (req, res, next) => {
+  try {
+    const value = validate(manageBookingRescheduleSchema, req.body);
+    const { appointment, appId, policy } = await loadBooking(req.params.token);
+    if (!policy.canReschedule) throw new AppError('This booking can no longer be rescheduled online', 403);
+
+    const start = new Date(value.start);
+    const end = new Date(start.getTime() + (appointment.endAt.getTime() - appointment.startAt.getTime()));
+    const { viewModel } = await rescheduleBooking({
+      appId,
+      eventId: appointment.externalEventId,
+      start: start.toISOString(),
+      end: end.toISOString(),
+      reason: value.reason || null,
+      changedBy: 'customer',
+      publicBackendBase: resolvePublicBackendBaseUrl(req)
+    });
+    if (!viewModel.success) {
+      logger.warn('Customer reschedule failed', { appId, appointmentId: String(appointment._id), error: viewModel.error });
+      throw new AppError(viewModel.error || 'Could not reschedule this booking', 409);
+    }
+
+    const updated = await Appointment.findById(appointment._id);
+    res.status(200).json({
+      status: 'success',
+      message: 'Booking rescheduled',
+      data: { booking: serializeBooking(updated || appointment) }
+    });
+  } catch (err) { next(err); }
+});
+
+// Cancel the booking
+router.post('/:token/cancel', async (req, res, next) => {
+  try {
+    const value = validate(manageBookingCancelSchema, req.body);
+    const { appointment, appId, policy } = await loadBooking(req.params.token);
+    if (!policy.canCancel) throw new AppError('This booking can no longer be cancelled online', 403);
+
+    if (appointment.groupSessionId) {
+      const { appointment: cancelled } = await GroupSessionService.cancelSeat(appId, appointment, {
+        reason: value.reason || null,
+        changedBy: 'customer',
+        publicBackendBase: resolvePublicBackendBaseUrl(req)
+      });
+      if (!cancelled) throw new AppError('This booking is no longer active', 409);
+      return res.status(200).json({
+        status: 'success',
+        message: 'Booking cancelled',
+        data: { booking: serializeBooking(cancelled) }
+      });
+    }
+
+    const { viewModel, appointment: cancelled } = await cancelBooking({
+      appId,
+      eventId: appointment.externalEventId,
+      reason: value.reason || null,
+      changedBy: 'customer',
+      publicBackendBase: resolvePublicBackendBaseUrl(req)
+    });
+    if (!viewModel.success) {
+      logger.warn('Customer cancellation failed', { appId, appointmentId: String(appointment._id), error: viewModel.error });
+      throw new AppError(viewModel.error || 'Could not cancel this booking', 409);
+    }
+
+    res.status(200).json({
+      status: 'success',
+      message: 'Booking cancelled',
+      data: { booking: serializeBooking(cancelled || appointment) }
+    });
+  } catch (err) { next(err); }
+});
+
+module.exports = router;
@@ -3,7 +3,8 @@ const router = express.Router();
 const { Otp, sendEmailOtpValidationSchema, sendSmsOtpValidationSchema, verifyOtpValidationSchema } = require('../models/Otp');
 const { logger } = require('../utils/logger');
 const { AppError } = require('../utils/errorHandler');
-const { verifySignedThirdPartyForParamUser } = require('../middleware/thirdParty');
+const { verifySignedThirdPartyForParamUser, requireThirdPartyScope } = require('../middleware/thirdParty');
+const { THIRD_PARTY_SCOPES } = require('../enums/thirdPartyScopes');
 const EmailService = require('../utils/emailService');
 const SmsService = require('../utils/smsService');
 const { Integration } = require('../models/Integration');
@@ -478,10 +479,10 @@ class OtpController {
 const otpController = new OtpController();
 
 // Routes - bind methods to preserve 'this' context
-router.post('/send-email/:id', verifySignedThirdPartyForParamUser, otpController.sendEmailOtp.bind(otpController));
-router.post('/send-sms/:id', verifySignedThirdPartyForParamUser, otpController.sendSmsOtp.bind(otpController));
-router.post('/verify-email/:id', verifySignedThirdPartyForParamUser, otpController.verifyEmailOtp.bind(otpController));
-router.post('/verify-sms/:id', verifySignedThirdPartyForParamUser, otpController.verifySmsOtp.bind(otpController));
-router.get('/status/:id', verifySignedThirdPartyForParamUser, otpController.getOtpStatus.bind(otpController));
+router.post('/send-email/:id', verifySignedThirdPartyForParamUser, requireThirdPartyScope(THIRD_PARTY_SCOPES.OTP_SEND), otpController.sendEmailOtp.bind(otpController));
+router.post('/send-sms/:id', verifySignedThirdPartyForParamUser, requireThirdPartyScope(THIRD_PARTY_SCOPES.OTP_SEND), otpController.sendSmsOtp.bind(otpController));
+router.post('/verify-email/:id', verifySignedThirdPartyForParamUser, requireThirdPartyScope(THIRD_PARTY_SCOPES.OTP_VERIFY), otpController.verifyEmailOtp.bind(otpController));
+router.post('/verify-sms/:id', verifySignedThirdPartyForParamUser, requireThirdPartyScope(THIRD_PARTY_SCOPES.OTP_VERIFY), otpController.verifySmsOtp.bind(otpController));
+router.get('/status/:id', verifySignedThirdPartyForParamUser, requireThirdPartyScope(THIRD_PARTY_SCOPES.OTP_VERIFY), otpController.getOtpStatus.bind(otpController));
 
 module.exports = router;
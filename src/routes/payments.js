@@ -0,0 +1,201 @@
+const express = require('express');
+const Joi = require('joi');
+const mongoose = require('mongoose');
+const { AppError } = require('../utils/errorHandler');
+const { authenticateToken } = require('../middleware/auth');
+const { verifyAppOwnership } = require('../middleware/appOwnership');
+const { Integration } = require('../models/Integration');
+const { Appointment } = require('../models/Appointment');
+const { APPOINTMENT_STATUSES } = require('../enums/appointmentStatuses');
+const stripeConnect = require('../services/stripeConnectService');
+const { BookingPaymentService } = require('../services/bookingPaymentService');
+const { logger } = require('../utils/logger');
+
+const router = express.Router();
+
+const stripeConnectSchema = Joi.object({
+  returnUrl: Joi.string().uri({ scheme: ['http', 'https'] }).max(2000).optional(),
+  refreshUrl: Joi.string().uri({ scheme: ['http', 'https'] }).max(2000).optional(),
+  /** ISO 3166-1 alpha-2 country of the business; only used when the account is first created. */
+  country: Joi.string().trim().uppercase().length(2).optional(),
+  email: Joi.string().trim().email().max(255).optional()
+});
+
+function validate(schema, input) {
+  const { error, value } = schema.validate(input || {}, { abortEarly: false, stripUnknown: true });
+  if (error) {
+    const messages = error.details.map(d => d.message);
+    throw new AppError(`Validation failed: ${messages.join(', ')}`, 400);
+  }
+  return value;
+}
+
+const checkStripeConfigured = (req, res, next) => {
+  if (!stripeConnect.isConfigured()) {
+    return next(new AppError('Stripe is not configured. Please set STRIPE_SECRET_KEY in environment variables.', 503));
+  }
+  next();
+};
+
+function integrationRedirect(stripeStatus) {
+  const base = (process.env.FRONTEND_BASE_URL || process.env.FRONTEND_URL || 'http://localhost:3000').replace(/\/$/, '');
+  return `${base}/integration?stripe=${stripeStatus}`;
+}
+
+function toStripeStatus(integration) {
+  return {
+    connected: !!integration?.stripeAccountId,
+    accountId: integration?.stripeAccountId || null,
+    chargesEnabled: !!integration?.stripeChargesEnabled,
+    detailsSubmitted: !!integration?.stripeDetailsSubmitted,
+    connectedAt: integration?.stripeConnectedAt || null
+  };
+}
+
+/** Copy a Stripe account's onboarding state onto the integrations that use it. */
+async function syncAccountState(account) {
+  await Integration.updateMany(
+    { stripeAccountId: account.id },
+    { $set: { stripeChargesEnabled: !!account.charges_enabled, stripeDetailsSubmitted: !!account.details_submitted } }
+  );
+}
+
+/**
+ * GET /apps/:appId/stripe
+ * Connected Stripe account of the app and whether it can take deposits yet (refreshed from Stripe).
+ */
+router.get('/apps/:appId/stripe', authenticateToken, verifyAppOwnership, async (req, res, next) => {
+  try {
+    let integration = await Integration.findOne({ owner: req.appId })
+      .select('stripeAccountId stripeChargesEnabled stripeDetailsSubmitted stripeConnectedAt')
+      .lean()
+      .exec();
+    if (integration?.stripeAccountId && stripeConnect.isConfigured()) {
+      try {
+        const account = await stripeConnect.retrieveAccount(integration.stripeAccountId);
+        await syncAccountState(account);
+        integration = { ...integration, stripeChargesEnabled: !!account.charges_enabled, stripeDetailsSubmitted: !!account.details_submitted };
+      } catch (stripeErr) {
+        logger.warn('Failed to refresh Stripe account state', { appId: req.appId, error: stripeErr.message });
+      }
+    }
+    res.status(200).json({
+      status: 'success',
+      data: { ...toStripeStatus(integration), stripeConfigured: stripeConnect.isConfigured() }
+    });
+  } catch (err) { next(err); }
+});
+
+/**
+ * POST /apps/:appId/stripe/connect
+ * Body: { returnUrl?, refreshUrl?, country?, email? }. Creates the app's Stripe account on first use and
+ * returns a link to Stripe's onboarding for it. Deposits are taken once Stripe enables charges.
+ */
+router.post('/apps/:appId/stripe/connect', authenticateToken, verifyAppOwnership, checkStripeConfigured, async (req, res, next) => {
+  try {
+    const value = validate(stripeConnectSchema, req.body);
+    let integration = await Integration.findOne({ owner: req.appId })
+      .select('stripeAccountId stripeChargesEnabled stripeDetailsSubmitted stripeConnectedAt')
+      .lean()
+      .exec();
+    if (!integration?.stripeAccountId) {
+      const account = await stripeConnect.createConnectedAccount(req.appId, { country: value.country, email: value.email });
+      integration = await Integration.findOneAndUpdate(
+        { owner: req.appId },
+        {
+          $set: {
+            stripeAccountId: account.id,
+            stripeChargesEnabled: !!account.charges_enabled,
+            stripeDetailsSubmitted: !!account.details_submitted,
+            stripeConnectedAt: new Date()
+          },
+          $setOnInsert: { owner: req.appId }
+        },
+        { new: true, upsert: true, setDefaultsOnInsert: true }
+      );
+      logger.info('Stripe account connected', { appId: req.appId, accountId: account.id });
+    }
+
+    const link = await stripeConnect.createOnboardingLink(integration.stripeAccountId, {
+      returnUrl: value.returnUrl || integrationRedirect('connected'),
+      refreshUrl: value.refreshUrl || integrationRedirect('refresh')
+    });
+    res.status(200).json({
+      status: 'success',
+      data: { onboardingUrl: link.url, expiresAt: link.expiresAt, ...toStripeStatus(integration) }
+    });
+  } catch (err) {
+    if (err.type && String(err.type).startsWith('Stripe')) {
+      logger.error('Stripe connect error', { appId: req.appId, error: err.message });
+      return next(new AppError(err.message || 'Failed to connect Stripe', 502));
+    }
+    next(err);
+  }
+});
+
+/**
+ * DELETE /apps/:appId/stripe
+ * Stop taking deposits through the connected account. The Stripe account itself is left as is.
+ * Bookings still waiting for payment keep their Checkout links until they are paid or expire.
+ */
+router.delete('/apps/:appId/stripe', authenticateToken, verifyAppOwnership, async (req, res, next) => {
+  try {
+    await Integration.updateOne(
+      { owner: req.appId },
+      { $set: { stripeAccountId: null, stripeChargesEnabled: false, stripeDetailsSubmitted: false, stripeConnectedAt: null } }
+    );
+    res.status(200).json({ status: 'success', message: 'Stripe disconnected' });
+  } catch (err) { next(err); }
+});
+
+/**
+ * POST /stripe/webhook
+ * Stripe Connect events of the apps' accounts (public; authenticated by Stripe-Signature against
+ * STRIPE_CONNECT_WEBHOOK_SECRET). A paid deposit confirms its booking; an expired Checkout releases it.
+ */
+router.post('/stripe/webhook', async (req, res, next) => {
+  try {
+    let event;
+    try {
+      event = stripeConnect.constructConnectEvent(req.rawBody, req.get('Stripe-Signature'));
+    } catch (verifyErr) {
+      logger.warn('Stripe Connect webhook verification failed', { error: verifyErr.message });
+      throw new AppError('Invalid Stripe signature', 400);
+    }
+
+    const object = event.data?.object || {};
+    switch (event.type) {
+      case 'checkout.session.completed':
+      case 'checkout.session.async_payment_succeeded': {
+        // Delayed payment methods complete the session before the money arrives.
+        if (object.payment_status !== 'paid') break;
+        await BookingPaymentService.confirmPaidBooking({
+          appointmentId: object.metadata?.appointmentId,
+          checkoutSessionId: object.id,
+          paymentIntentId: object.payment_intent ? String(object.payment_intent) : null
+        });
+        break;
+      }
+      case 'checkout.session.expired':
+      case 'checkout.session.async_payment_failed': {
+        const appointmentId = object.metadata?.appointmentId;
+        if (!mongoose.isValidObjectId(appointmentId)) break;
+        const appointment = await Appointment.findOne({
+          _id: appointmentId,
+          status: APPOINTMENT_STATUSES.PENDING_PAYMENT,
+          'payment.checkoutSessionId': object.id
+        }).lean().exec();
+        if (appointment) await BookingPaymentService.expirePendingBooking(appointment, { fromStripe: true });
+        break;
+      }
+      case 'account.updated':
+        await syncAccountState(object);
+        break;
+      default:
+        break;
+    }
+    res.status(200).json({ received: true });
+  } catch (err) { next(err); }
+});
+
+module.exports = router;
@@ -1,5 +1,6 @@
 const express = require('express');
 const { Questionnaire, questionnaireValidationSchema, questionnaireUpdateValidationSchema, questionnaireArraySchema, QUESTIONNAIRE_TYPES } = require('../models/Questionnaire');
+const { StaffMember } = require('../models/StaffMember');
 const { AppError } = require('../utils/errorHandler');
 const { logger } = require('../utils/logger');
 const { cacheManager } = require('../utils/cache');
@@ -18,6 +19,10 @@ router.put('/apps/:appId', authenticateToken, verifyAppOwnership, async (req, re
     }
     const { type, items } = value;
     const appId = req.appId;
+    // Service plans may only list staff of this app.
+    const appStaffIds = items.some(i => Array.isArray(i.staffIds) && i.staffIds.length > 0)
+      ? new Set((await StaffMember.distinct('_id', { owner: appId })).map(String))
+      : new Set();
     await Questionnaire.deleteMany({ owner: appId, type });
     let inserted = [];
     if (Array.isArray(items) && items.length > 0) {
@@ -31,6 +36,12 @@ router.put('/apps/:appId', authenticateToken, verifyAppOwnership, async (req, re
           workflowId: aw.workflowId || null,
           order: aw.order || 0
         })),
+        staffIds: (i.staffIds || []).filter(id => appStaffIds.has(id)),
+        durationMinutes: i.durationMinutes || null,
+        paddingBeforeMinutes: i.paddingBeforeMinutes || 0,
+        paddingAfterMinutes: i.paddingAfterMinutes || 0,
+        price: i.price || { amount: null, currency: null },
+        depositAmount: i.depositAmount ?? null,
         isActive: true
       })));
     }
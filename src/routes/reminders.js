@@ -0,0 +1,97 @@
+const express = require('express');
+const { AppError } = require('../utils/errorHandler');
+const { authenticateToken } = require('../middleware/auth');
+const { verifyAppOwnership } = require('../middleware/appOwnership');
+const { ReminderSettings, reminderSettingsUpdateSchema } = require('../models/ReminderSettings');
+const { AppointmentReminder, appointmentReminderQuerySchema } = require('../models/AppointmentReminder');
+const { ReminderService } = require('../services/reminderService');
+const { logger } = require('../utils/logger');
+
+const router = express.Router();
+
+// Get reminder rules (offsets, channels) for app
+router.get('/apps/:appId/settings', authenticateToken, verifyAppOwnership, async (req, res, next) => {
+  try {
+    const settings = await ReminderService.getSettings(req.appId);
+    res.status(200).json({ status: 'success', data: { settings } });
+  } catch (err) { next(err); }
+});
+
+// Update reminder rules for app. Reminders already queued keep their times; disabled channels are
+// skipped when they come due.
+router.put('/apps/:appId/settings', authenticateToken, verifyAppOwnership, async (req, res, next) => {
+  try {
+    const { error, value } = reminderSettingsUpdateSchema.validate(req.body, { abortEarly: false, stripUnknown: true });
+    if (error) {
+      const messages = error.details.map(d => d.message);
+      throw new AppError(`Validation failed: ${messages.join(', ')}`, 400);
+    }
+    if (value.whatsappContentSid === '') value.whatsappContentSid = null;
+    await ReminderSettings.findOneAndUpdate(
+      { owner: req.appId },
+      { $set: value, $setOnInsert: { owner: req.appId } },
+      { new: true, upsert: true, setDefaultsOnInsert: true, runValidators: true }
+    );
+    const settings = await ReminderService.getSettings(req.appId);
+    res.status(200).json({ status: 'success', message: 'Reminder settings saved', data: { settings } });
+  } catch (err) { next(err); }
+});
+
+// Reminder log for app (latest send time first)
+router.get('/apps/:appId', authenticateToken, verifyAppOwnership, async (req, res, next) => {
+  try {
+    const { error, value } = appointmentReminderQuerySchema.validate(req.query, { abortEarly: false, stripUnknown: true });
+    if (error) {
+      const messages = error.details.map(d => d.message);
+      throw new AppError(`Validation failed: ${messages.join(', ')}`, 400);
+    }
+    const filter = { appId: req.appId };
+    if (value.appointmentId) filter.appointmentId = value.appointmentId;
+    if (value.status) filter.status = value.status;
+    if (value.channel) filter.channel = value.channel;
+
+    const { page, limit } = value;
+    const skip = (page - 1) * limit;
+    const [reminders, total] = await Promise.all([
+      AppointmentReminder.find(filter).sort({ sendAt: -1 }).skip(skip).limit(limit).lean(),
+      AppointmentReminder.countDocuments(filter)
+    ]);
+    const totalPages = Math.ceil(total / limit);
+
+    res.status(200).json({
+      status: 'success',
+      data: {
+        reminders,
+        pagination: {
+          page,
+          limit,
+          total,
+          totalPages,
+          hasNextPage: page < totalPages,
+          hasPrevPage: page > 1
+        }
+      }
+    });
+  } catch (err) { next(err); }
+});
+
+// Twilio message status callback for SMS/WhatsApp reminders (public; authenticated by X-Twilio-Signature)
+router.post('/twilio/status', async (req, res, next) => {
+  try {
+    const params = req.body || {};
+    const valid = await ReminderService.verifyStatusCallback(req.get('X-Twilio-Signature'), params);
+    if (!valid) throw new AppError('Invalid Twilio signature', 403);
+
+    const reminder = await ReminderService.recordProviderStatus({
+      messageSid: params.MessageSid,
+      status: params.MessageStatus,
+      errorCode: params.ErrorCode
+    });
+    if (!reminder) {
+      logger.info('Twilio status callback for unknown reminder message', { messageSid: params.MessageSid });
+    }
+    res.status(204).end();
+  } catch (err) { next(err); }
+});
+
+module.exports = router;
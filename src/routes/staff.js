@@ -0,0 +1,220 @@
+const express = require('express');
+const mongoose = require('mongoose');
+const { AppError } = require('../utils/errorHandler');
+const { authenticateToken } = require('../middleware/auth');
+const { verifyAppOwnership } = require('../middleware/appOwnership');
+const {
+  StaffMember,
+  STAFF_PUBLIC_FIELDS,
+  staffMemberCreateSchema,
+  staffMemberUpdateSchema
+} = require('../models/StaffMember');
+const { Availability, availabilityBulkSchema } = require('../models/Availability');
+const { AvailabilityException, availabilityExceptionUpsertSchema } = require('../models/AvailabilityException');
+const { Questionnaire } = require('../models/Questionnaire');
+const { CalendarSyncService } = require('../services/calendarSyncService');
+const cacheManager = require('../utils/cache');
+const { logger } = require('../utils/logger');
+
+const router = express.Router();
+
+/** Staff member of req.appId named by :staffId, or 404. */
+async function findStaffMember(req) {
+  if (!mongoose.isValidObjectId(req.params.staffId)) throw new AppError('Invalid staff ID format', 400);
+  const staff = await StaffMember.findOne({ _id: req.params.staffId, owner: req.appId }).select(STAFF_PUBLIC_FIELDS).exec();
+  if (!staff) throw new AppError('Staff member not found', 404);
+  return staff;
+}
+
+async function invalidateAppContext(appId) {
+  try {
+    await cacheManager.del(cacheManager.getAppContextKey(appId));
+  } catch (e) {
+    logger.warn('Failed to invalidate app context cache after staff update', { appId, error: e?.message });
+  }
+}
+
+// List staff members of app
+router.get('/apps/:appId', authenticateToken, verifyAppOwnership, async (req, res, next) => {
+  try {
+    const filter = { owner: req.appId };
+    if (!req.query.includeInactive) filter.isActive = true;
+    const staff = await StaffMember.find(filter).select(STAFF_PUBLIC_FIELDS).sort({ order: 1, createdAt: 1 }).exec();
+    res.status(200).json({ status: 'success', data: { staff, count: staff.length } });
+  } catch (err) { next(err); }
+});
+
+// Create a staff member
+router.post('/apps/:appId', authenticateToken, verifyAppOwnership, async (req, res, next) => {
+  try {
+    const { error, value } = staffMemberCreateSchema.validate(req.body, { abortEarly: false, stripUnknown: true });
+    if (error) {
+      const messages = error.details.map(d => d.message);
+      throw new AppError(`Validation failed: ${messages.join(', ')}`, 400);
+    }
+    const created = await StaffMember.create({
+      owner: req.appId,
+      name: value.name,
+      email: value.email || null,
+      phone: value.phone || null,
+      isActive: value.isActive !== false,
+      order: value.order ?? await StaffMember.countDocuments({ owner: req.appId })
+    });
+    const staff = await StaffMember.findById(created._id).select(STAFF_PUBLIC_FIELDS).exec();
+    await invalidateAppContext(req.appId);
+    res.status(201).json({ status: 'success', message: 'Staff member created', data: { staff } });
+  } catch (err) { next(err); }
+});
+
+// Update a staff member
+router.put('/apps/:appId/:staffId', authenticateToken, verifyAppOwnership, async (req, res, next) => {
+  try {
+    const { error, value } = staffMemberUpdateSchema.validate(req.body, { abortEarly: false, stripUnknown: true });
+    if (error) {
+      const messages = error.details.map(d => d.message);
+      throw new AppError(`Validation failed: ${messages.join(', ')}`, 400);
+    }
+    const staff = await findStaffMember(req);
+    if (value.email === '') value.email = null;
+    if (value.phone === '') value.phone = null;
+    Object.assign(staff, value);
+    await staff.save();
+    await invalidateAppContext(req.appId);
+    res.status(200).json({ status: 'success', message: 'Staff member updated', data: { staff } });
+  } catch (err) { next(err); }
+});
+
+// Delete a staff member with their hours, exceptions and calendar subscription. Their appointments keep the staffId.
+router.delete('/apps/:appId/:staffId', authenticateToken, verifyAppOwnership, async (req, res, next) => {
+  try {
+    const staff = await findStaffMember(req);
+    await CalendarSyncService.unsubscribe(req.appId, { staffId: staff._id });
+    await Promise.all([
+      Availability.deleteMany({ owner: req.appId, staffId: staff._id }),
+      AvailabilityException.deleteMany({ owner: req.appId, staffId: staff._id }),
+      Questionnaire.updateMany({ owner: req.appId, staffIds: staff._id }, { $pull: { staffIds: staff._id } })
+    ]);
+    await StaffMember.deleteOne({ _id: staff._id });
+    await invalidateAppContext(req.appId);
+    res.status(200).json({ status: 'success', message: 'Staff member deleted' });
+  } catch (err) { next(err); }
+});
+
+// Get weekly hours of a staff member (empty = the app's business hours apply)
+router.get('/apps/:appId/:staffId/availability', authenticateToken, verifyAppOwnership, async (req, res, next) => {
+  try {
+    const staff = await findStaffMember(req);
+    const items = await Availability.find({ owner: req.appId, staffId: staff._id }).sort({ dayOfWeek: 1 }).exec();
+    const ordered = items.slice().sort((a, b) => {
+      const ak = a.dayOfWeek === 0 ? 7 : a.dayOfWeek;
+      const bk = b.dayOfWeek === 0 ? 7 : b.dayOfWeek;
+      return ak - bk;
+    });
+    res.status(200).json({
+      status: 'success',
+      data: { availability: ordered, usesBusinessHours: ordered.length === 0 }
+    });
+  } catch (err) { next(err); }
+});
+
+// Bulk replace weekly hours of a staff member (1–7 days)
+router.put('/apps/:appId/:staffId/availability', authenticateToken, verifyAppOwnership, async (req, res, next) => {
+  try {
+    const { error, value } = availabilityBulkSchema.validate(req.body, { abortEarly: false, stripUnknown: true });
+    if (error) {
+      const messages = error.details.map(d => d.message);
+      throw new AppError(`Validation failed: ${messages.join(', ')}`, 400);
+    }
+    const appId = req.appId;
+    const staff = await findStaffMember(req);
+
+    // Staff hours are in the business's timezone.
+    const businessDay = await Availability.findOne({ owner: appId, staffId: null }).select('timezone').lean().exec();
+    const timezone = businessDay?.timezone || 'UTC';
+    const ops = value.days.map((d) => {
+      const defaultAllDay = (d.dayOfWeek !== 0 && d.dayOfWeek !== 6);
+      const effectiveAllDay = (typeof d.allDay === 'boolean') ? d.allDay : defaultAllDay;
+      return Availability.findOneAndUpdate(
+        { owner: appId, staffId: staff._id, dayOfWeek: d.dayOfWeek },
+        {
+          $set: { slots: d.slots, allDay: effectiveAllDay },
+          $setOnInsert: { owner: appId, staffId: staff._id, dayOfWeek: d.dayOfWeek, timezone }
+        },
+        { new: true, upsert: true, setDefaultsOnInsert: true }
+      );
+    });
+    const results = await Promise.all(ops);
+    res.status(200).json({ status: 'success', message: 'Staff availability updated', data: { count: results.length } });
+  } catch (err) { next(err); }
+});
+
+// Remove a staff member's own weekly hours so the app's business hours apply again
+router.delete('/apps/:appId/:staffId/availability', authenticateToken, verifyAppOwnership, async (req, res, next) => {
+  try {
+    const staff = await findStaffMember(req);
+    await Availability.deleteMany({ owner: req.appId, staffId: staff._id });
+    res.status(200).json({ status: 'success', message: 'Staff availability reset to business hours' });
+  } catch (err) { next(err); }
+});
+
+// Get a staff member's exceptions in a date range (YYYY-MM-DD)
+router.get('/apps/:appId/:staffId/exceptions', authenticateToken, verifyAppOwnership, async (req, res, next) => {
+  try {
+    const { from, to } = req.query;
+    if (!from || !to) {
+      return next(new AppError('Query params "from" and "to" (YYYY-MM-DD) are required', 400));
+    }
+    const staff = await findStaffMember(req);
+    const docs = await AvailabilityException.find({
+      owner: req.appId,
+      staffId: staff._id,
+      date: { $gte: from, $lte: to }
+    }).sort({ date: 1 }).exec();
+    res.status(200).json({ status: 'success', data: { exceptions: docs } });
+  } catch (err) { next(err); }
+});
+
+// Upsert a single exception of a staff member by date (e.g. a day off)
+router.put('/apps/:appId/:staffId/exceptions', authenticateToken, verifyAppOwnership, async (req, res, next) => {
+  try {
+    const { error, value } = availabilityExceptionUpsertSchema.validate(req.body, { abortEarly: false, stripUnknown: true });
+    if (error) {
+      const messages = error.details.map(d => d.message);
+      throw new AppError(`Validation failed: ${messages.join(', ')}`, 400);
+    }
+    const appId = req.appId;
+    const staff = await findStaffMember(req);
+    const { date, timezone, allDayOff, overrideAllDay, slots, label } = value;
+
+    const doc = await AvailabilityException.findOneAndUpdate(
+      { owner: appId, staffId: staff._id, date },
+      {
+        $set: {
+          timezone: timezone || 'UTC',
+          allDayOff: !!allDayOff,
+          overrideAllDay: !!overrideAllDay,
+          slots: Array.isArray(slots) ? slots : [],
+          label: typeof label === 'string' && label.trim() ? label.trim() : null
+        },
+        $setOnInsert: { owner: appId, staffId: staff._id, date }
+      },
+      { new: true, upsert: true, setDefaultsOnInsert: true }
+    );
+    res.status(200).json({ status: 'success', message: 'Staff exception saved', data: { exception: doc } });
+  } catch (err) { next(err); }
+});
+
+// Delete a staff member's exception by date (YYYY-MM-DD)
+router.delete('/apps/:appId/:staffId/exceptions/:date', authenticateToken, verifyAppOwnership, async (req, res, next) => {
+  try {
+    const date = String(req.params.date || '').trim();
+    if (!/^\d{4}-\d{2}-\d{2}$/.test(date)) {
+      return next(new AppError('Invalid date format. Expected YYYY-MM-DD', 400));
+    }
+    const staff = await findStaffMember(req);
+    await AvailabilityException.deleteOne({ owner: req.appId, staffId: staff._id, date });
+    res.status(200).json({ status: 'success', message: 'Staff exception removed' });
+  } catch (err) { next(err); }
+});
+
+module.exports = router;
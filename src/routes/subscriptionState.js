@@ -2,7 +2,8 @@ const express = require('express');
 const router = express.Router();
 const { authenticateToken, requireSuperAdmin } = require('../middleware/auth');
 const { verifyAppOwnership } = require('../middleware/appOwnership');
-const { verifySignedThirdPartyForParamUser } = require('../middleware/thirdParty');
+const { verifySignedThirdPartyForParamUser, requireThirdPartyScope } = require('../middleware/thirdParty');
+const { THIRD_PARTY_SCOPES } = require('../enums/thirdPartyScopes');
 const { AppError } = require('../utils/errorHandler');
 const { SubscriptionEvent } = require('../models/SubscriptionEvent');
 const { App } = require('../models/App');
@@ -242,7 +243,7 @@ router.post('/admin/apps/:appId/assign-plan', authenticateToken, requireSuperAdm
 });
 
 // Signed endpoint for AI runtime: atomic/idempotent conversation consume.
-router.post('/public/apps/:appId/consume-conversation', verifySignedThirdPartyForParamUser, async (req, res, next) => {
+router.post('/public/apps/:appId/consume-conversation', verifySignedThirdPartyForParamUser, requireThirdPartyScope(THIRD_PARTY_SCOPES.CONVERSATIONS_CONSUME), async (req, res, next) => {
   try {
     const { channel, idempotencyKey } = req.body || {};
     const result = await AppSubscriptionStateService.consumeConversation({
@@ -0,0 +1,134 @@
+const express = require('express');
+const mongoose = require('mongoose');
+const { AppError } = require('../utils/errorHandler');
+const { authenticateToken, requireAdmin } = require('../middleware/auth');
+const {
+  ThirdPartyClient,
+  thirdPartyClientCreateSchema,
+  thirdPartyClientUpdateSchema,
+  thirdPartySecretIssueSchema,
+  thirdPartyClientRevokeSchema
+} = require('../models/ThirdPartyClient');
+const { ThirdPartyClientService } = require('../services/thirdPartyClientService');
+const { THIRD_PARTY_SCOPES_VALUES } = require('../enums/thirdPartyScopes');
+const { logger } = require('../utils/logger');
+
+const router = express.Router();
+
+// Secrets are always loaded: saving a client with some secretEnc values unselected could drop them.
+async function findClient(clientId) {
+  if (!mongoose.isValidObjectId(clientId)) throw new AppError('Invalid client ID format', 400);
+  const client = await ThirdPartyClient.findById(clientId).select('+secrets.secretEnc');
+  if (!client) throw new AppError('Third-party client not found', 404);
+  return client;
+}
+
+function validate(schema, body) {
+  const { error, value } = schema.validate(body || {}, { abortEarly: false, stripUnknown: true });
+  if (error) {
+    const messages = error.details.map(d => d.message);
+    throw new AppError(`Validation failed: ${messages.join(', ')}`, 400);
+  }
+  return value;
+}
+
+// List scopes that can be granted to a client
+router.get('/scopes', authenticateToken, requireAdmin, async (req, res, next) => {
+  try {
+    res.status(200).json({ status: 'success', data: { scopes: THIRD_PARTY_SCOPES_VALUES } });
+  } catch (err) { next(err); }
+});
+
+// List third-party clients
+router.get('/', authenticateToken, requireAdmin, async (req, res, next) => {
+  try {
+    const filter = req.query.includeRevoked === 'true' ? {} : { revokedAt: null };
+    const clients = await ThirdPartyClient.find(filter).sort({ createdAt: -1 });
+    res.status(200).json({
+      status: 'success',
+      data: { clients: clients.map((c) => ThirdPartyClientService.serializeClient(c)) }
+    });
+  } catch (err) { next(err); }
+});
+
+// Create a client. The key ID and first secret are returned; the secret is only shown in this response.
+router.post('/', authenticateToken, requireAdmin, async (req, res, next) => {
+  try {
+    const value = validate(thirdPartyClientCreateSchema, req.body);
+    const { client, secret } = await ThirdPartyClientService.createClient(value, req.user.id);
+    res.status(201).json({
+      status: 'success',
+      message: 'Third-party client created',
+      data: { client: ThirdPartyClientService.serializeClient(client), keyId: client.keyId, secret }
+    });
+  } catch (err) { next(err); }
+});
+
+// Get one client
+router.get('/:clientId', authenticateToken, requireAdmin, async (req, res, next) => {
+  try {
+    const client = await findClient(req.params.clientId);
+    res.status(200).json({ status: 'success', data: { client: ThirdPartyClientService.serializeClient(client) } });
+  } catch (err) { next(err); }
+});
+
+// Update name, scopes, rate limit or pause/resume a client
+router.put('/:clientId', authenticateToken, requireAdmin, async (req, res, next) => {
+  try {
+    const value = validate(thirdPartyClientUpdateSchema, req.body);
+    const client = await findClient(req.params.clientId);
+    if (client.revokedAt) throw new AppError('Client has been revoked', 400);
+    if (value.description !== undefined) value.description = value.description || null;
+    Object.assign(client, value);
+    await client.save();
+    logger.info('Third-party client updated', { keyId: client.keyId, fields: Object.keys(value) });
+    res.status(200).json({
+      status: 'success',
+      message: 'Third-party client updated',
+      data: { client: ThirdPartyClientService.serializeClient(client) }
+    });
+  } catch (err) { next(err); }
+});
+
+// Issue a new secret (rotation). The secret is only returned in this response.
+router.post('/:clientId/secrets', authenticateToken, requireAdmin, async (req, res, next) => {
+  try {
+    const value = validate(thirdPartySecretIssueSchema, req.body);
+    const client = await findClient(req.params.clientId);
+    const { secret, secretId } = await ThirdPartyClientService.issueSecret(client, value);
+    res.status(201).json({
+      status: 'success',
+      message: 'Secret issued',
+      data: { client: ThirdPartyClientService.serializeClient(client), secretId, secret }
+    });
+  } catch (err) { next(err); }
+});
+
+// Revoke one secret immediately
+router.delete('/:clientId/secrets/:secretId', authenticateToken, requireAdmin, async (req, res, next) => {
+  try {
+    const client = await findClient(req.params.clientId);
+    await ThirdPartyClientService.revokeSecret(client, req.params.secretId);
+    res.status(200).json({
+      status: 'success',
+      message: 'Secret revoked',
+      data: { client: ThirdPartyClientService.serializeClient(client) }
+    });
+  } catch (err) { next(err); }
+});
+
+// Permanently revoke a client (e.g. leaked key). Use PUT with isActive=false to pause instead.
+router.post('/:clientId/revoke', authenticateToken, requireAdmin, async (req, res, next) => {
+  try {
+    const value = validate(thirdPartyClientRevokeSchema, req.body);
+    const client = await findClient(req.params.clientId);
+    await ThirdPartyClientService.revokeClient(client, value.reason);
+    res.status(200).json({
+      status: 'success',
+      message: 'Third-party client revoked',
+      data: { client: ThirdPartyClientService.serializeClient(client) }
+    });
+  } catch (err) { next(err); }
+});
+
+module.exports = router;
@@ -11,7 +11,8 @@ const { App } = require('../models/App');
 const { AppSubscriptionStateService } = require('../services/appSubscriptionStateService');
 const cacheManager = require('../utils/cache');
 const { authenticateToken, requireAdmin, requireUserOrAdmin } = require('../middleware/auth');
-const { verifySignedThirdPartyForParamUser } = require('../middleware/thirdParty');
+const { verifySignedThirdPartyForParamUser, requireThirdPartyScope } = require('../middleware/thirdParty');
+const { THIRD_PARTY_SCOPES } = require('../enums/thirdPartyScopes');
 
 // Slug from label so value matches displayed text (e.g. "Catering" -> "catering")
 function slugifyLeadValue(text) {
@@ -1306,11 +1307,11 @@ const userController = new UserController();
 router.get('/me', authenticateToken, userController.getCurrentUser);
 router.get('/', authenticateToken, requireAdmin, userController.getAllUsers);
 router.get('/public/:id', userController.getPublicUser);
-router.get('/public/:id/knowledge', verifySignedThirdPartyForParamUser, userController.getPublicUserKnowledge);
-router.get('/public/:id/context', verifySignedThirdPartyForParamUser, userController.getThirdPartyUserContext);
-router.get('/public/apps/:appId/context', verifySignedThirdPartyForParamUser, userController.getThirdPartyAppContext);
-router.get('/by-twilio/:twilioPhoneNumber', verifySignedThirdPartyForParamUser, userController.getUserByTwilioNumber);
-router.get('/by-twilio/:twilioPhoneNumber/context', verifySignedThirdPartyForParamUser, userController.getUserContextByTwilioNumber);
+router.get('/public/:id/knowledge', verifySignedThirdPartyForParamUser, requireThirdPartyScope(THIRD_PARTY_SCOPES.CONTEXT_READ), userController.getPublicUserKnowledge);
+router.get('/public/:id/context', verifySignedThirdPartyForParamUser, requireThirdPartyScope(THIRD_PARTY_SCOPES.CONTEXT_READ), userController.getThirdPartyUserContext);
+router.get('/public/apps/:appId/context', verifySignedThirdPartyForParamUser, requireThirdPartyScope(THIRD_PARTY_SCOPES.CONTEXT_READ), userController.getThirdPartyAppContext);
+router.get('/by-twilio/:twilioPhoneNumber', verifySignedThirdPartyForParamUser, requireThirdPartyScope(THIRD_PARTY_SCOPES.CONTEXT_READ), userController.getUserByTwilioNumber);
+router.get('/by-twilio/:twilioPhoneNumber/context', verifySignedThirdPartyForParamUser, requireThirdPartyScope(THIRD_PARTY_SCOPES.CONTEXT_READ), userController.getUserContextByTwilioNumber);
 router.get('/:id', authenticateToken, requireUserOrAdmin, userController.getUserById);
 router.put('/:id', authenticateToken, requireUserOrAdmin, userController.updateUser);
 router.delete('/:id', authenticateToken, requireAdmin, userController.deleteUser);
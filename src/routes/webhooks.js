@@ -0,0 +1,206 @@
+const express = require('express');
+const mongoose = require('mongoose');
+const { AppError } = require('../utils/errorHandler');
+const { authenticateToken } = require('../middleware/auth');
+const { verifyAppOwnership } = require('../middleware/appOwnership');
+const {
+  WebhookSubscription,
+  webhookSubscriptionCreateSchema,
+  webhookSubscriptionUpdateSchema
+} = require('../models/WebhookSubscription');
+const { WebhookDelivery, webhookDeliveryQuerySchema } = require('../models/WebhookDelivery');
+const { WebhookService } = require('../services/webhookService');
+const { WEBHOOK_EVENTS_VALUES } = require('../enums/webhookEvents');
+const { logger } = require('../utils/logger');
+
+const router = express.Router();
+
+const MAX_SUBSCRIPTIONS_PER_APP = 20;
+
+async function findSubscriptionInApp(appId, subscriptionId, withSecret = false) {
+  if (!mongoose.isValidObjectId(subscriptionId)) throw new AppError('Invalid subscription ID format', 400);
+  const query = WebhookSubscription.findOne({ _id: subscriptionId, appId });
+  const sub = await (withSecret ? query.select('+secretEnc') : query);
+  if (!sub) throw new AppError('Webhook subscription not found', 404);
+  return sub;
+}
+
+// List event types that can be subscribed to
+router.get('/events', authenticateToken, async (req, res, next) => {
+  try {
+    res.status(200).json({ status: 'success', data: { events: WEBHOOK_EVENTS_VALUES } });
+  } catch (err) { next(err); }
+});
+
+// List webhook subscriptions for app
+router.get('/apps/:appId/subscriptions', authenticateToken, verifyAppOwnership, async (req, res, next) => {
+  try {
+    const subs = await WebhookSubscription.find({ appId: req.appId }).sort({ createdAt: -1 });
+    res.status(200).json({
+      status: 'success',
+      data: { subscriptions: subs.map((s) => WebhookService.serializeSubscription(s)) }
+    });
+  } catch (err) { next(err); }
+});
+
+// Create webhook subscription. The signing secret is only returned in this response.
+router.post('/apps/:appId/subscriptions', authenticateToken, verifyAppOwnership, async (req, res, next) => {
+  try {
+    const { error, value } = webhookSubscriptionCreateSchema.validate(req.body, { abortEarly: false, stripUnknown: true });
+    if (error) {
+      const messages = error.details.map(d => d.message);
+      throw new AppError(`Validation failed: ${messages.join(', ')}`, 400);
+    }
+    await WebhookService.assertDeliverableUrl(value.url);
+
+    const count = await WebhookSubscription.countDocuments({ appId: req.appId });
+    if (count >= MAX_SUBSCRIPTIONS_PER_APP) {
+      throw new AppError(`An app can have at most ${MAX_SUBSCRIPTIONS_PER_APP} webhook subscriptions`, 400);
+    }
+
+    const secret = value.secret || WebhookService.generateSecret();
+    const sub = await WebhookSubscription.create({
+      appId: req.appId,
+      url: value.url,
+      description: value.description || null,
+      events: value.events,
+      isActive: value.isActive !== false,
+      ...WebhookService.sealSecret(secret)
+    });
+    logger.info('Webhook subscription created', { appId: req.appId, subscriptionId: String(sub._id) });
+
+    res.status(201).json({
+      status: 'success',
+      message: 'Webhook subscription created',
+      data: { subscription: WebhookService.serializeSubscription(sub), secret }
+    });
+  } catch (err) { next(err); }
+});
+
+// Update webhook subscription (re-enabling clears the failure counter)
+router.put('/apps/:appId/subscriptions/:subscriptionId', authenticateToken, verifyAppOwnership, async (req, res, next) => {
+  try {
+    const { error, value } = webhookSubscriptionUpdateSchema.validate(req.body, { abortEarly: false, stripUnknown: true });
+    if (error) {
+      const messages = error.details.map(d => d.message);
+      throw new AppError(`Validation failed: ${messages.join(', ')}`, 400);
+    }
+    if (value.url) await WebhookService.assertDeliverableUrl(value.url);
+
+    const sub = await findSubscriptionInApp(req.appId, req.params.subscriptionId);
+    if (value.isActive === true && !sub.isActive) {
+      sub.consecutiveFailures = 0;
+      sub.disabledAt = null;
+      sub.disabledReason = null;
+    }
+    if (value.description !== undefined) value.description = value.description || null;
+    Object.assign(sub, value);
+    await sub.save();
+
+    res.status(200).json({
+      status: 'success',
+      message: 'Webhook subscription updated',
+      data: { subscription: WebhookService.serializeSubscription(sub) }
+    });
+  } catch (err) { next(err); }
+});
+
+// Delete webhook subscription and its pending deliveries
+router.delete('/apps/:appId/subscriptions/:subscriptionId', authenticateToken, verifyAppOwnership, async (req, res, next) => {
+  try {
+    const sub = await findSubscriptionInApp(req.appId, req.params.subscriptionId);
+    await WebhookSubscription.deleteOne({ _id: sub._id });
+    await WebhookDelivery.deleteMany({ subscriptionId: sub._id, status: 'pending' });
+    res.status(200).json({ status: 'success', message: 'Webhook subscription deleted' });
+  } catch (err) { next(err); }
+});
+
+// Rotate the signing secret. The new secret is only returned in this response.
+router.post('/apps/:appId/subscriptions/:subscriptionId/rotate-secret', authenticateToken, verifyAppOwnership, async (req, res, next) => {
+  try {
+    const sub = await findSubscriptionInApp(req.appId, req.params.subscriptionId, true);
+    const secret = WebhookService.generateSecret();
+    Object.assign(sub, WebhookService.sealSecret(secret));
+    await sub.save();
+    res.status(200).json({
+      status: 'success',
+      message: 'Webhook secret rotated',
+      data: { subscription: WebhookService.serializeSubscription(sub), secret }
+    });
+  } catch (err) { next(err); }
+});
+
+// Send a test event to the subscription now and return the delivery result
+router.post('/apps/:appId/subscriptions/:subscriptionId/test', authenticateToken, verifyAppOwnership, async (req, res, next) => {
+  try {
+    const sub = await findSubscriptionInApp(req.appId, req.params.subscriptionId, true);
+    const delivery = await WebhookService.sendTest(sub);
+    res.status(200).json({
+      status: 'success',
+      message: delivery.status === 'succeeded' ? 'Test event delivered' : 'Test event delivery failed',
+      data: { delivery }
+    });
+  } catch (err) { next(err); }
+});
+
+// Delivery log for app (newest first)
+router.get('/apps/:appId/deliveries', authenticateToken, verifyAppOwnership, async (req, res, next) => {
+  try {
+    const { error, value } = webhookDeliveryQuerySchema.validate(req.query, { abortEarly: false, stripUnknown: true });
+    if (error) {
+      const messages = error.details.map(d => d.message);
+      throw new AppError(`Validation failed: ${messages.join(', ')}`, 400);
+    }
+    const filter = { appId: req.appId };
+    if (value.subscriptionId) {
+      if (!mongoose.isValidObjectId(value.subscriptionId)) throw new AppError('Invalid subscription ID format', 400);
+      filter.subscriptionId = value.subscriptionId;
+    }
+    if (value.status) filter.status = value.status;
+    if (value.eventType) filter.eventType = value.eventType;
+
+    const { page, limit } = value;
+    const skip = (page - 1) * limit;
+    const [deliveries, total] = await Promise.all([
+      WebhookDelivery.find(filter).sort({ createdAt: -1 }).skip(skip).limit(limit).lean(),
+      WebhookDelivery.countDocuments(filter)
+    ]);
+    const totalPages = Math.ceil(total / limit);
+
+    res.status(200).json({
+      status: 'success',
+      data: {
+        deliveries,
+        pagination: {
+          page,
+          limit,
+          total,
+          totalPages,
+          hasNextPage: page < totalPages,
+          hasPrevPage: page > 1
+        }
+      }
+    });
+  } catch (err) { next(err); }
+});
+
+// Queue a delivery again (e.g. after fixing the receiving endpoint)
+router.post('/apps/:appId/deliveries/:deliveryId/redeliver', authenticateToken, verifyAppOwnership, async (req, res, next) => {
+  try {
+    const { deliveryId } = req.params;
+    if (!mongoose.isValidObjectId(deliveryId)) throw new AppError('Invalid delivery ID format', 400);
+    const delivery = await WebhookDelivery.findOne({ _id: deliveryId, appId: req.appId });
+    if (!delivery) throw new AppError('Webhook delivery not found', 404);
+    if (delivery.status === 'pending' || delivery.status === 'sending') {
+      throw new AppError('Delivery is already queued', 409);
+    }
+    const sub = await WebhookSubscription.findOne({ _id: delivery.subscriptionId, appId: req.appId }).select('_id isActive').lean();
+    if (!sub) throw new AppError('Webhook subscription no longer exists', 410);
+    if (!sub.isActive) throw new AppError('Enable the webhook subscription before redelivering', 409);
+
+    await WebhookService.redeliver(delivery);
+    res.status(202).json({ status: 'success', message: 'Delivery queued', data: { delivery } });
+  } catch (err) { next(err); }
+});
+
+module.exports = router;
@@ -0,0 +1,106 @@
+/**
+ * Backfill Appointment records for calendar bookings made before bookings were persisted.
+ *
+ * Older bookings only exist as Lead.appointmentDetails (confirmed=true). Creates one booked
+ * Appointment per such lead, skipping leads that already have an Appointment for the same event.
+ *
+ * Usage:
+ *   node src/scripts/backfillAppointmentsFromLeads.js
+ *   node src/scripts/backfillAppointmentsFromLeads.js --dry-run
+ */
+
+const mongoose = require('mongoose');
+const path = require('path');
+
+require('dotenv').config({ path: path.resolve(__dirname, '../../.env') });
+
+const { Lead } = require('../models/Lead');
+const { Appointment } = require('../models/Appointment');
+const { Integration } = require('../models/Integration');
+const { APPOINTMENT_STATUSES } = require('../enums/appointmentStatuses');
+
+async function runBackfill({ dryRun = false } = {}) {
+  if (!process.env.MONGODB_URI) {
+    throw new Error('MONGODB_URI is not configured.');
+  }
+
+  await mongoose.connect(process.env.MONGODB_URI);
+
+  const filter = {
+    appId: { $ne: null },
+    'appointmentDetails.confirmed': true,
+    'appointmentDetails.start': { $ne: null }
+  };
+  const total = await Lead.countDocuments(filter);
+  console.log(`[backfill] Leads with confirmed bookings: ${total}`);
+
+  const providerByApp = new Map();
+  let created = 0;
+  let skipped = 0;
+
+  const cursor = Lead.find(filter)
+    .select('appId title serviceType leadName leadEmail leadPhoneNumber sourceChannel appointmentDetails')
+    .lean()
+    .cursor();
+
+  for await (const lead of cursor) {
+    const details = lead.appointmentDetails;
+    const existing = await Appointment.exists(details.eventId
+      ? { owner: lead.appId, externalEventId: details.eventId }
+      : { owner: lead.appId, leadId: lead._id, startAt: details.start });
+    if (existing) {
+      skipped += 1;
+      continue;
+    }
+
+    const appKey = String(lead.appId);
+    if (!providerByApp.has(appKey)) {
+      const integration = await Integration.findOne({ owner: lead.appId }).select('calendarProvider').lean();
+      providerByApp.set(appKey, integration?.calendarProvider || null);
+    }
+
+    if (!dryRun) {
+      await Appointment.create({
+        owner: lead.appId,
+        title: lead.title || lead.serviceType || 'Appointment',
+        startAt: details.start,
+        // Old bookings without an end time are assumed to be 30 minutes long.
+        endAt: details.end || new Date(new Date(details.start).getTime() + 30 * 60 * 1000),
+        status: APPOINTMENT_STATUSES.BOOKED,
+        attendee: {
+          name: lead.leadName || null,
+          email: lead.leadEmail || null,
+          phone: lead.leadPhoneNumber || null
+        },
+        leadId: lead._id,
+        provider: providerByApp.get(appKey),
+        externalEventId: details.eventId || null,
+        link: details.link || null,
+        channel: lead.sourceChannel || null
+      });
+    }
+    created += 1;
+  }
+
+  if (dryRun) {
+    console.log(`[backfill] Dry run complete. Would create: ${created}, already present: ${skipped}`);
+    return;
+  }
+  console.log(`[backfill] Created: ${created}, already present: ${skipped}`);
+  console.log('[backfill] Completed successfully.');
+}
+
+async function main() {
+  const dryRun = process.argv.includes('--dry-run');
+
+  try {
+    await runBackfill({ dryRun });
+  } catch (error) {
+    console.error('[backfill] Failed:', error.message);
+    process.exitCode = 1;
+  } finally {
+    await mongoose.connection.close();
+  }
+}
+
+main();
@@ -0,0 +1,95 @@
+/**
+ * Migration script for per-staff availability
+ * Replaces the unique indexes on availabilities (owner + dayOfWeek) and
+ * availabilityexceptions (owner + date) with ones that include staffId,
+ * so every staff member can have their own weekly hours and exceptions
+ */
+
+const mongoose = require('mongoose');
+const dns = require('dns');
+require('dotenv').config({ path: require('path').resolve(__dirname, '../../.env') });
+
+const INDEX_CHANGES = [
+  { collection: 'availabilities', oldKey: { owner: 1, dayOfWeek: 1 }, newKey: { owner: 1, staffId: 1, dayOfWeek: 1 } },
+  { collection: 'availabilityexceptions', oldKey: { owner: 1, date: 1 }, newKey: { owner: 1, staffId: 1, date: 1 } }
+];
+
+function sameKey(a, b) {
+  const aKeys = Object.keys(a || {});
+  const bKeys = Object.keys(b || {});
+  return aKeys.length === bKeys.length && aKeys.every((k, i) => k === bKeys[i] && a[k] === b[k]);
+}
+
+async function fixStaffAvailabilityIndexes() {
+  try {
+    // Configure DNS servers if specified in environment (same as database.js)
+    if (process.env.DNS_SERVERS) {
+      const dnsServers = process.env.DNS_SERVERS.split(',').map(s => s.trim());
+      dns.setServers(dnsServers);
+      console.log(`DNS servers configured: ${dnsServers.join(', ')}`);
+    }
+
+    const options = {
+      maxPoolSize: parseInt(process.env.MONGODB_MAX_POOL_SIZE) || 10,
+      minPoolSize: parseInt(process.env.MONGODB_MIN_POOL_SIZE) || 2,
+      serverSelectionTimeoutMS: parseInt(process.env.MONGODB_SERVER_SELECTION_TIMEOUT) || 5000,
+      socketTimeoutMS: parseInt(process.env.MONGODB_SOCKET_TIMEOUT) || 45000,
+      retryWrites: true,
+      w: 'majority',
+      autoIndex: false
+    };
+
+    let uri = process.env.MONGODB_URI || process.env.MONGO_URI;
+    if (!uri) {
+      console.error('MONGODB_URI not found in environment variables');
+      process.exit(1);
+    }
+    const standardUri = process.env.MONGODB_URI_STANDARD;
+
+    console.log('Connecting to MongoDB...');
+    try {
+      await mongoose.connect(uri, options);
+      console.log('✅ Connected to MongoDB');
+    } catch (srvError) {
+      if (srvError.message && (srvError.message.includes('ECONNREFUSED') || srvError.message.includes('ENOTFOUND') || srvError.message.includes('querySrv')) && standardUri) {
+        console.log('⚠️  SRV connection failed due to DNS issues, attempting standard connection string...');
+        uri = standardUri;
+        await mongoose.connect(uri, options);
+        console.log('✅ Connected to MongoDB using standard connection string');
+      } else {
+        throw srvError;
+      }
+    }
+
+    const db = mongoose.connection.db;
+    for (const change of INDEX_CHANGES) {
+      const collection = db.collection(change.collection);
+      const indexes = await collection.indexes().catch(() => []);
+      console.log(`\n${change.collection} indexes:`, indexes.map(idx => idx.name));
+
+      const oldIndex = indexes.find(idx => sameKey(idx.key, change.oldKey) && idx.unique === true);
+      if (oldIndex) {
+        await collection.dropIndex(oldIndex.name);
+        console.log(`✓ Dropped old unique index: ${oldIndex.name}`);
+      } else {
+        console.log(`ℹ No unique index on ${Object.keys(change.oldKey).join(' + ')} found`);
+      }
+
+      await collection.createIndex(change.newKey, { unique: true });
+      console.log(`✓ Created unique index on ${Object.keys(change.newKey).join(' + ')}`);
+    }
+
+    console.log('\n✅ Index migration completed successfully!');
+    console.log('Staff members can now have their own weekly hours and exceptions.');
+
+    await mongoose.disconnect();
+    process.exit(0);
+  } catch (error) {
+    console.error('❌ Error during migration:', error);
+    await mongoose.disconnect();
+    process.exit(1);
+  }
+}
+
+// Run the migration
+fixStaffAvailabilityIndexes();
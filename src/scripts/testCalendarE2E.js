@@ -23,6 +23,8 @@ const https = require('https');
 const APP_ID = process.argv[2] || '000000000000000000000001'; // placeholder if no app in DB
 const BASE_URL = process.env.BACKEND_URL || process.env.API_BASE_URL || 'http://localhost:5000';
 const SECRET = process.env.THIRD_PARTY_SIGNING_SECRET || '';
+// Optional: sign as a managed client (key ID + one of its secrets in THIRD_PARTY_SIGNING_SECRET)
+const KEY_ID = process.env.THIRD_PARTY_KEY_ID || '';
 
 function generateNonce() {
   return require('crypto').randomBytes(16).toString('hex');
@@ -48,6 +50,7 @@ function request(method, path, query, body, headers = {}) {
     'x-tp-ts': ts,
     'x-tp-nonce': nonce,
     'x-tp-sign': sign,
+    ...(KEY_ID && { 'x-tp-key-id': KEY_ID }),
     'accept': 'application/json',
     ...(body && { 'Content-Type': 'application/json' }),
     ...headers
@@ -2,6 +2,8 @@ const { App } = require('../models/App');
 const { User } = require('../models/User');
 const { AppSubscriptionState } = require('../models/AppSubscriptionState');
 const { SubscriptionEvent } = require('../models/SubscriptionEvent');
+const websocketServer = require('../utils/websocketServer');
+const { WS_EVENTS } = require('../enums/websocketEvents');
 
 const CHANNELS = ['web', 'whatsapp', 'messenger', 'instagram', 'voice'];
 
@@ -137,6 +139,16 @@ class AppSubscriptionStateService {
     });
   }
 
+  /** Tell the owner's dashboard that a channel ran out of conversations. */
+  static notifyLimitReached(state, channel, summary, reason) {
+    if (!state?.appId) return;
+    websocketServer.emitToApp(String(state.appId), WS_EVENTS.SUBSCRIPTION_LIMIT_REACHED, {
+      channel,
+      reason,
+      channelSummary: summary?.channels?.[channel] || null
+    }, state.ownerUserId ? String(state.ownerUserId) : null);
+  }
+
   static async consumeConversation({ appId, channel, idempotencyKey }) {
     if (!CHANNELS.includes(channel)) {
       return { ok: false, code: 'invalid_channel', message: 'Unsupported channel' };
@@ -180,7 +192,11 @@ class AppSubscriptionStateService {
         nextState: { status: 'limit_reached' },
         actorType: 'ai'
       });
-      return { ok: false, code: 'limit_reached', message: 'Conversation limit reached', summary: this.summarize(refreshed) };
+      const refreshedSummary = this.summarize(refreshed);
+      if (prev.status !== 'limit_reached') {
+        this.notifyLimitReached(refreshed, channel, refreshedSummary, 'conversation_blocked');
+      }
+      return { ok: false, code: 'limit_reached', message: 'Conversation limit reached', summary: refreshedSummary };
     }
 
     const update = {
@@ -223,6 +239,7 @@ class AppSubscriptionStateService {
         channel,
         actorType: 'ai'
       });
+      if (updated) this.notifyLimitReached(finalState, channel, finalSummary, 'limit_exhausted');
     }
 
     return { ok: true, idempotent: !updated, summary: finalSummary };
@@ -0,0 +1,239 @@
+/**
+ * Appointment records for bookings made through the calendar providers (chatbot/widget/WhatsApp),
+ * so the dashboard can list what was booked independently of Google/Outlook.
+ */
+const mongoose = require('mongoose');
+const { Appointment } = require('../models/Appointment');
+const { Lead } = require('../models/Lead');
+const { APPOINTMENT_STATUSES, ACTIVE_APPOINTMENT_STATUSES } = require('../enums/appointmentStatuses');
+const { ReminderService } = require('./reminderService');
+const { logger } = require('../utils/logger');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+function escapeRegex(str) {
+  return str.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+class AppointmentService {
+  /**
+   * Save the Appointment for a successful provider booking and queue its reminders. Never throws: the booking already exists
+   * in the calendar, so a failed write is logged rather than failing the request.
+   * @param {Object} params
+   * @param {string} params.appId
+   * @param {string} params.provider - PROVIDER_* the booking was made with
+   * @param {Object} params.viewModel - BookAppointmentViewModel (eventId, link)
+   * @param {Object} params.booking - { start, end, title, description, timeZone, attendeeEmail, customerName, customerPhone, leadId, channel }
+   * @returns {Promise<Object|null>} Appointment document
+   */
+  static async recordBooking({ appId, provider, viewModel, booking }) {
+    try {
+      const leadId = booking.leadId && mongoose.isValidObjectId(booking.leadId) ? booking.leadId : null;
+      let channel = booking.channel || null;
+      if (!channel && leadId) {
+        const lead = await Lead.findById(leadId).select('sourceChannel').lean();
+        channel = lead?.sourceChannel || null;
+      }
+      const appointment = await Appointment.create({
+        owner: appId,
+        title: booking.title || '',
+        description: booking.description || '',
+        startAt: new Date(booking.start),
+        endAt: new Date(booking.end),
+        timeZone: booking.timeZone || null,
+        status: APPOINTMENT_STATUSES.BOOKED,
+        attendee: {
+          name: booking.customerName || null,
+          email: booking.attendeeEmail || null,
+          phone: booking.customerPhone || null
+        },
+        leadId,
+        staffId: booking.staffId || null,
+        staffCalendar: !!booking.staffCalendar,
+        serviceId: booking.serviceId || null,
+        provider: provider || null,
+        externalEventId: viewModel?.eventId || null,
+        link: viewModel?.link || null,
+        channel
+      });
+      await ReminderService.syncForAppointment(appointment);
+      return appointment;
+    } catch (error) {
+      logger.error('Failed to record booked appointment', { appId, eventId: viewModel?.eventId || null, error: error.message });
+      return null;
+    }
+  }
+
+  /** Link an appointment to the lead resolved after booking (e.g. matched by email/phone). */
+  static async linkLead(appointment, lead) {
+    if (!appointment || !lead || appointment.leadId) return;
+    try {
+      await Appointment.updateOne(
+        { _id: appointment._id },
+        { $set: { leadId: lead._id, ...(!appointment.channel && lead.sourceChannel && { channel: lead.sourceChannel }) } }
+      );
+      appointment.leadId = lead._id;
+    } catch (error) {
+      logger.warn('Failed to link appointment to lead', { appointmentId: String(appointment._id), error: error.message });
+    }
+  }
+
+  /**
+   * Mark the appointment for a provider event as cancelled and drop its pending reminders. Never throws.
+   * @returns {Promise<Object|null>} updated Appointment, or null when none was recorded for the event
+   */
+  static async recordCancellation(appId, externalEventId, reason = null) {
+    try {
+      const appointment = await Appointment.findOneAndUpdate(
+        { owner: appId, externalEventId: String(externalEventId), status: { $ne: APPOINTMENT_STATUSES.CANCELLED } },
+        { $set: { status: APPOINTMENT_STATUSES.CANCELLED, cancelledAt: new Date(), cancellationReason: reason }, $inc: { sequence: 1 } },
+        { new: true }
+      );
+      if (appointment) await ReminderService.cancelForAppointment(appointment._id);
+      return appointment;
+    } catch (error) {
+      logger.error('Failed to record appointment cancellation', { appId, eventId: externalEventId, error: error.message });
+      return null;
+    }
+  }
+
+  /** Active appointment recorded for a provider event, if any. */
+  static async findActiveByEvent(appId, externalEventId) {
+    return Appointment.findOne({
+      owner: appId,
+      externalEventId: String(externalEventId),
+      status: { $in: ACTIVE_APPOINTMENT_STATUSES }
+    });
+  }
+
+  /**
+   * Move an appointment after the provider event was rescheduled, keeping the previous times, and
+   * move its reminders with it.
+   * Never throws: the calendar event has already moved.
+   * @param {Object} appointment - Appointment document
+   * @param {{ start: string, end: string, timeZone?: string, link?: string, reason?: string }} change
+   * @returns {Promise<Object|null>}
+   */
+  static async recordReschedule(appointment, change) {
+    try {
+      appointment.previousStartAt = appointment.startAt;
+      appointment.previousEndAt = appointment.endAt;
+      appointment.startAt = new Date(change.start);
+      appointment.endAt = new Date(change.end);
+      if (change.timeZone) appointment.timeZone = change.timeZone;
+      if (change.link) appointment.link = change.link;
+      appointment.status = APPOINTMENT_STATUSES.RESCHEDULED;
+      appointment.rescheduledAt = new Date();
+      appointment.rescheduleReason = change.reason || null;
+      appointment.sequence = (appointment.sequence || 0) + 1;
+      await appointment.save();
+      await ReminderService.syncForAppointment(appointment);
+      return appointment;
+    } catch (error) {
+      logger.error('Failed to record appointment reschedule', { appointmentId: String(appointment._id), error: error.message });
+      return null;
+    }
+  }
+
+  /**
+   * Move the booking on the lead that holds it: the appointment's linked lead, or the lead whose
+   * appointmentDetails reference the event (bookings made before Appointment records existed).
+   * Never throws.
+   * @returns {Promise<Object|null>} updated Lead
+   */
+  static async moveLeadAppointment(appId, externalEventId, leadId, { start, end, link }) {
+    try {
+      const lead = leadId
+        ? await Lead.findOne({ _id: leadId, appId })
+        : await Lead.findOne({ appId, 'appointmentDetails.eventId': String(externalEventId) }).sort({ updatedAt: -1 });
+      if (!lead) return null;
+      lead.set('appointmentDetails.eventId', String(externalEventId));
+      lead.set('appointmentDetails.start', new Date(start));
+      lead.set('appointmentDetails.end', new Date(end));
+      if (link) lead.set('appointmentDetails.link', link);
+      return await lead.save();
+    } catch (error) {
+      logger.error('Failed to move lead appointment', { appId, eventId: externalEventId, error: error.message });
+      return null;
+    }
+  }
+
+  /**
+   * Mongo filter for appointment list/calendar queries from validated query values.
+   * @param {Object} scope - { owner }
+   * @param {Object} value - validated appointmentQuerySchema / appointmentCalendarQuerySchema values
+   * @param {{ overlap?: boolean }} [opts] - overlap: match appointments overlapping [from, to]
+   *   instead of those starting in it
+   * @returns {Object}
+   */
+  static buildFilter(scope, value, { overlap = false } = {}) {
+    const conditions = [ scope ];
+    if (value.from || value.to) {
+      if (overlap) {
+        if (value.to) conditions.push({ startAt: { $lt: new Date(value.to) } });
+        if (value.from) conditions.push({ endAt: { $gt: new Date(value.from) } });
+      } else {
+        const range = {};
+        if (value.from) range.$gte = new Date(value.from);
+        if (value.to) range.$lte = new Date(value.to);
+        conditions.push({ startAt: range });
+      }
+    }
+    if (value.status && value.status.length > 0) conditions.push({ status: { $in: value.status } });
+    if (value.channel) conditions.push({ channel: value.channel });
+    if (value.provider) conditions.push({ provider: value.provider });
+    if (value.leadId) conditions.push({ leadId: value.leadId });
+    if (value.staffId) conditions.push({ staffId: value.staffId });
+    if (value.groupSessionId) conditions.push({ groupSessionId: value.groupSessionId });
+    if (value.q && String(value.q).trim().length > 0) {
+      const rx = new RegExp(escapeRegex(String(value.q).trim()), 'i');
+      conditions.push({ $or: [
+        { title: rx },
+        { description: rx },
+        { 'attendee.name': rx },
+        { 'attendee.email': rx },
+        { 'attendee.phone': rx }
+      ] });
+    }
+    return conditions.length > 1 ? { $and: conditions } : conditions[0];
+  }
+
+  /**
+   * Active (booked/rescheduled) appointments starting in [from, to], padded by a day on each side so
+   * callers can count per local day in any timezone. The seats of a group session occurrence count as
+   * one booking.
+   * @param {{ excludeId?: string, staffId?: string, groupSessionsOnly?: boolean }} [opts] - excludeId: leave out
+   *   an appointment that is being moved; staffId: only that staff member's appointments; groupSessionsOnly:
+   *   only group session occurrences that have attendees (the staff member's, else the app-wide ones)
+   * @returns {Promise<Array<{ start: Date, end: Date }>>}
+   */
+  static async getActiveBookings(appId, from, to, { excludeId = null, staffId = null, groupSessionsOnly = false } = {}) {
+    const items = await Appointment.find({
+      owner: appId,
+      ...(excludeId && { _id: { $ne: excludeId } }),
+      ...(staffId && { staffId }),
+      ...(groupSessionsOnly && { groupSessionId: { $ne: null }, staffId: staffId || null }),
+      status: { $in: ACTIVE_APPOINTMENT_STATUSES },
+      startAt: {
+        $gte: new Date(new Date(from).getTime() - DAY_MS),
+        $lte: new Date(new Date(to).getTime() + DAY_MS)
+      }
+    })
+      .select('startAt endAt groupSessionId')
+      .lean()
+      .exec();
+    const seen = new Set();
+    const bookings = [];
+    for (const a of items) {
+      if (a.groupSessionId) {
+        const key = `${a.groupSessionId}:${new Date(a.startAt).getTime()}`;
+        if (seen.has(key)) continue;
+        seen.add(key);
+      }
+      bookings.push({ start: a.startAt, end: a.endAt });
+    }
+    return bookings;
+  }
+}
+
+module.exports = { AppointmentService };
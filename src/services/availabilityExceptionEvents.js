@@ -0,0 +1,56 @@
+/**
+ * Calendar events that mirror an availability exception (day off, whole day open, custom hours) into the
+ * connected calendar. Provider services turn these into their own event shapes; showAs is 'busy' or 'free'.
+ */
+
+function buildLocalDateTime(date, hhmm) {
+  return `${date}T${hhmm}:00`;
+}
+
+function createExceptionEventPayloads(exception) {
+  const date = exception?.date;
+  const timezone = (exception?.timezone || 'UTC').trim() || 'UTC';
+  const label = (exception?.label || '').trim();
+  if (!date) return [];
+
+  if (exception?.allDayOff) {
+    return [{
+      title: label || 'Not Available',
+      description: 'Assistly availability exception',
+      start: buildLocalDateTime(date, '00:00'),
+      end: buildLocalDateTime(date, '23:59'),
+      timeZone: timezone,
+      showAs: 'busy',
+      categories: ['AssistlyAvailability']
+    }];
+  }
+
+  if (exception?.overrideAllDay) {
+    return [{
+      title: label || 'Available',
+      description: 'Assistly availability exception',
+      start: buildLocalDateTime(date, '00:00'),
+      end: buildLocalDateTime(date, '23:59'),
+      timeZone: timezone,
+      showAs: 'free',
+      categories: ['AssistlyAvailability']
+    }];
+  }
+
+  const slots = Array.isArray(exception?.slots) ? exception.slots : [];
+  return slots
+    .filter((s) => s?.start && s?.end)
+    .map((slot) => ({
+      title: label || 'Available',
+      description: 'Assistly availability exception',
+      start: buildLocalDateTime(date, slot.start),
+      end: buildLocalDateTime(date, slot.end),
+      timeZone: timezone,
+      showAs: 'free',
+      categories: ['AssistlyAvailability']
+    }));
+}
+
+module.exports = {
+  createExceptionEventPayloads
+};
@@ -0,0 +1,82 @@
+/**
+ * Keeps the app's connected calendar in line with its availability exceptions (days off, custom hours).
+ */
+const { AvailabilityException } = require('../models/AvailabilityException');
+const { PROVIDER_GOOGLE, PROVIDER_OUTLOOK } = require('../integrations/appointment/commonViewModel');
+const { getProviderForApp } = require('./calendarBookingService');
+const { logger } = require('../utils/logger');
+
+// Field holding the events mirrored for an exception, per calendar provider.
+const MANAGED_EVENT_ID_FIELDS = {
+  [PROVIDER_GOOGLE]: 'googleManagedEventIds',
+  [PROVIDER_OUTLOOK]: 'outlookManagedEventIds'
+};
+
+/**
+ * Mirror an availability exception into the app's connected calendar when its provider supports it,
+ * recording the outcome in the exception's sync fields. Never throws: exception writes do not depend on it.
+ * @param {string} appId
+ * @param {Object} exceptionDoc - AvailabilityException (document or plain object)
+ */
+async function syncExceptionToCalendar(appId, exceptionDoc) {
+  try {
+    if (!exceptionDoc?._id) return;
+    await AvailabilityException.updateOne(
+      { _id: exceptionDoc._id },
+      { $set: { syncStatus: 'pending', syncError: null }, $inc: { syncAttempts: 1 } }
+    );
+
+    const { provider, providerType } = await getProviderForApp(appId);
+    const managedField = MANAGED_EVENT_ID_FIELDS[providerType];
+    const result = provider && managedField
+      ? await provider.syncAvailabilityException(
+        {
+          id: String(exceptionDoc._id),
+          date: exceptionDoc.date,
+          timezone: exceptionDoc.timezone || 'UTC',
+          allDayOff: !!exceptionDoc.allDayOff,
+          overrideAllDay: !!exceptionDoc.overrideAllDay,
+          slots: Array.isArray(exceptionDoc.slots) ? exceptionDoc.slots : [],
+          label: exceptionDoc.label || null
+        },
+        Array.isArray(exceptionDoc[managedField]) ? exceptionDoc[managedField] : []
+      )
+      : null;
+
+    if (!result) {
+      await AvailabilityException.updateOne(
+        { _id: exceptionDoc._id },
+        { $set: { syncStatus: 'skipped', syncError: null, lastSyncedAt: new Date() } }
+      );
+      return;
+    }
+
+    if (result.synced) {
+      await AvailabilityException.updateOne(
+        { _id: exceptionDoc._id },
+        {
+          $set: {
+            [managedField]: result.eventIds || [],
+            syncProvider: providerType,
+            syncStatus: 'synced',
+            syncError: null,
+            lastSyncedAt: new Date()
+          }
+        }
+      );
+    }
+  } catch (err) {
+    // Best-effort sync: do not fail availability exception writes.
+    if (exceptionDoc?._id) {
+      await AvailabilityException.updateOne(
+        { _id: exceptionDoc._id },
+        { $set: { syncStatus: 'failed', syncError: err?.message || 'Sync failed', lastSyncedAt: new Date() } }
+      );
+    }
+    logger.warn('Calendar exception sync failed', { appId, date: exceptionDoc?.date, error: err?.message });
+  }
+}
+
+module.exports = {
+  syncExceptionToCalendar
+};
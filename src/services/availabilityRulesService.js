@@ -0,0 +1,71 @@
+/**
+ * Loads the per-app inputs for slot generation and booking checks beyond the weekly template:
+ * seasonal schedules and booking rules.
+ */
+const { AvailabilitySchedule } = require('../models/AvailabilitySchedule');
+const { AvailabilitySettings, DEFAULT_AVAILABILITY_SETTINGS } = require('../models/AvailabilitySettings');
+const { AppError } = require('../utils/errorHandler');
+
+/**
+ * Booking rules for an app, with defaults for apps that never saved any.
+ * @param {string} appId
+ * @returns {Promise<Object>} AvailabilitySettings values
+ */
+async function getAvailabilitySettings(appId) {
+  const doc = await AvailabilitySettings.findOne({ owner: appId })
+    .select(Object.keys(DEFAULT_AVAILABILITY_SETTINGS).join(' '))
+    .lean()
+    .exec();
+  const settings = { ...DEFAULT_AVAILABILITY_SETTINGS };
+  for (const key of Object.keys(DEFAULT_AVAILABILITY_SETTINGS)) {
+    if (doc && doc[key] !== undefined) settings[key] = doc[key];
+  }
+  return settings;
+}
+
+/**
+ * Seasonal schedules that apply to at least one day in [fromDateStr, toDateStr].
+ * @param {string} appId
+ * @param {string} fromDateStr - YYYY-MM-DD
+ * @param {string} toDateStr - YYYY-MM-DD
+ * @returns {Promise<Array>}
+ */
+async function getSchedulesForRange(appId, fromDateStr, toDateStr) {
+  return AvailabilitySchedule.find({
+    owner: appId,
+    effectiveFrom: { $lte: toDateStr },
+    $or: [{ effectiveTo: null }, { effectiveTo: { $gte: fromDateStr } }]
+  })
+    .select('name effectiveFrom effectiveTo days')
+    .lean()
+    .exec();
+}
+
+/**
+ * Reject a schedule whose date range overlaps another schedule of the same app.
+ * @param {string} appId
+ * @param {{ effectiveFrom: string, effectiveTo?: string|null }} range
+ * @param {string} [excludeId] - schedule being updated
+ * @throws {AppError} 409
+ */
+async function assertNoScheduleOverlap(appId, range, excludeId = null) {
+  const filter = {
+    owner: appId,
+    $or: [{ effectiveTo: null }, { effectiveTo: { $gte: range.effectiveFrom } }]
+  };
+  if (range.effectiveTo) filter.effectiveFrom = { $lte: range.effectiveTo };
+  if (excludeId) filter._id = { $ne: excludeId };
+  const clash = await AvailabilitySchedule.findOne(filter).select('name effectiveFrom effectiveTo').lean().exec();
+  if (clash) {
+    throw new AppError(
+      `Schedule dates overlap "${clash.name}" (${clash.effectiveFrom} to ${clash.effectiveTo || 'open-ended'})`,
+      409
+    );
+  }
+}
+
+module.exports = {
+  getAvailabilitySettings,
+  getSchedulesForRange,
+  assertNoScheduleOverlap
+};
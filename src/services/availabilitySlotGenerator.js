@@ -1,12 +1,18 @@
 /**
  * Generates bookable free slots by merging:
- * - Weekly availability rules (Availability model)
+ * - Weekly availability rules (Availability model), replaced by a seasonal AvailabilitySchedule on its dates
  * - Date-based exceptions (AvailabilityException)
  * - Provider free/busy (e.g. Google Calendar)
- * Slots are returned as { start, end } in ISO 8601 UTC.
+ * - Booking rules (AvailabilitySettings): buffers, minimum notice, booking horizon, daily cap
+ * Slots are returned as { start, end } in ISO 8601 UTC. For a service, each slot is one possible
+ * appointment: the whole service duration, with starts every intervalMinutes.
  */
 
 const ALLOWED_SLOT_MINUTES = [15, 30, 60];
+// Granularity of service start times.
+const ALLOWED_INTERVAL_MINUTES = [5, 10, 15, 20, 30, 60];
+const MIN_SERVICE_MINUTES = 5;
+const MAX_SERVICE_MINUTES = 720;
 
 /**
  * @param {number} slotMinutes
@@ -16,6 +22,14 @@ function isAllowedSlotMinutes(slotMinutes) {
   return Number.isInteger(slotMinutes) && ALLOWED_SLOT_MINUTES.includes(slotMinutes);
 }
 
+/**
+ * @param {number} intervalMinutes
+ * @returns {boolean}
+ */
+function isAllowedIntervalMinutes(intervalMinutes) {
+  return Number.isInteger(intervalMinutes) && ALLOWED_INTERVAL_MINUTES.includes(intervalMinutes);
+}
+
 /**
  * Get start of day in a given timezone as Date (UTC).
  * Uses Intl.DateTimeFormat to compute the exact UTC moment that corresponds to
@@ -66,6 +80,41 @@ function getStartOfDayInTimezone(dateStr, timezone) {
   }
 }
 
+/**
+ * Calendar date (YYYY-MM-DD) of an instant in a given timezone.
+ * @param {Date|string} date
+ * @param {string} timezone - IANA timezone or 'UTC'
+ * @returns {string}
+ */
+function toDateStrInTimezone(date, timezone) {
+  const d = new Date(date);
+  try {
+    // en-CA formats as YYYY-MM-DD
+    return new Intl.DateTimeFormat('en-CA', {
+      timeZone: timezone || 'UTC', year: 'numeric', month: '2-digit', day: '2-digit'
+    }).format(d);
+  } catch (e) {
+    return d.toISOString().slice(0, 10);
+  }
+}
+
+/**
+ * The seasonal schedule in effect on a date, if any. Ranges are inclusive; effectiveTo null = open-ended.
+ * When ranges overlap, the one that started most recently wins.
+ * @param {string} dateStr - YYYY-MM-DD
+ * @param {Array<{ effectiveFrom: string, effectiveTo?: string|null }>} schedules
+ * @returns {Object|null}
+ */
+function findScheduleForDate(dateStr, schedules) {
+  let match = null;
+  for (const schedule of schedules || []) {
+    if (schedule.effectiveFrom > dateStr) continue;
+    if (schedule.effectiveTo && schedule.effectiveTo < dateStr) continue;
+    if (!match || schedule.effectiveFrom > match.effectiveFrom) match = schedule;
+  }
+  return match;
+}
+
 /**
  * Add a HH:MM offset to dayStartUtc (which is already the UTC equivalent of local midnight).
  * Because dayStartUtc represents 00:00 local time, adding HH:MM directly yields the correct UTC
@@ -125,10 +174,15 @@ function getAllowedWindowsForDay(dateStr, dayOfWeek, weeklyDay, exception) {
  * @param {number} slotMinutes
  * @param {Array<{ start: string|Date, end: string|Date }>} busy - ISO or Date
  * @param {string} [timezone='UTC']
+ * @param {{ bufferBeforeMinutes?: number, bufferAfterMinutes?: number }} [buffers] - free time required around the slot
+ * @param {number} [stepMinutes=slotMinutes] - minutes between slot starts (slots overlap when shorter than slotMinutes)
  * @returns {Array<{ start: string, end: string, timezone: string }>} ISO strings
  */
-function sliceIntoSlots(windowStart, windowEnd, slotMinutes, busy, timezone = 'UTC') {
+function sliceIntoSlots(windowStart, windowEnd, slotMinutes, busy, timezone = 'UTC', buffers = {}, stepMinutes = slotMinutes) {
   const slotMs = slotMinutes * 60 * 1000;
+  const stepMs = stepMinutes * 60 * 1000;
+  const beforeMs = (buffers.bufferBeforeMinutes || 0) * 60 * 1000;
+  const afterMs = (buffers.bufferAfterMinutes || 0) * 60 * 1000;
   const busyTuples = (busy || []).map((b) => ({
     start: typeof b.start === 'string' ? new Date(b.start).getTime() : b.start.getTime(),
     end: typeof b.end === 'string' ? new Date(b.end).getTime() : b.end.getTime()
@@ -141,7 +195,7 @@ function sliceIntoSlots(windowStart, windowEnd, slotMinutes, busy, timezone = 'U
   while (cursor + slotMs <= endTs) {
     const slotEndTs = cursor + slotMs;
     const overlaps = busyTuples.some(
-      (b) => b.start < slotEndTs && b.end > cursor
+      (b) => b.start < slotEndTs + afterMs && b.end > cursor - beforeMs
     );
     if (!overlaps) {
       result.push({
@@ -150,7 +204,7 @@ function sliceIntoSlots(windowStart, windowEnd, slotMinutes, busy, timezone = 'U
         timezone
       });
     }
-    cursor += slotMs;
+    cursor += stepMs;
   }
   return result;
 }
@@ -162,8 +216,18 @@ function sliceIntoSlots(windowStart, windowEnd, slotMinutes, busy, timezone = 'U
  * @param {string} opts.timeMax - ISO 8601
  * @param {Array<{ dayOfWeek: number, slots: Array<{ start: string, end: string }>, allDay?: boolean, timezone?: string }>} opts.weeklyAvailability - 7 entries or map by dayOfWeek
  * @param {Array<{ date: string, allDayOff?: boolean, overrideAllDay?: boolean, slots?: Array<{ start: string, end: string }> }>} opts.exceptions
+ * @param {Array<{ name?: string, effectiveFrom: string, effectiveTo?: string|null, days: Array<{ dayOfWeek: number, slots: Array, allDay?: boolean }> }>} [opts.schedules] - seasonal schedules
  * @param {Array<{ start: string, end: string }>} opts.providerBusy - from calendar provider
+ * @param {Array<{ start: string|Date, end: string|Date }>} [opts.holds] - slot holds of other chat sessions;
+ *   held times are not offered
  * @param {number} opts.slotMinutes - 15, 30, or 60
+ * @param {number} [opts.durationMinutes] - service length (5–720); slots are this long instead of slotMinutes
+ * @param {number} [opts.intervalMinutes] - minutes between service start times (ALLOWED_INTERVAL_MINUTES);
+ *   defaults to slotMinutes
+ * @param {Object} [opts.rules] - booking rules (AvailabilitySettings): bufferBeforeMinutes, bufferAfterMinutes,
+ *   minNoticeMinutes, maxHorizonDays, dailyBookingCap
+ * @param {Array<{ start: string|Date }>} [opts.existingBookings] - bookings counted against dailyBookingCap
+ * @param {Date} [opts.now]
  * @returns {Array<{ start: string, end: string }>} freeSlots in ISO
  */
 function generateSlotsFromRules(opts) {
@@ -172,16 +236,35 @@ function generateSlotsFromRules(opts) {
     timeMax,
     weeklyAvailability = [],
     exceptions = [],
+    schedules = [],
     providerBusy = [],
+    holds = [],
     slotMinutes = 30,
-    defaultTimezone = null
+    durationMinutes = null,
+    intervalMinutes = null,
+    defaultTimezone = null,
+    rules = {},
+    existingBookings = [],
+    now = new Date()
   } = opts;
 
   if (!isAllowedSlotMinutes(slotMinutes)) {
     throw new Error(`slotMinutes must be one of ${ALLOWED_SLOT_MINUTES.join(', ')}`);
   }
+  const serviceMode = durationMinutes != null || intervalMinutes != null;
+  if (durationMinutes != null
+    && !(Number.isInteger(durationMinutes) && durationMinutes >= MIN_SERVICE_MINUTES && durationMinutes <= MAX_SERVICE_MINUTES)) {
+    throw new Error(`durationMinutes must be a whole number from ${MIN_SERVICE_MINUTES} to ${MAX_SERVICE_MINUTES}`);
+  }
+  if (intervalMinutes != null && !isAllowedIntervalMinutes(intervalMinutes)) {
+    throw new Error(`intervalMinutes must be one of ${ALLOWED_INTERVAL_MINUTES.join(', ')}`);
+  }
+  const lengthMinutes = durationMinutes || slotMinutes;
+  const stepMinutes = intervalMinutes || slotMinutes;
+  const stepMs = stepMinutes * 60 * 1000;
 
   const tzFallback = defaultTimezone || 'UTC';
+  const busy = [...providerBusy, ...(holds || [])];
 
   // When no availability rules are configured at all, use a sensible default
   // business-hours schedule (Mon–Sun, 09:00–17:00) rather than showing nothing.
@@ -205,8 +288,21 @@ function generateSlotsFromRules(opts) {
     });
   });
 
+  const earliestStart = now.getTime() + (rules.minNoticeMinutes || 0) * 60 * 1000;
+  const latestStart = rules.maxHorizonDays
+    ? now.getTime() + rules.maxHorizonDays * 24 * 60 * 60 * 1000
+    : Infinity;
+  const ruleTimezone = weeklyAvailability[0]?.timezone || tzFallback;
+  const bookingsByDate = new Map();
+  if (rules.dailyBookingCap) {
+    for (const booking of existingBookings || []) {
+      const key = toDateStrInTimezone(booking.start, ruleTimezone);
+      bookingsByDate.set(key, (bookingsByDate.get(key) || 0) + 1);
+    }
+  }
+
   const minDate = new Date(timeMin);
-  const maxDate = new Date(timeMax);
+  const maxDate = new Date(Math.min(new Date(timeMax).getTime(), latestStart + lengthMinutes * 60 * 1000));
   const freeSlots = [];
 
   const current = new Date(minDate);
@@ -218,30 +314,48 @@ function generateSlotsFromRules(opts) {
     const d = String(current.getUTCDate()).padStart(2, '0');
     const dateStr = `${y}-${m}-${d}`;
     const dayOfWeek = current.getUTCDay();
-    const weeklyDay = weeklyByDay.get(dayOfWeek) || {
-      allDay: false,
-      slots: hasRules ? [] : DEFAULT_BUSINESS_SLOT,
-      timezone: weeklyAvailability[0]?.timezone || tzFallback
-    };
+    const schedule = findScheduleForDate(dateStr, schedules);
+    const scheduleDay = schedule ? (schedule.days || []).find((sd) => sd.dayOfWeek === dayOfWeek) : null;
+    const weeklyDay = schedule
+      ? { allDay: !!scheduleDay?.allDay, slots: scheduleDay?.slots || [], timezone: ruleTimezone }
+      : weeklyByDay.get(dayOfWeek) || {
+        allDay: false,
+        slots: hasRules ? [] : DEFAULT_BUSINESS_SLOT,
+        timezone: ruleTimezone
+      };
     const exception = exceptionsByDate.get(dateStr) || null;
 
+    if (rules.dailyBookingCap && (bookingsByDate.get(dateStr) || 0) >= rules.dailyBookingCap) {
+      current.setUTCDate(current.getUTCDate() + 1);
+      continue;
+    }
+
     const windows = getAllowedWindowsForDay(dateStr, dayOfWeek, weeklyDay, exception);
 
     for (const win of windows) {
       const winStart = win.start.getTime();
       const winEnd = win.end.getTime();
-      const rangeMin = Math.max(winStart, minDate.getTime());
+      let rangeMin = Math.max(winStart, minDate.getTime());
+      // Service start times stay on the interval grid of the opening hours (e.g. 09:00, 09:15, ...).
+      if (serviceMode && rangeMin > winStart) {
+        rangeMin = winStart + Math.ceil((rangeMin - winStart) / stepMs) * stepMs;
+      }
       const rangeMax = Math.min(winEnd, maxDate.getTime());
       if (rangeMax <= rangeMin) continue;
 
       const slotList = sliceIntoSlots(
         new Date(rangeMin),
         new Date(rangeMax),
-        slotMinutes,
-        providerBusy,
-        weeklyDay.timezone || 'UTC'
+        lengthMinutes,
+        busy,
+        weeklyDay.timezone || 'UTC',
+        rules,
+        stepMinutes
       );
-      freeSlots.push(...slotList);
+      freeSlots.push(...slotList.filter((slot) => {
+        const startTs = new Date(slot.start).getTime();
+        return startTs >= earliestStart && startTs <= latestStart;
+      }));
     }
 
     current.setUTCDate(current.getUTCDate() + 1);
@@ -251,8 +365,69 @@ function generateSlotsFromRules(opts) {
   return freeSlots;
 }
 
+/**
+ * Check a requested booking against the minimum notice, booking horizon and daily cap.
+ * Buffers are not checked here; they depend on provider busy times and are applied to offered slots.
+ * @param {Object} opts
+ * @param {string|Date} opts.start
+ * @param {Object} opts.rules - AvailabilitySettings values
+ * @param {Array<{ start: string|Date }>} [opts.existingBookings] - bookings on the same local day
+ * @param {string} [opts.timezone='UTC']
+ * @param {Date} [opts.now]
+ * @returns {string|null} reason the booking is not allowed, or null
+ */
+function checkBookingAgainstRules({ start, rules = {}, existingBookings = [], timezone = 'UTC', now = new Date() }) {
+  const startTs = new Date(start).getTime();
+  if (!Number.isFinite(startTs)) return 'Invalid appointment start time.';
+  if (rules.minNoticeMinutes && startTs < now.getTime() + rules.minNoticeMinutes * 60 * 1000) {
+    return `Appointments must be booked at least ${rules.minNoticeMinutes} minutes in advance.`;
+  }
+  if (rules.maxHorizonDays && startTs > now.getTime() + rules.maxHorizonDays * 24 * 60 * 60 * 1000) {
+    return `Appointments can be booked at most ${rules.maxHorizonDays} days in advance.`;
+  }
+  if (rules.dailyBookingCap) {
+    const day = toDateStrInTimezone(start, timezone);
+    const booked = (existingBookings || []).filter((b) => toDateStrInTimezone(b.start, timezone) === day).length;
+    if (booked >= rules.dailyBookingCap) {
+      return 'No more appointments can be booked on this day.';
+    }
+  }
+  return null;
+}
+
+/**
+ * Turn free slots into start times for an appointment of `durationMinutes`: a start is offered when
+ * back-to-back free slots from it cover the whole duration.
+ * @param {Array<{ start: string, end: string, timezone?: string }>} freeSlots - sorted, from generateSlotsFromRules
+ * @param {number} durationMinutes
+ * @returns {Array<{ start: string, end: string, timezone?: string }>}
+ */
+function combineSlotsForDuration(freeSlots, durationMinutes) {
+  const durationMs = durationMinutes * 60 * 1000;
+  const result = [];
+  for (let i = 0; i < freeSlots.length; i++) {
+    const startTs = new Date(freeSlots[i].start).getTime();
+    let coveredTo = new Date(freeSlots[i].end).getTime();
+    for (let j = i + 1; coveredTo - startTs < durationMs && j < freeSlots.length; j++) {
+      if (new Date(freeSlots[j].start).getTime() !== coveredTo) break;
+      coveredTo = new Date(freeSlots[j].end).getTime();
+    }
+    if (coveredTo - startTs >= durationMs) {
+      result.push({ ...freeSlots[i], end: new Date(startTs + durationMs).toISOString() });
+    }
+  }
+  return result;
+}
+
 module.exports = {
   generateSlotsFromRules,
+  checkBookingAgainstRules,
+  combineSlotsForDuration,
+  toDateStrInTimezone,
+  getStartOfDayInTimezone,
+  addTimeToDay,
   isAllowedSlotMinutes,
-  ALLOWED_SLOT_MINUTES
+  isAllowedIntervalMinutes,
+  ALLOWED_SLOT_MINUTES,
+  ALLOWED_INTERVAL_MINUTES
 };
@@ -0,0 +1,142 @@
+/**
+ * Business branding, links and calendar invites for booking emails (confirmations, reschedules, reminders).
+ * Shared by the calendar booking flows and the reminder worker, which has no request to read a host from.
+ */
+const { App } = require('../models/App');
+const { User } = require('../models/User');
+const { Integration } = require('../models/Integration');
+const { getAvailabilitySettings } = require('./availabilityRulesService');
+const { createManageBookingToken, buildManageBookingUrl } = require('../utils/manageBookingToken');
+const { buildCalendar } = require('../utils/icsCalendar');
+const { APPOINTMENT_STATUSES } = require('../enums/appointmentStatuses');
+
+function resolvePublicBackendBaseUrl(req) {
+  const raw =
+    process.env.BACKEND_URL ||
+    process.env.API_BASE_URL ||
+    process.env.APP_URL ||
+    process.env.NEXT_PUBLIC_API_URL ||
+    '';
+  const trimmed = String(raw).trim().replace(/\/$/, '');
+  if (trimmed) {
+    return trimmed.replace(/\/api(?:\/v\d+)?$/i, '');
+  }
+
+  const requestHost = String(req?.get?.('host') || '').trim();
+  if (!requestHost) return '';
+  const protocol =
+    String(req?.headers?.['x-forwarded-proto'] || '').split(',')[0].trim() ||
+    req?.protocol ||
+    'https';
+  return `${protocol}://${requestHost}`.replace(/\/$/, '');
+}
+
+/**
+ * Branding and contact details for booking emails, plus a formatter for times in the calendar timezone.
+ * @param {string} appId
+ * @param {string} publicBackendBase - from resolvePublicBackendBaseUrl, for the logo URL
+ * @returns {Promise<{ businessData: Object, formatInCalTz: function(string): string }>}
+ */
+async function buildBookingEmailContext(appId, publicBackendBase) {
+  const app = await App.findById(appId).select('owner name twilioPhoneNumber whatsappNumber').lean().exec();
+  const owner = app?.owner
+    ? await User.findById(app.owner).select('email firstName lastName phoneNumber').lean().exec()
+    : null;
+  const integration = await Integration.findOne({ owner: appId })
+    .select('assistantName companyName primaryColor chatbotImage googleCalendarTimezone')
+    .lean()
+    .exec();
+  const logoUrl = integration?.chatbotImage?.filename
+    ? (publicBackendBase
+      ? `${publicBackendBase}/api/v1/integration/public/apps/${appId}/chatbot-image`
+      : '')
+    : '';
+  // companyName is the real business brand (e.g. "Facelism"); assistantName is the bot persona (e.g. "Assistant")
+  const resolvedCompanyName = integration?.companyName || app?.name || 'Business';
+  const businessData = {
+    appId,
+    companyName: resolvedCompanyName,
+    name: resolvedCompanyName,
+    email: owner?.email || '',
+    // Prefer owner's user phone; fallback to app-level numbers.
+    phone: owner?.phoneNumber || app?.twilioPhoneNumber || app?.whatsappNumber || '',
+    primaryColor: integration?.primaryColor || '#c01721',
+    logoUrl,
+  };
+  const calTz = integration?.googleCalendarTimezone || 'UTC';
+  const formatInCalTz = (isoStr) => {
+    try {
+      return new Date(isoStr).toLocaleString('en-US', {
+        timeZone: calTz,
+        weekday: 'short',
+        year: 'numeric',
+        month: 'short',
+        day: 'numeric',
+        hour: 'numeric',
+        minute: '2-digit',
+        hour12: true,
+      });
+    } catch {
+      return new Date(isoStr).toLocaleString();
+    }
+  };
+  return { businessData, formatInCalTz };
+}
+
+/**
+ * Customer manage-booking link for an appointment, or '' when links are not configured or the app
+ * allows neither self-service cancelling nor rescheduling.
+ * @returns {Promise<string>}
+ */
+async function getManageLink(appointment) {
+  if (!appointment) return '';
+  const settings = await getAvailabilitySettings(appointment.owner);
+  if (!settings.selfServiceCancelEnabled && !settings.selfServiceRescheduleEnabled) return '';
+  return buildManageBookingUrl(createManageBookingToken(appointment));
+}
+
+/**
+ * Calendar event for an appointment as used in invites and the iCalendar feed.
+ * @param {Object} appointment - Appointment document, or a plain object with the same fields
+ *   (startAt, endAt, title, ...) for bookings that have no Appointment record
+ * @param {Object} [businessData] - from buildBookingEmailContext; becomes the organizer
+ */
+function toCalendarEvent(appointment, businessData = null) {
+  const companyName = businessData?.companyName || '';
+  const contactPhone = businessData?.phone || '';
+  const description = [
+    appointment.description || '',
+    companyName ? `Booked with ${companyName}` : '',
+    contactPhone ? `Contact: ${contactPhone}` : ''
+  ].filter(Boolean).join('\n');
+  return {
+    id: String(appointment._id || appointment.externalEventId),
+    sequence: appointment.sequence || 0,
+    start: appointment.startAt,
+    end: appointment.endAt,
+    title: companyName && appointment.title ? `${appointment.title} – ${companyName}` : (appointment.title || companyName || 'Appointment'),
+    description,
+    url: appointment.link || '',
+    cancelled: appointment.status === APPOINTMENT_STATUSES.CANCELLED,
+    updatedAt: appointment.updatedAt || null,
+    organizer: { name: companyName, email: businessData?.email || process.env.FROM_EMAIL || '' },
+    attendee: { name: appointment.attendee?.name || '', email: appointment.attendee?.email || '' }
+  };
+}
+
+/**
+ * .ics invite for a booking email.
+ * @param {'REQUEST'|'CANCEL'|'PUBLISH'} method - REQUEST for new/moved bookings, CANCEL for cancellations
+ * @returns {{ content: string, method: string }} calendarInvite for the EmailService appointment emails
+ */
+function buildCalendarInvite(method, appointment, businessData) {
+  return { content: buildCalendar({ method, events: [toCalendarEvent(appointment, businessData)] }), method };
+}
+
+module.exports = {
+  resolvePublicBackendBaseUrl,
+  buildBookingEmailContext,
+  getManageLink,
+  toCalendarEvent,
+  buildCalendarInvite
+};
@@ -0,0 +1,465 @@
+/**
+ * Booking deposits: when the booked service has a deposit and the app has a connected Stripe account,
+ * the booking waits in pending_payment with its slot held while the customer pays through Stripe
+ * Checkout. Payment (Connect webhook) puts the event in the calendar and confirms the booking and lead;
+ * an unpaid booking is cancelled and its slot released when the payment window ends.
+ */
+const mongoose = require('mongoose');
+const { Appointment } = require('../models/Appointment');
+const { Integration } = require('../models/Integration');
+const { Lead } = require('../models/Lead');
+const { SlotHold } = require('../models/SlotHold');
+const { StaffMember } = require('../models/StaffMember');
+const { APPOINTMENT_STATUSES } = require('../enums/appointmentStatuses');
+const { PAYMENT_STATUSES } = require('../enums/paymentStatuses');
+const { WEBHOOK_EVENTS } = require('../enums/webhookEvents');
+const { WS_EVENTS } = require('../enums/websocketEvents');
+const { ReminderService } = require('./reminderService');
+const { getAvailabilitySettings } = require('./availabilityRulesService');
+const { holdSlot, releaseSessionHolds } = require('./slotHoldService');
+const {
+  publishAppointmentEvent,
+  getProviderForApp,
+  getProviderForStaff,
+  notifyBookingConfirmed
+} = require('./calendarBookingService');
+const { buildBookingEmailContext, resolvePublicBackendBaseUrl } = require('./bookingContextService');
+const stripeConnect = require('./stripeConnectService');
+const EmailService = require('../utils/emailService');
+const { logger } = require('../utils/logger');
+
+const MINUTE_MS = 60 * 1000;
+const POLL_INTERVAL_MS = parseInt(process.env.BOOKING_PAYMENT_POLL_INTERVAL_MS, 10) || 60000;
+const BATCH_SIZE = 20;
+// Customers who opened Checkout just before the window ended can still finish paying meanwhile; the
+// hold and the Checkout session last this much longer (Stripe also needs at least 30 minutes).
+const EXPIRY_GRACE_MS = 2 * 60 * 1000;
+// A booking Stripe cannot settle yet (an async payment still processing, or Stripe unreachable) is
+// checked again after this long instead of on every poll.
+const RECHECK_DELAY_MS = 15 * 60 * 1000;
+const EXPIRED_REASON = 'The deposit was not paid in time.';
+// A paid booking still pending_payment this long after confirming started was interrupted (e.g. the process
+// stopped before it was saved as booked) and is confirmed again.
+const CONFIRM_STALE_MS = 5 * 60 * 1000;
+
+let workerTimer = null;
+let workerRunning = false;
+
+function frontendBase() {
+  return (process.env.FRONTEND_URL || 'http://localhost:3000').replace(/\/$/, '');
+}
+
+class BookingPaymentService {
+  /**
+   * Deposit a booking of the service needs: only when the service has a deposit and a price currency
+   * and the app's connected Stripe account can take charges.
+   * @param {string} appId
+   * @param {Object|null} service - from servicePlanService.getServicePlan
+   * @returns {Promise<{ amount: number, currency: string, stripeAccountId: string }|null>}
+   */
+  static async getDepositRequirement(appId, service) {
+    if (!(service?.depositAmount > 0) || !service.price?.currency) return null;
+    if (!stripeConnect.isConfigured()) return null;
+    const integration = await Integration.findOne({ owner: appId })
+      .select('stripeAccountId stripeChargesEnabled')
+      .lean()
+      .exec();
+    if (!integration?.stripeAccountId || !integration.stripeChargesEnabled) return null;
+    return {
+      amount: service.depositAmount,
+      currency: String(service.price.currency).toUpperCase(),
+      stripeAccountId: integration.stripeAccountId
+    };
+  }
+
+  /**
+   * Hold the (already re-checked) time until the payment window ends, save the booking as pending_payment
+   * and create its Checkout session. The chat session's own holds are released.
+   * @param {string} appId
+   * @param {Object} params
+   * @param {Object} params.deposit - from getDepositRequirement
+   * @param {Object} params.booking - { start, end, title, description, timeZone, attendeeEmail, customerName,
+   *   customerPhone, leadId, channel, postBookingNote, staffId, staffCalendar, serviceId }
+   * @param {string|null} [params.sessionId] - chat session that booked
+   * @param {string|null} [params.successUrl]
+   * @param {string|null} [params.cancelUrl]
+   * @returns {Promise<{ appointment: Object|null, unavailable: boolean, error: string|null }>} unavailable when
+   *   another session held the time first
+   */
+  static async startDepositBooking(appId, { deposit, booking, sessionId = null, successUrl = null, cancelUrl = null }) {
+    const { paymentWindowMinutes } = await getAvailabilitySettings(appId);
+    const expiresAt = new Date(Date.now() + paymentWindowMinutes * MINUTE_MS);
+    const holdUntil = new Date(expiresAt.getTime() + EXPIRY_GRACE_MS);
+    const appointmentId = new mongoose.Types.ObjectId();
+
+    if (sessionId) await releaseSessionHolds(appId, sessionId);
+    const hold = await holdSlot(appId, {
+      sessionId: `payment:${appointmentId}`,
+      start: new Date(booking.start),
+      end: new Date(booking.end),
+      staffId: booking.staffId || null,
+      serviceId: booking.serviceId || null,
+      expiresAt: holdUntil
+    });
+    if (!hold) return { appointment: null, unavailable: true, error: 'The requested time is no longer available.' };
+
+    const leadId = booking.leadId && mongoose.isValidObjectId(booking.leadId) ? booking.leadId : null;
+    let channel = booking.channel || null;
+    if (!channel && leadId) {
+      const lead = await Lead.findById(leadId).select('sourceChannel').lean();
+      channel = lead?.sourceChannel || null;
+    }
+
+    let appointment = null;
+    try {
+      appointment = await Appointment.create({
+        _id: appointmentId,
+        owner: appId,
+        title: booking.title || '',
+        description: booking.description || '',
+        startAt: new Date(booking.start),
+        endAt: new Date(booking.end),
+        timeZone: booking.timeZone || null,
+        status: APPOINTMENT_STATUSES.PENDING_PAYMENT,
+        attendee: {
+          name: booking.customerName || null,
+          email: booking.attendeeEmail || null,
+          phone: booking.customerPhone || null
+        },
+        leadId,
+        staffId: booking.staffId || null,
+        staffCalendar: !!booking.staffCalendar,
+        serviceId: booking.serviceId || null,
+        channel,
+        payment: {
+          status: PAYMENT_STATUSES.PENDING,
+          amount: deposit.amount,
+          currency: deposit.currency,
+          stripeAccountId: deposit.stripeAccountId,
+          expiresAt,
+          holdId: hold._id,
+          postBookingNote: booking.postBookingNote || null
+        }
+      });
+
+      const checkout = await stripeConnect.createDepositCheckoutSession({
+        stripeAccountId: deposit.stripeAccountId,
+        appId,
+        appointmentId,
+        amount: deposit.amount,
+        currency: deposit.currency,
+        productName: `Deposit: ${booking.title || 'Appointment'}`,
+        customerEmail: booking.attendeeEmail || null,
+        expiresAt: holdUntil,
+        successUrl: successUrl || `${frontendBase()}/booking-payment?status=paid&appointmentId=${appointmentId}`,
+        cancelUrl: cancelUrl || `${frontendBase()}/booking-payment?status=cancelled&appointmentId=${appointmentId}`
+      });
+      appointment.payment.checkoutSessionId = checkout.id;
+      appointment.payment.checkoutUrl = checkout.url;
+      await appointment.save();
+      return { appointment, unavailable: false, error: null };
+    } catch (error) {
+      logger.error('Failed to start deposit checkout', { appId, error: error.message });
+      await SlotHold.deleteOne({ _id: hold._id });
+      if (appointment) await Appointment.deleteOne({ _id: appointment._id });
+      return { appointment: null, unavailable: false, error: 'The deposit payment could not be started. Please try again later.' };
+    }
+  }
+
+  /**
+   * Confirm a booking whose deposit was paid: create the calendar event, mark it booked, release its hold,
+   * queue reminders, and send the confirmation emails, lead update and appointment.booked. Safe to call
+   * more than once for the same payment; only the first call confirms, unless it was interrupted before the
+   * booking was saved, in which case a call after CONFIRM_STALE_MS (a Stripe retry or the worker) finishes it.
+   * @param {Object} params - { appointmentId, checkoutSessionId, paymentIntentId? }
+   * @returns {Promise<Object|null>} the booked Appointment, or null when it was not pending (already
+   *   confirmed or being confirmed, expired or unknown)
+   */
+  static async confirmPaidBooking({ appointmentId, checkoutSessionId, paymentIntentId = null }) {
+    if (!mongoose.isValidObjectId(appointmentId)) return null;
+    const now = new Date();
+    const pending = { _id: appointmentId, status: APPOINTMENT_STATUSES.PENDING_PAYMENT, 'payment.checkoutSessionId': checkoutSessionId };
+    const appointment = await Appointment.findOneAndUpdate(
+      { ...pending, 'payment.status': PAYMENT_STATUSES.PENDING },
+      {
+        $set: {
+          'payment.status': PAYMENT_STATUSES.PAID,
+          'payment.paidAt': now,
+          'payment.paymentIntentId': paymentIntentId,
+          'payment.confirmingAt': now
+        }
+      },
+      { new: true }
+    ) || await Appointment.findOneAndUpdate(
+      {
+        ...pending,
+        'payment.status': PAYMENT_STATUSES.PAID,
+        'payment.confirmingAt': { $not: { $gt: new Date(now.getTime() - CONFIRM_STALE_MS) } }
+      },
+      { $set: { 'payment.confirmingAt': now } },
+      { new: true }
+    );
+    if (!appointment) {
+      const existing = await Appointment.findOne({ _id: appointmentId, 'payment.checkoutSessionId': checkoutSessionId })
+        .select('owner status payment.status')
+        .lean()
+        .exec();
+      if (existing && existing.payment?.status !== PAYMENT_STATUSES.PAID) {
+        // Paid after the booking was released or cancelled; the slot may be gone, so the deposit has to be refunded by hand.
+        logger.warn('Deposit paid for a booking that is no longer waiting for it', {
+          appId: String(existing.owner), appointmentId, status: existing.status, checkoutSessionId
+        });
+      }
+      return null;
+    }
+
+    const appId = String(appointment.owner);
+    let { provider, providerType } = await getProviderForApp(appId);
+    let staff = null;
+    if (appointment.staffId) {
+      const staffProvider = await getProviderForStaff(appId, appointment.staffId);
+      staff = staffProvider.staff || null;
+      if (appointment.staffCalendar && staffProvider.provider) {
+        provider = staffProvider.provider;
+        providerType = staffProvider.providerType;
+      } else {
+        appointment.staffCalendar = false;
+      }
+    }
+    if (!staff && appointment.staffId) {
+      staff = await StaffMember.findOne({ _id: appointment.staffId, owner: appId }).select('name').lean().exec();
+    }
+
+    let viewModel = { success: false, eventId: null, link: null };
+    if (provider) {
+      try {
+        viewModel = await provider.bookAppointment({
+          start: appointment.startAt.toISOString(),
+          end: appointment.endAt.toISOString(),
+          title: appointment.title,
+          attendeeEmail: appointment.attendee?.email || undefined,
+          customerName: appointment.attendee?.name || undefined,
+          // Events in the shared app calendar say whose appointment they are.
+          description: staff && !appointment.staffCalendar
+            ? [appointment.description, `Staff: ${staff.name}`].filter(Boolean).join('\n\n')
+            : appointment.description,
+          timeZone: appointment.timeZone || undefined
+        });
+      } catch (error) {
+        viewModel = { success: false, error: error.message };
+      }
+    }
+    if (!viewModel.success) {
+      // The deposit is paid, so the booking stands; the owner adds the event to their calendar.
+      logger.error('Failed to create calendar event for paid booking', {
+        appId, appointmentId, error: viewModel.error || 'No calendar connected'
+      });
+    }
+
+    appointment.status = APPOINTMENT_STATUSES.BOOKED;
+    appointment.provider = viewModel.success ? providerType || null : null;
+    appointment.externalEventId = viewModel.success ? viewModel.eventId || null : null;
+    appointment.link = viewModel.success ? viewModel.link || null : null;
+    await appointment.save();
+    await SlotHold.deleteOne({ _id: appointment.payment.holdId });
+    await ReminderService.syncForAppointment(appointment);
+
+    await notifyBookingConfirmed(appId, {
+      viewModel: viewModel.success ? viewModel : { eventId: null, link: null },
+      appointment,
+      booking: {
+        start: appointment.startAt.toISOString(),
+        end: appointment.endAt.toISOString(),
+        title: appointment.title,
+        timeZone: appointment.timeZone,
+        attendeeEmail: appointment.attendee?.email || null,
+        customerName: appointment.attendee?.name || null,
+        customerPhone: appointment.attendee?.phone || null,
+        leadId: appointment.leadId ? String(appointment.leadId) : null,
+        postBookingNote: appointment.payment.postBookingNote,
+        staffId: appointment.staffId,
+        serviceId: appointment.serviceId
+      },
+      publicBackendBase: resolvePublicBackendBaseUrl(null)
+    });
+    logger.info('Paid booking confirmed', { appId, appointmentId: String(appointment._id) });
+    return appointment;
+  }
+
+  /**
+   * Cancel a booking whose deposit was not paid: release its slot, email the attendee and publish
+   * appointment.cancelled. Unless the Checkout session already expired (fromStripe), it is expired
+   * first; a session that turns out to be paid confirms the booking instead.
+   * @param {Object} appointment - pending_payment Appointment
+   * @param {{ fromStripe?: boolean }} [opts] - true for Stripe's checkout.session.expired webhook
+   * @returns {Promise<Object|null>} the cancelled Appointment, or null when it was no longer pending
+   */
+  static async expirePendingBooking(appointment, { fromStripe = false } = {}) {
+    const appId = String(appointment.owner);
+    const { stripeAccountId, checkoutSessionId } = appointment.payment || {};
+    if (!fromStripe && stripeAccountId && checkoutSessionId) {
+      try {
+        await stripeConnect.expireCheckoutSession(stripeAccountId, checkoutSessionId);
+      } catch (error) {
+        // Already expired is fine; already paid (webhook missed or still on its way) confirms the booking.
+        try {
+          const session = await stripeConnect.retrieveCheckoutSession(stripeAccountId, checkoutSessionId);
+          if (session.status === 'complete') {
+            if (session.payment_status === 'paid') {
+              await this.confirmPaidBooking({
+                appointmentId: String(appointment._id),
+                checkoutSessionId,
+                paymentIntentId: session.payment_intent ? String(session.payment_intent) : null
+              });
+            } else {
+              // Async payment method still processing; its async_payment_* webhook settles the booking.
+              await this.deferCheck(appointment);
+            }
+            return null;
+          }
+        } catch (retrieveError) {
+          logger.warn('Failed to check deposit checkout before expiring booking', {
+            appId, appointmentId: String(appointment._id), error: retrieveError.message
+          });
+          await this.deferCheck(appointment);
+          return null;
+        }
+      }
+    }
+
+    const cancelled = await Appointment.findOneAndUpdate(
+      { _id: appointment._id, status: APPOINTMENT_STATUSES.PENDING_PAYMENT, 'payment.status': PAYMENT_STATUSES.PENDING },
+      {
+        $set: {
+          status: APPOINTMENT_STATUSES.CANCELLED,
+          cancelledAt: new Date(),
+          cancellationReason: EXPIRED_REASON,
+          'payment.status': PAYMENT_STATUSES.EXPIRED
+        }
+      },
+      { new: true }
+    );
+    if (!cancelled) return null;
+    await SlotHold.deleteOne({ _id: cancelled.payment.holdId });
+
+    if (cancelled.attendee?.email) {
+      try {
+        const { businessData, formatInCalTz } = await buildBookingEmailContext(appId, resolvePublicBackendBaseUrl(null));
+        await new EmailService().sendAppointmentCancelledEmail(
+          { name: cancelled.attendee.name || 'Customer', email: cancelled.attendee.email },
+          {
+            serviceName: cancelled.title || 'Appointment',
+            startText: formatInCalTz(cancelled.startAt),
+            endText: formatInCalTz(cancelled.endAt),
+            reason: EXPIRED_REASON
+          },
+          businessData
+        );
+      } catch (emailErr) {
+        logger.error('Unpaid booking cancellation email sending failed', { appId, appointmentId: String(cancelled._id), error: emailErr.message });
+      }
+    }
+    await publishAppointmentEvent(appId, WS_EVENTS.APPOINTMENT_CANCELLED, WEBHOOK_EVENTS.APPOINTMENT_CANCELLED, {
+      appointmentId: String(cancelled._id),
+      eventId: null,
+      reason: EXPIRED_REASON,
+      changedBy: 'business',
+      leadId: cancelled.leadId ? String(cancelled.leadId) : null
+    });
+    logger.info('Unpaid booking released', { appId, appointmentId: String(cancelled._id) });
+    return cancelled;
+  }
+
+  /** Keep the expiry worker off a booking it could not settle until RECHECK_DELAY_MS from now. */
+  static async deferCheck(appointment) {
+    await Appointment.updateOne(
+      { _id: appointment._id, status: APPOINTMENT_STATUSES.PENDING_PAYMENT },
+      { $set: { 'payment.nextCheckAt': new Date(Date.now() + RECHECK_DELAY_MS) } }
+    );
+  }
+
+  /**
+   * Stop taking the deposit of a booking the business cancelled, deleted or otherwise changed before it was
+   * paid: expire its Checkout session and release its held slot. Never throws.
+   * @param {Object} appointment - Appointment as it was while pending_payment
+   */
+  static async releasePayment(appointment) {
+    const { stripeAccountId, checkoutSessionId, holdId } = appointment.payment || {};
+    try {
+      if (stripeAccountId && checkoutSessionId) await stripeConnect.expireCheckoutSession(stripeAccountId, checkoutSessionId);
+    } catch (error) {
+      logger.warn('Failed to expire deposit checkout', { appointmentId: String(appointment._id), error: error.message });
+    }
+    try {
+      if (holdId) await SlotHold.deleteOne({ _id: holdId });
+      await Appointment.updateOne(
+        { _id: appointment._id, 'payment.status': PAYMENT_STATUSES.PENDING },
+        { $set: { 'payment.status': PAYMENT_STATUSES.EXPIRED } }
+      );
+    } catch (error) {
+      logger.warn('Failed to release deposit hold', { appointmentId: String(appointment._id), error: error.message });
+    }
+  }
+
+  /**
+   * Release up to BATCH_SIZE bookings whose payment window has ended, skipping ones deferred by an earlier
+   * check, and finish confirming paid bookings whose confirmation was interrupted. Overlapping runs are skipped.
+   */
+  static async processDue() {
+    if (workerRunning) return 0;
+    workerRunning = true;
+    let processed = 0;
+    try {
+      const now = Date.now();
+      const due = await Appointment.find({
+        status: APPOINTMENT_STATUSES.PENDING_PAYMENT,
+        $or: [
+          {
+            'payment.status': PAYMENT_STATUSES.PENDING,
+            'payment.expiresAt': { $lte: new Date(now - EXPIRY_GRACE_MS) },
+            'payment.nextCheckAt': { $not: { $gt: new Date(now) } }
+          },
+          {
+            'payment.status': PAYMENT_STATUSES.PAID,
+            'payment.confirmingAt': { $not: { $gt: new Date(now - CONFIRM_STALE_MS) } }
+          }
+        ]
+      }).sort({ 'payment.expiresAt': 1 }).limit(BATCH_SIZE).lean().exec();
+      for (const appointment of due) {
+        if (appointment.payment.status === PAYMENT_STATUSES.PAID) {
+          await this.confirmPaidBooking({
+            appointmentId: String(appointment._id),
+            checkoutSessionId: appointment.payment.checkoutSessionId,
+            paymentIntentId: appointment.payment.paymentIntentId
+          });
+        } else {
+          await this.expirePendingBooking(appointment);
+        }
+        processed += 1;
+      }
+    } catch (error) {
+      logger.error('Booking payment worker error', { error: error.message });
+    } finally {
+      workerRunning = false;
+    }
+    return processed;
+  }
+
+  static startWorker() {
+    if (workerTimer) return;
+    workerTimer = setInterval(() => {
+      this.processDue().catch(() => {});
+    }, POLL_INTERVAL_MS);
+    if (typeof workerTimer.unref === 'function') workerTimer.unref();
+    logger.info('Booking payment expiry worker started');
+  }
+
+  static stopWorker() {
+    if (workerTimer) {
+      clearInterval(workerTimer);
+      workerTimer = null;
+    }
+  }
+}
+
+module.exports = { BookingPaymentService };
@@ -0,0 +1,425 @@
+/**
+ * CalDAV (RFC 4791) calendars: Fastmail, Nextcloud, iCloud, Radicale and other self-hosted servers.
+ * Credentials are a calendar collection URL plus username and an (app) password stored encrypted
+ * with utils/encrypt. Busy times come from calendar-query REPORTs; events are PUT/DELETEd as .ics objects.
+ */
+const crypto = require('crypto');
+const { decrypt } = require('../utils/encrypt');
+const { buildCalendar, formatUtc, foldLine } = require('../utils/icsCalendar');
+const { assertPublicHost, requestUrl } = require('../utils/urlSafety');
+const { computeFreeSlots } = require('./googleCalendarService');
+const { logger } = require('../utils/logger');
+
+const REQUEST_TIMEOUT_MS = parseInt(process.env.CALDAV_TIMEOUT_MS, 10) || 15000;
+const ALLOW_PRIVATE_HOSTS = () => process.env.CALDAV_ALLOW_PRIVATE_HOSTS === 'true';
+
+/**
+ * Reject server URLs we refuse to call. Only hosts resolving to public addresses are allowed, unless
+ * CALDAV_ALLOW_PRIVATE_HOSTS=true (self-hosted servers on the same private network); in production
+ * the URL must also use https.
+ * @throws {Error}
+ */
+async function assertCalDavUrl(url) {
+  let parsed;
+  try {
+    parsed = new URL(url);
+  } catch (_) {
+    throw new Error('CalDAV URL is not a valid URL');
+  }
+  if (!['http:', 'https:'].includes(parsed.protocol)) {
+    throw new Error('CalDAV URL must use http or https');
+  }
+  if (process.env.NODE_ENV === 'production' && parsed.protocol !== 'https:' && !ALLOW_PRIVATE_HOSTS()) {
+    throw new Error('CalDAV URL must use https');
+  }
+  if (ALLOW_PRIVATE_HOSTS()) return;
+  try {
+    await assertPublicHost(parsed.hostname);
+  } catch (err) {
+    throw new Error(err.code === 'EPRIVATEADDRESS'
+      ? 'CalDAV URL must point to a public host'
+      : 'CalDAV URL host could not be resolved');
+  }
+}
+
+function withTrailingSlash(url) {
+  return url.endsWith('/') ? url : `${url}/`;
+}
+
+function decodeXml(value) {
+  return String(value || '')
+    .replace(/<!\[CDATA\[([\s\S]*?)\]\]>/g, '$1')
+    .replace(/&lt;/g, '<')
+    .replace(/&gt;/g, '>')
+    .replace(/&quot;/g, '"')
+    .replace(/&apos;/g, "'")
+    .replace(/&#(\d+);/g, (_, code) => String.fromCharCode(Number(code)))
+    .replace(/&#x([0-9a-f]+);/gi, (_, code) => String.fromCharCode(parseInt(code, 16)))
+    .replace(/&amp;/g, '&');
+}
+
+/** Inner XML of every element with this local name, whatever namespace prefix the server uses. */
+function xmlElements(xml, localName) {
+  const re = new RegExp(`<(?:[\\w-]+:)?${localName}\\b[^>]*?(?:/>|>([\\s\\S]*?)</(?:[\\w-]+:)?${localName}>)`, 'gi');
+  const found = [];
+  let match;
+  while ((match = re.exec(xml)) !== null) found.push(match[1] || '');
+  return found;
+}
+
+function xmlText(xml, localName) {
+  const [first] = xmlElements(xml, localName);
+  return first === undefined ? null : decodeXml(first).trim();
+}
+
+/**
+ * Parse a 207 Multi-Status body into { href, props } entries, keeping only properties from
+ * 200 OK propstats.
+ * @returns {Array<{ href: string, props: string }>} props is the raw XML of the successful <prop> elements
+ */
+function parseMultistatus(xml) {
+  return xmlElements(xml, 'response').map((response) => {
+    const props = xmlElements(response, 'propstat')
+      .filter((propstat) => /\s200\s/.test(` ${xmlText(propstat, 'status') || ''} `))
+      .map((propstat) => xmlElements(propstat, 'prop').join(''))
+      .join('');
+    return { href: xmlText(response, 'href'), props };
+  });
+}
+
+/**
+ * Send a WebDAV request with Basic auth.
+ * @param {{ username: string, password: string }} auth
+ * @returns {Promise<{ status: number, body: string, headers: Headers }>}
+ */
+async function davRequest(auth, method, url, { body, depth, headers = {} } = {}) {
+  await assertCalDavUrl(url);
+  // requestUrl connects only to the addresses it checked and re-checks every redirect hop.
+  const response = await requestUrl(url, {
+    method,
+    headers: {
+      Authorization: `Basic ${Buffer.from(`${auth.username}:${auth.password}`).toString('base64')}`,
+      ...(body && { 'Content-Type': headers['Content-Type'] || 'application/xml; charset=utf-8' }),
+      ...(depth !== undefined && { Depth: String(depth) }),
+      ...headers
+    },
+    body,
+    redirect: 'follow',
+    timeoutMs: REQUEST_TIMEOUT_MS,
+    allowPrivate: ALLOW_PRIVATE_HOSTS()
+  });
+  const text = await response.text().catch(() => '');
+  if (response.status >= 400) {
+    const error = new Error(response.status === 401
+      ? 'CalDAV server rejected the username or password'
+      : `CalDAV request failed (${response.status})`);
+    error.status = response.status;
+    error.responseBody = text ? text.slice(0, 2000) : '';
+    throw error;
+  }
+  return { status: response.status, body: text, headers: response.headers };
+}
+
+function decryptCredentials(credentials) {
+  const password = decrypt(credentials.encryptedPassword);
+  if (!password) throw new Error('CalDAV password could not be decrypted');
+  return { username: credentials.username, password };
+}
+
+/**
+ * Find the calendars of an account: the server URL may be the server root, a principal or the
+ * calendar home; when it is already a calendar collection, only that calendar is returned.
+ * @param {{ serverUrl: string, username: string, password: string }} params - plaintext password
+ * @returns {Promise<Array<{ url: string, displayName: string|null, timeZone: string|null }>>}
+ */
+async function discoverCalendars({ serverUrl, username, password }) {
+  const auth = { username, password };
+  const base = withTrailingSlash(serverUrl.trim());
+  const resolve = (href) => new URL(href, base).toString();
+
+  const propfind = (props) => `<?xml version="1.0" encoding="utf-8"?>
+<d:propfind xmlns:d="DAV:" xmlns:c="urn:ietf:params:xml:ns:caldav"><d:prop>${props}</d:prop></d:propfind>`;
+
+  // 1. The URL itself may be a calendar, or tell us the principal / calendar home.
+  const self = await davRequest(auth, 'PROPFIND', base, {
+    depth: 0,
+    body: propfind('<d:resourcetype/><d:current-user-principal/><c:calendar-home-set/>')
+  });
+  const [selfEntry] = parseMultistatus(self.body);
+  let homeUrl = null;
+  if (selfEntry) {
+    if (/<(?:[\w-]+:)?calendar\b/i.test(xmlElements(selfEntry.props, 'resourcetype')[0] || '')) {
+      homeUrl = null;
+    } else {
+      const homeHref = xmlText(xmlElements(selfEntry.props, 'calendar-home-set')[0] || '', 'href');
+      if (homeHref) homeUrl = resolve(homeHref);
+      if (!homeUrl) {
+        const principalHref = xmlText(xmlElements(selfEntry.props, 'current-user-principal')[0] || '', 'href');
+        if (principalHref) {
+          const principal = await davRequest(auth, 'PROPFIND', resolve(principalHref), {
+            depth: 0,
+            body: propfind('<c:calendar-home-set/>')
+          });
+          const [principalEntry] = parseMultistatus(principal.body);
+          const href = xmlText(xmlElements(principalEntry?.props || '', 'calendar-home-set')[0] || '', 'href');
+          if (href) homeUrl = resolve(href);
+        }
+      }
+      if (!homeUrl) homeUrl = base;
+    }
+  }
+
+  // 2. List calendar collections that accept events (or just the URL when it is a calendar).
+  const listing = await davRequest(auth, 'PROPFIND', homeUrl ? withTrailingSlash(homeUrl) : base, {
+    depth: homeUrl ? 1 : 0,
+    body: propfind('<d:resourcetype/><d:displayname/><c:supported-calendar-component-set/><c:calendar-timezone/>')
+  });
+  return parseMultistatus(listing.body)
+    .filter((entry) => entry.href && /<(?:[\w-]+:)?calendar\b/i.test(xmlElements(entry.props, 'resourcetype')[0] || ''))
+    .filter((entry) => {
+      const components = xmlElements(entry.props, 'supported-calendar-component-set')[0];
+      return !components || /name=["']VEVENT["']/i.test(components);
+    })
+    .map((entry) => {
+      const tzData = decodeXml(xmlElements(entry.props, 'calendar-timezone')[0] || '');
+      const tzid = (tzData.match(/^TZID:(.+)$/m) || [])[1];
+      return {
+        url: withTrailingSlash(resolve(entry.href)),
+        displayName: xmlText(entry.props, 'displayname') || null,
+        timeZone: tzid ? tzid.trim() : null
+      };
+    });
+}
+
+/** Unfold content lines (RFC 5545 3.1). */
+function unfold(ics) {
+  return String(ics || '').replace(/\r?\n[ \t]/g, '');
+}
+
+/** UTC offset of an IANA zone at a given instant, in ms. */
+function zoneOffsetMs(timeZone, date) {
+  const parts = new Intl.DateTimeFormat('en-US', {
+    timeZone,
+    hourCycle: 'h23',
+    year: 'numeric',
+    month: '2-digit',
+    day: '2-digit',
+    hour: '2-digit',
+    minute: '2-digit',
+    second: '2-digit'
+  }).formatToParts(date).reduce((acc, p) => ({ ...acc, [p.type]: p.value }), {});
+  const asUtc = Date.UTC(parts.year, Number(parts.month) - 1, parts.day, parts.hour, parts.minute, parts.second);
+  return asUtc - date.getTime();
+}
+
+/**
+ * Parse an iCalendar DATE or DATE-TIME property value.
+ * @param {string} params - property parameters (e.g. ';TZID=Europe/Berlin')
+ * @param {string} value
+ * @param {string|null} fallbackTimeZone - for floating times
+ * @returns {Date|null}
+ */
+function parseIcsDate(params, value, fallbackTimeZone) {
+  const m = String(value || '').trim().match(/^(\d{4})(\d{2})(\d{2})(?:T(\d{2})(\d{2})(\d{2})(Z)?)?$/);
+  if (!m) return null;
+  const [, y, mo, d, h = '00', mi = '00', s = '00', z] = m;
+  const naive = Date.UTC(Number(y), Number(mo) - 1, Number(d), Number(h), Number(mi), Number(s));
+  if (z) return new Date(naive);
+  const tzid = ((params || '').match(/TZID=("?)([^;:"]+)\1/i) || [])[2] || fallbackTimeZone;
+  if (!tzid) return new Date(naive);
+  try {
+    const guess = new Date(naive - zoneOffsetMs(tzid, new Date(naive)));
+    return new Date(naive - zoneOffsetMs(tzid, guess));
+  } catch (_) {
+    return new Date(naive);
+  }
+}
+
+/** ISO 8601 duration (P1D, PT30M, P1DT2H) in ms. */
+function parseDurationMs(value) {
+  const m = String(value || '').match(/^([+-])?P(?:(\d+)W)?(?:(\d+)D)?(?:T(?:(\d+)H)?(?:(\d+)M)?(?:(\d+)S)?)?$/);
+  if (!m) return 0;
+  const [, sign, w, d, h, mi, s] = m;
+  const ms = ((Number(w || 0) * 7 + Number(d || 0)) * 86400 + Number(h || 0) * 3600 + Number(mi || 0) * 60 + Number(s || 0)) * 1000;
+  return sign === '-' ? -ms : ms;
+}
+
+/**
+ * Busy intervals from the VEVENTs of one or more calendar objects. Cancelled and transparent
+ * ("free") events are ignored.
+ * @param {string[]} objects - iCalendar texts
+ * @param {string|null} [calendarTimeZone] - used for floating times
+ * @returns {Array<{ start: string, end: string }>}
+ */
+function extractBusyIntervals(objects, calendarTimeZone = null) {
+  const busy = [];
+  for (const ics of objects) {
+    const events = unfold(ics).match(/BEGIN:VEVENT[\s\S]*?END:VEVENT/g) || [];
+    for (const vevent of events) {
+      const props = {};
+      for (const line of vevent.split(/\r?\n/)) {
+        const m = line.match(/^([A-Z-]+)((?:;[^:]*)?):(.*)$/);
+        if (m && props[m[1]] === undefined) props[m[1]] = { params: m[2], value: m[3] };
+      }
+      if ((props.STATUS?.value || '').toUpperCase() === 'CANCELLED') continue;
+      if ((props.TRANSP?.value || '').toUpperCase() === 'TRANSPARENT') continue;
+      const start = props.DTSTART ? parseIcsDate(props.DTSTART.params, props.DTSTART.value, calendarTimeZone) : null;
+      if (!start) continue;
+      let end = props.DTEND ? parseIcsDate(props.DTEND.params, props.DTEND.value, calendarTimeZone) : null;
+      if (!end && props.DURATION) end = new Date(start.getTime() + parseDurationMs(props.DURATION.value));
+      // All-day events without an end last one day (RFC 5545 3.6.1).
+      if (!end) end = /VALUE=DATE(?!-)/i.test(props.DTSTART.params) ? new Date(start.getTime() + 86400000) : start;
+      if (end > start) busy.push({ start: start.toISOString(), end: end.toISOString() });
+    }
+  }
+  return busy;
+}
+
+/**
+ * Busy times in [timeMin, timeMax] via a calendar-query REPORT. Recurring events are expanded by the
+ * server (<c:expand>), so instances come back as individual UTC occurrences.
+ * @param {Object} credentials - { calendarUrl, username, encryptedPassword, timeZone? }
+ * @returns {Promise<{ busy: Array<{ start: string, end: string }> }>}
+ */
+async function getFreebusy(credentials, timeMin, timeMax) {
+  try {
+    const auth = decryptCredentials(credentials);
+    const start = formatUtc(timeMin);
+    const end = formatUtc(timeMax);
+    const { body } = await davRequest(auth, 'REPORT', credentials.calendarUrl, {
+      depth: 1,
+      body: `<?xml version="1.0" encoding="utf-8"?>
+<c:calendar-query xmlns:d="DAV:" xmlns:c="urn:ietf:params:xml:ns:caldav">
+  <d:prop><c:calendar-data><c:expand start="${start}" end="${end}"/></c:calendar-data></d:prop>
+  <c:filter><c:comp-filter name="VCALENDAR"><c:comp-filter name="VEVENT">
+    <c:time-range start="${start}" end="${end}"/>
+  </c:comp-filter></c:comp-filter></c:filter>
+</c:calendar-query>`
+    });
+    const objects = parseMultistatus(body)
+      .map((entry) => decodeXml(xmlElements(entry.props, 'calendar-data')[0] || ''))
+      .filter(Boolean);
+    const min = new Date(timeMin).getTime();
+    const max = new Date(timeMax).getTime();
+    const busy = extractBusyIntervals(objects, credentials.timeZone || null)
+      .filter((b) => new Date(b.end).getTime() > min && new Date(b.start).getTime() < max);
+    return { busy };
+  } catch (err) {
+    logger.error('CalDAV freebusy error', { message: err.message, status: err.status, responseBody: err.responseBody });
+    throw err;
+  }
+}
+
+function eventUrl(calendarUrl, eventId) {
+  return `${withTrailingSlash(calendarUrl)}${encodeURIComponent(eventId)}.ics`;
+}
+
+/**
+ * Create an event. The attendee is written into the description rather than as an ATTENDEE, so
+ * servers with scheduling (iCloud, Fastmail) do not send their own invitations next to ours.
+ * @returns {Promise<{ eventId: string, link: string, start: string, end: string, title: string }>}
+ */
+async function createEvent(credentials, payload) {
+  const eventId = crypto.randomUUID();
+  const url = eventUrl(credentials.calendarUrl, eventId);
+  const description = [
+    payload.description || '',
+    payload.attendeeEmail ? `Attendee: ${payload.attendeeEmail}` : ''
+  ].filter(Boolean).join('\n');
+  const ics = buildCalendar({
+    method: null,
+    events: [{
+      id: eventId,
+      start: payload.start,
+      end: payload.end,
+      title: payload.title || 'Appointment',
+      description
+    }]
+  });
+  try {
+    await davRequest(decryptCredentials(credentials), 'PUT', url, {
+      body: ics,
+      headers: { 'Content-Type': 'text/calendar; charset=utf-8', 'If-None-Match': '*' }
+    });
+    return {
+      eventId,
+      link: '',
+      start: new Date(payload.start).toISOString(),
+      end: new Date(payload.end).toISOString(),
+      title: payload.title || 'Appointment'
+    };
+  } catch (err) {
+    logger.error('CalDAV createEvent error', { message: err.message, status: err.status, responseBody: err.responseBody });
+    throw err;
+  }
+}
+
+/** Delete an event; one that is already gone counts as deleted. */
+async function deleteEvent(credentials, eventId) {
+  try {
+    await davRequest(decryptCredentials(credentials), 'DELETE', eventUrl(credentials.calendarUrl, eventId));
+    return true;
+  } catch (err) {
+    if (Number(err.status) === 404 || Number(err.status) === 410) return true;
+    logger.error('CalDAV deleteEvent error', { message: err.message, eventId, status: err.status, responseBody: err.responseBody });
+    throw err;
+  }
+}
+
+/**
+ * Move an event: fetch the stored object, replace DTSTART/DTEND (dropping DURATION), bump SEQUENCE
+ * and write it back guarded by its ETag, so edits made in the calendar app meanwhile are not lost.
+ */
+async function updateEventTime(credentials, eventId, payload) {
+  const url = eventUrl(credentials.calendarUrl, eventId);
+  try {
+    const auth = decryptCredentials(credentials);
+    const current = await davRequest(auth, 'GET', url);
+    const etag = current.headers.get('etag');
+    const lines = unfold(current.body).split(/\r?\n/).filter((line) => line !== '');
+    const out = [];
+    let inEvent = false;
+    let sequence = 0;
+    for (const line of lines) {
+      if (line === 'BEGIN:VEVENT') inEvent = true;
+      if (inEvent && /^(DTSTART|DTEND|DURATION|DTSTAMP)[;:]/.test(line)) continue;
+      if (inEvent && /^SEQUENCE:/.test(line)) {
+        sequence = parseInt(line.slice('SEQUENCE:'.length), 10) || 0;
+        continue;
+      }
+      if (line === 'END:VEVENT' && inEvent) {
+        out.push(`DTSTAMP:${formatUtc(new Date())}`);
+        out.push(`DTSTART:${formatUtc(payload.start)}`);
+        out.push(`DTEND:${formatUtc(payload.end)}`);
+        out.push(`SEQUENCE:${sequence + 1}`);
+        inEvent = false;
+      }
+      out.push(line);
+    }
+    await davRequest(auth, 'PUT', url, {
+      body: `${out.map(foldLine).join('\r\n')}\r\n`,
+      headers: { 'Content-Type': 'text/calendar; charset=utf-8', ...(etag && { 'If-Match': etag }) }
+    });
+    return {
+      eventId,
+      link: '',
+      start: new Date(payload.start).toISOString(),
+      end: new Date(payload.end).toISOString()
+    };
+  } catch (err) {
+    logger.error('CalDAV updateEventTime error', { message: err.message, eventId, status: err.status, responseBody: err.responseBody });
+    throw err;
+  }
+}
+
+module.exports = {
+  assertCalDavUrl,
+  discoverCalendars,
+  getFreebusy,
+  computeFreeSlots,
+  createEvent,
+  deleteEvent,
+  updateEventTime,
+  extractBusyIntervals,
+  parseMultistatus
+};
@@ -0,0 +1,684 @@
+/**
+ * Calendar bookings for an app: provider resolution, slot checks, and the reschedule and cancel
+ * flows shared by the signed calendar API (routes/calendar) and customer manage-booking links
+ * (routes/manageBooking).
+ */
+const { Integration } = require('../models/Integration');
+const { Availability } = require('../models/Availability');
+const { AvailabilityException } = require('../models/AvailabilityException');
+const { App } = require('../models/App');
+const { Lead } = require('../models/Lead');
+const { StaffMember } = require('../models/StaffMember');
+const { SlotHold } = require('../models/SlotHold');
+const { getAppointmentSchedulerProvider, PROVIDER_GOOGLE, PROVIDER_OUTLOOK, PROVIDER_CALENDLY, PROVIDER_CALDAV } = require('../integrations/appointment/appointmentSchedulerFactory');
+const { rescheduleAppointmentError, cancelAppointmentError } = require('../integrations/appointment/commonViewModel');
+const { generateSlotsFromRules, combineSlotsForDuration, isAllowedSlotMinutes } = require('./availabilitySlotGenerator');
+const { getAvailabilitySettings, getSchedulesForRange } = require('./availabilityRulesService');
+const { AppointmentService } = require('./appointmentService');
+const { buildBookingEmailContext, getManageLink, buildCalendarInvite } = require('./bookingContextService');
+const { WebhookService } = require('./webhookService');
+const { WEBHOOK_EVENTS } = require('../enums/webhookEvents');
+const { WS_EVENTS } = require('../enums/websocketEvents');
+const { APPOINTMENT_STATUSES, ACTIVE_APPOINTMENT_STATUSES } = require('../enums/appointmentStatuses');
+const websocketServer = require('../utils/websocketServer');
+const { logger } = require('../utils/logger');
+const EmailService = require('../utils/emailService');
+
+const MINUTE_MS = 60 * 1000;
+
+/** Push an appointment event to the owner's dashboard (WebSocket) and to webhook subscribers. */
+async function publishAppointmentEvent(appId, wsEvent, webhookEvent, appointment) {
+  try {
+    const app = await App.findById(appId).select('owner').lean();
+    websocketServer.emitToApp(appId, wsEvent, { appointment }, app?.owner ? String(app.owner) : null);
+  } catch (error) {
+    logger.warn('Failed to broadcast appointment event', { appId, event: wsEvent, error: error.message });
+  }
+  await WebhookService.emit(appId, webhookEvent, { appointment });
+}
+
+/**
+ * Resolve integration and return provider instance + credentials for the app's calendar.
+ * Returns { provider, providerType, integration } or { provider: null, integration }.
+ */
+async function getProviderForApp(appId) {
+  const integration = await Integration.findOne({ owner: appId })
+    .select(
+      'googleCalendarConnected outlookCalendarConnected calendlyConnected caldavConnected calendarProvider googleCalendarRefreshToken googleCalendarCalendarId outlookCalendarRefreshToken outlookCalendarCalendarId calendlyRefreshToken calendlyAccessToken calendlyTokenExpiresAt calendlyUserUri calendlyEventTypeUri calendlyEventTypeDuration caldavCalendarUrl caldavUsername +caldavPassword calendarSlotMinutes googleCalendarTimezone'
+    )
+    .lean()
+    .exec();
+
+  let providerType = integration?.calendarProvider || null;
+  if (!providerType) {
+    if (integration?.googleCalendarRefreshToken) providerType = PROVIDER_GOOGLE;
+    else if (integration?.outlookCalendarRefreshToken) providerType = PROVIDER_OUTLOOK;
+  }
+  const hasGoogleToken = !!integration?.googleCalendarRefreshToken;
+  const hasOutlookToken = !!integration?.outlookCalendarRefreshToken;
+  const hasCalendlyToken = !!integration?.calendlyRefreshToken;
+  const hasCaldavPassword = !!integration?.caldavPassword;
+  const connectedByFlag = !!(integration?.googleCalendarConnected || integration?.outlookCalendarConnected || integration?.calendlyConnected || integration?.caldavConnected);
+  // Backward compatibility: old records only had googleCalendarConnected.
+  const connected = connectedByFlag && (hasGoogleToken || hasOutlookToken || hasCalendlyToken || hasCaldavPassword);
+
+  if (!connected || !providerType) {
+    return { provider: null, integration };
+  }
+
+  let credentials = null;
+  if (providerType === PROVIDER_GOOGLE) {
+    credentials = {
+      encryptedRefreshToken: integration.googleCalendarRefreshToken,
+      calendarId: integration.googleCalendarCalendarId || 'primary'
+    };
+  } else if (providerType === PROVIDER_OUTLOOK) {
+    credentials = {
+      encryptedRefreshToken: integration.outlookCalendarRefreshToken,
+      calendarId: integration.outlookCalendarCalendarId || 'primary'
+    };
+  } else if (providerType === PROVIDER_CALENDLY) {
+    credentials = {
+      appId: String(appId),
+      encryptedRefreshToken: integration.calendlyRefreshToken,
+      encryptedAccessToken: integration.calendlyAccessToken,
+      accessTokenExpiresAt: integration.calendlyTokenExpiresAt,
+      userUri: integration.calendlyUserUri,
+      eventTypeUri: integration.calendlyEventTypeUri,
+      eventTypeDuration: integration.calendlyEventTypeDuration
+    };
+  } else if (providerType === PROVIDER_CALDAV) {
+    credentials = {
+      calendarUrl: integration.caldavCalendarUrl,
+      username: integration.caldavUsername,
+      encryptedPassword: integration.caldavPassword,
+      timeZone: integration.googleCalendarTimezone || null
+    };
+  }
+
+  const hasSecret = providerType === PROVIDER_CALDAV
+    ? !!(credentials?.encryptedPassword && credentials.calendarUrl)
+    : !!credentials?.encryptedRefreshToken;
+  if (!hasSecret) {
+    return { provider: null, integration };
+  }
+
+  const provider = getAppointmentSchedulerProvider(providerType, credentials);
+  return { provider, providerType, integration };
+}
+
+/**
+ * Provider for a staff member's own calendar. Returns { provider, providerType, staff }; provider is null
+ * when the staff member has no calendar connected (their bookings then go into the app's calendar).
+ */
+async function getProviderForStaff(appId, staffId) {
+  const staff = await StaffMember.findOne({ _id: staffId, owner: appId })
+    .select('+calendarRefreshToken +caldavPassword')
+    .lean()
+    .exec();
+  if (!staff?.calendarConnected || !staff.calendarProvider) {
+    return { provider: null, staff };
+  }
+
+  let credentials = null;
+  if (staff.calendarProvider === PROVIDER_CALDAV) {
+    credentials = staff.caldavPassword && staff.caldavCalendarUrl ? {
+      calendarUrl: staff.caldavCalendarUrl,
+      username: staff.caldavUsername,
+      encryptedPassword: staff.caldavPassword,
+      timeZone: staff.calendarTimezone || null
+    } : null;
+  } else if (staff.calendarRefreshToken) {
+    credentials = {
+      encryptedRefreshToken: staff.calendarRefreshToken,
+      calendarId: staff.calendarId || 'primary'
+    };
+  }
+  if (!credentials) return { provider: null, staff };
+
+  const provider = getAppointmentSchedulerProvider(staff.calendarProvider, credentials);
+  return { provider, providerType: staff.calendarProvider, staff };
+}
+
+/**
+ * Provider of the calendar an appointment's event lives in: the staff member's own calendar when it was
+ * booked there, otherwise the app's. Returns { provider, integration } like getProviderForApp.
+ */
+async function getProviderForAppointment(appId, appointment) {
+  const appProvider = await getProviderForApp(appId);
+  if (!appointment?.staffId || !appointment.staffCalendar) return appProvider;
+  const { provider } = await getProviderForStaff(appId, appointment.staffId);
+  return { provider, integration: appProvider.integration };
+}
+
+/**
+ * Load everything generateSlotsFromRules needs for [timeMin, timeMax] besides provider busy times.
+ * For a staff member, their own weekly hours replace the app's (and its seasonal schedules) when they
+ * have any, their exceptions win over the app's on the same date, and their booked appointments are
+ * returned as staffBusy. Unexpired slot holds on the same calendar are returned as holds.
+ * @param {{ excludeAppointmentId?: string, staffId?: string, sessionId?: string }} [opts] - excludeAppointmentId:
+ *   leave an appointment being moved out of the daily cap count and staffBusy; sessionId: leave out that
+ *   chat session's own holds
+ */
+async function loadSlotInputs(appId, timeMin, timeMax, { excludeAppointmentId = null, staffId = null, sessionId = null } = {}) {
+  const fromDateStr = timeMin.slice(0, 10);
+  const toDateStr = timeMax.slice(0, 10);
+  const weeklyFields = 'dayOfWeek timezone slots allDay';
+
+  const [appWeeklyDocs, staffWeeklyDocs, exceptionDocs, appSchedules, bookingRules] = await Promise.all([
+    Availability.find({ owner: appId, staffId: null }).sort({ dayOfWeek: 1 }).select(weeklyFields).lean().exec(),
+    staffId
+      ? Availability.find({ owner: appId, staffId }).sort({ dayOfWeek: 1 }).select(weeklyFields).lean().exec()
+      : [],
+    AvailabilityException.find({
+      owner: appId,
+      staffId: staffId ? { $in: [null, staffId] } : null,
+      date: { $gte: fromDateStr, $lte: toDateStr }
+    })
+      .select('staffId date timezone allDayOff overrideAllDay slots').lean().exec(),
+    getSchedulesForRange(appId, fromDateStr, toDateStr),
+    getAvailabilitySettings(appId)
+  ]);
+  const [existingBookings, staffBusy, groupSessionBusy, holds] = await Promise.all([
+    bookingRules.dailyBookingCap
+      ? AppointmentService.getActiveBookings(appId, timeMin, timeMax, { excludeId: excludeAppointmentId })
+      : [],
+    staffId
+      ? AppointmentService.getActiveBookings(appId, timeMin, timeMax, { excludeId: excludeAppointmentId, staffId })
+      : [],
+    // Group sessions have no calendar event of their own, so their booked occurrences are busy here.
+    staffId
+      ? []
+      : AppointmentService.getActiveBookings(appId, timeMin, timeMax, { groupSessionsOnly: true }),
+    SlotHold.find({
+      owner: appId,
+      staffId: staffId || null,
+      // The TTL monitor removes expired holds only about once a minute.
+      expiresAt: { $gt: new Date() },
+      start: { $lt: new Date(timeMax) },
+      end: { $gt: new Date(timeMin) },
+      ...(sessionId && { sessionId: { $ne: sessionId } })
+    }).select('start end').lean().exec()
+  ]);
+
+  const ownHours = staffWeeklyDocs.length > 0;
+  const weeklyAvailability = (ownHours ? staffWeeklyDocs : appWeeklyDocs).map((d) => ({
+    dayOfWeek: d.dayOfWeek,
+    timezone: d.timezone || 'UTC',
+    allDay: !!d.allDay,
+    slots: d.slots || []
+  }));
+  const exceptionByDate = new Map();
+  for (const d of exceptionDocs) {
+    if (exceptionByDate.has(d.date) && !d.staffId) continue;
+    exceptionByDate.set(d.date, {
+      date: d.date,
+      allDayOff: !!d.allDayOff,
+      overrideAllDay: !!d.overrideAllDay,
+      slots: d.slots || []
+    });
+  }
+  const exceptions = [...exceptionByDate.values()];
+  const schedules = ownHours ? [] : appSchedules;
+  return {
+    weeklyAvailability,
+    exceptions,
+    schedules,
+    bookingRules,
+    existingBookings,
+    staffBusy: staffBusy.map((b) => ({ start: new Date(b.start).toISOString(), end: new Date(b.end).toISOString() })),
+    holds: [...holds, ...groupSessionBusy]
+  };
+}
+
+/** Remove [start, end) from busy intervals, e.g. an event's own time when it is being moved. */
+function excludeBusyInterval(busy, start, end) {
+  const startTs = new Date(start).getTime();
+  const endTs = new Date(end).getTime();
+  const result = [];
+  for (const b of busy || []) {
+    const bStart = new Date(b.start).getTime();
+    const bEnd = new Date(b.end).getTime();
+    if (bEnd <= startTs || bStart >= endTs) {
+      result.push(b);
+      continue;
+    }
+    if (bStart < startTs) result.push({ start: new Date(bStart).toISOString(), end: new Date(startTs).toISOString() });
+    if (bEnd > endTs) result.push({ start: new Date(endTs).toISOString(), end: new Date(bEnd).toISOString() });
+  }
+  return result;
+}
+
+/**
+ * Whether [start, end) can be booked: inside availability hours, free in the calendar and allowed by
+ * the booking rules. `previous` is the current time of a booking being moved; it does not count as busy.
+ * With staffId the staff member's hours and appointments are checked, and provider is their own
+ * calendar (null when they have none). Slot holds of other chat sessions than sessionId count as busy.
+ * @returns {Promise<boolean>}
+ */
+async function isTimeAvailable({ appId, provider, integration, start, end, excludeAppointmentId = null, previous = null, staffId = null, sessionId = null }) {
+  // Generate slots over exactly [start, end): every slot must be free.
+  const durationMinutes = Math.ceil((new Date(end).getTime() - new Date(start).getTime()) / MINUTE_MS);
+  const slotMinutes = [60, 30, 15].find((m) => durationMinutes % m === 0) || 15;
+  const slotCount = Math.ceil(durationMinutes / slotMinutes);
+  const checkEnd = new Date(new Date(start).getTime() + slotCount * slotMinutes * MINUTE_MS).toISOString();
+
+  const { weeklyAvailability, exceptions, schedules, bookingRules, existingBookings, staffBusy, holds } =
+    await loadSlotInputs(appId, start, checkEnd, { excludeAppointmentId, staffId, sessionId });
+  const providerAvailability = provider ? await provider.getAvailableSlots(start, checkEnd, { slotMinutes }) : { busy: [] };
+  const calendarBusy = previous
+    ? excludeBusyInterval(providerAvailability.busy, previous.start, previous.end)
+    : providerAvailability.busy || [];
+  const freeSlots = generateSlotsFromRules({
+    timeMin: start,
+    timeMax: checkEnd,
+    weeklyAvailability,
+    exceptions,
+    schedules,
+    providerBusy: [...calendarBusy, ...staffBusy],
+    holds,
+    slotMinutes,
+    defaultTimezone: integration?.googleCalendarTimezone || null,
+    rules: bookingRules,
+    existingBookings
+  });
+  return freeSlots.length === slotCount && freeSlots[0].start === start;
+}
+
+/**
+ * Start times an appointment could move to in [timeMin, timeMax], each as long as the appointment.
+ * @param {Object} appointment - Appointment document
+ * @returns {Promise<Array<{ start: string, end: string }>>} empty when no calendar is connected
+ */
+async function findAlternativeSlots(appId, appointment, timeMin, timeMax) {
+  const { provider, integration } = await getProviderForAppointment(appId, appointment);
+  if (!provider) return [];
+  const slotMinutes = isAllowedSlotMinutes(integration?.calendarSlotMinutes) ? integration.calendarSlotMinutes : 30;
+
+  const { weeklyAvailability, exceptions, schedules, bookingRules, existingBookings, staffBusy, holds } =
+    await loadSlotInputs(appId, timeMin, timeMax, { excludeAppointmentId: appointment._id, staffId: appointment.staffId || null });
+  // Without a calendar of their own, a staff member's bookings are known from their appointments only.
+  const providerAvailability = appointment.staffId && !appointment.staffCalendar
+    ? { busy: [] }
+    : await provider.getAvailableSlots(timeMin, timeMax, { slotMinutes });
+  const freeSlots = generateSlotsFromRules({
+    timeMin,
+    timeMax,
+    weeklyAvailability,
+    exceptions,
+    schedules,
+    providerBusy: [...excludeBusyInterval(providerAvailability.busy, appointment.startAt, appointment.endAt), ...staffBusy],
+    holds,
+    slotMinutes,
+    defaultTimezone: integration?.googleCalendarTimezone || null,
+    rules: bookingRules,
+    existingBookings
+  });
+  const durationMinutes = Math.round((appointment.endAt.getTime() - appointment.startAt.getTime()) / MINUTE_MS);
+  const currentStart = appointment.startAt.toISOString();
+  return combineSlotsForDuration(freeSlots, durationMinutes).filter((slot) => slot.start !== currentStart);
+}
+
+/**
+ * Email the business owner that a customer rescheduled or cancelled through their manage-booking
+ * link. Never throws.
+ */
+async function notifyOwnerOfCustomerChange(appId, appointment, change, { previous = null, reason = null, publicBackendBase = '' } = {}) {
+  try {
+    const { businessData, formatInCalTz } = await buildBookingEmailContext(appId, publicBackendBase);
+    if (!businessData.email) return;
+    await new EmailService().sendBookingChangeBusinessNotificationEmail(
+      businessData,
+      {
+        name: appointment.attendee?.name || 'Customer',
+        email: appointment.attendee?.email || 'Not provided',
+        phone: appointment.attendee?.phone || 'Not provided'
+      },
+      {
+        serviceName: appointment.title || 'Appointment',
+        startText: formatInCalTz(appointment.startAt),
+        endText: formatInCalTz(appointment.endAt),
+        previousStartText: previous ? formatInCalTz(previous.start) : '',
+        previousEndText: previous ? formatInCalTz(previous.end) : '',
+        reason: reason || ''
+      },
+      change
+    );
+  } catch (error) {
+    logger.error('Failed to notify owner of customer booking change', { appId, change, error: error.message });
+  }
+}
+
+/**
+ * After a calendar booking: email the attendee their confirmation and the business a notification, mark
+ * the lead that made the booking confirmed, and publish appointment.booked. Email and lead failures are
+ * logged only.
+ * @param {string} appId
+ * @param {Object} params
+ * @param {Object} params.viewModel - BookAppointmentViewModel (eventId, link)
+ * @param {Object|null} params.appointment - saved Appointment, if any
+ * @param {Object} params.booking - { start, end, title, timeZone, attendeeEmail, customerName, customerPhone,
+ *   leadId, postBookingNote, staffId, serviceId }
+ * @param {string} [params.publicBackendBase]
+ */
+async function notifyBookingConfirmed(appId, { viewModel, appointment, booking, publicBackendBase = '' }) {
+  const { start, end, title, timeZone, attendeeEmail, customerName, customerPhone, leadId, postBookingNote, staffId, serviceId } = booking;
+  try {
+    const emailService = new EmailService();
+    const { businessData, formatInCalTz } = await buildBookingEmailContext(appId, publicBackendBase);
+    const appointmentData = {
+      serviceName: title,
+      title,
+      startText: formatInCalTz(start),
+      endText: formatInCalTz(end),
+      link: viewModel.link || '',
+      postBookingNote: postBookingNote || ''
+    };
+    const resolvedCustomerName = customerName || 'Customer';
+    const resolvedCustomerPhone = customerPhone || 'Not provided';
+    // Invites use the Appointment record when it was saved, so later updates/cancellations match its UID.
+    const inviteSource = appointment || {
+      externalEventId: viewModel.eventId,
+      startAt: new Date(start),
+      endAt: new Date(end),
+      title,
+      link: viewModel.link || '',
+      attendee: { name: customerName || null, email: attendeeEmail || null }
+    };
+    let confirmationEmailSent = false;
+    if (attendeeEmail) {
+      await emailService.sendAppointmentConfirmationEmail(
+        { name: resolvedCustomerName, email: attendeeEmail },
+        {
+          ...appointmentData,
+          manageLink: await getManageLink(appointment),
+          calendarInvite: buildCalendarInvite('REQUEST', inviteSource, businessData)
+        },
+        businessData
+      );
+      confirmationEmailSent = true;
+    }
+    if (businessData.email) {
+      await emailService.sendAppointmentBusinessNotificationEmail(
+        businessData,
+        { name: resolvedCustomerName, email: attendeeEmail || 'Not provided', phone: resolvedCustomerPhone },
+        { ...appointmentData, calendarInvite: buildCalendarInvite('PUBLISH', inviteSource, businessData) }
+      );
+    }
+
+    // If customer confirmation email was sent successfully, mark the initiating lead as confirmed.
+    if (confirmationEmailSent) {
+      try {
+        const patch = {
+          status: 'confirmed',
+          appointmentDetails: {
+            eventId: viewModel.eventId || null,
+            start: start ? new Date(start) : null,
+            end: end ? new Date(end) : null,
+            link: viewModel.link || '',
+            confirmed: true
+          }
+        };
+
+        // Preferred: leadId provided by AI/widget.
+        let lead = null;
+        if (leadId) {
+          lead = await Lead.findById(leadId);
+        }
+
+        // Fallback: try to resolve lead by app + email/phone within recent window.
+        if (!lead) {
+          const cutoff = new Date(Date.now() - 24 * 60 * 60 * 1000);
+          const or = [];
+          if (attendeeEmail) or.push({ leadEmail: String(attendeeEmail).toLowerCase() });
+          if (customerPhone) or.push({ leadPhoneNumber: String(customerPhone) });
+          if (or.length > 0) {
+            lead = await Lead.findOne({
+              appId,
+              createdAt: { $gte: cutoff },
+              $or: or
+            }).sort({ createdAt: -1 });
+          }
+        }
+
+        if (lead) {
+          Object.assign(lead, patch);
+          await lead.save();
+          await AppointmentService.linkLead(appointment, lead);
+        } else {
+          logger.warn('Booking confirmation email sent, but no lead was found to confirm', { appId, leadId: leadId || null });
+        }
+      } catch (leadErr) {
+        logger.error('Failed to update lead to confirmed after booking', { appId, leadId: leadId || null, error: leadErr.message });
+      }
+    }
+  } catch (emailErr) {
+    logger.error('Calendar booking email sending failed', { appId, error: emailErr.message });
+  }
+
+  await publishAppointmentEvent(appId, WS_EVENTS.APPOINTMENT_BOOKED, WEBHOOK_EVENTS.APPOINTMENT_BOOKED, {
+    appointmentId: appointment ? String(appointment._id) : null,
+    eventId: viewModel.eventId || null,
+    start,
+    end,
+    title,
+    link: viewModel.link || null,
+    timeZone: timeZone || null,
+    attendeeEmail: attendeeEmail || null,
+    customerName: customerName || null,
+    customerPhone: customerPhone || null,
+    leadId: appointment?.leadId ? String(appointment.leadId) : (leadId || null),
+    channel: appointment?.channel || null,
+    staffId: staffId ? String(staffId) : null,
+    serviceId: serviceId ? String(serviceId) : null
+  });
+}
+
+/**
+ * Move a booked calendar event: re-check availability, update the provider event, the Appointment
+ * record and the linked lead, email the attendee and publish appointment.rescheduled.
+ * @param {Object} params
+ * @param {string} params.appId
+ * @param {string} params.eventId - provider event ID
+ * @param {string} params.start - ISO 8601
+ * @param {string} params.end - ISO 8601
+ * @param {string} [params.timeZone]
+ * @param {string} [params.reason]
+ * @param {'business'|'customer'} [params.changedBy] - customer changes are also emailed to the owner
+ * @param {string} [params.publicBackendBase]
+ * @returns {Promise<{ viewModel: Object, appointment: Object|null }>} viewModel is a
+ *   RescheduleAppointmentViewModel; calendarConnected is false when the app has no calendar
+ */
+async function rescheduleBooking({ appId, eventId, start, end, timeZone = null, reason = null, changedBy = 'business', publicBackendBase = '' }) {
+  const appointment = await AppointmentService.findActiveByEvent(appId, eventId);
+  const { provider, integration } = await getProviderForAppointment(appId, appointment);
+  if (!provider) {
+    return {
+      viewModel: { ...rescheduleAppointmentError('No calendar connected for this app.'), calendarConnected: false },
+      appointment: null
+    };
+  }
+
+  const leadFields = 'leadName leadEmail title serviceType appointmentDetails';
+  const lead = appointment?.leadId
+    ? await Lead.findOne({ _id: appointment.leadId, appId }).select(leadFields).lean().exec()
+    : await Lead.findOne({ appId, 'appointmentDetails.eventId': String(eventId) }).select(leadFields).lean().exec();
+  const previous = appointment
+    ? { start: appointment.startAt, end: appointment.endAt }
+    : (lead?.appointmentDetails?.start
+      ? { start: lead.appointmentDetails.start, end: lead.appointmentDetails.end || lead.appointmentDetails.start }
+      : null);
+  const eventTimeZone = timeZone || appointment?.timeZone || null;
+
+  const staffId = appointment?.staffId || null;
+  const available = await isTimeAvailable({
+    appId,
+    // A staff member without their own calendar is checked against their appointments only.
+    provider: staffId && !appointment.staffCalendar ? null : provider,
+    integration,
+    start,
+    end,
+    excludeAppointmentId: appointment?._id || null,
+    previous,
+    staffId
+  });
+  if (!available) {
+    return {
+      viewModel: { ...rescheduleAppointmentError('The requested time is not available.', provider.providerName), calendarConnected: true },
+      appointment
+    };
+  }
+
+  const viewModel = await provider.rescheduleAppointment(eventId, start, end, { timeZone: eventTimeZone || undefined });
+  if (!viewModel.success) return { viewModel, appointment };
+
+  if (appointment) {
+    await AppointmentService.recordReschedule(appointment, {
+      start, end, timeZone: eventTimeZone, link: viewModel.link, reason
+    });
+  }
+  await AppointmentService.moveLeadAppointment(appId, eventId, lead?._id || appointment?.leadId || null, {
+    start, end, link: viewModel.link
+  });
+
+  const title = appointment?.title || lead?.title || lead?.serviceType || 'Appointment';
+  const attendeeEmail = appointment?.attendee?.email || lead?.leadEmail || null;
+  if (attendeeEmail) {
+    try {
+      const { businessData, formatInCalTz } = await buildBookingEmailContext(appId, publicBackendBase);
+      await new EmailService().sendAppointmentRescheduledEmail(
+        { name: appointment?.attendee?.name || lead?.leadName || 'Customer', email: attendeeEmail },
+        {
+          serviceName: title,
+          title,
+          startText: formatInCalTz(start),
+          endText: formatInCalTz(end),
+          previousStartText: previous ? formatInCalTz(previous.start) : '',
+          previousEndText: previous ? formatInCalTz(previous.end) : '',
+          link: viewModel.link || appointment?.link || '',
+          manageLink: await getManageLink(appointment),
+          calendarInvite: buildCalendarInvite('REQUEST', appointment || {
+            externalEventId: eventId,
+            startAt: new Date(start),
+            endAt: new Date(end),
+            title,
+            link: viewModel.link || '',
+            attendee: { name: lead?.leadName || null, email: attendeeEmail }
+          }, businessData)
+        },
+        businessData
+      );
+    } catch (emailErr) {
+      logger.error('Calendar reschedule email sending failed', { appId, eventId, error: emailErr.message });
+    }
+  }
+  if (changedBy === 'customer' && appointment) {
+    await notifyOwnerOfCustomerChange(appId, appointment, 'rescheduled', { previous, reason, publicBackendBase });
+  }
+
+  await publishAppointmentEvent(appId, WS_EVENTS.APPOINTMENT_RESCHEDULED, WEBHOOK_EVENTS.APPOINTMENT_RESCHEDULED, {
+    appointmentId: appointment ? String(appointment._id) : null,
+    eventId,
+    start,
+    end,
+    previousStart: previous ? new Date(previous.start).toISOString() : null,
+    previousEnd: previous ? new Date(previous.end).toISOString() : null,
+    title,
+    link: viewModel.link || null,
+    timeZone: eventTimeZone,
+    reason,
+    changedBy,
+    leadId: appointment?.leadId ? String(appointment.leadId) : (lead ? String(lead._id) : null)
+  });
+
+  return { viewModel, appointment };
+}
+
+/**
+ * Cancel a booked calendar event, mark its Appointment cancelled, email the attendee (with a calendar
+ * cancellation) and publish appointment.cancelled.
+ * @param {Object} params - { appId, eventId, reason?, changedBy?, publicBackendBase? }
+ * @returns {Promise<{ viewModel: Object, appointment: Object|null }>} viewModel is a
+ *   CancelAppointmentViewModel; calendarConnected is false when the app has no calendar
+ */
+async function cancelBooking({ appId, eventId, reason = null, changedBy = 'business', publicBackendBase = '' }) {
+  const { provider } = await getProviderForAppointment(appId, await AppointmentService.findActiveByEvent(appId, eventId));
+  if (!provider) {
+    return {
+      viewModel: { ...cancelAppointmentError('No calendar connected for this app.'), calendarConnected: false },
+      appointment: null
+    };
+  }
+
+  const viewModel = await provider.cancelAppointment(eventId);
+  if (!viewModel.success) return { viewModel, appointment: null };
+
+  const appointment = await AppointmentService.recordCancellation(appId, eventId, reason);
+  if (appointment?.attendee?.email) {
+    try {
+      const { businessData, formatInCalTz } = await buildBookingEmailContext(appId, publicBackendBase);
+      await new EmailService().sendAppointmentCancelledEmail(
+        { name: appointment.attendee.name || 'Customer', email: appointment.attendee.email },
+        {
+          serviceName: appointment.title || 'Appointment',
+          startText: formatInCalTz(appointment.startAt),
+          endText: formatInCalTz(appointment.endAt),
+          reason: reason || '',
+          calendarInvite: buildCalendarInvite('CANCEL', appointment, businessData)
+        },
+        businessData
+      );
+    } catch (emailErr) {
+      logger.error('Calendar cancellation email sending failed', { appId, eventId, error: emailErr.message });
+    }
+  }
+  if (changedBy === 'customer' && appointment) {
+    await notifyOwnerOfCustomerChange(appId, appointment, 'cancelled', { reason, publicBackendBase });
+  }
+  await publishAppointmentEvent(appId, WS_EVENTS.APPOINTMENT_CANCELLED, WEBHOOK_EVENTS.APPOINTMENT_CANCELLED, {
+    appointmentId: appointment ? String(appointment._id) : null,
+    eventId,
+    reason,
+    changedBy,
+    leadId: appointment?.leadId ? String(appointment.leadId) : null
+  });
+  return { viewModel, appointment };
+}
+
+/**
+ * What a customer may still do with their booking through a manage-booking link.
+ * @param {Object} appointment - Appointment document
+ * @param {Object} settings - AvailabilitySettings values (self-service flags and cut-offs)
+ * @returns {{ canCancel: boolean, canReschedule: boolean, cancelDeadline: Date|null, rescheduleDeadline: Date|null }}
+ */
+function getSelfServicePolicy(appointment, settings, now = new Date()) {
+  // Group session attendees have no calendar event of their own; a waitlist place can be given up too.
+  const groupSeat = !!appointment.groupSessionId;
+  const changeable = groupSeat
+    ? [...ACTIVE_APPOINTMENT_STATUSES, APPOINTMENT_STATUSES.WAITLISTED].includes(appointment.status)
+    : ACTIVE_APPOINTMENT_STATUSES.includes(appointment.status) && !!appointment.externalEventId;
+  const startTs = new Date(appointment.startAt).getTime();
+  const cancelDeadline = new Date(startTs - (settings.cancelCutoffMinutes || 0) * MINUTE_MS);
+  const rescheduleDeadline = new Date(startTs - (settings.rescheduleCutoffMinutes || 0) * MINUTE_MS);
+  return {
+    canCancel: changeable && !!settings.selfServiceCancelEnabled && now < cancelDeadline,
+    // Calendly cannot move events through its API; invitees use Calendly's own reschedule link.
+    canReschedule: changeable && !groupSeat && appointment.provider !== PROVIDER_CALENDLY && !!settings.selfServiceRescheduleEnabled && now < rescheduleDeadline,
+    cancelDeadline: settings.selfServiceCancelEnabled ? cancelDeadline : null,
+    rescheduleDeadline: settings.selfServiceRescheduleEnabled ? rescheduleDeadline : null
+  };
+}
+
+module.exports = {
+  publishAppointmentEvent,
+  getProviderForApp,
+  getProviderForStaff,
+  loadSlotInputs,
+  isTimeAvailable,
+  findAlternativeSlots,
+  notifyOwnerOfCustomerChange,
+  notifyBookingConfirmed,
+  rescheduleBooking,
+  cancelBooking,
+  getSelfServicePolicy
+};
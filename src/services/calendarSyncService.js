@@ -0,0 +1,478 @@
+/**
+ * Two-way calendar sync: change-notification subscriptions on connected Google and Outlook calendars
+ * (the app's and staff members' own), and reconciliation of bookings that the business moved or deleted
+ * directly in the calendar. A polling worker renews subscriptions before they expire and subscribes
+ * connected calendars that have none yet.
+ */
+const crypto = require('crypto');
+const { CalendarSubscription, CALENDAR_SYNC_PROVIDERS } = require('../models/CalendarSubscription');
+const { Integration } = require('../models/Integration');
+const { StaffMember } = require('../models/StaffMember');
+const { Lead } = require('../models/Lead');
+const { App } = require('../models/App');
+const googleCalendarService = require('./googleCalendarService');
+const outlookCalendarService = require('./outlookCalendarService');
+const { AppointmentService } = require('./appointmentService');
+const { publishAppointmentEvent } = require('./calendarBookingService');
+const { PROVIDER_GOOGLE, PROVIDER_OUTLOOK } = require('../integrations/appointment/commonViewModel');
+const { WEBHOOK_EVENTS } = require('../enums/webhookEvents');
+const { WS_EVENTS } = require('../enums/websocketEvents');
+const websocketServer = require('../utils/websocketServer');
+const { encrypt, decrypt } = require('../utils/encrypt');
+const { logger } = require('../utils/logger');
+
+const GOOGLE_CHANNEL_TTL_SECONDS = 7 * 24 * 60 * 60;
+// Graph allows subscriptions on events for just under three days (4230 minutes).
+const OUTLOOK_SUBSCRIPTION_MINUTES = 4200;
+const RENEW_BEFORE_MS = 12 * 60 * 60 * 1000;
+const POLL_INTERVAL_MS = parseInt(process.env.CALENDAR_SYNC_POLL_INTERVAL_MS, 10) || 30 * 60 * 1000;
+const BATCH_SIZE = 20;
+// A subscription stuck in renewal longer than this (worker crashed) is picked up again.
+const STALE_LOCK_MS = 5 * 60 * 1000;
+// Changes are listed from slightly before the last sync, so clock skew cannot skip any.
+const SYNC_OVERLAP_MS = 60 * 1000;
+const PROVIDER_LABELS = { [PROVIDER_GOOGLE]: 'Google Calendar', [PROVIDER_OUTLOOK]: 'Outlook' };
+
+let workerTimer = null;
+let workerRunning = false;
+
+function getNotificationBaseUrl() {
+  return String(process.env.CALENDAR_WEBHOOK_BASE_URL || process.env.APP_URL || '').trim().replace(/\/+$/, '');
+}
+
+function buildNotificationUrl(provider) {
+  const path = provider === PROVIDER_GOOGLE ? 'google' : 'outlook';
+  return `${getNotificationBaseUrl()}/api/v1/integration/calendar/${path}/notifications`;
+}
+
+function tokensMatch(expected, received) {
+  const a = Buffer.from(String(expected || ''));
+  const b = Buffer.from(String(received || ''));
+  return a.length > 0 && a.length === b.length && crypto.timingSafeEqual(a, b);
+}
+
+/**
+ * Provider and encrypted refresh token of the app's calendar, or of a staff member's own calendar.
+ * @returns {Promise<{ provider: string, encryptedRefreshToken: string, calendarId: string }|null>} null when
+ *   the calendar is not a connected Google or Outlook calendar
+ */
+async function loadCalendarCredentials(appId, staffId = null) {
+  if (staffId) {
+    const staff = await StaffMember.findOne({ _id: staffId, owner: appId })
+      .select('+calendarRefreshToken calendarProvider calendarConnected calendarId')
+      .lean()
+      .exec();
+    if (!staff?.calendarConnected || !CALENDAR_SYNC_PROVIDERS.includes(staff.calendarProvider) || !staff.calendarRefreshToken) {
+      return null;
+    }
+    return { provider: staff.calendarProvider, encryptedRefreshToken: staff.calendarRefreshToken, calendarId: staff.calendarId || 'primary' };
+  }
+  const integration = await Integration.findOne({ owner: appId })
+    .select('calendarProvider googleCalendarConnected googleCalendarRefreshToken googleCalendarCalendarId outlookCalendarConnected outlookCalendarRefreshToken outlookCalendarCalendarId')
+    .lean()
+    .exec();
+  if (integration?.calendarProvider === PROVIDER_GOOGLE && integration.googleCalendarConnected && integration.googleCalendarRefreshToken) {
+    return { provider: PROVIDER_GOOGLE, encryptedRefreshToken: integration.googleCalendarRefreshToken, calendarId: integration.googleCalendarCalendarId || 'primary' };
+  }
+  if (integration?.calendarProvider === PROVIDER_OUTLOOK && integration.outlookCalendarConnected && integration.outlookCalendarRefreshToken) {
+    return { provider: PROVIDER_OUTLOOK, encryptedRefreshToken: integration.outlookCalendarRefreshToken, calendarId: integration.outlookCalendarCalendarId || 'primary' };
+  }
+  return null;
+}
+
+/** Tell the owner's dashboard that a customer booking was changed in the calendar, not through us. */
+async function notifyOwnerOfCalendarChange(appId, appointment, change, provider, previous = null) {
+  try {
+    const app = await App.findById(appId).select('owner').lean();
+    const label = PROVIDER_LABELS[provider] || 'the calendar';
+    const customer = appointment.attendee?.name || appointment.attendee?.email || 'a customer';
+    websocketServer.emitToApp(appId, WS_EVENTS.APPOINTMENT_CHANGED_IN_CALENDAR, {
+      change,
+      provider,
+      message: change === 'cancelled'
+        ? `The booking with ${customer} was deleted in ${label}.`
+        : `The booking with ${customer} was moved in ${label}.`,
+      appointment: {
+        appointmentId: String(appointment._id),
+        eventId: appointment.externalEventId,
+        title: appointment.title || null,
+        start: appointment.startAt ? appointment.startAt.toISOString() : null,
+        end: appointment.endAt ? appointment.endAt.toISOString() : null,
+        previousStart: previous ? new Date(previous.start).toISOString() : null,
+        previousEnd: previous ? new Date(previous.end).toISOString() : null,
+        customerName: appointment.attendee?.name || null,
+        attendeeEmail: appointment.attendee?.email || null,
+        customerPhone: appointment.attendee?.phone || null,
+        leadId: appointment.leadId ? String(appointment.leadId) : null,
+        staffId: appointment.staffId ? String(appointment.staffId) : null
+      }
+    }, app?.owner ? String(app.owner) : null);
+  } catch (error) {
+    logger.warn('Failed to notify owner of calendar change', { appId, error: error.message });
+  }
+}
+
+class CalendarSyncService {
+  /** Change notifications need a public HTTPS URL (CALENDAR_WEBHOOK_BASE_URL or APP_URL). */
+  static isConfigured() {
+    return /^https:\/\//i.test(getNotificationBaseUrl());
+  }
+
+  /**
+   * Subscribe to change notifications of the app's calendar, or of a staff member's own calendar, replacing
+   * any earlier subscription. Calendars other than Google and Outlook are not synced. Never throws.
+   * @param {string} appId
+   * @param {{ staffId?: string|null, lastSyncedAt?: Date|null }} [opts] - lastSyncedAt: keep syncing Google
+   *   changes from there (renewal)
+   * @returns {Promise<Object|null>} CalendarSubscription, or null when none was created
+   */
+  static async subscribe(appId, { staffId = null, lastSyncedAt = null } = {}) {
+    try {
+      if (!this.isConfigured()) return null;
+      const credentials = await loadCalendarCredentials(appId, staffId);
+      if (!credentials) return null;
+      const token = crypto.randomBytes(32).toString('hex');
+      const verificationToken = encrypt(token);
+      if (!verificationToken) {
+        logger.warn('Calendar token encryption key not set, cannot subscribe to calendar changes', { appId });
+        return null;
+      }
+
+      let channel;
+      if (credentials.provider === PROVIDER_GOOGLE) {
+        const channelId = crypto.randomUUID();
+        const watch = await googleCalendarService.watchEvents(credentials.encryptedRefreshToken, credentials.calendarId, {
+          channelId,
+          address: buildNotificationUrl(PROVIDER_GOOGLE),
+          token,
+          ttlSeconds: GOOGLE_CHANNEL_TTL_SECONDS
+        });
+        if (!watch) return null;
+        channel = { channelId, resourceId: watch.resourceId, expiresAt: watch.expiresAt };
+      } else {
+        const created = await outlookCalendarService.createSubscription(credentials.encryptedRefreshToken, {
+          notificationUrl: buildNotificationUrl(PROVIDER_OUTLOOK),
+          clientState: token,
+          expiresAt: new Date(Date.now() + OUTLOOK_SUBSCRIPTION_MINUTES * 60 * 1000)
+        });
+        channel = { channelId: created.subscriptionId, resourceId: null, expiresAt: created.expiresAt };
+      }
+
+      const previous = await CalendarSubscription.find({ owner: appId, staffId }).select('_id').lean().exec();
+      const subscription = await CalendarSubscription.create({
+        owner: appId,
+        staffId,
+        provider: credentials.provider,
+        calendarId: credentials.calendarId,
+        ...channel,
+        verificationToken,
+        lastSyncedAt: lastSyncedAt || new Date()
+      });
+      // The new channel is live before the old one is stopped, so no change falls in between.
+      if (previous.length > 0) await this.unsubscribe(appId, { staffId, keepId: subscription._id });
+      logger.info('Subscribed to calendar changes', { appId, staffId: staffId ? String(staffId) : null, provider: credentials.provider });
+      return subscription;
+    } catch (error) {
+      logger.warn('Calendar change notifications could not be set up; changes made in the calendar will not sync', {
+        appId, staffId: staffId ? String(staffId) : null, error: error.message, status: error.status || error.code
+      });
+      return null;
+    }
+  }
+
+  /**
+   * Stop the change notifications of the app's calendar (or a staff member's) and forget them. Call it
+   * before the calendar's tokens are replaced or cleared: they are needed to stop the subscription.
+   * Never throws.
+   * @param {string} appId
+   * @param {{ staffId?: string|null, keepId?: string }} [opts] - keepId: subscription to leave in place
+   */
+  static async unsubscribe(appId, { staffId = null, keepId = null } = {}) {
+    try {
+      const subscriptions = await CalendarSubscription.find({
+        owner: appId,
+        staffId,
+        ...(keepId && { _id: { $ne: keepId } })
+      }).lean().exec();
+      if (subscriptions.length === 0) return;
+      const credentials = await loadCalendarCredentials(appId, staffId);
+      for (const subscription of subscriptions) {
+        if (credentials?.provider === PROVIDER_GOOGLE && subscription.provider === PROVIDER_GOOGLE) {
+          await googleCalendarService.stopChannel(credentials.encryptedRefreshToken, subscription.channelId, subscription.resourceId);
+        } else if (credentials?.provider === PROVIDER_OUTLOOK && subscription.provider === PROVIDER_OUTLOOK) {
+          await outlookCalendarService.deleteSubscription(credentials.encryptedRefreshToken, subscription.channelId);
+        }
+      }
+      await CalendarSubscription.deleteMany({ _id: { $in: subscriptions.map((s) => s._id) } });
+    } catch (error) {
+      logger.warn('Failed to unsubscribe from calendar changes', { appId, staffId: staffId ? String(staffId) : null, error: error.message });
+    }
+  }
+
+  /**
+   * Subscription a Google notification belongs to, if its channel token matches.
+   * @returns {Promise<Object|null>}
+   */
+  static async verifyGoogleNotification(channelId, channelToken) {
+    if (!channelId || !channelToken) return null;
+    const subscription = await CalendarSubscription.findOne({ channelId: String(channelId), provider: PROVIDER_GOOGLE })
+      .select('+verificationToken')
+      .lean()
+      .exec();
+    if (!subscription || !tokensMatch(decrypt(subscription.verificationToken), channelToken)) return null;
+    return subscription;
+  }
+
+  /**
+   * Outlook notifications whose subscription exists and whose clientState matches, each with its subscription.
+   * @param {Array<Object>} notifications - the `value` array of a Graph notification body
+   * @returns {Promise<Array<{ subscription: Object, notification: Object }>>}
+   */
+  static async verifyOutlookNotifications(notifications) {
+    const verified = [];
+    for (const notification of notifications || []) {
+      if (!notification?.subscriptionId) continue;
+      const subscription = await CalendarSubscription.findOne({ channelId: String(notification.subscriptionId), provider: PROVIDER_OUTLOOK })
+        .select('+verificationToken')
+        .lean()
+        .exec();
+      if (subscription && tokensMatch(decrypt(subscription.verificationToken), notification.clientState)) {
+        verified.push({ subscription, notification });
+      }
+    }
+    return verified;
+  }
+
+  /**
+   * Apply the events changed in a Google calendar since the last sync. The first notification of a channel
+   * ('sync') carries no change.
+   */
+  static async handleGoogleNotification(subscription, resourceState) {
+    if (resourceState === 'sync') return;
+    const credentials = await loadCalendarCredentials(subscription.owner, subscription.staffId);
+    if (credentials?.provider !== PROVIDER_GOOGLE) return;
+    const syncStartedAt = new Date();
+    const since = new Date((subscription.lastSyncedAt || subscription.createdAt).getTime() - SYNC_OVERLAP_MS).toISOString();
+    const events = await googleCalendarService.listChangedEvents(credentials.encryptedRefreshToken, subscription.calendarId, since);
+    for (const event of events) {
+      await this.reconcileEvent(subscription, event);
+    }
+    await CalendarSubscription.updateOne(
+      { _id: subscription._id },
+      { $set: { lastSyncedAt: syncStartedAt, lastNotifiedAt: syncStartedAt } }
+    );
+  }
+
+  /** Apply verified Outlook notifications: deleted events are cancelled, updated ones are re-read. */
+  static async handleOutlookNotifications(verified) {
+    for (const { subscription, notification } of verified) {
+      const eventId = notification.resourceData?.id;
+      if (!eventId) continue;
+      try {
+        // Only bookings we made are reconciled; skip the Graph call for any other event.
+        if (!(await AppointmentService.findActiveByEvent(subscription.owner, eventId))) continue;
+        let event;
+        if (notification.changeType === 'deleted') {
+          event = { eventId, cancelled: true, start: null, end: null, link: null };
+        } else {
+          const credentials = await loadCalendarCredentials(subscription.owner, subscription.staffId);
+          if (credentials?.provider !== PROVIDER_OUTLOOK) continue;
+          event = await outlookCalendarService.getEvent(credentials.encryptedRefreshToken, eventId);
+        }
+        await this.reconcileEvent(subscription, event);
+      } catch (error) {
+        logger.error('Failed to apply Outlook calendar change', { appId: String(subscription.owner), eventId, error: error.message });
+      }
+      await CalendarSubscription.updateOne({ _id: subscription._id }, { $set: { lastNotifiedAt: new Date() } });
+    }
+  }
+
+  /**
+   * Bring the booking recorded for a calendar event in line with the event: deleted or cancelled events
+   * cancel it, moved events reschedule it. Events that are not our bookings are ignored.
+   * @param {Object} subscription - CalendarSubscription the change came from
+   * @param {{ eventId: string, cancelled: boolean, start: string|null, end: string|null, link: string|null }} event
+   */
+  static async reconcileEvent(subscription, event) {
+    const appId = subscription.owner;
+    const appointment = await AppointmentService.findActiveByEvent(appId, event.eventId);
+    if (!appointment) return;
+    // Only the calendar the booking's event lives in speaks for it.
+    const bookingStaffId = appointment.staffCalendar ? String(appointment.staffId || '') : '';
+    if (bookingStaffId !== String(subscription.staffId || '')) return;
+    const label = PROVIDER_LABELS[subscription.provider];
+
+    if (event.cancelled) {
+      const reason = `Deleted in ${label}`;
+      const cancelled = await AppointmentService.recordCancellation(appId, event.eventId, reason);
+      if (!cancelled) return;
+      if (cancelled.leadId) {
+        try {
+          await Lead.updateOne(
+            { _id: cancelled.leadId, appId, 'appointmentDetails.eventId': String(event.eventId) },
+            { $set: { 'appointmentDetails.confirmed': false } }
+          );
+        } catch (error) {
+          logger.warn('Failed to update lead after calendar deletion', { appId: String(appId), eventId: event.eventId, error: error.message });
+        }
+      }
+      await publishAppointmentEvent(appId, WS_EVENTS.APPOINTMENT_CANCELLED, WEBHOOK_EVENTS.APPOINTMENT_CANCELLED, {
+        appointmentId: String(cancelled._id),
+        eventId: event.eventId,
+        reason,
+        changedBy: 'business',
+        leadId: cancelled.leadId ? String(cancelled.leadId) : null
+      });
+      await notifyOwnerOfCalendarChange(appId, cancelled, 'cancelled', subscription.provider);
+      return;
+    }
+
+    if (!event.start || !event.end) return;
+    const start = new Date(event.start).toISOString();
+    const end = new Date(event.end).toISOString();
+    if (start === appointment.startAt.toISOString() && end === appointment.endAt.toISOString()) return;
+
+    const previous = { start: appointment.startAt, end: appointment.endAt };
+    const reason = `Moved in ${label}`;
+    const moved = await AppointmentService.recordReschedule(appointment, { start, end, link: event.link, reason });
+    if (!moved) return;
+    await AppointmentService.moveLeadAppointment(appId, event.eventId, moved.leadId || null, { start, end, link: event.link });
+    await publishAppointmentEvent(appId, WS_EVENTS.APPOINTMENT_RESCHEDULED, WEBHOOK_EVENTS.APPOINTMENT_RESCHEDULED, {
+      appointmentId: String(moved._id),
+      eventId: event.eventId,
+      start,
+      end,
+      previousStart: new Date(previous.start).toISOString(),
+      previousEnd: new Date(previous.end).toISOString(),
+      title: moved.title || 'Appointment',
+      link: moved.link || null,
+      timeZone: moved.timeZone || null,
+      reason,
+      changedBy: 'business',
+      leadId: moved.leadId ? String(moved.leadId) : null
+    });
+    await notifyOwnerOfCalendarChange(appId, moved, 'rescheduled', subscription.provider, previous);
+  }
+
+  /**
+   * Extend a subscription that is about to expire. Google channels cannot be extended and are replaced;
+   * Graph subscriptions are extended in place. Subscriptions that expired and cannot be renewed are dropped.
+   */
+  static async renew(subscription) {
+    const appId = subscription.owner;
+    const staffId = subscription.staffId || null;
+    let renewed = false;
+    if (subscription.provider === PROVIDER_GOOGLE) {
+      renewed = !!(await this.subscribe(appId, { staffId, lastSyncedAt: subscription.lastSyncedAt }));
+    } else {
+      const credentials = await loadCalendarCredentials(appId, staffId);
+      if (credentials?.provider === PROVIDER_OUTLOOK) {
+        try {
+          const expiresAt = await outlookCalendarService.renewSubscription(
+            credentials.encryptedRefreshToken,
+            subscription.channelId,
+            new Date(Date.now() + OUTLOOK_SUBSCRIPTION_MINUTES * 60 * 1000)
+          );
+          await CalendarSubscription.updateOne({ _id: subscription._id }, { $set: { expiresAt, renewLockedAt: null } });
+          renewed = true;
+        } catch (error) {
+          logger.warn('Outlook subscription renewal failed; subscribing again', { appId: String(appId), error: error.message });
+          renewed = !!(await this.subscribe(appId, { staffId }));
+        }
+      }
+    }
+    if (!renewed && subscription.expiresAt.getTime() <= Date.now()) {
+      await CalendarSubscription.deleteOne({ _id: subscription._id });
+    }
+    return renewed;
+  }
+
+  /**
+   * Atomically claim the next subscription due for renewal, reclaiming ones whose lock has gone stale.
+   * @returns {Promise<Object|null>}
+   */
+  static async claimNextRenewal() {
+    const now = new Date();
+    return CalendarSubscription.findOneAndUpdate(
+      {
+        expiresAt: { $lte: new Date(now.getTime() + RENEW_BEFORE_MS) },
+        $or: [
+          { renewLockedAt: null },
+          { renewLockedAt: { $lte: new Date(now.getTime() - STALE_LOCK_MS) } }
+        ]
+      },
+      { $set: { renewLockedAt: now } },
+      { sort: { expiresAt: 1 }, new: true }
+    ).lean();
+  }
+
+  /** Subscribe up to BATCH_SIZE connected Google / Outlook calendars that have no subscription yet. */
+  static async subscribeMissing() {
+    let subscribed = 0;
+    const subscribedAppIds = await CalendarSubscription.distinct('owner', { staffId: null });
+    const integrations = await Integration.find({
+      owner: { $nin: subscribedAppIds },
+      $or: [
+        { calendarProvider: PROVIDER_GOOGLE, googleCalendarConnected: true },
+        { calendarProvider: PROVIDER_OUTLOOK, outlookCalendarConnected: true }
+      ]
+    }).select('owner').limit(BATCH_SIZE).lean().exec();
+    for (const integration of integrations) {
+      if (await this.subscribe(integration.owner)) subscribed += 1;
+    }
+
+    const subscribedStaffIds = await CalendarSubscription.distinct('staffId', { staffId: { $ne: null } });
+    const staff = await StaffMember.find({
+      _id: { $nin: subscribedStaffIds },
+      calendarConnected: true,
+      calendarProvider: { $in: CALENDAR_SYNC_PROVIDERS }
+    }).select('owner').limit(BATCH_SIZE).lean().exec();
+    for (const member of staff) {
+      if (await this.subscribe(member.owner, { staffId: member._id })) subscribed += 1;
+    }
+    return subscribed;
+  }
+
+  /** Renew subscriptions due for renewal, then subscribe calendars without one. Overlapping runs are skipped. */
+  static async processDue() {
+    if (workerRunning) return 0;
+    workerRunning = true;
+    let processed = 0;
+    try {
+      while (processed < BATCH_SIZE) {
+        const subscription = await this.claimNextRenewal();
+        if (!subscription) break;
+        await this.renew(subscription);
+        processed += 1;
+      }
+      processed += await this.subscribeMissing();
+    } catch (error) {
+      logger.error('Calendar sync worker error', { error: error.message });
+    } finally {
+      workerRunning = false;
+    }
+    return processed;
+  }
+
+  static startWorker() {
+    if (workerTimer) return;
+    if (!this.isConfigured()) {
+      logger.info('Calendar sync worker not started: CALENDAR_WEBHOOK_BASE_URL / APP_URL is not a public HTTPS URL');
+      return;
+    }
+    workerTimer = setInterval(() => {
+      this.processDue().catch(() => {});
+    }, POLL_INTERVAL_MS);
+    if (typeof workerTimer.unref === 'function') workerTimer.unref();
+    logger.info('Calendar sync worker started');
+  }
+
+  static stopWorker() {
+    if (workerTimer) {
+      clearInterval(workerTimer);
+      workerTimer = null;
+    }
+  }
+}
+
+module.exports = { CalendarSyncService };
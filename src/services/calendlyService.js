@@ -0,0 +1,447 @@
+/**
+ * Calendly API v2: OAuth tokens, availability of the connected event type, bookings (invitee creation,
+ * or a single-use scheduling link when the account cannot book through the API), cancellation and
+ * webhook subscriptions for invitee.created / invitee.canceled.
+ */
+const crypto = require('crypto');
+const { Integration } = require('../models/Integration');
+const { encrypt, decrypt } = require('../utils/encrypt');
+const { logger } = require('../utils/logger');
+
+const API_BASE = 'https://api.calendly.com';
+const AUTH_BASE = 'https://auth.calendly.com';
+// Calendly availability endpoints accept at most 7 days per request.
+const MAX_RANGE_MS = 7 * 24 * 60 * 60 * 1000;
+// Refresh access tokens this long before they expire.
+const TOKEN_EXPIRY_MARGIN_MS = 60 * 1000;
+const WEBHOOK_EVENTS = ['invitee.created', 'invitee.canceled'];
+// Reject webhook deliveries signed longer ago than this (replay protection).
+const WEBHOOK_TOLERANCE_MS = 5 * 60 * 1000;
+
+const refreshInFlight = new Map();
+
+function sanitizeEnv(value) {
+  return String(value || '').trim().replace(/^["']|["']$/g, '');
+}
+
+function getClientId() {
+  return sanitizeEnv(process.env.CALENDLY_CLIENT_ID);
+}
+
+function getClientSecret() {
+  return sanitizeEnv(process.env.CALENDLY_CLIENT_SECRET);
+}
+
+function getRedirectUri() {
+  return sanitizeEnv(process.env.CALENDLY_REDIRECT_URI || `${process.env.APP_URL || 'http://localhost:5000'}/api/v1/integration/calendar/callback`);
+}
+
+function isConfigured() {
+  return !!(getClientId() && getClientSecret());
+}
+
+/** Calendly authorize URL for the OAuth connect flow. */
+function buildAuthorizeUrl(state) {
+  const url = new URL(`${AUTH_BASE}/oauth/authorize`);
+  url.searchParams.set('client_id', getClientId());
+  url.searchParams.set('response_type', 'code');
+  url.searchParams.set('redirect_uri', getRedirectUri());
+  url.searchParams.set('state', state);
+  return url.toString();
+}
+
+/** UUID at the end of a Calendly resource URI (scheduled event, invitee, webhook, ...). */
+function uuidFromUri(uri) {
+  const parts = String(uri || '').replace(/\/+$/, '').split('/');
+  return parts[parts.length - 1] || null;
+}
+
+/** Scheduled event UUID from an invitee URI (.../scheduled_events/{uuid}/invitees/{uuid}). */
+function eventUuidFromInviteeUri(uri) {
+  const match = String(uri || '').match(/\/scheduled_events\/([^/]+)\/invitees\//);
+  return match ? match[1] : null;
+}
+
+async function tokenRequest(params) {
+  const response = await fetch(`${AUTH_BASE}/oauth/token`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/x-www-form-urlencoded' },
+    body: new URLSearchParams({
+      client_id: getClientId(),
+      client_secret: getClientSecret(),
+      ...params
+    })
+  });
+  if (!response.ok) {
+    const text = await response.text().catch(() => '');
+    const error = new Error(`Calendly token request failed (${response.status})`);
+    error.status = response.status;
+    error.responseBody = text;
+    throw error;
+  }
+  const json = await response.json();
+  return {
+    accessToken: json.access_token,
+    refreshToken: json.refresh_token,
+    expiresAt: new Date(Date.now() + (Number(json.expires_in) || 7200) * 1000),
+    userUri: json.owner || null,
+    organizationUri: json.organization || null
+  };
+}
+
+/**
+ * Exchange an OAuth authorization code.
+ * @returns {Promise<{ accessToken: string, refreshToken: string, expiresAt: Date, userUri: string|null, organizationUri: string|null }>}
+ */
+async function exchangeCode(code) {
+  return tokenRequest({ grant_type: 'authorization_code', code: String(code), redirect_uri: getRedirectUri() });
+}
+
+/**
+ * Access token for an app's Calendly connection. Calendly rotates the refresh token on every refresh, so
+ * the new pair is saved right away and concurrent refreshes for the same app share one request.
+ * @param {Object} credentials - { appId, encryptedAccessToken, encryptedRefreshToken, accessTokenExpiresAt }; updated in place
+ * @returns {Promise<string>}
+ */
+async function getAccessToken(credentials) {
+  const expiresAt = credentials.accessTokenExpiresAt ? new Date(credentials.accessTokenExpiresAt).getTime() : 0;
+  if (credentials.encryptedAccessToken && expiresAt - TOKEN_EXPIRY_MARGIN_MS > Date.now()) {
+    const accessToken = decrypt(credentials.encryptedAccessToken);
+    if (accessToken) return accessToken;
+  }
+
+  const key = String(credentials.appId);
+  if (!refreshInFlight.has(key)) {
+    const refresh = (async () => {
+      // Another request (or instance) may have refreshed since these credentials were loaded.
+      const integration = await Integration.findOne({ owner: credentials.appId })
+        .select('calendlyAccessToken calendlyRefreshToken calendlyTokenExpiresAt')
+        .lean();
+      const stored = {
+        encryptedAccessToken: integration?.calendlyAccessToken || null,
+        encryptedRefreshToken: integration?.calendlyRefreshToken || credentials.encryptedRefreshToken,
+        accessTokenExpiresAt: integration?.calendlyTokenExpiresAt || null
+      };
+      const storedExpiry = stored.accessTokenExpiresAt ? new Date(stored.accessTokenExpiresAt).getTime() : 0;
+      if (stored.encryptedAccessToken && storedExpiry - TOKEN_EXPIRY_MARGIN_MS > Date.now()) return stored;
+
+      const refreshToken = decrypt(stored.encryptedRefreshToken);
+      if (!refreshToken) throw new Error('Calendly refresh token could not be decrypted');
+      const tokens = await tokenRequest({ grant_type: 'refresh_token', refresh_token: refreshToken });
+      const refreshed = {
+        encryptedAccessToken: encrypt(tokens.accessToken),
+        encryptedRefreshToken: encrypt(tokens.refreshToken || refreshToken),
+        accessTokenExpiresAt: tokens.expiresAt
+      };
+      await Integration.updateOne(
+        { owner: credentials.appId },
+        {
+          $set: {
+            calendlyAccessToken: refreshed.encryptedAccessToken,
+            calendlyRefreshToken: refreshed.encryptedRefreshToken,
+            calendlyTokenExpiresAt: refreshed.accessTokenExpiresAt
+          }
+        }
+      );
+      return refreshed;
+    })().finally(() => refreshInFlight.delete(key));
+    refreshInFlight.set(key, refresh);
+  }
+
+  const fresh = await refreshInFlight.get(key);
+  Object.assign(credentials, fresh);
+  const accessToken = decrypt(fresh.encryptedAccessToken);
+  if (!accessToken) throw new Error('Unable to obtain Calendly access token');
+  return accessToken;
+}
+
+async function calendlyRequest(path, accessToken, options = {}) {
+  const response = await fetch(path.startsWith('http') ? path : `${API_BASE}${path}`, {
+    ...options,
+    headers: {
+      Authorization: `Bearer ${accessToken}`,
+      'Content-Type': 'application/json',
+      ...(options.headers || {})
+    }
+  });
+  if (!response.ok) {
+    const text = await response.text().catch(() => '');
+    let message = null;
+    try {
+      message = JSON.parse(text)?.message || null;
+    } catch (_) {}
+    const error = new Error(message ? `Calendly: ${message}` : `Calendly API request failed (${response.status})`);
+    error.status = response.status;
+    error.responseBody = text;
+    throw error;
+  }
+  if (response.status === 204) return null;
+  return response.json();
+}
+
+async function calendlyRequestForApp(credentials, path, options = {}) {
+  return calendlyRequest(path, await getAccessToken(credentials), options);
+}
+
+/** The Calendly user behind an access token: { uri, name, email, timezone, current_organization, scheduling_url }. */
+async function getCurrentUser(accessToken) {
+  const data = await calendlyRequest('/users/me', accessToken);
+  return data?.resource || null;
+}
+
+/**
+ * Active event types of the connected user.
+ * @returns {Promise<Array<{ uri: string, name: string, duration: number, schedulingUrl: string, active: boolean }>>}
+ */
+async function listEventTypes(credentials) {
+  const accessToken = await getAccessToken(credentials);
+  const eventTypes = [];
+  let next = `/event_types?user=${encodeURIComponent(credentials.userUri)}&active=true&count=100`;
+  while (next) {
+    const data = await calendlyRequest(next, accessToken);
+    for (const item of data?.collection || []) {
+      eventTypes.push({
+        uri: item.uri,
+        name: item.name,
+        duration: item.duration,
+        schedulingUrl: item.scheduling_url,
+        active: item.active !== false
+      });
+    }
+    next = data?.pagination?.next_page || null;
+  }
+  return eventTypes;
+}
+
+/** Split [timeMin, timeMax] into ranges Calendly accepts. */
+function chunkRange(timeMin, timeMax) {
+  const chunks = [];
+  let start = new Date(timeMin).getTime();
+  const end = new Date(timeMax).getTime();
+  while (start < end) {
+    const chunkEnd = Math.min(start + MAX_RANGE_MS, end);
+    chunks.push({ start: new Date(start).toISOString(), end: new Date(chunkEnd).toISOString() });
+    start = chunkEnd;
+  }
+  return chunks;
+}
+
+/**
+ * Busy times of the connected user (Calendly bookings plus the calendars Calendly checks for conflicts).
+ * @returns {Promise<{ busy: Array<{ start: string, end: string }> }>}
+ */
+async function getFreebusy(credentials, timeMin, timeMax) {
+  try {
+    const accessToken = await getAccessToken(credentials);
+    const busy = [];
+    for (const chunk of chunkRange(timeMin, timeMax)) {
+      const data = await calendlyRequest(
+        `/user_busy_times?user=${encodeURIComponent(credentials.userUri)}&start_time=${encodeURIComponent(chunk.start)}&end_time=${encodeURIComponent(chunk.end)}`,
+        accessToken
+      );
+      for (const item of data?.collection || []) {
+        if (item.start_time && item.end_time) {
+          busy.push({ start: new Date(item.start_time).toISOString(), end: new Date(item.end_time).toISOString() });
+        }
+      }
+    }
+    return { busy };
+  } catch (err) {
+    logger.error('Calendly busy times error', { message: err.message, status: err.status, responseBody: err.responseBody });
+    throw err;
+  }
+}
+
+/**
+ * Bookable start times of the connected event type, as slots of the event type's duration. Calendly
+ * only returns future times, so the range is clamped to now.
+ * @returns {Promise<Array<{ start: string, end: string }>>}
+ */
+async function getAvailableTimes(credentials, timeMin, timeMax, durationMinutes) {
+  const from = new Date(Math.max(new Date(timeMin).getTime(), Date.now() + 60 * 1000));
+  if (from >= new Date(timeMax)) return [];
+  try {
+    const accessToken = await getAccessToken(credentials);
+    const slots = [];
+    for (const chunk of chunkRange(from, timeMax)) {
+      const data = await calendlyRequest(
+        `/event_type_available_times?event_type=${encodeURIComponent(credentials.eventTypeUri)}&start_time=${encodeURIComponent(chunk.start)}&end_time=${encodeURIComponent(chunk.end)}`,
+        accessToken
+      );
+      for (const item of data?.collection || []) {
+        if (item.status !== 'available' || !item.start_time) continue;
+        const start = new Date(item.start_time);
+        slots.push({
+          start: start.toISOString(),
+          end: new Date(start.getTime() + durationMinutes * 60 * 1000).toISOString()
+        });
+      }
+    }
+    return slots;
+  } catch (err) {
+    logger.error('Calendly available times error', { message: err.message, status: err.status, responseBody: err.responseBody });
+    throw err;
+  }
+}
+
+/** Single-use scheduling link for the connected event type. */
+async function createSchedulingLink(credentials) {
+  const data = await calendlyRequestForApp(credentials, '/scheduling_links', {
+    method: 'POST',
+    body: JSON.stringify({ max_event_count: 1, owner: credentials.eventTypeUri, owner_type: 'EventType' })
+  });
+  return data?.resource?.booking_url || null;
+}
+
+/**
+ * Book the connected event type for an invitee. Calendly sends its own confirmation to the invitee.
+ * Throws an error with `schedulingUrl` when the booking cannot be made through the API (no invitee email, or
+ * the Calendly plan does not allow it), so the customer can pick the time on Calendly instead.
+ * @returns {Promise<{ eventId: string, link: string, start: string, end: string, title: string }>}
+ */
+async function createEvent(credentials, payload) {
+  const fallbackToLink = async (reason) => {
+    const error = new Error(reason);
+    error.schedulingUrl = await createSchedulingLink(credentials).catch((linkErr) => {
+      logger.warn('Calendly scheduling link could not be created', { message: linkErr.message, status: linkErr.status });
+      return null;
+    });
+    throw error;
+  };
+
+  if (!payload.attendeeEmail) {
+    return fallbackToLink('Calendly bookings need the customer\'s email address; share the scheduling link instead.');
+  }
+  try {
+    const data = await calendlyRequestForApp(credentials, '/invitees', {
+      method: 'POST',
+      body: JSON.stringify({
+        event_type: credentials.eventTypeUri,
+        start_time: new Date(payload.start).toISOString(),
+        invitee: {
+          email: payload.attendeeEmail,
+          name: payload.customerName || payload.attendeeEmail,
+          timezone: payload.timeZone || 'UTC'
+        }
+      })
+    });
+    const invitee = data?.resource || {};
+    const eventUri = invitee.event || null;
+    let event = null;
+    if (eventUri) {
+      event = (await calendlyRequestForApp(credentials, eventUri).catch(() => null))?.resource || null;
+    }
+    return {
+      eventId: uuidFromUri(eventUri) || eventUuidFromInviteeUri(invitee.uri),
+      link: event?.location?.join_url || invitee.reschedule_url || '',
+      start: event?.start_time ? new Date(event.start_time).toISOString() : new Date(payload.start).toISOString(),
+      end: event?.end_time ? new Date(event.end_time).toISOString() : new Date(payload.end).toISOString(),
+      title: event?.name || payload.title
+    };
+  } catch (err) {
+    logger.error('Calendly createEvent error', { message: err.message, status: err.status, responseBody: err.responseBody });
+    if ([402, 403].includes(Number(err.status))) {
+      return fallbackToLink('This Calendly account cannot book through the API; share the scheduling link instead.');
+    }
+    throw err;
+  }
+}
+
+/** Cancel a scheduled event; one that is already cancelled or gone counts as cancelled. */
+async function deleteEvent(credentials, eventId, reason = null) {
+  try {
+    await calendlyRequestForApp(credentials, `/scheduled_events/${encodeURIComponent(eventId)}/cancellation`, {
+      method: 'POST',
+      body: JSON.stringify({ reason: reason || 'Cancelled by the business' })
+    });
+    return true;
+  } catch (err) {
+    if (Number(err.status) === 404 || /already.*cancel/i.test(err.responseBody || '')) return true;
+    logger.error('Calendly deleteEvent error', { message: err.message, eventId, status: err.status, responseBody: err.responseBody });
+    throw err;
+  }
+}
+
+/**
+ * Subscribe to invitee.created / invitee.canceled for the connected user. Webhooks need a paid Calendly
+ * plan; callers treat a failure as "connected without webhooks".
+ * @returns {Promise<{ webhookUri: string, signingKey: string }>}
+ */
+async function createWebhookSubscription(accessToken, { url, userUri, organizationUri }) {
+  const signingKey = crypto.randomBytes(32).toString('hex');
+  const data = await calendlyRequest('/webhook_subscriptions', accessToken, {
+    method: 'POST',
+    body: JSON.stringify({
+      url,
+      events: WEBHOOK_EVENTS,
+      organization: organizationUri,
+      user: userUri,
+      scope: 'user',
+      signing_key: signingKey
+    })
+  });
+  return { webhookUri: data?.resource?.uri || null, signingKey };
+}
+
+async function deleteWebhookSubscription(credentials, webhookUri) {
+  try {
+    await calendlyRequestForApp(credentials, webhookUri, { method: 'DELETE' });
+  } catch (err) {
+    if (Number(err.status) !== 404) {
+      logger.warn('Calendly webhook subscription could not be deleted', { message: err.message, status: err.status });
+    }
+  }
+}
+
+/** Revoke the app's tokens at Calendly (best effort, on disconnect). */
+async function revokeToken(encryptedToken) {
+  const token = decrypt(encryptedToken);
+  if (!token) return;
+  try {
+    await fetch(`${AUTH_BASE}/oauth/revoke`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/x-www-form-urlencoded' },
+      body: new URLSearchParams({ client_id: getClientId(), client_secret: getClientSecret(), token })
+    });
+  } catch (err) {
+    logger.warn('Calendly token revoke failed', { message: err.message });
+  }
+}
+
+/**
+ * Check a Calendly-Webhook-Signature header ("t=<unix>,v1=<hex hmac>") against the raw request body.
+ * @param {string} signingKey - plaintext signing key given when the subscription was created
+ */
+function verifyWebhookSignature(signingKey, header, rawBody, now = Date.now()) {
+  if (!signingKey || !header || !rawBody) return false;
+  const parts = String(header).split(',').reduce((acc, part) => {
+    const [k, v] = part.split('=');
+    if (k && v) acc[k.trim()] = v.trim();
+    return acc;
+  }, {});
+  if (!parts.t || !parts.v1) return false;
+  if (Math.abs(now - Number(parts.t) * 1000) > WEBHOOK_TOLERANCE_MS) return false;
+  const expected = crypto.createHmac('sha256', signingKey).update(`${parts.t}.${rawBody.toString('utf8')}`).digest('hex');
+  const a = Buffer.from(expected, 'hex');
+  const b = Buffer.from(parts.v1, 'hex');
+  return a.length === b.length && crypto.timingSafeEqual(a, b);
+}
+
+module.exports = {
+  isConfigured,
+  buildAuthorizeUrl,
+  exchangeCode,
+  getAccessToken,
+  getCurrentUser,
+  listEventTypes,
+  getFreebusy,
+  getAvailableTimes,
+  createEvent,
+  deleteEvent,
+  createWebhookSubscription,
+  deleteWebhookSubscription,
+  revokeToken,
+  verifyWebhookSignature,
+  uuidFromUri,
+  eventUuidFromInviteeUri
+};
@@ -0,0 +1,168 @@
+/**
+ * Calendly webhook ingestion (invitee.created / invitee.canceled), so bookings, reschedules and
+ * cancellations made on Calendly itself show up as Appointments and on the matching lead.
+ */
+const { Lead } = require('../models/Lead');
+const { AppointmentService } = require('./appointmentService');
+const { publishAppointmentEvent } = require('./calendarBookingService');
+const { uuidFromUri, eventUuidFromInviteeUri } = require('./calendlyService');
+const { PROVIDER_CALENDLY } = require('../integrations/appointment/commonViewModel');
+const { WEBHOOK_EVENTS } = require('../enums/webhookEvents');
+const { WS_EVENTS } = require('../enums/websocketEvents');
+const { logger } = require('../utils/logger');
+
+// Appointment.channel for bookings made on Calendly rather than through the bot.
+const CALENDLY_CHANNEL = 'calendly';
+const RESCHEDULE_REASON = 'Rescheduled on Calendly';
+
+/** Most recent lead of the app with the invitee's email or phone. */
+async function findLeadForInvitee(appId, invitee) {
+  const or = [];
+  if (invitee.email) or.push({ leadEmail: String(invitee.email).toLowerCase() });
+  if (invitee.text_reminder_number) or.push({ leadPhoneNumber: String(invitee.text_reminder_number) });
+  if (or.length === 0) return null;
+  return Lead.findOne({ appId, $or: or }).sort({ createdAt: -1 });
+}
+
+async function confirmLeadBooking(appId, appointment, invitee, { eventId, start, end, link }) {
+  try {
+    const lead = appointment.leadId
+      ? await Lead.findOne({ _id: appointment.leadId, appId })
+      : await findLeadForInvitee(appId, invitee);
+    if (!lead) return null;
+    Object.assign(lead, {
+      status: 'confirmed',
+      appointmentDetails: { eventId, start: new Date(start), end: new Date(end), link: link || '', confirmed: true }
+    });
+    await lead.save();
+    await AppointmentService.linkLead(appointment, lead);
+    return lead;
+  } catch (error) {
+    logger.error('Failed to update lead from Calendly booking', { appId, eventId, error: error.message });
+    return null;
+  }
+}
+
+async function handleInviteeCreated(appId, invitee) {
+  const event = invitee.scheduled_event || {};
+  const eventId = uuidFromUri(event.uri);
+  if (!eventId || !event.start_time || !event.end_time) return;
+  const start = new Date(event.start_time).toISOString();
+  const end = new Date(event.end_time).toISOString();
+  const link = event.location?.join_url || invitee.reschedule_url || '';
+
+  // Rescheduled on Calendly: the old invitee is cancelled and a new one created for a new scheduled event.
+  const previousEventId = invitee.old_invitee ? eventUuidFromInviteeUri(invitee.old_invitee) : null;
+  const previousAppointment = previousEventId ? await AppointmentService.findActiveByEvent(appId, previousEventId) : null;
+  if (previousAppointment) {
+    const previous = { start: previousAppointment.startAt, end: previousAppointment.endAt };
+    previousAppointment.externalEventId = eventId;
+    await AppointmentService.recordReschedule(previousAppointment, {
+      start, end, timeZone: invitee.timezone || null, link, reason: RESCHEDULE_REASON
+    });
+    if (previousAppointment.leadId) {
+      await AppointmentService.moveLeadAppointment(appId, eventId, previousAppointment.leadId, { start, end, link });
+    }
+    await publishAppointmentEvent(appId, WS_EVENTS.APPOINTMENT_RESCHEDULED, WEBHOOK_EVENTS.APPOINTMENT_RESCHEDULED, {
+      appointmentId: String(previousAppointment._id),
+      eventId,
+      start,
+      end,
+      previousStart: new Date(previous.start).toISOString(),
+      previousEnd: new Date(previous.end).toISOString(),
+      title: previousAppointment.title || event.name || 'Appointment',
+      link: link || null,
+      timeZone: invitee.timezone || null,
+      reason: RESCHEDULE_REASON,
+      changedBy: 'customer',
+      leadId: previousAppointment.leadId ? String(previousAppointment.leadId) : null
+    });
+    return;
+  }
+
+  // Bookings made by the bot are already recorded; Calendly retries deliveries too.
+  if (await AppointmentService.findActiveByEvent(appId, eventId)) return;
+
+  const appointment = await AppointmentService.recordBooking({
+    appId,
+    provider: PROVIDER_CALENDLY,
+    viewModel: { eventId, link },
+    booking: {
+      start,
+      end,
+      title: event.name || 'Appointment',
+      timeZone: invitee.timezone || null,
+      attendeeEmail: invitee.email || null,
+      customerName: invitee.name || null,
+      customerPhone: invitee.text_reminder_number || null,
+      channel: CALENDLY_CHANNEL
+    }
+  });
+  if (!appointment) return;
+  await confirmLeadBooking(appId, appointment, invitee, { eventId, start, end, link });
+
+  await publishAppointmentEvent(appId, WS_EVENTS.APPOINTMENT_BOOKED, WEBHOOK_EVENTS.APPOINTMENT_BOOKED, {
+    appointmentId: String(appointment._id),
+    eventId,
+    start,
+    end,
+    title: appointment.title,
+    link: link || null,
+    timeZone: invitee.timezone || null,
+    attendeeEmail: invitee.email || null,
+    customerName: invitee.name || null,
+    customerPhone: invitee.text_reminder_number || null,
+    leadId: appointment.leadId ? String(appointment.leadId) : null,
+    channel: CALENDLY_CHANNEL
+  });
+}
+
+async function handleInviteeCanceled(appId, invitee) {
+  // The replacement booking of a reschedule moves the appointment (see handleInviteeCreated).
+  if (invitee.rescheduled) return;
+  const eventId = uuidFromUri(invitee.scheduled_event?.uri) || eventUuidFromInviteeUri(invitee.uri);
+  if (!eventId) return;
+
+  const reason = invitee.cancellation?.reason || null;
+  const appointment = await AppointmentService.recordCancellation(appId, eventId, reason);
+  if (!appointment) return;
+
+  if (appointment.leadId) {
+    try {
+      await Lead.updateOne(
+        { _id: appointment.leadId, appId, 'appointmentDetails.eventId': eventId },
+        { $set: { 'appointmentDetails.confirmed': false } }
+      );
+    } catch (error) {
+      logger.warn('Failed to update lead after Calendly cancellation', { appId, eventId, error: error.message });
+    }
+  }
+
+  await publishAppointmentEvent(appId, WS_EVENTS.APPOINTMENT_CANCELLED, WEBHOOK_EVENTS.APPOINTMENT_CANCELLED, {
+    appointmentId: String(appointment._id),
+    eventId,
+    reason,
+    changedBy: invitee.cancellation?.canceler_type === 'host' ? 'business' : 'customer',
+    leadId: appointment.leadId ? String(appointment.leadId) : null
+  });
+}
+
+/**
+ * Apply one Calendly webhook delivery to an app's appointments and leads. Deliveries may repeat.
+ * @param {string} appId
+ * @param {{ event: string, payload: Object }} body - verified webhook body
+ */
+async function handleCalendlyWebhook(appId, body) {
+  const invitee = body?.payload || {};
+  switch (body?.event) {
+    case 'invitee.created':
+      return handleInviteeCreated(appId, invitee);
+    case 'invitee.canceled':
+      return handleInviteeCanceled(appId, invitee);
+    default:
+      logger.info('Ignoring Calendly webhook event', { appId, event: body?.event || null });
+      return undefined;
+  }
+}
+
+module.exports = { handleCalendlyWebhook };
@@ -1,6 +1,7 @@
 const { google } = require('googleapis');
 const { decrypt } = require('../utils/encrypt');
 const { logger } = require('../utils/logger');
+const { createExceptionEventPayloads } = require('./availabilityExceptionEvents');
 
 /**
  * Get OAuth2 client for Google Calendar using stored refresh token.
@@ -173,10 +174,212 @@ async function deleteEvent(encryptedRefreshToken, calendarId, eventId) {
   }
 }
 
+/**
+ * Move an existing event on Google Calendar to a new time. Attendees are notified by Google.
+ * @param {string} encryptedRefreshToken
+ * @param {string} calendarId
+ * @param {string} eventId
+ * @param {{ start: string, end: string, timeZone?: string }} payload
+ * @returns {Promise<{ eventId, link, start, end, title }|null>}
+ */
+async function updateEventTime(encryptedRefreshToken, calendarId, eventId, payload) {
+  const auth = await getOAuth2Client(encryptedRefreshToken);
+  if (!auth) return null;
+  const calendar = google.calendar({ version: 'v3', auth });
+  const eventTimeZone = payload.timeZone || 'UTC';
+  try {
+    const res = await calendar.events.patch({
+      calendarId: calendarId || 'primary',
+      eventId,
+      sendUpdates: 'all',
+      requestBody: {
+        start: { dateTime: payload.start, timeZone: eventTimeZone },
+        end: { dateTime: payload.end, timeZone: eventTimeZone }
+      }
+    });
+    const e = res.data;
+    return {
+      eventId: e.id,
+      link: e.htmlLink || e.hangoutLink,
+      start: e.start?.dateTime || e.start?.date,
+      end: e.end?.dateTime || e.end?.date,
+      title: e.summary
+    };
+  } catch (err) {
+    logger.error('Google Calendar updateEventTime error', { message: err.message, eventId });
+    throw err;
+  }
+}
+
+/**
+ * Watch a calendar's events: Google posts a notification to address whenever an event changes.
+ * @param {string} encryptedRefreshToken
+ * @param {string} calendarId
+ * @param {{ channelId: string, address: string, token: string, ttlSeconds: number }} channel
+ * @returns {Promise<{ resourceId: string, expiresAt: Date }|null>}
+ */
+async function watchEvents(encryptedRefreshToken, calendarId, { channelId, address, token, ttlSeconds }) {
+  const auth = await getOAuth2Client(encryptedRefreshToken);
+  if (!auth) return null;
+  const calendar = google.calendar({ version: 'v3', auth });
+  try {
+    const res = await calendar.events.watch({
+      calendarId: calendarId || 'primary',
+      requestBody: {
+        id: channelId,
+        type: 'web_hook',
+        address,
+        token,
+        params: { ttl: String(ttlSeconds) }
+      }
+    });
+    return {
+      resourceId: res.data.resourceId,
+      expiresAt: new Date(Number(res.data.expiration) || Date.now() + ttlSeconds * 1000)
+    };
+  } catch (err) {
+    logger.error('Google Calendar watch error', { message: err.message, calendarId });
+    throw err;
+  }
+}
+
+/**
+ * Stop a watch channel. Channels that already expired are ignored.
+ * @returns {Promise<boolean>}
+ */
+async function stopChannel(encryptedRefreshToken, channelId, resourceId) {
+  const auth = await getOAuth2Client(encryptedRefreshToken);
+  if (!auth) return false;
+  const calendar = google.calendar({ version: 'v3', auth });
+  try {
+    await calendar.channels.stop({ requestBody: { id: channelId, resourceId } });
+    return true;
+  } catch (err) {
+    if (err.code === 404) return false;
+    logger.warn('Google Calendar channel stop error', { message: err.message, channelId });
+    return false;
+  }
+}
+
+/**
+ * Events changed (including deleted ones) since updatedMin.
+ * @param {string} encryptedRefreshToken
+ * @param {string} calendarId
+ * @param {string} updatedMin - ISO 8601
+ * @returns {Promise<Array<{ eventId: string, cancelled: boolean, start: string|null, end: string|null, link: string|null }>>}
+ */
+async function listChangedEvents(encryptedRefreshToken, calendarId, updatedMin) {
+  const auth = await getOAuth2Client(encryptedRefreshToken);
+  if (!auth) return [];
+  const calendar = google.calendar({ version: 'v3', auth });
+  const events = [];
+  let pageToken;
+  try {
+    do {
+      const res = await calendar.events.list({
+        calendarId: calendarId || 'primary',
+        updatedMin,
+        showDeleted: true,
+        maxResults: 250,
+        pageToken
+      });
+      for (const e of res.data.items || []) {
+        events.push({
+          eventId: e.id,
+          cancelled: e.status === 'cancelled',
+          start: e.start?.dateTime || e.start?.date || null,
+          end: e.end?.dateTime || e.end?.date || null,
+          link: e.htmlLink || e.hangoutLink || null
+        });
+      }
+      pageToken = res.data.nextPageToken;
+    } while (pageToken);
+    return events;
+  } catch (err) {
+    logger.error('Google Calendar list changed events error', { message: err.message, calendarId });
+    throw err;
+  }
+}
+
+/**
+ * Event ID of the index-th calendar event mirroring an availability exception. Google accepts
+ * client-chosen IDs (base32hex: a-v, 0-9), so the same exception always maps to the same events and
+ * a retried sync updates them instead of creating duplicates.
+ */
+function exceptionEventId(exceptionId, index) {
+  return `av${String(exceptionId).toLowerCase()}n${index}`;
+}
+
+/**
+ * Mirror an availability exception into Google Calendar: days off as busy events, custom hours as free
+ * events. Events of the exception that are no longer needed are deleted.
+ * @param {Object} params
+ * @param {string} params.encryptedRefreshToken
+ * @param {string} params.calendarId
+ * @param {{ id: string, date: string, timezone: string, allDayOff: boolean, overrideAllDay: boolean,
+ *   slots: Array<{ start: string, end: string }>, label: string|null }} params.exception
+ * @param {Array<string>} [params.existingEventIds] - events synced for the exception before
+ * @returns {Promise<{ synced: boolean, eventIds: Array<string> }>}
+ */
+async function syncAvailabilityExceptionToGoogle({
+  encryptedRefreshToken,
+  calendarId,
+  exception,
+  existingEventIds = []
+}) {
+  if (!encryptedRefreshToken || !exception?.id || !exception?.date) {
+    return { synced: false, eventIds: [] };
+  }
+  const auth = await getOAuth2Client(encryptedRefreshToken);
+  if (!auth) return { synced: false, eventIds: [] };
+  const calendar = google.calendar({ version: 'v3', auth });
+  const calId = calendarId || 'primary';
+
+  const eventIds = [];
+  for (const [index, payload] of createExceptionEventPayloads(exception).entries()) {
+    const eventId = exceptionEventId(exception.id, index);
+    const requestBody = {
+      summary: payload.title,
+      description: payload.description,
+      start: { dateTime: payload.start, timeZone: payload.timeZone },
+      end: { dateTime: payload.end, timeZone: payload.timeZone },
+      transparency: payload.showAs === 'free' ? 'transparent' : 'opaque',
+      // An earlier sync may have deleted the event; updating it with this status restores it.
+      status: 'confirmed'
+    };
+    try {
+      await calendar.events.update({ calendarId: calId, eventId, requestBody });
+    } catch (err) {
+      if (err.code !== 404) {
+        logger.error('Google Calendar exception event update error', { message: err.message, eventId });
+        throw err;
+      }
+      await calendar.events.insert({ calendarId: calId, requestBody: { id: eventId, ...requestBody } });
+    }
+    eventIds.push(eventId);
+  }
+
+  for (const eventId of existingEventIds) {
+    if (!eventId || eventIds.includes(eventId)) continue;
+    try {
+      await calendar.events.delete({ calendarId: calId, eventId });
+    } catch (err) {
+      // 404 / 410: already gone.
+      if (err.code !== 404 && err.code !== 410) throw err;
+    }
+  }
+  return { synced: true, eventIds };
+}
+
 module.exports = {
   getOAuth2Client,
   getFreebusy,
   computeFreeSlots,
   createEvent,
-  deleteEvent
+  deleteEvent,
+  updateEventTime,
+  syncAvailabilityExceptionToGoogle,
+  watchEvents,
+  stopChannel,
+  listChangedEvents
 };
@@ -0,0 +1,594 @@
+/**
+ * Group sessions: classes and workshops with a seat limit per occurrence. Attendees are Appointment
+ * records (groupSessionId + the occurrence's startAt). Once an occurrence is full, new attendees join
+ * its waitlist and are given seats, first come first served, as seats free up.
+ */
+const mongoose = require('mongoose');
+const { GroupSession } = require('../models/GroupSession');
+const { Appointment } = require('../models/Appointment');
+const { AvailabilityException } = require('../models/AvailabilityException');
+const { Lead } = require('../models/Lead');
+const { APPOINTMENT_STATUSES, ACTIVE_APPOINTMENT_STATUSES } = require('../enums/appointmentStatuses');
+const { WEBHOOK_EVENTS } = require('../enums/webhookEvents');
+const { WS_EVENTS } = require('../enums/websocketEvents');
+const { ReminderService } = require('./reminderService');
+const { getAvailabilitySettings } = require('./availabilityRulesService');
+const {
+  checkBookingAgainstRules,
+  toDateStrInTimezone,
+  getStartOfDayInTimezone,
+  addTimeToDay
+} = require('./availabilitySlotGenerator');
+const { publishAppointmentEvent, notifyOwnerOfCustomerChange } = require('./calendarBookingService');
+const { buildBookingEmailContext, getManageLink, buildCalendarInvite } = require('./bookingContextService');
+const { logger } = require('../utils/logger');
+const EmailService = require('../utils/emailService');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const MINUTE_MS = 60 * 1000;
+const MAX_ALTERNATIVES = 3;
+const ALTERNATIVES_RANGE_DAYS = 30;
+
+// Statuses that hold a place in an occurrence: a seat or a waitlist place.
+const SEAT_STATUSES = [...ACTIVE_APPOINTMENT_STATUSES, APPOINTMENT_STATUSES.WAITLISTED];
+
+function nextDateStr(dateStr) {
+  return new Date(new Date(`${dateStr}T00:00:00Z`).getTime() + DAY_MS).toISOString().slice(0, 10);
+}
+
+function dayOfWeek(dateStr) {
+  return new Date(`${dateStr}T00:00:00Z`).getUTCDay();
+}
+
+/**
+ * Occurrences of a session starting in [timeMin, timeMax).
+ * @param {Object} session - GroupSession
+ * @param {Date|string} timeMin
+ * @param {Date|string} timeMax
+ * @param {Set<string>} [daysOff] - YYYY-MM-DD dates (session timezone) the session does not take place
+ * @returns {Array<{ date: string, start: Date, end: Date }>}
+ */
+function listOccurrences(session, timeMin, timeMax, daysOff = new Set()) {
+  const tz = session.timezone || 'UTC';
+  const minTs = new Date(timeMin).getTime();
+  const maxTs = new Date(timeMax).getTime();
+  const oneOff = !session.daysOfWeek || session.daysOfWeek.length === 0;
+  const fromDate = toDateStrInTimezone(timeMin, tz);
+  const toDate = toDateStrInTimezone(timeMax, tz);
+  let date = fromDate > session.startDate ? fromDate : session.startDate;
+  const lastDate = session.endDate && session.endDate < toDate ? session.endDate : toDate;
+  if (oneOff) date = session.startDate;
+
+  const occurrences = [];
+  for (; date <= lastDate; date = nextDateStr(date)) {
+    if (oneOff ? date !== session.startDate : !session.daysOfWeek.includes(dayOfWeek(date))) continue;
+    if (!daysOff.has(date)) {
+      const start = addTimeToDay(getStartOfDayInTimezone(date, tz), session.startTime);
+      if (start.getTime() >= minTs && start.getTime() < maxTs) {
+        occurrences.push({ date, start, end: new Date(start.getTime() + session.durationMinutes * MINUTE_MS) });
+      }
+    }
+    if (oneOff) break;
+  }
+  return occurrences;
+}
+
+/**
+ * Dates with an all-day-off exception (holidays, closures), keyed by staffId ('' = app-wide).
+ * @returns {Promise<Map<string, Set<string>>>}
+ */
+async function loadDaysOff(appId, timeMin, timeMax) {
+  // Sessions use their own timezone; a day of margin covers every offset.
+  const fromDate = new Date(new Date(timeMin).getTime() - DAY_MS).toISOString().slice(0, 10);
+  const toDate = new Date(new Date(timeMax).getTime() + DAY_MS).toISOString().slice(0, 10);
+  const docs = await AvailabilityException.find({ owner: appId, allDayOff: true, date: { $gte: fromDate, $lte: toDate } })
+    .select('staffId date')
+    .lean()
+    .exec();
+  const byStaff = new Map();
+  for (const doc of docs) {
+    const key = doc.staffId ? String(doc.staffId) : '';
+    if (!byStaff.has(key)) byStaff.set(key, new Set());
+    byStaff.get(key).add(doc.date);
+  }
+  return byStaff;
+}
+
+function daysOffFor(session, daysOffByStaff) {
+  const appWide = daysOffByStaff.get('') || new Set();
+  const own = session.staffId ? daysOffByStaff.get(String(session.staffId)) : null;
+  return own ? new Set([...appWide, ...own]) : appWide;
+}
+
+function occurrenceKey(sessionId, start) {
+  return `${sessionId}:${new Date(start).getTime()}`;
+}
+
+/**
+ * Booked and waitlisted attendees per occurrence of the given sessions starting in [timeMin, timeMax).
+ * @returns {Promise<Map<string, { booked: number, waitlisted: number }>>} keyed by occurrenceKey
+ */
+async function countAttendees(appId, sessionIds, timeMin, timeMax) {
+  if (sessionIds.length === 0) return new Map();
+  const rows = await Appointment.aggregate([
+    {
+      $match: {
+        owner: new mongoose.Types.ObjectId(String(appId)),
+        groupSessionId: { $in: sessionIds.map((id) => new mongoose.Types.ObjectId(String(id))) },
+        startAt: { $gte: new Date(timeMin), $lt: new Date(timeMax) },
+        status: { $in: SEAT_STATUSES }
+      }
+    },
+    {
+      $group: {
+        _id: { groupSessionId: '$groupSessionId', startAt: '$startAt' },
+        booked: { $sum: { $cond: [{ $eq: ['$status', APPOINTMENT_STATUSES.WAITLISTED] }, 0, 1] } },
+        waitlisted: { $sum: { $cond: [{ $eq: ['$status', APPOINTMENT_STATUSES.WAITLISTED] }, 1, 0] } }
+      }
+    }
+  ]);
+  return new Map(rows.map((r) => [occurrenceKey(r._id.groupSessionId, r._id.startAt), { booked: r.booked, waitlisted: r.waitlisted }]));
+}
+
+function isWaitlistOpen(session, waitlisted) {
+  return !!session.waitlistEnabled && (!session.waitlistCapacity || waitlisted < session.waitlistCapacity);
+}
+
+/** Public shape of an occurrence with its seat counts, as listed in availability responses. */
+function toOccurrenceViewModel(session, occurrence, counts = { booked: 0, waitlisted: 0 }) {
+  const full = counts.booked >= session.capacity;
+  return {
+    groupSessionId: String(session._id),
+    title: session.title,
+    description: session.description || '',
+    serviceId: session.serviceId ? String(session.serviceId) : null,
+    staffId: session.staffId ? String(session.staffId) : null,
+    start: occurrence.start.toISOString(),
+    end: occurrence.end.toISOString(),
+    timezone: session.timezone || 'UTC',
+    capacity: session.capacity,
+    booked: counts.booked,
+    remaining: Math.max(0, session.capacity - counts.booked),
+    waitlisted: counts.waitlisted,
+    full,
+    waitlistOpen: full && isWaitlistOpen(session, counts.waitlisted)
+  };
+}
+
+/**
+ * Occurrences of the given sessions starting in [timeMin, timeMax) with their seat counts, in time order.
+ * Dates with an all-day-off exception for the app (or the session's staff member) are left out.
+ * @param {string} appId
+ * @param {Array<Object>} sessions - GroupSession documents
+ * @returns {Promise<Array<Object>>} toOccurrenceViewModel items
+ */
+async function listSessionOccurrences(appId, sessions, timeMin, timeMax) {
+  if (sessions.length === 0) return [];
+  const [daysOffByStaff, counts] = await Promise.all([
+    loadDaysOff(appId, timeMin, timeMax),
+    countAttendees(appId, sessions.map((s) => s._id), timeMin, timeMax)
+  ]);
+  const items = [];
+  for (const session of sessions) {
+    for (const occurrence of listOccurrences(session, timeMin, timeMax, daysOffFor(session, daysOffByStaff))) {
+      items.push(toOccurrenceViewModel(session, occurrence, counts.get(occurrenceKey(session._id, occurrence.start))));
+    }
+  }
+  return items.sort((a, b) => a.start.localeCompare(b.start) || a.title.localeCompare(b.title));
+}
+
+/**
+ * Bookable occurrences of the app's active group sessions in [timeMin, timeMax): those the booking
+ * rules (minimum notice, booking horizon) still allow, full ones included.
+ * @param {string} appId
+ * @param {{ timeMin: string, timeMax: string, serviceId?: string, staffId?: string, groupSessionId?: string }} params
+ * @returns {Promise<Array<Object>>} toOccurrenceViewModel items
+ */
+async function getBookableOccurrences(appId, { timeMin, timeMax, serviceId = null, staffId = null, groupSessionId = null }) {
+  const [sessions, bookingRules] = await Promise.all([
+    GroupSession.find({
+      owner: appId,
+      isActive: true,
+      ...(serviceId && { serviceId }),
+      ...(staffId && { staffId }),
+      ...(groupSessionId && { _id: groupSessionId })
+    }).lean().exec(),
+    getAvailabilitySettings(appId)
+  ]);
+  const occurrences = await listSessionOccurrences(appId, sessions, timeMin, timeMax);
+  const now = new Date();
+  return occurrences.filter((o) => new Date(o.start) > now && !checkBookingAgainstRules({
+    start: o.start,
+    rules: { minNoticeMinutes: bookingRules.minNoticeMinutes, maxHorizonDays: bookingRules.maxHorizonDays },
+    now
+  }));
+}
+
+/** Next occurrences of a session after `after` that still have seats. */
+async function findOccurrencesWithSeats(appId, session, after) {
+  const occurrences = await getBookableOccurrences(appId, {
+    timeMin: new Date(new Date(after).getTime() + 1).toISOString(),
+    timeMax: new Date(new Date(after).getTime() + ALTERNATIVES_RANGE_DAYS * DAY_MS).toISOString(),
+    groupSessionId: session._id
+  });
+  return occurrences.filter((o) => !o.full).slice(0, MAX_ALTERNATIVES);
+}
+
+function attendeeFilter(appointment) {
+  return { owner: appointment.owner, groupSessionId: appointment.groupSessionId, startAt: appointment.startAt };
+}
+
+/** 1-based place of a waitlisted attendee in the occurrence's waitlist. */
+async function getWaitlistPosition(appointment) {
+  const ahead = await Appointment.countDocuments({
+    ...attendeeFilter(appointment),
+    status: APPOINTMENT_STATUSES.WAITLISTED,
+    _id: { $lt: appointment._id }
+  });
+  return ahead + 1;
+}
+
+/** Event payload for an attendee of a group session. */
+function toAttendeeEventPayload(appointment, extra = {}) {
+  return {
+    appointmentId: String(appointment._id),
+    eventId: null,
+    groupSessionId: String(appointment.groupSessionId),
+    start: appointment.startAt,
+    end: appointment.endAt,
+    title: appointment.title,
+    timeZone: appointment.timeZone || null,
+    attendeeEmail: appointment.attendee?.email || null,
+    customerName: appointment.attendee?.name || null,
+    customerPhone: appointment.attendee?.phone || null,
+    leadId: appointment.leadId ? String(appointment.leadId) : null,
+    channel: appointment.channel || null,
+    staffId: appointment.staffId ? String(appointment.staffId) : null,
+    serviceId: appointment.serviceId ? String(appointment.serviceId) : null,
+    ...extra
+  };
+}
+
+class GroupSessionService {
+  /**
+   * Book a seat in an occurrence of a group session, or a waitlist place when it is full.
+   * The seat count is re-checked after the booking is saved, so concurrent bookings cannot overfill
+   * the occurrence: the later one is moved to the waitlist (or removed when there is none).
+   * @param {string} appId
+   * @param {Object} session - GroupSession
+   * @param {Object} booking - validated groupSessionBookingSchema values
+   * @param {{ publicBackendBase?: string }} [opts]
+   * @returns {Promise<{ appointment: Object|null, status: string|null, position: number|null, error: string|null,
+   *   full: boolean, alternatives: Array<Object> }>} status is 'booked' or 'waitlisted'; with full and no
+   *   appointment the occurrence and its waitlist are full (or joinWaitlist was false) and alternatives
+   *   are the next occurrences with seats
+   */
+  static async bookSeat(appId, session, booking, { publicBackendBase = '' } = {}) {
+    const result = { appointment: null, status: null, position: null, error: null, full: false, alternatives: [] };
+    const start = new Date(booking.start);
+    const [occurrence] = (await listSessionOccurrences(appId, [session], start, new Date(start.getTime() + 1)))
+      .filter((o) => o.start === start.toISOString());
+    if (!occurrence) return { ...result, error: 'The session does not take place at this time.' };
+    if (!session.isActive) return { ...result, error: 'This session is not open for booking.' };
+    const bookingRules = await getAvailabilitySettings(appId);
+    const ruleError = start <= new Date()
+      ? 'This session has already started.'
+      : checkBookingAgainstRules({
+        start,
+        rules: { minNoticeMinutes: bookingRules.minNoticeMinutes, maxHorizonDays: bookingRules.maxHorizonDays }
+      });
+    if (ruleError) return { ...result, error: ruleError };
+
+    const attendeeEmail = booking.attendeeEmail ? booking.attendeeEmail.toLowerCase() : null;
+    if (attendeeEmail) {
+      const existing = await Appointment.findOne({
+        owner: appId,
+        groupSessionId: session._id,
+        startAt: start,
+        status: { $in: SEAT_STATUSES },
+        'attendee.email': attendeeEmail
+      }).select('_id').lean().exec();
+      if (existing) return { ...result, error: 'This attendee is already booked on this session.' };
+    }
+
+    const fullResult = async () => ({ ...result, full: true, alternatives: await findOccurrencesWithSeats(appId, session, start) });
+    let status = APPOINTMENT_STATUSES.BOOKED;
+    if (occurrence.full) {
+      if (!occurrence.waitlistOpen || booking.joinWaitlist === false) return fullResult();
+      status = APPOINTMENT_STATUSES.WAITLISTED;
+    }
+
+    const leadId = booking.leadId && mongoose.isValidObjectId(booking.leadId) ? booking.leadId : null;
+    let channel = booking.channel || null;
+    if (!channel && leadId) {
+      const lead = await Lead.findById(leadId).select('sourceChannel').lean();
+      channel = lead?.sourceChannel || null;
+    }
+    const appointment = await Appointment.create({
+      owner: appId,
+      title: session.title,
+      description: session.description || '',
+      startAt: start,
+      endAt: new Date(occurrence.end),
+      timeZone: session.timezone || null,
+      status,
+      attendee: {
+        name: booking.customerName || null,
+        email: attendeeEmail,
+        phone: booking.customerPhone || null
+      },
+      leadId,
+      staffId: session.staffId || null,
+      serviceId: session.serviceId || null,
+      groupSessionId: session._id,
+      channel
+    });
+
+    if (status === APPOINTMENT_STATUSES.BOOKED) {
+      const bookedBefore = await Appointment.countDocuments({
+        ...attendeeFilter(appointment),
+        status: { $in: ACTIVE_APPOINTMENT_STATUSES },
+        _id: { $lt: appointment._id }
+      });
+      if (bookedBefore >= session.capacity) {
+        // Another booking took the last seat meanwhile.
+        const waitlisted = await Appointment.countDocuments({ ...attendeeFilter(appointment), status: APPOINTMENT_STATUSES.WAITLISTED });
+        if (!isWaitlistOpen(session, waitlisted) || booking.joinWaitlist === false) {
+          await Appointment.deleteOne({ _id: appointment._id });
+          return fullResult();
+        }
+        status = APPOINTMENT_STATUSES.WAITLISTED;
+        appointment.status = status;
+        await Appointment.updateOne({ _id: appointment._id }, { $set: { status } });
+      }
+    }
+
+    if (status === APPOINTMENT_STATUSES.BOOKED) {
+      await this.confirmSeat(appId, appointment, { publicBackendBase, postBookingNote: booking.postBookingNote || '' });
+      return { ...result, appointment, status };
+    }
+    const position = await getWaitlistPosition(appointment);
+    await this.notifyWaitlisted(appId, appointment, position, { publicBackendBase });
+    return { ...result, appointment, status, position, full: true };
+  }
+
+  /**
+   * Queue reminders, email the attendee their confirmation (and the business a notification), mark
+   * the lead confirmed and publish appointment.booked for a seat. Email failures are logged only.
+   * @param {string} appId
+   * @param {Object} appointment - booked Appointment
+   * @param {{ publicBackendBase?: string, postBookingNote?: string, promoted?: boolean }} [opts]
+   */
+  static async confirmSeat(appId, appointment, { publicBackendBase = '', postBookingNote = '', promoted = false } = {}) {
+    await ReminderService.syncForAppointment(appointment);
+    const { attendee } = appointment;
+    try {
+      const emailService = new EmailService();
+      const { businessData, formatInCalTz } = await buildBookingEmailContext(appId, publicBackendBase);
+      const appointmentData = {
+        serviceName: appointment.title,
+        title: appointment.title,
+        startText: formatInCalTz(appointment.startAt),
+        endText: formatInCalTz(appointment.endAt),
+        link: '',
+        postBookingNote
+      };
+      if (attendee?.email) {
+        await emailService.sendAppointmentConfirmationEmail(
+          { name: attendee.name || 'Customer', email: attendee.email },
+          {
+            ...appointmentData,
+            manageLink: await getManageLink(appointment),
+            calendarInvite: buildCalendarInvite('REQUEST', appointment, businessData)
+          },
+          businessData
+        );
+        if (appointment.leadId) {
+          await Lead.updateOne(
+            { _id: appointment.leadId, appId },
+            {
+              $set: {
+                status: 'confirmed',
+                appointmentDetails: {
+                  eventId: null,
+                  start: appointment.startAt,
+                  end: appointment.endAt,
+                  link: '',
+                  confirmed: true
+                }
+              }
+            }
+          );
+        }
+      }
+      if (businessData.email) {
+        await emailService.sendAppointmentBusinessNotificationEmail(
+          businessData,
+          { name: attendee?.name || 'Customer', email: attendee?.email || 'Not provided', phone: attendee?.phone || 'Not provided' },
+          { ...appointmentData, calendarInvite: buildCalendarInvite('PUBLISH', appointment, businessData) }
+        );
+      }
+    } catch (emailErr) {
+      logger.error('Group session booking email sending failed', { appId, appointmentId: String(appointment._id), error: emailErr.message });
+    }
+    await publishAppointmentEvent(appId, WS_EVENTS.APPOINTMENT_BOOKED, WEBHOOK_EVENTS.APPOINTMENT_BOOKED,
+      toAttendeeEventPayload(appointment, { link: null, promotedFromWaitlist: promoted }));
+  }
+
+  /** Email a waitlisted attendee their place and publish appointment.waitlisted. */
+  static async notifyWaitlisted(appId, appointment, position, { publicBackendBase = '' } = {}) {
+    if (appointment.attendee?.email) {
+      try {
+        const { businessData, formatInCalTz } = await buildBookingEmailContext(appId, publicBackendBase);
+        await new EmailService().sendAppointmentWaitlistedEmail(
+          { name: appointment.attendee.name || 'Customer', email: appointment.attendee.email },
+          {
+            serviceName: appointment.title,
+            startText: formatInCalTz(appointment.startAt),
+            endText: formatInCalTz(appointment.endAt),
+            position,
+            manageLink: await getManageLink(appointment)
+          },
+          businessData
+        );
+      } catch (emailErr) {
+        logger.error('Group session waitlist email sending failed', { appId, appointmentId: String(appointment._id), error: emailErr.message });
+      }
+    }
+    await publishAppointmentEvent(appId, WS_EVENTS.APPOINTMENT_WAITLISTED, WEBHOOK_EVENTS.APPOINTMENT_WAITLISTED,
+      toAttendeeEventPayload(appointment, { position }));
+  }
+
+  /**
+   * Cancel an attendee's seat or waitlist place. A freed seat goes to the first attendee on the waitlist.
+   * @param {string} appId
+   * @param {Object} appointment - Appointment of a group session
+   * @param {{ reason?: string, changedBy?: 'business'|'customer', publicBackendBase?: string }} [opts]
+   * @returns {Promise<{ appointment: Object|null, promoted: Array<Object> }>} appointment is null when it
+   *   was no longer booked or waitlisted
+   */
+  static async cancelSeat(appId, appointment, { reason = null, changedBy = 'business', publicBackendBase = '' } = {}) {
+    const wasBooked = ACTIVE_APPOINTMENT_STATUSES.includes(appointment.status);
+    const cancelled = await Appointment.findOneAndUpdate(
+      { _id: appointment._id, owner: appId, status: { $in: SEAT_STATUSES } },
+      { $set: { status: APPOINTMENT_STATUSES.CANCELLED, cancelledAt: new Date(), cancellationReason: reason }, $inc: { sequence: 1 } },
+      { new: true }
+    );
+    if (!cancelled) return { appointment: null, promoted: [] };
+    await ReminderService.cancelForAppointment(cancelled._id);
+
+    // Waitlisted attendees never had a seat, so there is no invite to withdraw.
+    if (wasBooked && cancelled.attendee?.email) {
+      try {
+        const { businessData, formatInCalTz } = await buildBookingEmailContext(appId, publicBackendBase);
+        await new EmailService().sendAppointmentCancelledEmail(
+          { name: cancelled.attendee.name || 'Customer', email: cancelled.attendee.email },
+          {
+            serviceName: cancelled.title || 'Session',
+            startText: formatInCalTz(cancelled.startAt),
+            endText: formatInCalTz(cancelled.endAt),
+            reason: reason || '',
+            calendarInvite: buildCalendarInvite('CANCEL', cancelled, businessData)
+          },
+          businessData
+        );
+      } catch (emailErr) {
+        logger.error('Group session cancellation email sending failed', { appId, appointmentId: String(cancelled._id), error: emailErr.message });
+      }
+    }
+    if (wasBooked && changedBy === 'customer') {
+      await notifyOwnerOfCustomerChange(appId, cancelled, 'cancelled', { reason, publicBackendBase });
+    }
+    await publishAppointmentEvent(appId, WS_EVENTS.APPOINTMENT_CANCELLED, WEBHOOK_EVENTS.APPOINTMENT_CANCELLED,
+      toAttendeeEventPayload(cancelled, { reason, changedBy, wasWaitlisted: !wasBooked }));
+
+    const promoted = wasBooked
+      ? await this.promoteFromWaitlist(appId, cancelled.groupSessionId, cancelled.startAt, { publicBackendBase })
+      : [];
+    return { appointment: cancelled, promoted };
+  }
+
+  /**
+   * Give free seats of an upcoming occurrence to its waitlisted attendees, longest waiting first, and
+   * confirm each. Each promotion is re-checked after it is saved, so concurrent promotions (two
+   * cancellations at once) cannot overfill the occurrence. Never throws.
+   * @returns {Promise<Array<Object>>} promoted Appointments
+   */
+  static async promoteFromWaitlist(appId, groupSessionId, startAt, { publicBackendBase = '' } = {}) {
+    const promoted = [];
+    try {
+      if (new Date(startAt) <= new Date()) return promoted;
+      const session = await GroupSession.findOne({ _id: groupSessionId, owner: appId }).select('capacity').lean().exec();
+      if (!session) return promoted;
+      const occurrence = { owner: appId, groupSessionId, startAt: new Date(startAt) };
+      while (await Appointment.countDocuments({ ...occurrence, status: { $in: ACTIVE_APPOINTMENT_STATUSES } }) < session.capacity) {
+        const next = await Appointment.findOneAndUpdate(
+          { ...occurrence, status: APPOINTMENT_STATUSES.WAITLISTED },
+          { $set: { status: APPOINTMENT_STATUSES.BOOKED, promotedAt: new Date() } },
+          { sort: { _id: 1 }, new: true }
+        );
+        if (!next) break;
+        // Re-check like bookSeat: a concurrent promotion of an earlier attendee keeps the seat and
+        // this one goes back to its place on the waitlist.
+        const seatedBefore = await Appointment.countDocuments({
+          ...occurrence,
+          status: { $in: ACTIVE_APPOINTMENT_STATUSES },
+          _id: { $lt: next._id }
+        });
+        if (seatedBefore >= session.capacity) {
+          await Appointment.updateOne(
+            { _id: next._id, status: APPOINTMENT_STATUSES.BOOKED },
+            { $set: { status: APPOINTMENT_STATUSES.WAITLISTED, promotedAt: null } }
+          );
+          break;
+        }
+        await this.confirmSeat(appId, next, { publicBackendBase, promoted: true });
+        promoted.push(next);
+      }
+    } catch (error) {
+      logger.error('Failed to promote waitlisted attendees', { appId, groupSessionId: String(groupSessionId), error: error.message });
+    }
+    return promoted;
+  }
+
+  /** Fill free seats of every upcoming occurrence of a session from its waitlist (e.g. after its capacity was raised). */
+  static async promoteAllWaitlisted(appId, groupSessionId, { publicBackendBase = '' } = {}) {
+    const starts = await Appointment.distinct('startAt', {
+      owner: appId,
+      groupSessionId,
+      status: APPOINTMENT_STATUSES.WAITLISTED,
+      startAt: { $gt: new Date() }
+    });
+    const promoted = [];
+    for (const startAt of starts) {
+      promoted.push(...await this.promoteFromWaitlist(appId, groupSessionId, startAt, { publicBackendBase }));
+    }
+    return promoted;
+  }
+
+  /**
+   * Attendees of one occurrence: seats in booking order, then the waitlist in order.
+   * @returns {Promise<{ attendees: Array<Object>, waitlist: Array<Object> }>}
+   */
+  static async listAttendees(appId, groupSessionId, startAt) {
+    const items = await Appointment.find({
+      owner: appId,
+      groupSessionId,
+      startAt: new Date(startAt),
+      status: { $in: SEAT_STATUSES }
+    })
+      .sort({ _id: 1 })
+      .select('attendee status leadId channel promotedAt createdAt')
+      .lean()
+      .exec();
+    const attendees = [];
+    const waitlist = [];
+    for (const item of items) {
+      const entry = {
+        appointmentId: String(item._id),
+        name: item.attendee?.name || null,
+        email: item.attendee?.email || null,
+        phone: item.attendee?.phone || null,
+        status: item.status,
+        leadId: item.leadId ? String(item.leadId) : null,
+        channel: item.channel || null,
+        promotedAt: item.promotedAt || null,
+        bookedAt: item.createdAt
+      };
+      if (item.status === APPOINTMENT_STATUSES.WAITLISTED) {
+        waitlist.push({ ...entry, position: waitlist.length + 1 });
+      } else {
+        attendees.push(entry);
+      }
+    }
+    return { attendees, waitlist };
+  }
+}
+
+module.exports = {
+  GroupSessionService,
+  SEAT_STATUSES,
+  listOccurrences,
+  listSessionOccurrences,
+  getBookableOccurrences
+};
@@ -0,0 +1,175 @@
+/**
+ * Public holiday calendars from the bundled datasets in config/holidays. A calendar is a country
+ * ('GB') or a country region ('GB-SCT'); a region calendar has the country's nationwide holidays plus
+ * the region's own. Dates are computed from rules, so no network access or yearly update is needed.
+ */
+const HOLIDAY_DATASETS = require('../config/holidays');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const DATASETS_BY_COUNTRY = new Map(HOLIDAY_DATASETS.map((dataset) => [dataset.country, dataset]));
+
+function toDateStr(date) {
+  return date.toISOString().slice(0, 10);
+}
+
+function utcDate(year, month, day) {
+  return new Date(Date.UTC(year, month - 1, day));
+}
+
+/** Western (Gregorian) Easter Sunday (anonymous Gregorian algorithm). */
+function easterSunday(year) {
+  const a = year % 19;
+  const b = Math.floor(year / 100);
+  const c = year % 100;
+  const d = Math.floor(b / 4);
+  const e = b % 4;
+  const f = Math.floor((b + 8) / 25);
+  const g = Math.floor((b - f + 1) / 3);
+  const h = (19 * a + b - d - g + 15) % 30;
+  const i = Math.floor(c / 4);
+  const k = c % 4;
+  const l = (32 + 2 * e + 2 * i - h - k) % 7;
+  const m = Math.floor((a + 11 * h + 22 * l) / 451);
+  const month = Math.floor((h + l - 7 * m + 114) / 31);
+  const day = ((h + l - 7 * m + 114) % 31) + 1;
+  return utcDate(year, month, day);
+}
+
+/** nth (1-based; -1 = last) given weekday of a month. */
+function nthWeekdayOfMonth(year, month, weekday, nth) {
+  if (nth > 0) {
+    const first = utcDate(year, month, 1);
+    const offset = (weekday - first.getUTCDay() + 7) % 7;
+    return utcDate(year, month, 1 + offset + (nth - 1) * 7);
+  }
+  const last = utcDate(year, month + 1, 0);
+  const offset = (last.getUTCDay() - weekday + 7) % 7;
+  return new Date(last.getTime() - offset * DAY_MS);
+}
+
+/** Date of a holiday rule in a year (before any substitute day), or null when it does not exist that year. */
+function resolveRuleDate(rule, year) {
+  if ((rule.from && year < rule.from) || (rule.until && year > rule.until)) return null;
+  if (typeof rule.easterOffset === 'number') {
+    return new Date(easterSunday(year).getTime() + rule.easterOffset * DAY_MS);
+  }
+  if (typeof rule.weekday === 'number' && rule.onOrBefore) {
+    const limit = utcDate(year, rule.month, rule.day);
+    const offset = (limit.getUTCDay() - rule.weekday + 7) % 7;
+    return new Date(limit.getTime() - offset * DAY_MS);
+  }
+  if (typeof rule.weekday === 'number') {
+    return nthWeekdayOfMonth(year, rule.month, rule.weekday, rule.nth);
+  }
+  return utcDate(year, rule.month, rule.day);
+}
+
+function isWeekend(date) {
+  const day = date.getUTCDay();
+  return day === 0 || day === 6;
+}
+
+/**
+ * Parse a calendar ID ('US', 'GB-SCT') against the bundled datasets.
+ * @returns {{ dataset: Object, region: string|null }|null}
+ */
+function parseHolidayCalendarId(calendarId) {
+  const [country, ...rest] = String(calendarId || '').toUpperCase().split('-');
+  const dataset = DATASETS_BY_COUNTRY.get(country);
+  if (!dataset) return null;
+  const region = rest.length > 0 ? rest.join('-') : null;
+  if (region && !dataset.regions[region]) return null;
+  return { dataset, region };
+}
+
+function isHolidayCalendarId(calendarId) {
+  return parseHolidayCalendarId(calendarId) !== null;
+}
+
+/**
+ * Every bundled calendar: one per country and one per region.
+ * @returns {Array<{ id: string, country: string, region: string|null, name: string }>}
+ */
+function listHolidayCalendars() {
+  const calendars = [];
+  for (const dataset of HOLIDAY_DATASETS) {
+    calendars.push({ id: dataset.country, country: dataset.country, region: null, name: dataset.name });
+    for (const [code, regionName] of Object.entries(dataset.regions)) {
+      calendars.push({ id: `${dataset.country}-${code}`, country: dataset.country, region: code, name: `${dataset.name} — ${regionName}` });
+    }
+  }
+  return calendars;
+}
+
+/**
+ * Holidays of one calendar in a year, with weekend holidays moved to their substitute days.
+ * Holidays are placed on their own dates first, so substitutes never land on another holiday.
+ */
+function holidaysForYear({ dataset, region }, year) {
+  const placed = [];
+  for (const rule of dataset.holidays) {
+    if (rule.regions && !(region && rule.regions.includes(region))) continue;
+    const date = resolveRuleDate(rule, year);
+    if (date) placed.push({ rule, date });
+  }
+  const taken = new Set(placed.map((h) => toDateStr(h.date)));
+
+  const holidays = [];
+  for (const { rule, date } of placed.sort((a, b) => a.date - b.date)) {
+    holidays.push({ date: toDateStr(date), id: rule.id, name: rule.name, substitute: false });
+    if (!rule.substitute || !isWeekend(date)) continue;
+    let observed;
+    if (rule.substitute === 'nearest_weekday') {
+      observed = new Date(date.getTime() + (date.getUTCDay() === 6 ? -1 : 1) * DAY_MS);
+    } else {
+      observed = new Date(date.getTime() + DAY_MS);
+      while (isWeekend(observed) || taken.has(toDateStr(observed))) {
+        observed = new Date(observed.getTime() + DAY_MS);
+      }
+    }
+    taken.add(toDateStr(observed));
+    const suffix = rule.substitute === 'nearest_weekday' ? 'observed' : 'substitute day';
+    holidays.push({ date: toDateStr(observed), id: rule.id, name: `${rule.name} (${suffix})`, substitute: true });
+  }
+  return holidays;
+}
+
+/**
+ * Holidays of the given calendars between two dates, inclusive. Weekend holidays are listed on their
+ * own date and, where the country has substitute days, again on the substitute day.
+ * @param {Array<string>} calendarIds
+ * @param {string} fromDate - YYYY-MM-DD
+ * @param {string} toDate - YYYY-MM-DD
+ * @returns {Array<{ date: string, holidayId: string, name: string, calendarId: string, substitute: boolean }>}
+ *   holidayId is `<country>:<id>`, the key for per-holiday opt-out; sorted by date
+ */
+function getHolidays(calendarIds, fromDate, toDate) {
+  const fromYear = Number(fromDate.slice(0, 4));
+  const toYear = Number(toDate.slice(0, 4));
+  const holidays = [];
+  for (const calendarId of calendarIds) {
+    const calendar = parseHolidayCalendarId(calendarId);
+    if (!calendar) continue;
+    // A holiday late in December can be observed in January and the other way round.
+    for (let year = fromYear - 1; year <= toYear + 1; year += 1) {
+      for (const holiday of holidaysForYear(calendar, year)) {
+        if (holiday.date < fromDate || holiday.date > toDate) continue;
+        holidays.push({
+          date: holiday.date,
+          holidayId: `${calendar.dataset.country}:${holiday.id}`,
+          name: holiday.name,
+          calendarId: String(calendarId).toUpperCase(),
+          substitute: holiday.substitute
+        });
+      }
+    }
+  }
+  return holidays.sort((a, b) => a.date.localeCompare(b.date));
+}
+
+module.exports = {
+  listHolidayCalendars,
+  isHolidayCalendarId,
+  getHolidays
+};
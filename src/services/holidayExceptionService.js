@@ -0,0 +1,251 @@
+/**
+ * Public holidays as availability exceptions: an app opts into holiday calendars and gets an allDayOff
+ * exception (labelled with the holiday name) for every holiday within a rolling horizon. Exceptions the
+ * owner created or edited by hand are never overwritten. A polling worker extends the horizon daily.
+ */
+const { AvailabilitySettings, HOLIDAY_HORIZON_DAYS } = require('../models/AvailabilitySettings');
+const { AvailabilityException } = require('../models/AvailabilityException');
+const { Availability } = require('../models/Availability');
+const { getHolidays } = require('./holidayCalendarService');
+const { toDateStrInTimezone } = require('./availabilitySlotGenerator');
+const { syncExceptionToCalendar } = require('./availabilityExceptionSyncService');
+const { logger } = require('../utils/logger');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const REFRESH_INTERVAL_MS = DAY_MS;
+const POLL_INTERVAL_MS = parseInt(process.env.HOLIDAY_POLL_INTERVAL_MS, 10) || 60 * 60 * 1000;
+const BATCH_SIZE = 20;
+const MAX_LABEL_LENGTH = 80;
+
+let workerTimer = null;
+let workerRunning = false;
+
+/**
+ * The app's holiday calendar settings.
+ * @returns {Promise<{ calendars: Array<string>, optOuts: Array<string>, dismissedDates: Array<string>,
+ *   horizonDays: number, refreshedAt: Date|null }>}
+ */
+async function getHolidaySettings(appId) {
+  const doc = await AvailabilitySettings.findOne({ owner: appId })
+    .select('holidayCalendars holidayOptOuts holidayDismissedDates holidayHorizonDays holidaysRefreshedAt')
+    .lean()
+    .exec();
+  return {
+    calendars: doc?.holidayCalendars || [],
+    optOuts: doc?.holidayOptOuts || [],
+    dismissedDates: doc?.holidayDismissedDates || [],
+    horizonDays: doc?.holidayHorizonDays || HOLIDAY_HORIZON_DAYS.default,
+    refreshedAt: doc?.holidaysRefreshedAt || null
+  };
+}
+
+function buildLabel(holidays) {
+  const names = [...new Set(holidays.map((h) => h.name))];
+  const label = names.join(' / ');
+  return label.length > MAX_LABEL_LENGTH ? `${label.slice(0, MAX_LABEL_LENGTH - 1)}…` : label;
+}
+
+/**
+ * What generating the app's holiday exceptions would change, from today (in the app's timezone) to the
+ * end of the horizon. Nothing is written.
+ * @param {string} appId
+ * @param {{ calendars?: Array<string>, optOuts?: Array<string>, horizonDays?: number }} [overrides] - settings
+ *   to preview instead of the saved ones
+ * @returns {Promise<Object>} { from, to, timezone, holidays, create, update, remove, conflicts, unchanged };
+ *   holidays lists every holiday in range with optedOut / dismissed flags, conflicts are dates that
+ *   already have a manual exception (left as they are)
+ */
+async function planHolidayExceptions(appId, overrides = {}) {
+  const saved = await getHolidaySettings(appId);
+  const settings = { ...saved, ...Object.fromEntries(Object.entries(overrides).filter(([, v]) => v !== undefined)) };
+  const weeklyDoc = await Availability.findOne({ owner: appId, staffId: null }).select('timezone').lean().exec();
+  const timezone = weeklyDoc?.timezone || 'UTC';
+  const from = toDateStrInTimezone(new Date(), timezone);
+  const to = toDateStrInTimezone(new Date(Date.now() + settings.horizonDays * DAY_MS), timezone);
+
+  const optOuts = new Set(settings.optOuts);
+  const dismissed = new Set(settings.dismissedDates);
+  const holidays = getHolidays(settings.calendars, from, to).map((h) => ({
+    ...h,
+    optedOut: optOuts.has(h.holidayId),
+    dismissed: dismissed.has(h.date)
+  }));
+
+  const wantedByDate = new Map();
+  for (const holiday of holidays) {
+    if (holiday.optedOut || holiday.dismissed) continue;
+    if (!wantedByDate.has(holiday.date)) wantedByDate.set(holiday.date, []);
+    wantedByDate.get(holiday.date).push(holiday);
+  }
+
+  const existing = await AvailabilityException.find({ owner: appId, staffId: null, date: { $gte: from, $lte: to } })
+    .select('date label source holidayIds allDayOff')
+    .lean()
+    .exec();
+  const existingByDate = new Map(existing.map((doc) => [doc.date, doc]));
+
+  const plan = { from, to, timezone, holidays, create: [], update: [], remove: [], conflicts: [], unchanged: 0 };
+  for (const [date, dayHolidays] of wantedByDate) {
+    const entry = { date, label: buildLabel(dayHolidays), holidayIds: [...new Set(dayHolidays.map((h) => h.holidayId))] };
+    const doc = existingByDate.get(date);
+    if (!doc) {
+      plan.create.push(entry);
+    } else if (doc.source !== 'holiday') {
+      plan.conflicts.push({ ...entry, existingLabel: doc.label || null });
+    } else if (doc.label !== entry.label || !doc.allDayOff || (doc.holidayIds || []).join() !== entry.holidayIds.join()) {
+      plan.update.push({ ...entry, exceptionId: String(doc._id) });
+    } else {
+      plan.unchanged += 1;
+    }
+  }
+  for (const doc of existing) {
+    if (doc.source === 'holiday' && !wantedByDate.has(doc.date)) {
+      plan.remove.push({ date: doc.date, label: doc.label || null, exceptionId: String(doc._id) });
+    }
+  }
+  return plan;
+}
+
+class HolidayExceptionService {
+  /**
+   * Generate, update and remove the app's holiday exceptions to match its holiday calendars, and mirror
+   * the changes into its connected calendar.
+   * @param {string} appId
+   * @returns {Promise<Object>} the plan that was applied (see planHolidayExceptions)
+   */
+  static async apply(appId) {
+    const plan = await planHolidayExceptions(appId);
+    for (const entry of plan.create) {
+      let doc;
+      try {
+        doc = await AvailabilityException.create({
+          owner: appId,
+          staffId: null,
+          date: entry.date,
+          timezone: plan.timezone,
+          allDayOff: true,
+          label: entry.label,
+          source: 'holiday',
+          holidayIds: entry.holidayIds
+        });
+      } catch (error) {
+        // The owner saved an exception for the date meanwhile; theirs wins.
+        if (error.code === 11000) continue;
+        throw error;
+      }
+      await syncExceptionToCalendar(appId, doc);
+    }
+    for (const entry of plan.update) {
+      const doc = await AvailabilityException.findOneAndUpdate(
+        { _id: entry.exceptionId, source: 'holiday' },
+        { $set: { allDayOff: true, overrideAllDay: false, slots: [], label: entry.label, holidayIds: entry.holidayIds } },
+        { new: true }
+      );
+      if (doc) await syncExceptionToCalendar(appId, doc);
+    }
+    for (const entry of plan.remove) {
+      const doc = await AvailabilityException.findOne({ _id: entry.exceptionId, source: 'holiday' }).exec();
+      if (!doc) continue;
+      // Remove the mirrored calendar events first, as the exception DELETE route does.
+      await syncExceptionToCalendar(appId, { ...doc.toObject(), allDayOff: false, overrideAllDay: false, slots: [], label: null });
+      await AvailabilityException.deleteOne({ _id: doc._id, source: 'holiday' });
+    }
+
+    await AvailabilitySettings.updateOne(
+      { owner: appId },
+      {
+        $set: { holidaysRefreshedAt: new Date() },
+        // Dismissals before the horizon's start no longer matter.
+        $pull: { holidayDismissedDates: { $lt: plan.from } }
+      }
+    );
+    return plan;
+  }
+
+  /**
+   * Save the app's holiday calendar settings and apply them.
+   * @param {string} appId
+   * @param {{ calendars: Array<string>, optOuts?: Array<string>, horizonDays?: number }} settings
+   * @returns {Promise<Object>} applied plan
+   */
+  static async updateSettings(appId, { calendars, optOuts, horizonDays }) {
+    const $set = { holidayCalendars: calendars };
+    if (optOuts !== undefined) $set.holidayOptOuts = optOuts;
+    if (horizonDays !== undefined) $set.holidayHorizonDays = horizonDays;
+    await AvailabilitySettings.findOneAndUpdate(
+      { owner: appId },
+      { $set, $setOnInsert: { owner: appId } },
+      { upsert: true, setDefaultsOnInsert: true, runValidators: true }
+    );
+    return this.apply(appId);
+  }
+
+  /**
+   * Keep a holiday from being generated again on a date whose exception the owner deleted. Other dates
+   * of the same holiday are unaffected (per-holiday opt-out covers those).
+   */
+  static async dismissDate(appId, date) {
+    await AvailabilitySettings.updateOne({ owner: appId }, { $addToSet: { holidayDismissedDates: date } });
+  }
+
+  /**
+   * Atomically claim the next app whose holiday exceptions have not been refreshed for a day.
+   * @returns {Promise<Object|null>} AvailabilitySettings
+   */
+  static async claimNext() {
+    const now = new Date();
+    return AvailabilitySettings.findOneAndUpdate(
+      {
+        'holidayCalendars.0': { $exists: true },
+        $or: [
+          { holidaysRefreshedAt: null },
+          { holidaysRefreshedAt: { $lte: new Date(now.getTime() - REFRESH_INTERVAL_MS) } }
+        ]
+      },
+      { $set: { holidaysRefreshedAt: now } },
+      { sort: { holidaysRefreshedAt: 1 }, new: true }
+    ).select('owner').lean();
+  }
+
+  /** Roll the holiday horizon forward for up to BATCH_SIZE apps. Overlapping runs are skipped. */
+  static async processDue() {
+    if (workerRunning) return 0;
+    workerRunning = true;
+    let processed = 0;
+    try {
+      while (processed < BATCH_SIZE) {
+        const settings = await this.claimNext();
+        if (!settings) break;
+        try {
+          await this.apply(settings.owner);
+        } catch (error) {
+          logger.error('Failed to refresh holiday exceptions', { appId: String(settings.owner), error: error.message });
+        }
+        processed += 1;
+      }
+    } catch (error) {
+      logger.error('Holiday worker error', { error: error.message });
+    } finally {
+      workerRunning = false;
+    }
+    return processed;
+  }
+
+  static startWorker() {
+    if (workerTimer) return;
+    workerTimer = setInterval(() => {
+      this.processDue().catch(() => {});
+    }, POLL_INTERVAL_MS);
+    if (typeof workerTimer.unref === 'function') workerTimer.unref();
+    logger.info('Holiday exception worker started');
+  }
+
+  static stopWorker() {
+    if (workerTimer) {
+      clearInterval(workerTimer);
+      workerTimer = null;
+    }
+  }
+}
+
+module.exports = { HolidayExceptionService, planHolidayExceptions, getHolidaySettings };
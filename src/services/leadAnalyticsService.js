@@ -0,0 +1,218 @@
+const crypto = require('crypto');
+const mongoose = require('mongoose');
+const { Lead } = require('../models/Lead');
+const { App } = require('../models/App');
+const { User } = require('../models/User');
+const { Integration } = require('../models/Integration');
+const { Availability } = require('../models/Availability');
+const cacheManager = require('../utils/cache');
+
+const LEAD_STATUSES = ['interacting', 'in_progress', 'complete', 'confirmed'];
+const CONVERTED_STATUSES = ['complete', 'confirmed'];
+const BREAKDOWN_DIMENSIONS = {
+  sourceChannel: '$sourceChannel',
+  leadType: '$leadType',
+  serviceType: '$serviceType'
+};
+const BREAKDOWN_LIMIT = 25;
+const CACHE_TTL_SECONDS = 60;
+
+function isValidTimezone(tz) {
+  if (!tz || typeof tz !== 'string') return false;
+  try {
+    new Intl.DateTimeFormat('en-US', { timeZone: tz });
+    return true;
+  } catch (_) {
+    return false;
+  }
+}
+
+function rate(part, whole) {
+  return whole > 0 ? Math.round((part / whole) * 10000) / 10000 : 0;
+}
+
+// Per-status counters, summed in $group stages.
+function statusCounters() {
+  return Object.fromEntries(LEAD_STATUSES.map((s) => [s, { $sum: { $cond: [{ $eq: ['$status', s] }, 1, 0] } }]));
+}
+
+const convertedCounter = { $sum: { $cond: [{ $in: ['$status', CONVERTED_STATUSES] }, 1, 0] } };
+const bookedCounter = { $sum: { $cond: [{ $eq: ['$appointmentDetails.confirmed', true] }, 1, 0] } };
+
+class LeadAnalyticsService {
+  /**
+   * Timezone used to bucket an app's analytics: connected calendar, then availability settings,
+   * then the owner's profile preference, then UTC.
+   * @param {string} appId
+   * @returns {Promise<string>} IANA timezone
+   */
+  static async resolveTimezone(appId) {
+    const [integration, availability, app] = await Promise.all([
+      Integration.findOne({ owner: appId }).select('googleCalendarTimezone').lean(),
+      Availability.findOne({ owner: appId, staffId: null }).select('timezone').lean(),
+      App.findById(appId).select('owner').lean()
+    ]);
+    const owner = app?.owner ? await User.findById(app.owner).select('preferences.timezone').lean() : null;
+    const candidates = [
+      integration?.googleCalendarTimezone,
+      availability?.timezone,
+      owner?.preferences?.timezone
+    ];
+    return candidates.find((tz) => tz && tz !== 'UTC' && isValidTimezone(tz)) || 'UTC';
+  }
+
+  /**
+   * Lead analytics for an app over [from, to], bucketed by `interval` in `timezone`.
+   * Buckets with no leads are omitted from `series`.
+   * @param {string} appId
+   * @param {{ from: Date, to: Date, interval: 'day'|'week'|'month', timezone: string, sourceChannel?: string, leadType?: string, serviceType?: string, topClickedItems: number }} opts
+   * @returns {Promise<Object>}
+   */
+  static async getAnalytics(appId, opts) {
+    const { from, to, interval, timezone, topClickedItems } = opts;
+
+    const match = { appId: new mongoose.Types.ObjectId(String(appId)), createdAt: { $gte: from, $lte: to } };
+    for (const key of Object.keys(BREAKDOWN_DIMENSIONS)) {
+      if (opts[key]) match[key] = opts[key];
+    }
+
+    const bucket = { $dateTrunc: { date: '$createdAt', unit: interval, timezone, startOfWeek: 'monday' } };
+    const seriesByDimension = (field) => ([
+      { $group: { _id: { bucket, value: { $ifNull: [field, 'unknown'] } }, count: { $sum: 1 } } },
+      { $project: { _id: 0, bucket: '$_id.bucket', value: '$_id.value', count: 1 } }
+    ]);
+    const breakdown = (field) => ([
+      { $group: { _id: { $ifNull: [field, 'unknown'] }, total: { $sum: 1 }, converted: convertedCounter, booked: bookedCounter } },
+      { $sort: { total: -1, _id: 1 } },
+      { $limit: BREAKDOWN_LIMIT },
+      { $project: { _id: 0, value: '$_id', total: 1, converted: 1, booked: 1 } }
+    ]);
+
+    const [result] = await Lead.aggregate([
+      { $match: match },
+      { $facet: {
+        totals: [
+          { $group: {
+            _id: null,
+            total: { $sum: 1 },
+            ...statusCounters(),
+            booked: bookedCounter,
+            ratingAvg: { $avg: '$userFeedback.rating' },
+            ratingCount: { $sum: { $cond: [{ $isNumber: '$userFeedback.rating' }, 1, 0] } }
+          } }
+        ],
+        series: [
+          { $group: { _id: bucket, total: { $sum: 1 }, ...statusCounters(), booked: bookedCounter } },
+          { $sort: { _id: 1 } },
+          { $project: { _id: 0, bucket: '$_id', total: 1, booked: 1, ...Object.fromEntries(LEAD_STATUSES.map((s) => [s, 1])) } }
+        ],
+        seriesBySourceChannel: seriesByDimension(BREAKDOWN_DIMENSIONS.sourceChannel),
+        seriesByLeadType: seriesByDimension(BREAKDOWN_DIMENSIONS.leadType),
+        seriesByServiceType: seriesByDimension(BREAKDOWN_DIMENSIONS.serviceType),
+        bySourceChannel: breakdown(BREAKDOWN_DIMENSIONS.sourceChannel),
+        byLeadType: breakdown(BREAKDOWN_DIMENSIONS.leadType),
+        byServiceType: breakdown(BREAKDOWN_DIMENSIONS.serviceType),
+        ratingDistribution: [
+          { $match: { 'userFeedback.rating': { $gte: 1 } } },
+          { $group: { _id: '$userFeedback.rating', count: { $sum: 1 } } },
+          { $sort: { _id: 1 } },
+          { $project: { _id: 0, rating: '$_id', count: 1 } }
+        ],
+        experienceDistribution: [
+          { $match: { 'userFeedback.experience': { $type: 'string' } } },
+          { $group: { _id: '$userFeedback.experience', count: { $sum: 1 } } },
+          { $sort: { count: -1 } },
+          { $project: { _id: 0, experience: '$_id', count: 1 } }
+        ],
+        topClickedItems: [
+          { $match: { 'clickedItems.0': { $exists: true } } },
+          // Count each item once per lead.
+          { $project: { items: { $setUnion: ['$clickedItems', []] } } },
+          { $unwind: '$items' },
+          { $group: { _id: '$items', leads: { $sum: 1 } } },
+          { $sort: { leads: -1, _id: 1 } },
+          { $limit: topClickedItems },
+          { $project: { _id: 0, item: '$_id', leads: 1 } }
+        ]
+      } }
+    ]).allowDiskUse(true);
+
+    const totalsRow = result.totals[0] || {};
+    const total = totalsRow.total || 0;
+    const byStatus = Object.fromEntries(LEAD_STATUSES.map((s) => [s, totalsRow[s] || 0]));
+    const converted = byStatus.complete + byStatus.confirmed;
+    const booked = totalsRow.booked || 0;
+
+    // Status is the furthest point a lead has reached, so each funnel step includes the later ones.
+    const funnel = LEAD_STATUSES.map((stage, i) => {
+      const count = LEAD_STATUSES.slice(i).reduce((sum, s) => sum + byStatus[s], 0);
+      return { stage, count, rate: rate(count, total) };
+    });
+
+    const series = result.series.map((row) => ({
+      bucket: row.bucket,
+      total: row.total,
+      byStatus: Object.fromEntries(LEAD_STATUSES.map((s) => [s, row[s] || 0])),
+      bySourceChannel: {},
+      byLeadType: {},
+      byServiceType: {},
+      booked: row.booked
+    }));
+    const seriesIndex = new Map(series.map((row) => [new Date(row.bucket).getTime(), row]));
+    for (const [facet, key] of [
+      ['seriesBySourceChannel', 'bySourceChannel'],
+      ['seriesByLeadType', 'byLeadType'],
+      ['seriesByServiceType', 'byServiceType']
+    ]) {
+      for (const row of result[facet]) {
+        const target = seriesIndex.get(new Date(row.bucket).getTime());
+        if (target) target[key][row.value] = row.count;
+      }
+    }
+
+    const withRates = (rows) => rows.map((row) => ({
+      ...row,
+      conversionRate: rate(row.converted, row.total),
+      bookingRate: rate(row.booked, row.total)
+    }));
+
+    return {
+      range: { from, to, interval, timezone },
+      totals: {
+        leads: total,
+        byStatus,
+        converted,
+        conversionRate: rate(converted, total),
+        bookedAppointments: booked,
+        bookingRate: rate(booked, total)
+      },
+      funnel,
+      feedback: {
+        averageRating: totalsRow.ratingAvg != null ? Math.round(totalsRow.ratingAvg * 100) / 100 : null,
+        ratingCount: totalsRow.ratingCount || 0,
+        ratingDistribution: result.ratingDistribution,
+        experienceDistribution: result.experienceDistribution
+      },
+      breakdowns: {
+        sourceChannel: withRates(result.bySourceChannel),
+        leadType: withRates(result.byLeadType),
+        serviceType: withRates(result.byServiceType)
+      },
+      topClickedItems: result.topClickedItems,
+      series
+    };
+  }
+
+  /** getAnalytics with a short cache (Redis when configured) so dashboard refreshes stay cheap. */
+  static async getCachedAnalytics(appId, opts) {
+    const hash = crypto.createHash('sha1').update(JSON.stringify(opts)).digest('hex');
+    const cacheKey = `lead_analytics:${appId}:${hash}`;
+    const cached = await cacheManager.get(cacheKey);
+    if (cached) return cached;
+    const data = await this.getAnalytics(appId, opts);
+    await cacheManager.set(cacheKey, data, CACHE_TTL_SECONDS);
+    return data;
+  }
+}
+
+module.exports = { LeadAnalyticsService, isValidTimezone };
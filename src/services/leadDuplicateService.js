@@ -0,0 +1,275 @@
+const mongoose = require('mongoose');
+const { Lead } = require('../models/Lead');
+const { LeadMerge } = require('../models/LeadMerge');
+const { LeadActivity } = require('../models/LeadActivity');
+const { LeadReadState } = require('../models/LeadReadState');
+const { Appointment } = require('../models/Appointment');
+const { LEAD_ACTIVITY_TYPES } = require('../enums/leadPipeline');
+const { normalizePhone, normalizeEmail } = require('../utils/contactIdentity');
+const { logger } = require('../utils/logger');
+
+// Conversation status, least to most advanced; a merged lead keeps the most advanced one.
+const STATUS_RANK = ['interacting', 'in_progress', 'complete', 'confirmed'];
+
+// Scalar fields filled on the survivor from merged leads when the survivor has no value.
+const FILLABLE_FIELDS = [
+  'leadName',
+  'leadEmail',
+  'leadPhoneNumber',
+  'leadType',
+  'serviceType',
+  'title',
+  'summary',
+  'description',
+  'initialInteraction',
+  'location.country',
+  'location.countryCode',
+  'userFeedback.experience',
+  'userFeedback.rating',
+  'userFeedback.comment',
+  'userFeedback.submittedAt'
+];
+
+const BACKFILL_BATCH = 500;
+
+function isEmpty(value) {
+  return value === undefined || value === null || (typeof value === 'string' && value.trim() === '');
+}
+
+function hasAppointment(lead) {
+  return !!(lead?.appointmentDetails?.eventId || lead?.appointmentDetails?.start);
+}
+
+class LeadDuplicateService {
+  /**
+   * Write identity keys for leads created before they existed. Cheap once an app is backfilled
+   * because only documents without the normalizedEmail field are touched.
+   * @param {string|Object} appId
+   * @returns {Promise<number>} leads updated
+   */
+  static async ensureIdentityKeys(appId) {
+    let updated = 0;
+    for (;;) {
+      const batch = await Lead.find({ appId, normalizedEmail: { $exists: false } })
+        .select('_id leadPhoneNumber leadEmail location.countryCode')
+        .limit(BACKFILL_BATCH)
+        .lean();
+      if (batch.length === 0) break;
+      await Lead.bulkWrite(batch.map((l) => ({
+        updateOne: {
+          filter: { _id: l._id },
+          update: {
+            $set: {
+              normalizedPhone: normalizePhone(l.leadPhoneNumber, l.location?.countryCode),
+              normalizedEmail: normalizeEmail(l.leadEmail)
+            }
+          },
+          timestamps: false
+        }
+      })));
+      updated += batch.length;
+      if (batch.length < BACKFILL_BATCH) break;
+    }
+    if (updated > 0) logger.info('Backfilled lead identity keys', { appId: String(appId), updated });
+    return updated;
+  }
+
+  /**
+   * Other leads in the same app that share this lead's normalized phone or email, newest first.
+   * @param {Object} lead - Lead document
+   * @param {{ limit?: number }} [opts]
+   * @returns {Promise<Array<Object>>} lean leads with `matchedOn: ('phone'|'email')[]`
+   */
+  static async findDuplicates(lead, opts = {}) {
+    const phone = lead.normalizedPhone || normalizePhone(lead.leadPhoneNumber, lead.location?.countryCode);
+    const email = lead.normalizedEmail || normalizeEmail(lead.leadEmail);
+    const or = [];
+    if (phone) or.push({ normalizedPhone: phone });
+    if (email) or.push({ normalizedEmail: email });
+    if (or.length === 0 || !lead.appId) return [];
+
+    const matches = await Lead.find({ appId: lead.appId, _id: { $ne: lead._id }, $or: or })
+      .select('-history')
+      .sort({ createdAt: -1 })
+      .limit(opts.limit || 50)
+      .lean();
+    return matches.map((m) => ({
+      ...m,
+      matchedOn: [
+        ...(phone && m.normalizedPhone === phone ? ['phone'] : []),
+        ...(email && m.normalizedEmail === email ? ['email'] : [])
+      ]
+    }));
+  }
+
+  /**
+   * Groups of leads in an app that share a normalized phone or email.
+   * @returns {Promise<{ groups: Array<{ matchedOn: string, value: string, count: number, leads: Array }>, total: number }>}
+   */
+  static async findDuplicateGroups(appId, { page = 1, limit = 20 } = {}) {
+    const leadFields = {
+      _id: '$_id',
+      leadName: '$leadName',
+      leadEmail: '$leadEmail',
+      leadPhoneNumber: '$leadPhoneNumber',
+      sourceChannel: '$sourceChannel',
+      status: '$status',
+      pipelineStage: '$pipelineStage',
+      createdAt: '$createdAt'
+    };
+    const groupBy = (field, matchedOn) => ([
+      { $match: { [field]: { $type: 'string' } } },
+      { $sort: { createdAt: -1 } },
+      { $group: { _id: `$${field}`, count: { $sum: 1 }, leads: { $push: leadFields }, latest: { $max: '$createdAt' } } },
+      { $match: { count: { $gt: 1 } } },
+      { $project: { _id: 0, matchedOn: { $literal: matchedOn }, value: '$_id', count: 1, leads: 1, latest: 1 } }
+    ]);
+
+    const [result] = await Lead.aggregate([
+      { $match: { appId: new mongoose.Types.ObjectId(String(appId)) } },
+      { $facet: { phone: groupBy('normalizedPhone', 'phone'), email: groupBy('normalizedEmail', 'email') } },
+      { $project: { groups: { $concatArrays: ['$phone', '$email'] } } },
+      { $unwind: '$groups' },
+      { $replaceRoot: { newRoot: '$groups' } },
+      { $sort: { latest: -1, value: 1 } },
+      { $facet: {
+        total: [{ $count: 'count' }],
+        groups: [{ $skip: (page - 1) * limit }, { $limit: limit }, { $project: { latest: 0 } }]
+      } }
+    ]);
+    return { groups: result?.groups || [], total: result?.total?.[0]?.count || 0 };
+  }
+
+  /**
+   * Merge `sources` into `survivor`: conversation history, clicked items, lead type switches and
+   * appointment details are combined, empty survivor fields are filled from the sources, and the
+   * sources are deleted. A LeadMerge record keeps full snapshots of everything that was merged.
+   * @param {Object} survivor - Lead document that is kept
+   * @param {Array<Object>} sources - Lead documents merged into the survivor (same app)
+   * @param {Object} actor - { actorType, actorId, actorEmail }
+   * @param {string|null} [note]
+   * @returns {Promise<{ lead: Object, merge: Object }>}
+   */
+  static async merge(survivor, sources, actor = {}, note = null) {
+    const survivorBefore = survivor.toObject();
+    const sourceSnapshots = sources.map((s) => s.toObject());
+    // Oldest first, so combined conversation history reads chronologically.
+    const all = [survivor, ...sources].sort((a, b) => new Date(a.createdAt) - new Date(b.createdAt));
+    // Newest first when picking values to fill in.
+    const newestSources = [...sources].sort((a, b) => new Date(b.createdAt) - new Date(a.createdAt));
+
+    const history = [];
+    for (const lead of all) {
+      const entries = (lead.history || []).filter((h) => h && h.content);
+      if (entries.length === 0) continue;
+      const isSurvivor = String(lead._id) === String(survivor._id);
+      // Separator so the combined transcript shows where each channel's conversation starts.
+      if (!isSurvivor || history.length > 0) {
+        const channel = lead.sourceChannel || 'unknown channel';
+        const when = new Date(lead.createdAt || Date.now()).toISOString();
+        const origin = isSurvivor ? '' : ` (merged lead ${lead._id})`;
+        history.push({ role: 'system', content: `Conversation from ${channel} on ${when}${origin}` });
+      }
+      entries.forEach((h) => history.push({ role: h.role, content: h.content }));
+    }
+
+    const clickedItems = [...new Set(all.flatMap((l) => l.clickedItems || []).filter(Boolean))];
+
+    const leadTypeSwitchHistory = all
+      .flatMap((l) => (l.leadTypeSwitchHistory || []).map((e) => ({ from: e.from, to: e.to, at: e.at })))
+      .sort((a, b) => new Date(a.at || 0) - new Date(b.at || 0));
+
+    const filledFields = [];
+    for (const field of FILLABLE_FIELDS) {
+      if (!isEmpty(survivor.get(field))) continue;
+      const donor = newestSources.find((s) => !isEmpty(s.get(field)));
+      if (!donor) continue;
+      filledFields.push({ field, from: survivor.get(field) ?? null, to: donor.get(field), sourceLeadId: donor._id });
+      survivor.set(field, donor.get(field));
+    }
+
+    // Appointment: the most recent confirmed one, otherwise the most recent one that exists.
+    const withAppointment = all.filter(hasAppointment);
+    const appointmentDonor = withAppointment.filter((l) => l.appointmentDetails.confirmed).pop() || withAppointment.pop();
+    if (appointmentDonor && String(appointmentDonor._id) !== String(survivor._id)) {
+      const appointmentDetails = appointmentDonor.toObject().appointmentDetails;
+      filledFields.push({
+        field: 'appointmentDetails',
+        from: survivorBefore.appointmentDetails || null,
+        to: appointmentDetails,
+        sourceLeadId: appointmentDonor._id
+      });
+      survivor.appointmentDetails = appointmentDetails;
+    }
+
+    const bestStatus = all
+      .map((l) => l.status)
+      .filter((s) => STATUS_RANK.includes(s))
+      .sort((a, b) => STATUS_RANK.indexOf(b) - STATUS_RANK.indexOf(a))[0];
+    if (bestStatus && bestStatus !== survivor.status) survivor.status = bestStatus;
+
+    if (!survivor.assignedTo) {
+      const assigned = newestSources.find((s) => s.assignedTo);
+      if (assigned) {
+        survivor.assignedTo = assigned.assignedTo;
+        survivor.assignedAt = assigned.assignedAt || new Date();
+      }
+    }
+
+    // Carry "already notified" markers so the owner is not emailed again for the merged lead.
+    for (const key of ['qualifiedLeadEmailSentAt', 'completedWorkflowEmailSentAt']) {
+      if (survivor.notifications?.[key]) continue;
+      const sent = sources.map((s) => s.notifications?.[key]).filter(Boolean).sort((a, b) => a - b)[0];
+      if (sent) survivor.set(`notifications.${key}`, sent);
+    }
+
+    survivor.history = history;
+    survivor.clickedItems = clickedItems;
+    survivor.leadTypeSwitchHistory = leadTypeSwitchHistory;
+    survivor.mergedLeadIds = [
+      ...(survivor.mergedLeadIds || []),
+      ...sources.flatMap((s) => [s._id, ...(s.mergedLeadIds || [])])
+    ];
+
+    const sourceIds = sources.map((s) => s._id);
+    // Write the audit record before anything destructive happens.
+    const merge = await LeadMerge.create({
+      appId: survivor.appId,
+      survivorLeadId: survivor._id,
+      mergedLeadIds: sourceIds,
+      mergedLeads: sourceSnapshots,
+      survivorBefore,
+      filledFields,
+      actorType: actor.actorType || 'user',
+      actorId: actor.actorId || null,
+      actorEmail: actor.actorEmail || null,
+      note: note || null
+    });
+
+    await survivor.save();
+    // Merged leads' timelines and appointments move to the survivor.
+    await LeadActivity.updateMany({ leadId: { $in: sourceIds } }, { $set: { leadId: survivor._id } });
+    await Appointment.updateMany(
+      { owner: survivor.appId, leadId: { $in: sourceIds } },
+      { $set: { leadId: survivor._id } }
+    );
+    await LeadReadState.deleteMany({ leadId: { $in: sourceIds } });
+    await Lead.deleteMany({ _id: { $in: sourceIds }, appId: survivor.appId });
+
+    await LeadActivity.create({
+      appId: survivor.appId,
+      leadId: survivor._id,
+      type: LEAD_ACTIVITY_TYPES.MERGE,
+      actorType: actor.actorType || 'user',
+      actorId: actor.actorId || null,
+      actorEmail: actor.actorEmail || null,
+      message: note || null,
+      changes: filledFields.map((f) => ({ field: f.field, from: f.from, to: f.to })),
+      metadata: { mergeId: merge._id, mergedLeadIds: sourceIds.map(String) }
+    });
+
+    return { lead: survivor, merge };
+  }
+}
+
+module.exports = { LeadDuplicateService };
@@ -0,0 +1,266 @@
+/**
+ * Lead spreadsheet export (CSV / XLSX, streamed from a Mongo cursor) and bulk import parsing.
+ * Export and import share one column list so an exported file can be re-imported as-is.
+ */
+const ExcelJS = require('exceljs');
+
+const dateValue = (v) => (v ? new Date(v).toISOString() : '');
+
+const LEAD_EXPORT_COLUMNS = [
+  { key: '_id', header: 'Lead ID', get: (l) => String(l._id || '') },
+  { key: 'leadDateTime', header: 'Lead Date', get: (l) => dateValue(l.leadDateTime || l.createdAt), importable: true },
+  { key: 'title', header: 'Title', importable: true },
+  { key: 'leadName', header: 'Lead Name', importable: true, aliases: ['name', 'fullname', 'customername', 'contactname'] },
+  { key: 'leadEmail', header: 'Lead Email', importable: true, aliases: ['email', 'emailaddress'] },
+  { key: 'leadPhoneNumber', header: 'Lead Phone', importable: true, aliases: ['phone', 'phonenumber', 'mobile', 'telephone'] },
+  { key: 'leadType', header: 'Lead Type', importable: true },
+  { key: 'serviceType', header: 'Service Type', importable: true, aliases: ['service'] },
+  { key: 'sourceChannel', header: 'Source Channel', importable: true, aliases: ['source', 'channel'] },
+  { key: 'status', header: 'Status', importable: true },
+  { key: 'pipelineStage', header: 'Pipeline Stage', importable: true, aliases: ['stage'] },
+  { key: 'summary', header: 'Summary', importable: true },
+  { key: 'description', header: 'Description', importable: true, aliases: ['notes'] },
+  { key: 'initialInteraction', header: 'Initial Interaction', importable: true },
+  { key: 'clickedItems', header: 'Clicked Items', get: (l) => (l.clickedItems || []).join(' | '), importable: true },
+  { key: 'location.country', header: 'Country', importable: true },
+  { key: 'location.countryCode', header: 'Country Code', importable: true },
+  { key: 'clientContext.ipAddress', header: 'IP Address' },
+  { key: 'clientContext.userAgent', header: 'User Agent' },
+  { key: 'clientContext.browserName', header: 'Browser' },
+  { key: 'clientContext.browserVersion', header: 'Browser Version' },
+  { key: 'clientContext.osName', header: 'OS' },
+  { key: 'clientContext.deviceType', header: 'Device Type' },
+  { key: 'appointmentDetails.start', header: 'Appointment Start', get: (l) => dateValue(l.appointmentDetails?.start) },
+  { key: 'appointmentDetails.end', header: 'Appointment End', get: (l) => dateValue(l.appointmentDetails?.end) },
+  { key: 'appointmentDetails.confirmed', header: 'Appointment Confirmed', get: (l) => (l.appointmentDetails?.confirmed ? 'yes' : 'no') },
+  { key: 'appointmentDetails.link', header: 'Appointment Link' },
+  { key: 'appointmentDetails.eventId', header: 'Appointment Event ID' },
+  { key: 'userFeedback.experience', header: 'Feedback Experience' },
+  { key: 'userFeedback.rating', header: 'Feedback Rating' },
+  { key: 'userFeedback.comment', header: 'Feedback Comment' },
+  { key: 'userFeedback.submittedAt', header: 'Feedback Submitted At', get: (l) => dateValue(l.userFeedback?.submittedAt) },
+  { key: 'createdAt', header: 'Created At', get: (l) => dateValue(l.createdAt) },
+  { key: 'updatedAt', header: 'Updated At', get: (l) => dateValue(l.updatedAt) }
+];
+
+const HISTORY_COLUMN = {
+  key: 'history',
+  header: 'Conversation',
+  get: (l) => (l.history || [])
+    .filter((h) => h && h.content)
+    .map((h) => `${h.role || 'user'}: ${h.content}`)
+    .join('\n')
+};
+
+const MAX_IMPORT_ROWS = 5000;
+
+function getPath(obj, path) {
+  return path.split('.').reduce((acc, part) => (acc == null ? acc : acc[part]), obj);
+}
+
+function normalizeHeader(header) {
+  return String(header || '').toLowerCase().replace(/[^a-z0-9]/g, '');
+}
+
+/**
+ * @param {{ includeHistory?: boolean }} [opts]
+ */
+function buildExportColumns(opts = {}) {
+  return opts.includeHistory ? [...LEAD_EXPORT_COLUMNS, HISTORY_COLUMN] : [...LEAD_EXPORT_COLUMNS];
+}
+
+function flattenLead(lead, columns) {
+  return columns.map((col) => {
+    const value = col.get ? col.get(lead) : getPath(lead, col.key);
+    return value == null ? '' : value;
+  });
+}
+
+// Neutralise spreadsheet formula injection (=, @, or +/- not followed by a number).
+function sanitizeCell(value) {
+  const str = String(value);
+  if (/^[=@\t\r]/.test(str) || /^[+-][^\d\s]/.test(str)) return `'${str}`;
+  return str;
+}
+
+function toCsvLine(values) {
+  return values.map((v) => {
+    const str = sanitizeCell(v);
+    return /[",\r\n]/.test(str) ? `"${str.replace(/"/g, '""')}"` : str;
+  }).join(',') + '\r\n';
+}
+
+function writeChunk(stream, chunk) {
+  if (stream.write(chunk)) return Promise.resolve();
+  return new Promise((resolve) => stream.once('drain', resolve));
+}
+
+/**
+ * Stream leads from a cursor to a writable (HTTP response) as CSV.
+ * @param {AsyncIterable<Object>} cursor - Mongoose query cursor (lean)
+ * @param {import('stream').Writable} out
+ * @param {Array} columns
+ * @returns {Promise<number>} rows written
+ */
+async function streamLeadsCsv(cursor, out, columns) {
+  let count = 0;
+  // UTF-8 BOM so Excel opens non-ASCII names correctly.
+  await writeChunk(out, '\uFEFF' + toCsvLine(columns.map((c) => c.header)));
+  for await (const lead of cursor) {
+    await writeChunk(out, toCsvLine(flattenLead(lead, columns)));
+    count += 1;
+  }
+  out.end();
+  return count;
+}
+
+/**
+ * Stream leads from a cursor to a writable (HTTP response) as XLSX.
+ * Rows are committed as they are written so memory stays flat for large apps.
+ * @returns {Promise<number>} rows written
+ */
+async function streamLeadsXlsx(cursor, out, columns) {
+  const workbook = new ExcelJS.stream.xlsx.WorkbookWriter({ stream: out, useStyles: true });
+  const sheet = workbook.addWorksheet('Leads');
+  sheet.columns = columns.map((c) => ({ header: c.header, key: c.key, width: c.key === 'history' ? 80 : 22 }));
+  sheet.getRow(1).font = { bold: true };
+  sheet.getRow(1).commit();
+  let count = 0;
+  for await (const lead of cursor) {
+    sheet.addRow(flattenLead(lead, columns).map((v) => (typeof v === 'string' ? sanitizeCell(v) : v))).commit();
+    count += 1;
+  }
+  sheet.commit();
+  await workbook.commit();
+  return count;
+}
+
+/**
+ * Minimal RFC 4180 parser: quoted fields, escaped quotes, CRLF/LF, leading BOM. Blank rows are kept, so
+ * a row's index is its position in the file.
+ * @param {string} text
+ * @returns {string[][]}
+ */
+function parseCsv(text) {
+  const rows = [];
+  let row = [];
+  let field = '';
+  let inQuotes = false;
+  const src = String(text || '').replace(/^\uFEFF/, '');
+
+  for (let i = 0; i < src.length; i++) {
+    const ch = src[i];
+    if (inQuotes) {
+      if (ch === '"') {
+        if (src[i + 1] === '"') { field += '"'; i++; } else { inQuotes = false; }
+      } else {
+        field += ch;
+      }
+    } else if (ch === '"') {
+      inQuotes = true;
+    } else if (ch === ',') {
+      row.push(field); field = '';
+    } else if (ch === '\n' || ch === '\r') {
+      if (ch === '\r' && src[i + 1] === '\n') i++;
+      row.push(field); field = '';
+      rows.push(row); row = [];
+    } else {
+      field += ch;
+    }
+  }
+  if (field !== '' || row.length > 0) {
+    row.push(field);
+    rows.push(row);
+  }
+  return rows;
+}
+
+async function parseXlsx(buffer) {
+  const workbook = new ExcelJS.Workbook();
+  await workbook.xlsx.load(buffer);
+  const sheet = workbook.worksheets[0];
+  if (!sheet) return [];
+  const rows = [];
+  sheet.eachRow({ includeEmpty: false }, (row, rowNumber) => {
+    // Empty rows are not visited; keep their place so indexes match the sheet's row numbers.
+    while (rows.length < rowNumber - 1) rows.push([]);
+    const values = [];
+    for (let c = 1; c <= row.cellCount; c++) {
+      const v = row.getCell(c).value;
+      if (v instanceof Date) values.push(v.toISOString());
+      else if (v && typeof v === 'object') values.push(v.text ?? v.result ?? '');
+      else values.push(v == null ? '' : String(v));
+    }
+    rows.push(values);
+  });
+  return rows;
+}
+
+/**
+ * Parse an uploaded CSV/XLSX file into header-keyed records.
+ * @param {{ buffer: Buffer, originalname?: string, mimetype?: string }} file
+ * @returns {Promise<{ records: Array<{ rowNumber: number, values: Object }>, unknownHeaders: string[] }>}
+ */
+async function parseImportFile(file) {
+  const name = String(file.originalname || '').toLowerCase();
+  const isXlsx = name.endsWith('.xlsx') || file.mimetype === 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet';
+  // Blank rows are skipped; row numbers are 1-based positions in the file, matching what users see in Excel.
+  const rows = (isXlsx ? await parseXlsx(file.buffer) : parseCsv(file.buffer.toString('utf8')))
+    .map((cells, index) => ({ rowNumber: index + 1, cells }))
+    .filter(({ cells }) => cells.some((v) => String(v).trim() !== ''));
+  if (rows.length === 0) return { records: [], unknownHeaders: [] };
+
+  const lookup = new Map();
+  for (const col of LEAD_EXPORT_COLUMNS.filter((c) => c.importable)) {
+    lookup.set(normalizeHeader(col.key), col.key);
+    lookup.set(normalizeHeader(col.header), col.key);
+    (col.aliases || []).forEach((a) => lookup.set(normalizeHeader(a), col.key));
+  }
+
+  const [headerRow, ...dataRows] = rows;
+  const headers = headerRow.cells.map((h) => lookup.get(normalizeHeader(h)) || null);
+  // Export-only columns (IDs, client context, ...) are ignored silently; anything else is reported back.
+  const exportOnly = new Set([...LEAD_EXPORT_COLUMNS, HISTORY_COLUMN].map((c) => normalizeHeader(c.header)));
+  const unknownHeaders = headerRow.cells.filter((h, i) => !headers[i] && String(h).trim() !== '' && !exportOnly.has(normalizeHeader(h)));
+  const records = dataRows.map(({ rowNumber, cells }) => {
+    const values = {};
+    headers.forEach((key, i) => {
+      if (!key) return;
+      const raw = String(cells[i] ?? '').trim().replace(/^'(?=[=@+-])/, '');
+      if (raw !== '') values[key] = raw;
+    });
+    return { rowNumber, values };
+  });
+  return { records, unknownHeaders };
+}
+
+/**
+ * Turn a flat import record into a nested lead payload (pre-validation).
+ * @param {Object} values - keyed by column key
+ * @returns {Object}
+ */
+function importRecordToLead(values) {
+  const lead = {};
+  for (const [key, value] of Object.entries(values)) {
+    if (key === 'clickedItems') {
+      lead.clickedItems = value.split('|').map((v) => v.trim()).filter(Boolean);
+    } else if (key.startsWith('location.')) {
+      lead.location = { ...(lead.location || {}), [key.slice('location.'.length)]: value };
+    } else {
+      lead[key] = value;
+    }
+  }
+  return lead;
+}
+
+module.exports = {
+  LEAD_EXPORT_COLUMNS,
+  MAX_IMPORT_ROWS,
+  buildExportColumns,
+  flattenLead,
+  streamLeadsCsv,
+  streamLeadsXlsx,
+  parseCsv,
+  parseImportFile,
+  importRecordToLead
+};
@@ -0,0 +1,175 @@
+const mongoose = require('mongoose');
+const { LeadActivity } = require('../models/LeadActivity');
+const { DEFAULT_LEAD_PIPELINE_STAGES, LEAD_ACTIVITY_TYPES } = require('../enums/leadPipeline');
+const { logger } = require('../utils/logger');
+
+// Lead fields whose changes are written to the activity timeline, and the activity type used for each.
+const TRACKED_LEAD_FIELDS = {
+  status: LEAD_ACTIVITY_TYPES.STATUS_CHANGE,
+  pipelineStage: LEAD_ACTIVITY_TYPES.STAGE_CHANGE,
+  assignedTo: LEAD_ACTIVITY_TYPES.ASSIGNMENT,
+  leadType: LEAD_ACTIVITY_TYPES.FIELD_UPDATE,
+  serviceType: LEAD_ACTIVITY_TYPES.FIELD_UPDATE,
+  leadName: LEAD_ACTIVITY_TYPES.FIELD_UPDATE,
+  leadEmail: LEAD_ACTIVITY_TYPES.FIELD_UPDATE,
+  leadPhoneNumber: LEAD_ACTIVITY_TYPES.FIELD_UPDATE,
+  title: LEAD_ACTIVITY_TYPES.FIELD_UPDATE,
+  summary: LEAD_ACTIVITY_TYPES.FIELD_UPDATE,
+  description: LEAD_ACTIVITY_TYPES.FIELD_UPDATE
+};
+
+function normalizeValue(value) {
+  if (value === undefined || value === '') return null;
+  if (value instanceof mongoose.Types.ObjectId) return value.toString();
+  return value;
+}
+
+class LeadPipelineService {
+  /**
+   * Pipeline stages for an app, ordered; falls back to the default pipeline when none are configured.
+   * @param {Object|null} app - App document or lean object
+   * @returns {Array<{ key: string, label: string, order: number, outcome: string, color?: string }>}
+   */
+  static getStages(app) {
+    const stages = Array.isArray(app?.leadPipelineStages) && app.leadPipelineStages.length > 0
+      ? app.leadPipelineStages.map((s) => (typeof s.toObject === 'function' ? s.toObject() : { ...s }))
+      : DEFAULT_LEAD_PIPELINE_STAGES.map((s) => ({ ...s }));
+    return stages.sort((a, b) => (a.order ?? 0) - (b.order ?? 0));
+  }
+
+  static getStage(app, key) {
+    const needle = String(key || '').trim().toLowerCase();
+    return this.getStages(app).find((s) => s.key === needle) || null;
+  }
+
+  static getInitialStageKey(app) {
+    return this.getStages(app)[0]?.key || DEFAULT_LEAD_PIPELINE_STAGES[0].key;
+  }
+
+  static getTeamMember(app, memberId) {
+    if (!memberId || !Array.isArray(app?.teamMembers)) return null;
+    return app.teamMembers.find((m) => String(m._id) === String(memberId)) || null;
+  }
+
+  /**
+   * Build the actor fields for an activity from an authenticated request.
+   * @param {import('express').Request} req
+   */
+  static actorFromRequest(req) {
+    if (req?.user?.id) {
+      return { actorType: 'user', actorId: String(req.user.id), actorEmail: req.user.email || null };
+    }
+    return { actorType: 'ai', actorId: null, actorEmail: null };
+  }
+
+  /**
+   * Snapshot of tracked fields, taken before a lead is modified so it can be diffed afterwards.
+   * @param {Object} lead
+   * @returns {Object}
+   */
+  static snapshot(lead) {
+    const out = {};
+    for (const field of Object.keys(TRACKED_LEAD_FIELDS)) {
+      out[field] = normalizeValue(lead?.[field]);
+    }
+    return out;
+  }
+
+  /**
+   * Compare a snapshot with the lead's current values.
+   * @returns {Array<{ field: string, from: *, to: * }>}
+   */
+  static diff(before, lead) {
+    const changes = [];
+    for (const field of Object.keys(TRACKED_LEAD_FIELDS)) {
+      const from = normalizeValue(before?.[field]);
+      const to = normalizeValue(lead?.[field]);
+      if (String(from ?? '') !== String(to ?? '')) {
+        changes.push({ field, from, to });
+      }
+    }
+    return changes;
+  }
+
+  /**
+   * Append one activity to a lead's timeline.
+   * @param {Object} lead - Lead document (needs _id, appId)
+   * @param {Object} entry - { type, message?, changes?, metadata?, occurredAt?, actorType?, actorId?, actorEmail? }
+   * @returns {Promise<Object>} the created LeadActivity
+   */
+  static async record(lead, entry) {
+    return LeadActivity.create({
+      appId: lead.appId || null,
+      leadId: lead._id,
+      type: entry.type,
+      actorType: entry.actorType || 'system',
+      actorId: entry.actorId || null,
+      actorEmail: entry.actorEmail || null,
+      message: entry.message || null,
+      changes: entry.changes || [],
+      metadata: entry.metadata || {},
+      occurredAt: entry.occurredAt || new Date()
+    });
+  }
+
+  /**
+   * Write timeline entries for every tracked field that changed since `before`.
+   * Status, stage and assignment changes get their own typed entries; other fields are grouped
+   * into one field_update entry. Never throws: a timeline failure must not fail the lead write.
+   */
+  static async recordChanges(lead, before, actor = {}) {
+    try {
+      const changes = this.diff(before, lead);
+      if (changes.length === 0) return [];
+
+      const entries = [];
+      const generic = [];
+      for (const change of changes) {
+        const type = TRACKED_LEAD_FIELDS[change.field];
+        if (type === LEAD_ACTIVITY_TYPES.FIELD_UPDATE) generic.push(change);
+        else entries.push({ type, changes: [change] });
+      }
+      if (generic.length > 0) entries.push({ type: LEAD_ACTIVITY_TYPES.FIELD_UPDATE, changes: generic });
+
+      return await Promise.all(entries.map((e) => this.record(lead, { ...actor, ...e })));
+    } catch (error) {
+      logger.error('Failed to record lead activity', { leadId: lead?._id || null, error: error.message });
+      return [];
+    }
+  }
+
+  static async recordCreated(lead, actor = {}) {
+    try {
+      return await this.record(lead, {
+        ...actor,
+        type: LEAD_ACTIVITY_TYPES.CREATED,
+        metadata: { sourceChannel: lead.sourceChannel || null, status: lead.status || null }
+      });
+    } catch (error) {
+      logger.error('Failed to record lead activity', { leadId: lead?._id || null, error: error.message });
+      return null;
+    }
+  }
+
+  /** One 'created' entry per imported lead, written in a single batch. */
+  static async recordImported(leads, actor = {}) {
+    try {
+      const now = new Date();
+      return await LeadActivity.insertMany(leads.map((lead) => ({
+        appId: lead.appId || null,
+        leadId: lead._id,
+        type: LEAD_ACTIVITY_TYPES.CREATED,
+        actorType: actor.actorType || 'system',
+        actorId: actor.actorId || null,
+        actorEmail: actor.actorEmail || null,
+        metadata: { source: 'import' },
+        occurredAt: now
+      })), { ordered: false });
+    } catch (error) {
+      logger.error('Failed to record lead import activity', { count: leads.length, error: error.message });
+      return [];
+    }
+  }
+}
+
+module.exports = { LeadPipelineService, TRACKED_LEAD_FIELDS };
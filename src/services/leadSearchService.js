@@ -0,0 +1,167 @@
+/**
+ * Lead list/search: Mongo filter building, full-text search over the Lead text index with relevance
+ * ranking, and facet counts for the dashboard filters. Shared by the list and export routes.
+ */
+const mongoose = require('mongoose');
+const { Lead } = require('../models/Lead');
+const { AppError } = require('../utils/errorHandler');
+const { normalizePhone, normalizeEmail } = require('../utils/contactIdentity');
+
+// Facet name -> Lead path. Each is also a filter in leadQuerySchema under the same name.
+const LEAD_FACETS = {
+  status: 'status',
+  leadType: 'leadType',
+  serviceType: 'serviceType',
+  sourceChannel: 'sourceChannel',
+  country: 'location.country'
+};
+
+const FACET_BUCKET_LIMIT = 50;
+
+function escapeRegex(str) {
+  return str.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+// Fields a single-word `q` is matched in (as a case-insensitive substring).
+const PARTIAL_MATCH_FIELDS = ['leadName', 'leadEmail', 'title', 'summary', 'description'];
+
+/**
+ * Condition for the free-text `q` parameter. Emails and phone numbers are matched on the normalized
+ * identity keys (the text index would split them into meaningless tokens). A single word is matched as a
+ * substring, since $text only finds whole (stemmed) words and would miss partial input like "Joh";
+ * several words use $text.
+ * @param {string} q
+ * @returns {{ condition: Object, isTextSearch: boolean }|null}
+ */
+function buildSearchCondition(q) {
+  const needle = String(q || '').trim();
+  if (!needle) return null;
+
+  const email = normalizeEmail(needle);
+  if (email) return { condition: { normalizedEmail: email }, isTextSearch: false };
+
+  if (/^[+(]?\d[\d\s().-]{5,}$/.test(needle)) {
+    const phone = normalizePhone(needle);
+    const digitsRx = new RegExp(escapeRegex(needle.replace(/\D/g, '')));
+    const or = [{ leadPhoneNumber: digitsRx }, { leadPhoneNumber: new RegExp(escapeRegex(needle)) }];
+    if (phone) or.unshift({ normalizedPhone: phone });
+    return { condition: { $or: or }, isTextSearch: false };
+  }
+
+  if (!/\s/.test(needle)) {
+    const rx = new RegExp(escapeRegex(needle), 'i');
+    return { condition: { $or: PARTIAL_MATCH_FIELDS.map((field) => ({ [field]: rx })) }, isTextSearch: false };
+  }
+
+  return { condition: { $text: { $search: needle } }, isTextSearch: true };
+}
+
+/**
+ * Build the Mongo filter for lead list/export queries from validated leadQuerySchema values.
+ * @param {Object} scope - e.g. { appId } or { userId }
+ * @param {Object} value - validated query
+ * @returns {Object}
+ */
+function buildLeadFilter(scope, value) {
+  const conditions = [ scope ];
+  for (const [facet, path] of Object.entries(LEAD_FACETS)) {
+    if (value[facet]) conditions.push({ [path]: value[facet] });
+  }
+  if (value.pipelineStage) conditions.push({ pipelineStage: value.pipelineStage });
+  if (value.assignedTo) {
+    if (value.assignedTo === 'unassigned') conditions.push({ assignedTo: null });
+    else if (mongoose.isValidObjectId(value.assignedTo)) conditions.push({ assignedTo: value.assignedTo });
+    else throw new AppError('Invalid assignedTo', 400);
+  }
+  if (value.from || value.to) {
+    const range = {};
+    if (value.from) range.$gte = new Date(value.from);
+    if (value.to) range.$lte = new Date(value.to);
+    conditions.push({ leadDateTime: range });
+  }
+  const search = buildSearchCondition(value.q);
+  if (search) conditions.push(search.condition);
+  return conditions.length > 1 ? { $and: conditions } : conditions[0];
+}
+
+/**
+ * Sort (and projection) for a lead query. `relevance` is the default when `q` runs a text search
+ * and falls back to leadDateTime otherwise.
+ * @returns {{ sort: Object, projection: Object|null }}
+ */
+function buildLeadSort(value) {
+  const isTextSearch = !!buildSearchCondition(value.q)?.isTextSearch;
+  const sortBy = value.sortBy || (isTextSearch ? 'relevance' : 'leadDateTime');
+  const sortDir = value.sortOrder === 'asc' ? 1 : -1;
+  if (sortBy === 'relevance') {
+    if (!isTextSearch) return { sort: { leadDateTime: sortDir }, projection: null };
+    return {
+      sort: { score: { $meta: 'textScore' }, leadDateTime: -1 },
+      projection: { score: { $meta: 'textScore' } }
+    };
+  }
+  return { sort: { [sortBy]: sortDir }, projection: null };
+}
+
+/**
+ * Facet counts for the current query. Each facet is counted with every filter applied except its
+ * own, so the dashboard can show how many leads each alternative value would return.
+ * @returns {Promise<Object<string, Array<{ value: string, count: number }>>>}
+ */
+async function getLeadFacets(scope, value) {
+  const selected = Object.keys(LEAD_FACETS).filter((facet) => value[facet]);
+  // Everything except the facet filters; those are applied per facet below.
+  const base = buildLeadFilter(scope, Object.fromEntries(
+    Object.entries(value).filter(([key]) => !LEAD_FACETS[key])
+  ));
+  const cast = (filter) => Lead.find().cast(Lead, filter);
+
+  const facetStages = {};
+  for (const [facet, path] of Object.entries(LEAD_FACETS)) {
+    const others = selected.filter((f) => f !== facet).map((f) => ({ [LEAD_FACETS[f]]: value[f] }));
+    facetStages[facet] = [
+      ...(others.length > 0 ? [{ $match: cast({ $and: others }) }] : []),
+      { $match: { [path]: { $nin: [null, ''] } } },
+      { $group: { _id: `$${path}`, count: { $sum: 1 } } },
+      { $sort: { count: -1, _id: 1 } },
+      { $limit: FACET_BUCKET_LIMIT },
+      { $project: { _id: 0, value: '$_id', count: 1 } }
+    ];
+  }
+
+  const [result] = await Lead.aggregate([
+    { $match: cast(base) },
+    { $facet: facetStages }
+  ]);
+  return result || Object.fromEntries(Object.keys(LEAD_FACETS).map((facet) => [facet, []]));
+}
+
+/**
+ * Paginated, ranked lead search with facet counts.
+ * @param {Object} scope - e.g. { appId } or { userId }
+ * @param {Object} value - validated leadQuerySchema values
+ * @returns {Promise<{ leads: Array, total: number, facets: Object|undefined }>}
+ */
+async function searchLeads(scope, value) {
+  const filter = buildLeadFilter(scope, value);
+  const { sort, projection } = buildLeadSort(value);
+  const page = Number(value.page);
+  const limit = Number(value.limit);
+  const skip = (page - 1) * limit;
+
+  const [leads, total, facets] = await Promise.all([
+    Lead.find(filter, projection).sort(sort).skip(skip).limit(limit).exec(),
+    Lead.countDocuments(filter),
+    value.facets ? getLeadFacets(scope, value) : undefined
+  ]);
+  return { leads, total, facets };
+}
+
+module.exports = {
+  LEAD_FACETS,
+  buildSearchCondition,
+  buildLeadFilter,
+  buildLeadSort,
+  getLeadFacets,
+  searchLeads
+};
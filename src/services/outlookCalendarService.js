@@ -1,6 +1,7 @@
 const { decrypt } = require('../utils/encrypt');
 const { logger } = require('../utils/logger');
 const { computeFreeSlots } = require('./googleCalendarService');
+const { createExceptionEventPayloads } = require('./availabilityExceptionEvents');
 
 function getTenantId() {
   return (process.env.OUTLOOK_CALENDAR_TENANT_ID || 'common').trim();
@@ -275,55 +276,6 @@ async function createEvent(encryptedRefreshToken, _calendarId, payload) {
   }
 }
 
-function buildLocalDateTime(date, hhmm) {
-  return `${date}T${hhmm}:00`;
-}
-
-
-function createExceptionEventPayloads(exception) {
-  const date = exception?.date;
-  const timezone = (exception?.timezone || 'UTC').trim() || 'UTC';
-  const label = (exception?.label || '').trim();
-  if (!date) return [];
-
-  if (exception?.allDayOff) {
-    return [{
-      title: label || 'Not Available',
-      description: 'Assistly availability exception',
-      start: buildLocalDateTime(date, '00:00'),
-      end: buildLocalDateTime(date, '23:59'),
-      timeZone: timezone,
-      showAs: 'busy',
-      categories: ['AssistlyAvailability']
-    }];
-  }
-
-  if (exception?.overrideAllDay) {
-    return [{
-      title: label || 'Available',
-      description: 'Assistly availability exception',
-      start: buildLocalDateTime(date, '00:00'),
-      end: buildLocalDateTime(date, '23:59'),
-      timeZone: timezone,
-      showAs: 'free',
-      categories: ['AssistlyAvailability']
-    }];
-  }
-
-  const slots = Array.isArray(exception?.slots) ? exception.slots : [];
-  return slots
-    .filter((s) => s?.start && s?.end)
-    .map((slot) => ({
-      title: label || 'Available',
-      description: 'Assistly availability exception',
-      start: buildLocalDateTime(date, slot.start),
-      end: buildLocalDateTime(date, slot.end),
-      timeZone: timezone,
-      showAs: 'free',
-      categories: ['AssistlyAvailability']
-    }));
-}
-
 async function syncAvailabilityExceptionToOutlook({
   encryptedRefreshToken,
   calendarId,
@@ -357,28 +309,35 @@ async function syncAvailabilityExceptionToOutlook({
   return { synced: true, eventIds: created };
 }
 
-async function deleteEvent(encryptedRefreshToken, _calendarId, eventId) {
+async function getGraphUserId(encryptedRefreshToken) {
   try {
-    let graphUserId = null;
-    try {
-      const me = await graphRequestWithAutoRefresh('/me?$select=id', encryptedRefreshToken);
-      graphUserId = me?.id || null;
-    } catch (_) {
-      graphUserId = null;
-    }
+    const me = await graphRequestWithAutoRefresh('/me?$select=id', encryptedRefreshToken);
+    return me?.id || null;
+  } catch (_) {
+    return null;
+  }
+}
 
-    const basePaths = [
-      `/me/events/${encodeURIComponent(eventId)}`,
-      `/me/calendar/events/${encodeURIComponent(eventId)}`
-    ];
-    if (graphUserId) {
-      basePaths.push(`/users/${encodeURIComponent(graphUserId)}/events/${encodeURIComponent(eventId)}`);
-      basePaths.push(`/users/${encodeURIComponent(graphUserId)}/calendar/events/${encodeURIComponent(eventId)}`);
-    }
+function buildEventItemPaths(eventId, graphUserId) {
+  const id = encodeURIComponent(eventId);
+  const paths = [
+    `/me/events/${id}`,
+    `/me/calendar/events/${id}`
+  ];
+  if (graphUserId) {
+    paths.push(`/users/${encodeURIComponent(graphUserId)}/events/${id}`);
+    paths.push(`/users/${encodeURIComponent(graphUserId)}/calendar/events/${id}`);
+  }
+  return [...new Set(paths)];
+}
+
+async function deleteEvent(encryptedRefreshToken, _calendarId, eventId) {
+  try {
+    const graphUserId = await getGraphUserId(encryptedRefreshToken);
 
     let deleted = false;
     let lastErr = null;
-    for (const path of [...new Set(basePaths)]) {
+    for (const path of buildEventItemPaths(eventId, graphUserId)) {
       try {
         await graphRequestWithAutoRefresh(path, encryptedRefreshToken, { method: 'DELETE' });
         deleted = true;
@@ -405,6 +364,135 @@ async function deleteEvent(encryptedRefreshToken, _calendarId, eventId) {
   }
 }
 
+async function updateEventTime(encryptedRefreshToken, _calendarId, eventId, payload) {
+  const body = {
+    start: { dateTime: payload.start, timeZone: payload.timeZone || 'UTC' },
+    end: { dateTime: payload.end, timeZone: payload.timeZone || 'UTC' }
+  };
+  try {
+    const graphUserId = await getGraphUserId(encryptedRefreshToken);
+
+    let lastErr = null;
+    for (const path of buildEventItemPaths(eventId, graphUserId)) {
+      try {
+        const event = await graphRequestWithAutoRefresh(path, encryptedRefreshToken, {
+          method: 'PATCH',
+          body: JSON.stringify(body)
+        });
+        return {
+          eventId: event?.id || eventId,
+          link: event?.webLink,
+          start: event?.start?.dateTime ? new Date(event.start.dateTime).toISOString() : payload.start,
+          end: event?.end?.dateTime ? new Date(event.end.dateTime).toISOString() : payload.end,
+          title: event?.subject
+        };
+      } catch (err) {
+        lastErr = err;
+        if (!shouldTryNextGraphPath(err)) {
+          throw err;
+        }
+      }
+    }
+
+    throw lastErr || new Error('Outlook Calendar updateEventTime failed for all Graph paths');
+  } catch (err) {
+    logger.error('Outlook Calendar updateEventTime error', {
+      message: err.message,
+      eventId,
+      responseBody: err.responseBody,
+      wwwAuthenticate: err.wwwAuthenticate,
+      tokenClaims: err.tokenClaims,
+      firstAttempt: err.firstAttempt
+    });
+    throw err;
+  }
+}
+
+/** Graph dateTime requested in UTC (no offset) as ISO 8601. */
+function utcGraphDateTimeToIso(dateTime) {
+  if (!dateTime) return null;
+  return new Date(/(?:[zZ]|[+-]\d{2}:\d{2})$/.test(dateTime) ? dateTime : `${dateTime}Z`).toISOString();
+}
+
+/**
+ * Current state of an event.
+ * @returns {Promise<{ eventId: string, cancelled: boolean, start: string|null, end: string|null, link: string|null }>}
+ *   cancelled is true as well when the event no longer exists
+ */
+async function getEvent(encryptedRefreshToken, eventId) {
+  const graphUserId = await getGraphUserId(encryptedRefreshToken);
+  let lastErr = null;
+  for (const path of buildEventItemPaths(eventId, graphUserId)) {
+    try {
+      const event = await graphRequestWithAutoRefresh(`${path}?$select=id,start,end,isCancelled,webLink`, encryptedRefreshToken, {
+        headers: { Prefer: 'outlook.timezone="UTC"' }
+      });
+      return {
+        eventId: event?.id || eventId,
+        cancelled: !!event?.isCancelled,
+        start: utcGraphDateTimeToIso(event?.start?.dateTime),
+        end: utcGraphDateTimeToIso(event?.end?.dateTime),
+        link: event?.webLink || null
+      };
+    } catch (err) {
+      lastErr = err;
+      if (!shouldTryNextGraphPath(err)) throw err;
+    }
+  }
+  if (Number(lastErr?.status) === 404) return { eventId, cancelled: true, start: null, end: null, link: null };
+  throw lastErr || new Error('Outlook Calendar getEvent failed for all Graph paths');
+}
+
+/**
+ * Subscribe to changes of the user's calendar events. Graph first validates notificationUrl.
+ * @param {string} encryptedRefreshToken
+ * @param {{ notificationUrl: string, clientState: string, expiresAt: Date }} subscription
+ * @returns {Promise<{ subscriptionId: string, expiresAt: Date }>}
+ */
+async function createSubscription(encryptedRefreshToken, { notificationUrl, clientState, expiresAt }) {
+  try {
+    const created = await graphRequestWithAutoRefresh('/subscriptions', encryptedRefreshToken, {
+      method: 'POST',
+      body: JSON.stringify({
+        changeType: 'updated,deleted',
+        notificationUrl,
+        resource: 'me/events',
+        expirationDateTime: expiresAt.toISOString(),
+        clientState
+      })
+    });
+    return { subscriptionId: created.id, expiresAt: new Date(created.expirationDateTime || expiresAt) };
+  } catch (err) {
+    logger.error('Outlook Calendar createSubscription error', { message: err.message, responseBody: err.responseBody });
+    throw err;
+  }
+}
+
+/**
+ * Extend a subscription.
+ * @returns {Promise<Date>} new expiry
+ */
+async function renewSubscription(encryptedRefreshToken, subscriptionId, expiresAt) {
+  const renewed = await graphRequestWithAutoRefresh(`/subscriptions/${encodeURIComponent(subscriptionId)}`, encryptedRefreshToken, {
+    method: 'PATCH',
+    body: JSON.stringify({ expirationDateTime: expiresAt.toISOString() })
+  });
+  return new Date(renewed?.expirationDateTime || expiresAt);
+}
+
+/** Delete a subscription. Subscriptions that already expired are ignored. */
+async function deleteSubscription(encryptedRefreshToken, subscriptionId) {
+  try {
+    await graphRequestWithAutoRefresh(`/subscriptions/${encodeURIComponent(subscriptionId)}`, encryptedRefreshToken, { method: 'DELETE' });
+    return true;
+  } catch (err) {
+    if (Number(err?.status) !== 404) {
+      logger.warn('Outlook Calendar deleteSubscription error', { message: err.message, subscriptionId });
+    }
+    return false;
+  }
+}
+
 module.exports = {
   getAccessTokenFromRefreshToken,
   getCalendarAccountEmail,
@@ -412,5 +500,10 @@ module.exports = {
   computeFreeSlots,
   createEvent,
   deleteEvent,
-  syncAvailabilityExceptionToOutlook
+  updateEventTime,
+  syncAvailabilityExceptionToOutlook,
+  getEvent,
+  createSubscription,
+  renewSubscription,
+  deleteSubscription
 };
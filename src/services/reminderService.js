@@ -0,0 +1,389 @@
+/**
+ * Appointment reminders over email, SMS and WhatsApp. Each reminder is a row in Mongo
+ * (AppointmentReminder) picked up by a polling worker when due, so a restart never loses one.
+ * Reminders follow their appointment: moving it reschedules them, cancelling it cancels them.
+ */
+const twilio = require('twilio');
+const { AppointmentReminder } = require('../models/AppointmentReminder');
+const { ReminderSettings, DEFAULT_REMINDER_SETTINGS } = require('../models/ReminderSettings');
+const { Appointment } = require('../models/Appointment');
+const { App } = require('../models/App');
+const { ACTIVE_APPOINTMENT_STATUSES } = require('../enums/appointmentStatuses');
+const { REMINDER_CHANNELS } = require('../enums/reminderChannels');
+const { buildBookingEmailContext, getManageLink, resolvePublicBackendBaseUrl } = require('./bookingContextService');
+const { createWhatsAppSenderServiceForAccount, getWhatsAppSenderService } = require('./whatsappSenderService');
+const { decryptAuthToken } = require('../utils/twilioSubaccountToken');
+const { backoffDelayMs } = require('../utils/backoff');
+const EmailService = require('../utils/emailService');
+const SmsService = require('../utils/smsService');
+const { logger } = require('../utils/logger');
+
+const MAX_ATTEMPTS = Math.max(1, parseInt(process.env.REMINDER_MAX_ATTEMPTS, 10) || 3);
+const POLL_INTERVAL_MS = parseInt(process.env.REMINDER_POLL_INTERVAL_MS, 10) || 30000;
+const BATCH_SIZE = 20;
+// Retries of a failed send: 1m, 2m, 4m ... capped at 30m, since a late reminder is worth little.
+const RETRY_POLICY = { baseMs: 60 * 1000, maxMs: 30 * 60 * 1000 };
+// A reminder stuck in 'sending' longer than this (worker crashed mid-send) is picked up again.
+const STALE_LOCK_MS = 5 * 60 * 1000;
+// Twilio message statuses that end a reminder's delivery tracking.
+const TWILIO_DELIVERED_STATUSES = ['delivered', 'read'];
+const TWILIO_FAILED_STATUSES = ['failed', 'undelivered'];
+
+let workerTimer = null;
+let workerRunning = false;
+
+function reminderKey(channel, offsetMinutes) {
+  return `${channel}:${offsetMinutes}`;
+}
+
+function isActive(appointment) {
+  return !!appointment && ACTIVE_APPOINTMENT_STATUSES.includes(appointment.status);
+}
+
+/** URL Twilio posts message status updates to; null when the backend URL is not configured. */
+function buildStatusCallbackUrl() {
+  const backendUrl = (process.env.BACKEND_URL || process.env.API_BASE_URL || '').replace(/\/$/, '');
+  if (!backendUrl) return null;
+  const apiPrefix = process.env.API_PREFIX || '/api';
+  const apiVersion = process.env.API_VERSION || 'v1';
+  return `${backendUrl}${apiPrefix}/${apiVersion}/reminders/twilio/status`;
+}
+
+class ReminderService {
+  /**
+   * Reminder rules for an app, with defaults for apps that never saved any.
+   * @param {string} appId
+   * @returns {Promise<Object>} ReminderSettings values
+   */
+  static async getSettings(appId) {
+    const doc = await ReminderSettings.findOne({ owner: appId })
+      .select(Object.keys(DEFAULT_REMINDER_SETTINGS).join(' '))
+      .lean()
+      .exec();
+    const settings = { ...DEFAULT_REMINDER_SETTINGS };
+    for (const key of Object.keys(DEFAULT_REMINDER_SETTINGS)) {
+      if (doc && doc[key] !== undefined) settings[key] = doc[key];
+    }
+    return settings;
+  }
+
+  /**
+   * Bring an appointment's pending reminders in line with its current start time and status:
+   * reminders for an old start time, or for a cancelled/finished appointment, are cancelled and
+   * missing future ones are queued. Safe to call repeatedly. Never throws.
+   * @param {Object} appointment - Appointment document
+   * @returns {Promise<number>} reminders queued
+   */
+  static async syncForAppointment(appointment) {
+    if (!appointment) return 0;
+    try {
+      const settings = await this.getSettings(appointment.owner);
+      const startAt = new Date(appointment.startAt);
+      const wanted = isActive(appointment) && settings.enabled
+        ? new Set(settings.channels.flatMap((c) => settings.offsetsMinutes.map((o) => reminderKey(c, o))))
+        : new Set();
+
+      const existing = await AppointmentReminder.find({
+        appointmentId: appointment._id,
+        status: { $ne: 'cancelled' }
+      }).select('channel offsetMinutes appointmentStartAt status').lean();
+
+      const stale = existing.filter((r) => r.status === 'pending'
+        && (r.appointmentStartAt.getTime() !== startAt.getTime() || !wanted.has(reminderKey(r.channel, r.offsetMinutes))));
+      if (stale.length > 0) {
+        await AppointmentReminder.updateMany(
+          { _id: { $in: stale.map((r) => r._id) }, status: 'pending' },
+          { $set: { status: 'cancelled', cancelledAt: new Date() } }
+        );
+      }
+
+      const staleIds = new Set(stale.map((r) => String(r._id)));
+      const current = new Set(existing
+        .filter((r) => !staleIds.has(String(r._id)) && r.appointmentStartAt.getTime() === startAt.getTime())
+        .map((r) => reminderKey(r.channel, r.offsetMinutes)));
+
+      const now = Date.now();
+      const toQueue = [];
+      for (const key of wanted) {
+        if (current.has(key)) continue;
+        const [channel, offset] = key.split(':');
+        const sendAt = new Date(startAt.getTime() - Number(offset) * 60 * 1000);
+        // Offsets that have already passed (e.g. a booking made 30 minutes ahead) are not sent late.
+        if (sendAt.getTime() <= now) continue;
+        toQueue.push({
+          appId: appointment.owner,
+          appointmentId: appointment._id,
+          channel,
+          offsetMinutes: Number(offset),
+          appointmentStartAt: startAt,
+          sendAt,
+          maxAttempts: MAX_ATTEMPTS
+        });
+      }
+      if (toQueue.length === 0) return 0;
+      try {
+        await AppointmentReminder.insertMany(toQueue, { ordered: false });
+      } catch (error) {
+        // A concurrent sync queued some of them first; the unique index kept those out and the rest were inserted.
+        const writeErrors = [].concat(error.writeErrors || []);
+        if (writeErrors.length === 0 || writeErrors.some((e) => e.code !== 11000)) throw error;
+        return toQueue.length - writeErrors.length;
+      }
+      return toQueue.length;
+    } catch (error) {
+      logger.error('Failed to schedule appointment reminders', { appointmentId: String(appointment._id), error: error.message });
+      return 0;
+    }
+  }
+
+  /** Cancel every pending reminder of an appointment (e.g. it was deleted). Never throws. */
+  static async cancelForAppointment(appointmentId) {
+    try {
+      const result = await AppointmentReminder.updateMany(
+        { appointmentId, status: 'pending' },
+        { $set: { status: 'cancelled', cancelledAt: new Date() } }
+      );
+      return result.modifiedCount || 0;
+    } catch (error) {
+      logger.error('Failed to cancel appointment reminders', { appointmentId: String(appointmentId), error: error.message });
+      return 0;
+    }
+  }
+
+  /** Close a claimed reminder without sending it. */
+  static async finish(reminder, status, error) {
+    reminder.status = status;
+    reminder.error = error;
+    reminder.lockedAt = null;
+    if (status === 'cancelled') reminder.cancelledAt = new Date();
+    await reminder.save();
+    return reminder;
+  }
+
+  /**
+   * Send one reminder and record the outcome. The appointment is re-checked first, so a reminder
+   * that slipped past a cancel/reschedule is dropped rather than sent for the wrong time.
+   * @param {Object} reminder - AppointmentReminder document already locked ('sending')
+   */
+  static async attempt(reminder) {
+    const appointment = await Appointment.findById(reminder.appointmentId);
+    if (!isActive(appointment)) {
+      return this.finish(reminder, 'cancelled', 'Appointment is no longer active');
+    }
+    if (appointment.startAt.getTime() !== reminder.appointmentStartAt.getTime()) {
+      return this.finish(reminder, 'cancelled', 'Appointment was moved');
+    }
+    if (appointment.startAt.getTime() <= Date.now()) {
+      return this.finish(reminder, 'skipped', 'Appointment has already started');
+    }
+    const settings = await this.getSettings(reminder.appId);
+    if (!settings.enabled || !settings.channels.includes(reminder.channel)) {
+      return this.finish(reminder, 'skipped', `Reminders over ${reminder.channel} are turned off for this app`);
+    }
+
+    reminder.attempts += 1;
+    reminder.lastAttemptAt = new Date();
+    try {
+      const result = await this.send(reminder, appointment, settings);
+      if (!result) {
+        return this.finish(reminder, 'skipped', `No ${reminder.channel === REMINDER_CHANNELS.EMAIL ? 'email address' : 'phone number'} for the attendee`);
+      }
+      reminder.status = 'sent';
+      reminder.sentAt = new Date();
+      reminder.recipient = result.recipient;
+      reminder.providerMessageId = result.messageId || null;
+      reminder.providerStatus = result.status || null;
+      reminder.error = null;
+    } catch (error) {
+      reminder.error = error.message;
+      const retryAt = new Date(Date.now() + backoffDelayMs(reminder.attempts, RETRY_POLICY));
+      if (reminder.attempts < reminder.maxAttempts && retryAt < appointment.startAt) {
+        reminder.status = 'pending';
+        reminder.sendAt = retryAt;
+      } else {
+        reminder.status = 'failed';
+      }
+      logger.warn('Appointment reminder failed', {
+        reminderId: String(reminder._id),
+        channel: reminder.channel,
+        attempts: reminder.attempts,
+        error: error.message
+      });
+    }
+    reminder.lockedAt = null;
+    await reminder.save();
+    return reminder;
+  }
+
+  /**
+   * Deliver a reminder over its channel.
+   * @returns {Promise<{ recipient: string, messageId?: string, status?: string }|null>} null when the
+   *   attendee has no address for the channel
+   */
+  static async send(reminder, appointment, settings) {
+    const { businessData, formatInCalTz } = await buildBookingEmailContext(
+      String(appointment.owner),
+      resolvePublicBackendBaseUrl(null)
+    );
+    const customerName = appointment.attendee?.name || 'there';
+    const serviceName = appointment.title || 'appointment';
+    const startText = formatInCalTz(appointment.startAt.toISOString());
+    const manageLink = await getManageLink(appointment);
+    const statusCallback = buildStatusCallbackUrl();
+
+    if (reminder.channel === REMINDER_CHANNELS.EMAIL) {
+      const email = appointment.attendee?.email;
+      if (!email) return null;
+      const result = await new EmailService().sendAppointmentReminderEmail(
+        { name: appointment.attendee?.name || 'Customer', email },
+        {
+          serviceName: appointment.title || 'Appointment',
+          startText,
+          endText: formatInCalTz(appointment.endAt.toISOString()),
+          link: appointment.link || '',
+          manageLink
+        },
+        businessData
+      );
+      return { recipient: email, messageId: result.messageId };
+    }
+
+    const phone = appointment.attendee?.phone;
+    if (!phone) return null;
+    const body = `Hi ${customerName}, a reminder of your ${serviceName} with ${businessData.companyName} on ${startText}.`
+      + (manageLink ? ` Reschedule or cancel: ${manageLink}` : '');
+
+    if (reminder.channel === REMINDER_CHANNELS.SMS) {
+      const result = await new SmsService().sendSms({ to: phone, body, ...(statusCallback && { statusCallback }) });
+      return { recipient: phone, messageId: result.messageSid, status: result.status };
+    }
+
+    const app = await App.findById(appointment.owner)
+      .select('+twilioSubaccountAuthTokenEnc whatsappNumber whatsappNumberStatus twilioSubaccountSid')
+      .lean();
+    if (!app?.whatsappNumber || app.whatsappNumberStatus !== 'registered') {
+      throw new Error('WhatsApp sender is not registered for this app');
+    }
+    const subaccountToken = decryptAuthToken(app.twilioSubaccountAuthTokenEnc);
+    const sender = app.twilioSubaccountSid && subaccountToken
+      ? createWhatsAppSenderServiceForAccount(app.twilioSubaccountSid, subaccountToken)
+      : getWhatsAppSenderService();
+    const result = await sender.sendMessage({
+      from: app.whatsappNumber,
+      to: phone,
+      ...(settings.whatsappContentSid
+        ? {
+          contentSid: settings.whatsappContentSid,
+          // Template variables: {{1}} name, {{2}} service, {{3}} time, {{4}} business
+          contentVariables: { 1: customerName, 2: serviceName, 3: startText, 4: businessData.companyName }
+        }
+        : { body }),
+      ...(statusCallback && { statusCallback })
+    });
+    return { recipient: phone, messageId: result.sid, status: result.status };
+  }
+
+  /**
+   * Auth token that signs status callbacks for a Twilio account: the platform account, or the
+   * subaccount of the app that sent the message.
+   * @returns {Promise<string|null>}
+   */
+  static async getAuthTokenForAccount(accountSid) {
+    if (!accountSid) return null;
+    if (accountSid === process.env.TWILIO_ACCOUNT_SID) return process.env.TWILIO_AUTH_TOKEN || null;
+    const app = await App.findOne({ twilioSubaccountSid: accountSid }).select('+twilioSubaccountAuthTokenEnc').lean();
+    return decryptAuthToken(app?.twilioSubaccountAuthTokenEnc);
+  }
+
+  /**
+   * Check the X-Twilio-Signature of a status callback.
+   * @param {string} signature
+   * @param {Object} params - form-encoded callback body
+   * @returns {Promise<boolean>}
+   */
+  static async verifyStatusCallback(signature, params) {
+    const url = buildStatusCallbackUrl();
+    const authToken = await this.getAuthTokenForAccount(params?.AccountSid);
+    if (!url || !authToken || !signature) return false;
+    return twilio.validateRequest(authToken, signature, url, params);
+  }
+
+  /**
+   * Record a Twilio message status update (SMS/WhatsApp) on the reminder that sent the message.
+   * Delivered reminders are never moved back to an earlier state.
+   * @returns {Promise<Object|null>} updated reminder, or null when the message is not a reminder
+   */
+  static async recordProviderStatus({ messageSid, status, errorCode }) {
+    if (!messageSid || !status) return null;
+    const reminder = await AppointmentReminder.findOne({ providerMessageId: messageSid });
+    if (!reminder || reminder.status === 'delivered') return reminder;
+
+    const normalized = String(status).toLowerCase();
+    reminder.providerStatus = normalized;
+    if (TWILIO_DELIVERED_STATUSES.includes(normalized)) {
+      reminder.status = 'delivered';
+      reminder.deliveredAt = new Date();
+    } else if (TWILIO_FAILED_STATUSES.includes(normalized)) {
+      reminder.status = 'failed';
+      reminder.error = errorCode ? `Twilio reported ${normalized} (error ${errorCode})` : `Twilio reported ${normalized}`;
+    }
+    await reminder.save();
+    return reminder;
+  }
+
+  /**
+   * Atomically claim the next due reminder, reclaiming ones whose lock has gone stale.
+   * @returns {Promise<Object|null>}
+   */
+  static async claimNext() {
+    const now = new Date();
+    return AppointmentReminder.findOneAndUpdate(
+      {
+        $or: [
+          { status: 'pending', sendAt: { $lte: now } },
+          { status: 'sending', lockedAt: { $lte: new Date(now.getTime() - STALE_LOCK_MS) } }
+        ]
+      },
+      { $set: { status: 'sending', lockedAt: now } },
+      { sort: { sendAt: 1 }, new: true }
+    );
+  }
+
+  /** Send up to BATCH_SIZE due reminders. Overlapping runs are skipped. */
+  static async processDue() {
+    if (workerRunning) return 0;
+    workerRunning = true;
+    let processed = 0;
+    try {
+      while (processed < BATCH_SIZE) {
+        const reminder = await this.claimNext();
+        if (!reminder) break;
+        await this.attempt(reminder);
+        processed += 1;
+      }
+    } catch (error) {
+      logger.error('Reminder worker error', { error: error.message });
+    } finally {
+      workerRunning = false;
+    }
+    return processed;
+  }
+
+  static startWorker() {
+    if (workerTimer) return;
+    workerTimer = setInterval(() => {
+      this.processDue().catch(() => {});
+    }, POLL_INTERVAL_MS);
+    if (typeof workerTimer.unref === 'function') workerTimer.unref();
+    logger.info('Appointment reminder worker started');
+  }
+
+  static stopWorker() {
+    if (workerTimer) {
+      clearInterval(workerTimer);
+      workerTimer = null;
+    }
+  }
+}
+
+module.exports = { ReminderService };
@@ -264,6 +264,7 @@ class SeedDataService {
         type: QUESTIONNAIRE_TYPES.SERVICE_PLAN,
         question: plan.name,
         answer: plan.description || '',
+        ...(plan.price?.amount > 0 && { price: { amount: plan.price.amount, currency: plan.price.currency || 'USD' } }),
         isActive: true,
         attachedWorkflows
       };
@@ -0,0 +1,60 @@
+/**
+ * Service plans (Questionnaire items of type SERVICE_PLAN) as bookable services: duration, padding,
+ * price and deposit, and which staff perform them.
+ */
+const mongoose = require('mongoose');
+const { Questionnaire, QUESTIONNAIRE_TYPES } = require('../models/Questionnaire');
+const { AppError } = require('../utils/errorHandler');
+
+const SERVICE_FIELDS = 'question durationMinutes paddingBeforeMinutes paddingAfterMinutes price depositAmount staffIds';
+
+/**
+ * Active service plan of an app.
+ * @param {string} appId
+ * @param {string} serviceId - Questionnaire _id
+ * @returns {Promise<Object>} lean Questionnaire document
+ * @throws {AppError} 400 for a malformed ID, 404 when the app has no such service
+ */
+async function getServicePlan(appId, serviceId) {
+  if (!mongoose.isValidObjectId(serviceId)) throw new AppError('Invalid service ID format', 400);
+  const plan = await Questionnaire.findOne({
+    _id: serviceId,
+    owner: appId,
+    type: QUESTIONNAIRE_TYPES.SERVICE_PLAN,
+    isActive: true
+  })
+    .select(SERVICE_FIELDS)
+    .lean()
+    .exec();
+  if (!plan) throw new AppError('Service not found', 404);
+  return plan;
+}
+
+/** Public shape of a service plan in availability and booking responses. */
+function toServiceViewModel(plan) {
+  return {
+    id: String(plan._id),
+    name: plan.question,
+    durationMinutes: plan.durationMinutes || null,
+    paddingBeforeMinutes: plan.paddingBeforeMinutes || 0,
+    paddingAfterMinutes: plan.paddingAfterMinutes || 0,
+    price: plan.price?.amount != null ? { amount: plan.price.amount, currency: plan.price.currency } : null,
+    depositAmount: plan.depositAmount ?? null
+  };
+}
+
+/** Booking rules with the service's padding added to the app's buffers. */
+function withServicePadding(rules, plan) {
+  if (!plan) return rules;
+  return {
+    ...rules,
+    bufferBeforeMinutes: (rules.bufferBeforeMinutes || 0) + (plan.paddingBeforeMinutes || 0),
+    bufferAfterMinutes: (rules.bufferAfterMinutes || 0) + (plan.paddingAfterMinutes || 0)
+  };
+}
+
+module.exports = {
+  getServicePlan,
+  toServiceViewModel,
+  withServicePadding
+};
@@ -0,0 +1,248 @@
+/**
+ * Slot holds: a chat session reserves a time for a few minutes between the bot offering it and the
+ * customer confirming, so other sessions are neither offered nor able to book it meanwhile. Also the
+ * nearby free times offered when a requested time is no longer available.
+ */
+const mongoose = require('mongoose');
+const { SlotHold, DEFAULT_HOLD_MINUTES } = require('../models/SlotHold');
+const { Availability } = require('../models/Availability');
+const { getProviderForApp, loadSlotInputs, isTimeAvailable } = require('./calendarBookingService');
+const { listBookableStaff, getStaffAvailability, assignStaff } = require('./staffSchedulingService');
+const { getAvailabilitySettings } = require('./availabilityRulesService');
+const { generateSlotsFromRules, isAllowedSlotMinutes } = require('./availabilitySlotGenerator');
+const { withServicePadding } = require('./servicePlanService');
+const { AppError } = require('../utils/errorHandler');
+const { logger } = require('../utils/logger');
+
+const MINUTE_MS = 60 * 1000;
+const ALTERNATIVES_RANGE_DAYS = 7;
+const MAX_ALTERNATIVES = 5;
+
+/** Public shape of a hold in API responses. */
+function toHoldViewModel(hold) {
+  return {
+    holdId: String(hold._id),
+    sessionId: hold.sessionId,
+    start: new Date(hold.start).toISOString(),
+    end: new Date(hold.end).toISOString(),
+    staffId: hold.staffId ? String(hold.staffId) : null,
+    serviceId: hold.serviceId ? String(hold.serviceId) : null,
+    expiresAt: new Date(hold.expiresAt).toISOString()
+  };
+}
+
+/** Unexpired hold of the app, or null. */
+async function findActiveHold(appId, holdId) {
+  if (!mongoose.isValidObjectId(holdId)) return null;
+  return SlotHold.findOne({ _id: holdId, owner: appId, expiresAt: { $gt: new Date() } }).lean().exec();
+}
+
+/**
+ * Unexpired hold of the app.
+ * @throws {AppError} 400 for a malformed ID, 404 when the hold does not exist or has expired
+ */
+async function getActiveHold(appId, holdId) {
+  if (!mongoose.isValidObjectId(holdId)) throw new AppError('Invalid hold ID format', 400);
+  const hold = await findActiveHold(appId, holdId);
+  if (!hold) throw new AppError('Hold not found or expired', 404);
+  return hold;
+}
+
+/**
+ * Nearest free times of the same length as [start, end), from the requested day up to a week later,
+ * for the same staff candidates (or the app calendar) and service.
+ * @param {string} appId
+ * @param {Object} params
+ * @param {string} params.start - ISO 8601
+ * @param {string} params.end - ISO 8601
+ * @param {Array<Object>|null} [params.candidates] - from listBookableStaff; null for apps without staff
+ * @param {Object|null} [params.service] - service plan (padding)
+ * @param {string|null} [params.sessionId] - chat session whose own holds stay bookable
+ * @param {Object|null} [params.provider] - app calendar provider
+ * @param {Object|null} [params.integration]
+ * @returns {Promise<Array<{ start: string, end: string }>>} at most MAX_ALTERNATIVES, in time order
+ */
+async function findAlternativeTimes(appId, { start, end, candidates = null, service = null, sessionId = null, provider = null, integration = null }) {
+  try {
+    const startTs = new Date(start).getTime();
+    const durationMinutes = Math.round((new Date(end).getTime() - startTs) / MINUTE_MS);
+    if (!(durationMinutes >= 5 && durationMinutes <= 720)) return [];
+
+    const dayStart = new Date(startTs);
+    dayStart.setUTCHours(0, 0, 0, 0);
+    const timeMin = new Date(Math.max(dayStart.getTime(), Date.now())).toISOString();
+    const timeMax = new Date(dayStart.getTime() + ALTERNATIVES_RANGE_DAYS * 24 * 60 * MINUTE_MS).toISOString();
+    const slotMinutes = isAllowedSlotMinutes(integration?.calendarSlotMinutes) ? integration.calendarSlotMinutes : 30;
+    const bookingRules = await getAvailabilitySettings(appId);
+    const intervalMinutes = bookingRules.startIntervalMinutes || slotMinutes;
+    const defaultTimezone = integration?.googleCalendarTimezone || null;
+
+    let freeSlots = [];
+    if (candidates) {
+      const { pooled } = await getStaffAvailability(appId, candidates, {
+        timeMin, timeMax, slotMinutes, durationMinutes, intervalMinutes, service, sessionId, defaultTimezone
+      });
+      freeSlots = pooled;
+    } else if (provider) {
+      const inputs = await loadSlotInputs(appId, timeMin, timeMax, { sessionId });
+      const providerAvailability = await provider.getAvailableSlots(timeMin, timeMax, { slotMinutes });
+      freeSlots = generateSlotsFromRules({
+        timeMin,
+        timeMax,
+        weeklyAvailability: inputs.weeklyAvailability,
+        exceptions: inputs.exceptions,
+        schedules: inputs.schedules,
+        providerBusy: providerAvailability.busy || [],
+        holds: inputs.holds,
+        slotMinutes,
+        durationMinutes,
+        intervalMinutes,
+        defaultTimezone,
+        rules: withServicePadding(bookingRules, service),
+        existingBookings: inputs.existingBookings
+      });
+    }
+
+    const distance = (slot) => Math.abs(new Date(slot.start).getTime() - startTs);
+    return freeSlots
+      .filter((slot) => new Date(slot.start).getTime() !== startTs)
+      .sort((a, b) => distance(a) - distance(b))
+      .slice(0, MAX_ALTERNATIVES)
+      .sort((a, b) => new Date(a.start).getTime() - new Date(b.start).getTime());
+  } catch (error) {
+    // Alternatives are a courtesy; the unavailable result is returned without them.
+    logger.warn('Failed to find alternative times', { appId, error: error.message });
+    return [];
+  }
+}
+
+/**
+ * Create a hold on a time that has already been checked to be free. Two sessions can pass the check at
+ * the same moment; the earlier hold wins and the later one is removed again.
+ * @returns {Promise<Object|null>} the hold, or null when another session held the time first
+ */
+async function holdSlot(appId, { sessionId, start, end, staffId = null, serviceId = null, expiresAt }) {
+  const hold = await SlotHold.create({ owner: appId, sessionId, start, end, staffId, serviceId, expiresAt });
+  const earlier = await SlotHold.findOne({
+    owner: appId,
+    staffId,
+    sessionId: { $ne: sessionId },
+    expiresAt: { $gt: new Date() },
+    start: { $lt: hold.end },
+    end: { $gt: hold.start },
+    _id: { $lt: hold._id }
+  }).select('_id').lean().exec();
+  if (earlier) {
+    await SlotHold.deleteOne({ _id: hold._id });
+    return null;
+  }
+  return hold;
+}
+
+/**
+ * Hold [start, end) for a chat session after re-checking that it is free (calendar, hours, booking rules
+ * and other sessions' holds). In apps with staff the hold is with the staff member the booking would be
+ * assigned to. A session has one hold at a time: placing a new one releases its earlier holds.
+ * @param {string} appId
+ * @param {Object} params
+ * @param {string} params.sessionId
+ * @param {string} params.start - ISO 8601
+ * @param {string} [params.end] - ISO 8601; defaults to start + the service's duration
+ * @param {Object|null} [params.service] - from servicePlanService.getServicePlan
+ * @param {string|null} [params.staffId] - requested staff member
+ * @param {number} [params.ttlMinutes]
+ * @returns {Promise<{ hold: Object|null, error: string|null, unavailable: boolean, alternatives: Array,
+ *   calendarConnected: boolean, providerType: string|null }>}
+ */
+async function placeHold(appId, { sessionId, start, end = null, service = null, staffId = null, ttlMinutes = DEFAULT_HOLD_MINUTES }) {
+  const startIso = new Date(start).toISOString();
+  let endIso = end ? new Date(end).toISOString() : null;
+  if (!endIso && service?.durationMinutes) {
+    endIso = new Date(new Date(startIso).getTime() + service.durationMinutes * MINUTE_MS).toISOString();
+  }
+  if (!endIso) throw new AppError('end is required unless the service has a duration', 400);
+
+  const { provider, providerType, integration } = await getProviderForApp(appId);
+  let candidates = await listBookableStaff(appId, { service, staffId });
+  // Same rule as booking: without an app calendar only staff with their own calendar can take bookings.
+  if (candidates && !provider) candidates = candidates.filter((s) => s.calendarConnected);
+  if (!provider && !(candidates && candidates.length > 0)) {
+    return { hold: null, error: 'No calendar connected for this app.', unavailable: false, alternatives: [], calendarConnected: false, providerType: null };
+  }
+
+  const unavailableResult = async () => ({
+    hold: null,
+    error: 'The requested time is no longer available.',
+    unavailable: true,
+    alternatives: await findAlternativeTimes(appId, { start: startIso, end: endIso, candidates, service, sessionId, provider, integration }),
+    calendarConnected: true,
+    providerType: providerType || null
+  });
+
+  let heldStaffId = null;
+  if (candidates) {
+    const bookingRules = await getAvailabilitySettings(appId);
+    const weeklyDoc = await Availability.findOne({ owner: appId, staffId: null }).select('timezone').lean().exec();
+    const assignment = await assignStaff(appId, {
+      candidates,
+      start: startIso,
+      end: endIso,
+      strategy: bookingRules.staffAssignment,
+      requestedStaffId: staffId,
+      integration,
+      timezone: weeklyDoc?.timezone || integration?.googleCalendarTimezone || 'UTC',
+      sessionId
+    });
+    if (assignment.unavailable) return unavailableResult();
+    if (!assignment.staff) {
+      return { hold: null, error: assignment.error, unavailable: false, alternatives: [], calendarConnected: true, providerType: providerType || null };
+    }
+    heldStaffId = assignment.staff._id;
+  } else {
+    const available = await isTimeAvailable({ appId, provider, integration, start: startIso, end: endIso, sessionId });
+    if (!available) return unavailableResult();
+  }
+
+  const hold = await holdSlot(appId, {
+    sessionId,
+    start: startIso,
+    end: endIso,
+    staffId: heldStaffId,
+    serviceId: service?._id || null,
+    expiresAt: new Date(Date.now() + ttlMinutes * MINUTE_MS)
+  });
+  if (!hold) return unavailableResult();
+
+  await SlotHold.deleteMany({ owner: appId, sessionId, _id: { $ne: hold._id } });
+  return { hold, error: null, unavailable: false, alternatives: [], calendarConnected: true, providerType: providerType || null };
+}
+
+/**
+ * Release a hold so its time is offered again.
+ * @returns {Promise<boolean>} false when there was no such hold (e.g. it already expired)
+ */
+async function releaseHold(appId, holdId) {
+  if (!mongoose.isValidObjectId(holdId)) throw new AppError('Invalid hold ID format', 400);
+  const result = await SlotHold.deleteOne({ _id: holdId, owner: appId });
+  return result.deletedCount > 0;
+}
+
+/** Drop every hold of a chat session, e.g. once it has booked. Never throws. */
+async function releaseSessionHolds(appId, sessionId) {
+  try {
+    await SlotHold.deleteMany({ owner: appId, sessionId });
+  } catch (error) {
+    logger.warn('Failed to release slot holds of session', { appId, error: error.message });
+  }
+}
+
+module.exports = {
+  toHoldViewModel,
+  findActiveHold,
+  getActiveHold,
+  findAlternativeTimes,
+  holdSlot,
+  placeHold,
+  releaseHold,
+  releaseSessionHolds
+};
@@ -0,0 +1,172 @@
+/**
+ * Scheduling for apps with several staff members: which staff can take a booking, their free slots
+ * (per staff member or pooled), and which of them a new booking is assigned to.
+ * Apps without active staff keep the single app-wide calendar flow in routes/calendar.
+ */
+const mongoose = require('mongoose');
+const { StaffMember } = require('../models/StaffMember');
+const { generateSlotsFromRules, toDateStrInTimezone } = require('./availabilitySlotGenerator');
+const { AppointmentService } = require('./appointmentService');
+const { getProviderForStaff, loadSlotInputs, isTimeAvailable } = require('./calendarBookingService');
+const { withServicePadding } = require('./servicePlanService');
+const { STAFF_ASSIGNMENT } = require('../enums/staffAssignment');
+const { AppError } = require('../utils/errorHandler');
+const { logger } = require('../utils/logger');
+
+/**
+ * Active staff who can take a booking, optionally narrowed to one service plan's staff and/or one
+ * chosen staff member.
+ * @param {string} appId
+ * @param {{ service?: Object, staffId?: string }} [opts] - service: plan from servicePlanService.getServicePlan
+ * @returns {Promise<Array<Object>|null>} null when the app has no active staff at all
+ */
+async function listBookableStaff(appId, { service = null, staffId = null } = {}) {
+  const staff = await StaffMember.find({ owner: appId, isActive: true })
+    .sort({ order: 1, createdAt: 1 })
+    .select('name calendarConnected calendarProvider lastAssignedAt order')
+    .lean()
+    .exec();
+  if (staff.length === 0) return null;
+
+  let candidates = staff;
+  const allowed = new Set((service?.staffIds || []).map(String));
+  if (allowed.size > 0) candidates = candidates.filter((s) => allowed.has(String(s._id)));
+  if (staffId) {
+    if (!mongoose.isValidObjectId(staffId)) throw new AppError('Invalid staff ID format', 400);
+    candidates = candidates.filter((s) => String(s._id) === String(staffId));
+    if (candidates.length === 0) {
+      throw new AppError(service ? 'This staff member does not perform this service' : 'Staff member not found', 404);
+    }
+  }
+  return candidates;
+}
+
+/**
+ * Free slots of one staff member in [timeMin, timeMax]: their hours and exceptions, busy times of their
+ * own calendar (if connected) and their booked appointments. With a service, slots are whole
+ * appointments of its duration, starting every intervalMinutes.
+ * @returns {Promise<{ freeSlots: Array<{ start: string, end: string }>, calendarConnected: boolean }>}
+ */
+async function getStaffFreeSlots(appId, staffMember, { timeMin, timeMax, slotMinutes, durationMinutes = null, intervalMinutes = null, service = null, sessionId = null, defaultTimezone = null }) {
+  const staffId = staffMember._id;
+  const [{ provider }, inputs] = await Promise.all([
+    getProviderForStaff(appId, staffId),
+    loadSlotInputs(appId, timeMin, timeMax, { staffId, sessionId })
+  ]);
+  let calendarBusy = [];
+  if (provider) {
+    const providerAvailability = await provider.getAvailableSlots(timeMin, timeMax, { slotMinutes });
+    if (providerAvailability.success === false) {
+      logger.warn('Staff calendar availability failed', { appId, staffId: String(staffId), error: providerAvailability.error });
+    }
+    calendarBusy = providerAvailability.busy || [];
+  }
+  const freeSlots = generateSlotsFromRules({
+    timeMin,
+    timeMax,
+    weeklyAvailability: inputs.weeklyAvailability,
+    exceptions: inputs.exceptions,
+    schedules: inputs.schedules,
+    providerBusy: [...calendarBusy, ...inputs.staffBusy],
+    holds: inputs.holds,
+    slotMinutes,
+    durationMinutes,
+    intervalMinutes,
+    defaultTimezone,
+    rules: withServicePadding(inputs.bookingRules, service),
+    existingBookings: inputs.existingBookings
+  });
+  return { freeSlots, calendarConnected: !!provider };
+}
+
+/**
+ * Free slots of every candidate staff member, and the pooled slots (each start offered by at least one
+ * of them, with the staffIds who are free).
+ * @param {string} appId
+ * @param {Array<Object>} candidates - from listBookableStaff
+ * @param {{ timeMin: string, timeMax: string, slotMinutes: number, durationMinutes?: number, intervalMinutes?: number,
+ *   service?: Object, sessionId?: string, defaultTimezone?: string }} range - sessionId: that chat session's
+ *   own holds stay bookable
+ * @returns {Promise<{ staff: Array<{ staffId: string, name: string, calendarConnected: boolean, freeSlots: Array }>, pooled: Array }>}
+ */
+async function getStaffAvailability(appId, candidates, range) {
+  // One staff member at a time: each may call out to their own calendar.
+  const staff = [];
+  for (const member of candidates) {
+    const { freeSlots, calendarConnected } = await getStaffFreeSlots(appId, member, range);
+    staff.push({ staffId: String(member._id), name: member.name, calendarConnected, freeSlots });
+  }
+
+  const byStart = new Map();
+  for (const entry of staff) {
+    for (const slot of entry.freeSlots) {
+      const pooled = byStart.get(slot.start);
+      if (pooled) pooled.staffIds.push(entry.staffId);
+      else byStart.set(slot.start, { ...slot, staffIds: [entry.staffId] });
+    }
+  }
+  const pooled = [...byStart.values()].sort((a, b) => new Date(a.start).getTime() - new Date(b.start).getTime());
+  return { staff, pooled };
+}
+
+/**
+ * Pick the staff member for a booking of [start, end) among candidates who are free then.
+ * A requested staffId (customer choice) is always honoured if that staff member is free.
+ * @param {string} appId
+ * @param {Object} params
+ * @param {Array<Object>} params.candidates - from listBookableStaff
+ * @param {string} params.start - ISO 8601
+ * @param {string} params.end - ISO 8601
+ * @param {string} params.strategy - STAFF_ASSIGNMENT value
+ * @param {string|null} [params.requestedStaffId]
+ * @param {Object} [params.integration] - app Integration (calendar timezone)
+ * @param {string} [params.timezone] - timezone of the booking rules, for least-busy day counts
+ * @param {string} [params.sessionId] - chat session booking; its own slot holds do not block it
+ * @returns {Promise<{ staff: Object|null, provider: Object|null, providerType: string|null, error: string|null, unavailable: boolean }>}
+ *   provider is the staff member's own calendar, null when the booking goes into the app's calendar;
+ *   unavailable is true when no candidate is free at that time
+ */
+async function assignStaff(appId, { candidates, start, end, strategy, requestedStaffId = null, integration = null, timezone = 'UTC', sessionId = null }) {
+  if (!requestedStaffId && strategy === STAFF_ASSIGNMENT.CUSTOMER_CHOICE && candidates.length > 1) {
+    return { staff: null, provider: null, providerType: null, error: 'Please choose a staff member for this appointment.', unavailable: false };
+  }
+
+  const free = [];
+  for (const member of candidates) {
+    const { provider, providerType } = await getProviderForStaff(appId, member._id);
+    const available = await isTimeAvailable({ appId, provider, integration, start, end, staffId: member._id, sessionId });
+    if (available) free.push({ member, provider: provider || null, providerType: providerType || null });
+  }
+  if (free.length === 0) {
+    return {
+      staff: null,
+      provider: null,
+      providerType: null,
+      error: requestedStaffId ? 'The selected staff member is not available at this time.' : 'No staff member is available at this time.',
+      unavailable: true
+    };
+  }
+
+  const lastAssigned = (entry) => (entry.member.lastAssignedAt ? new Date(entry.member.lastAssignedAt).getTime() : 0);
+  if (strategy === STAFF_ASSIGNMENT.LEAST_BUSY && free.length > 1) {
+    const day = toDateStrInTimezone(start, timezone);
+    for (const entry of free) {
+      const bookings = await AppointmentService.getActiveBookings(appId, start, start, { staffId: entry.member._id });
+      entry.bookedThatDay = bookings.filter((b) => toDateStrInTimezone(b.start, timezone) === day).length;
+    }
+    free.sort((a, b) => (a.bookedThatDay - b.bookedThatDay) || (lastAssigned(a) - lastAssigned(b)));
+  } else {
+    // Round-robin (and customer choice without a choice): whoever was assigned longest ago.
+    free.sort((a, b) => lastAssigned(a) - lastAssigned(b));
+  }
+
+  const chosen = free[0];
+  await StaffMember.updateOne({ _id: chosen.member._id, owner: appId }, { $set: { lastAssignedAt: new Date() } });
+  return { staff: chosen.member, provider: chosen.provider, providerType: chosen.providerType, error: null, unavailable: false };
+}
+
+module.exports = {
+  listBookableStaff,
+  getStaffAvailability,
+  assignStaff
+};
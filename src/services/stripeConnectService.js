@@ -0,0 +1,146 @@
+/**
+ * Stripe Connect for booking deposits: each app connects its own Stripe (Express) account and deposits
+ * are paid through Checkout sessions created on that account, so the money goes to the business.
+ */
+const { logger } = require('../utils/logger');
+
+// Currencies Stripe takes in whole units (no cents).
+const ZERO_DECIMAL_CURRENCIES = new Set([
+  'BIF', 'CLP', 'DJF', 'GNF', 'JPY', 'KMF', 'KRW', 'MGA', 'PYG', 'RWF', 'UGX', 'VND', 'VUV', 'XAF', 'XOF', 'XPF'
+]);
+
+let stripeClient = null;
+
+/** Stripe client for STRIPE_SECRET_KEY, or null when it is not set. */
+function getStripe() {
+  const key = process.env.STRIPE_SECRET_KEY;
+  if (!key || typeof key !== 'string' || key.trim() === '') return null;
+  if (!stripeClient) stripeClient = require('stripe')(key.trim());
+  return stripeClient;
+}
+
+function isConfigured() {
+  return !!getStripe();
+}
+
+function requireStripe() {
+  const stripe = getStripe();
+  if (!stripe) throw new Error('STRIPE_SECRET_KEY is required to take booking deposits');
+  return stripe;
+}
+
+/** Amount in major units (25.5) to Stripe's smallest currency unit (2550). */
+function toMinorUnits(amount, currency) {
+  const factor = ZERO_DECIMAL_CURRENCIES.has(String(currency).toUpperCase()) ? 1 : 100;
+  return Math.round(Number(amount) * factor);
+}
+
+/**
+ * Create an Express connected account for an app.
+ * @param {string} appId
+ * @param {{ country?: string, email?: string }} [opts]
+ * @returns {Promise<Object>} Stripe account
+ */
+async function createConnectedAccount(appId, { country = null, email = null } = {}) {
+  const account = await requireStripe().accounts.create({
+    type: 'express',
+    ...(country ? { country } : {}),
+    ...(email ? { email } : {}),
+    capabilities: { card_payments: { requested: true }, transfers: { requested: true } },
+    metadata: { appId: String(appId) }
+  });
+  logger.info('Stripe connected account created', { appId, accountId: account.id });
+  return account;
+}
+
+/**
+ * One-time link to Stripe's hosted onboarding for a connected account.
+ * @returns {Promise<{ url: string, expiresAt: Date }>}
+ */
+async function createOnboardingLink(accountId, { returnUrl, refreshUrl }) {
+  const link = await requireStripe().accountLinks.create({
+    account: accountId,
+    type: 'account_onboarding',
+    return_url: returnUrl,
+    refresh_url: refreshUrl
+  });
+  return { url: link.url, expiresAt: new Date(link.expires_at * 1000) };
+}
+
+async function retrieveAccount(accountId) {
+  return requireStripe().accounts.retrieve(accountId);
+}
+
+/**
+ * Checkout session for a booking deposit, created on the app's connected account.
+ * @param {Object} params
+ * @param {string} params.stripeAccountId
+ * @param {string} params.appId
+ * @param {string} params.appointmentId
+ * @param {number} params.amount - major units
+ * @param {string} params.currency - ISO 4217
+ * @param {string} params.productName - shown on the Checkout page
+ * @param {string|null} [params.description]
+ * @param {string|null} [params.customerEmail]
+ * @param {Date} params.expiresAt - 30 minutes to 24 hours from now
+ * @param {string} params.successUrl
+ * @param {string} params.cancelUrl
+ * @returns {Promise<Object>} Stripe Checkout session (id, url)
+ */
+async function createDepositCheckoutSession({
+  stripeAccountId, appId, appointmentId, amount, currency, productName, description = null,
+  customerEmail = null, expiresAt, successUrl, cancelUrl
+}) {
+  const metadata = { appId: String(appId), appointmentId: String(appointmentId) };
+  return requireStripe().checkout.sessions.create({
+    mode: 'payment',
+    line_items: [{
+      quantity: 1,
+      price_data: {
+        currency: String(currency).toLowerCase(),
+        unit_amount: toMinorUnits(amount, currency),
+        product_data: { name: productName, ...(description ? { description } : {}) }
+      }
+    }],
+    ...(customerEmail ? { customer_email: customerEmail } : {}),
+    client_reference_id: String(appointmentId),
+    metadata,
+    payment_intent_data: { metadata },
+    expires_at: Math.floor(new Date(expiresAt).getTime() / 1000),
+    success_url: successUrl,
+    cancel_url: cancelUrl
+  }, { stripeAccount: stripeAccountId });
+}
+
+async function retrieveCheckoutSession(stripeAccountId, sessionId) {
+  return requireStripe().checkout.sessions.retrieve(sessionId, {}, { stripeAccount: stripeAccountId });
+}
+
+/** Expire an open Checkout session so it can no longer be paid. */
+async function expireCheckoutSession(stripeAccountId, sessionId) {
+  return requireStripe().checkout.sessions.expire(sessionId, {}, { stripeAccount: stripeAccountId });
+}
+
+/**
+ * Verify a Connect webhook (events of connected accounts) against STRIPE_CONNECT_WEBHOOK_SECRET.
+ * @param {Buffer} rawBody
+ * @param {string} signature - Stripe-Signature header
+ * @throws when Stripe or the secret is not configured, or the signature does not match
+ */
+function constructConnectEvent(rawBody, signature) {
+  const secret = process.env.STRIPE_CONNECT_WEBHOOK_SECRET;
+  if (!secret) throw new Error('STRIPE_CONNECT_WEBHOOK_SECRET is not configured');
+  return requireStripe().webhooks.constructEvent(rawBody, signature, secret);
+}
+
+module.exports = {
+  isConfigured,
+  toMinorUnits,
+  createConnectedAccount,
+  createOnboardingLink,
+  retrieveAccount,
+  createDepositCheckoutSession,
+  retrieveCheckoutSession,
+  expireCheckoutSession,
+  constructConnectEvent
+};
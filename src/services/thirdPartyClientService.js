@@ -0,0 +1,209 @@
+/**
+ * Third-party API clients: key IDs with rotatable HMAC secrets, scopes, per-client rate limits and
+ * usage tracking. Used by the signed-request middleware (middleware/thirdParty) and the admin routes.
+ */
+const crypto = require('crypto');
+const { ThirdPartyClient } = require('../models/ThirdPartyClient');
+const { encrypt, decrypt } = require('../utils/encrypt');
+const { AppError } = require('../utils/errorHandler');
+const { logger } = require('../utils/logger');
+const cacheManager = require('../utils/cache');
+
+const MAX_ACTIVE_SECRETS = 5;
+// lastUsedAt is written at most this often per client, so hot clients don't write on every request.
+const TOUCH_INTERVAL_MS = 60 * 1000;
+
+const lastTouched = new Map(); // keyId -> ms
+const localWindows = new Map(); // rate-limit key -> { count, expiresAt }, used without Redis
+
+function isSecretUsable(secret, now = new Date()) {
+  return !secret.revokedAt && (!secret.expiresAt || secret.expiresAt > now);
+}
+
+function safeEqualHex(a, b) {
+  const left = Buffer.from(a);
+  const right = Buffer.from(b);
+  return left.length === right.length && crypto.timingSafeEqual(left, right);
+}
+
+function incrementLocal(key, ttlSeconds) {
+  const now = Date.now();
+  for (const [k, w] of localWindows.entries()) {
+    if (w.expiresAt <= now) localWindows.delete(k);
+  }
+  const window = localWindows.get(key) || { count: 0, expiresAt: now + ttlSeconds * 1000 };
+  window.count += 1;
+  localWindows.set(key, window);
+  return window.count;
+}
+
+class ThirdPartyClientService {
+  static generateKeyId() {
+    return `tpk_${crypto.randomBytes(12).toString('hex')}`;
+  }
+
+  static generateSecret() {
+    return `tpsk_${crypto.randomBytes(32).toString('hex')}`;
+  }
+
+  /**
+   * Encrypt a signing secret for storage. HMAC verification needs the plaintext, so it cannot be hashed.
+   * @returns {{ secretEnc: string, hint: string }}
+   * @throws {AppError} 503 when the encryption key is not configured
+   */
+  static sealSecret(secret) {
+    const secretEnc = encrypt(secret);
+    if (!secretEnc) {
+      throw new AppError('API keys are not available: encryption key is not configured', 503);
+    }
+    return { secretEnc, hint: secret.slice(-4) };
+  }
+
+  static serializeClient(client) {
+    const obj = typeof client.toObject === 'function' ? client.toObject() : { ...client };
+    const now = new Date();
+    obj.secrets = (obj.secrets || []).map(({ secretEnc, ...secret }) => ({
+      ...secret,
+      isUsable: isSecretUsable(secret, now)
+    }));
+    delete obj.__v;
+    return obj;
+  }
+
+  /**
+   * Active, non-revoked client by key ID, with encrypted secrets loaded.
+   * @param {string} keyId
+   * @returns {Promise<Object|null>}
+   */
+  static async findUsableClient(keyId) {
+    if (!keyId || typeof keyId !== 'string') return null;
+    return ThirdPartyClient.findOne({ keyId, isActive: true, revokedAt: null }).select('+secrets.secretEnc');
+  }
+
+  /**
+   * The client's usable secret that produced `signature` over `payload`, if any.
+   * @returns {Object|null} secret subdocument
+   */
+  static matchSecret(client, payload, signature) {
+    const now = new Date();
+    for (const secret of client.secrets) {
+      if (!isSecretUsable(secret, now)) continue;
+      const plain = decrypt(secret.secretEnc);
+      if (!plain) continue;
+      const expected = crypto.createHmac('sha256', plain).update(payload).digest('hex');
+      if (safeEqualHex(expected, signature)) return secret;
+    }
+    return null;
+  }
+
+  /**
+   * Count a request against the client's fixed-window limit. Shared across instances through Redis
+   * when configured, per instance otherwise.
+   * @returns {Promise<{ allowed: boolean, limit: number, remaining: number, retryAfterSeconds: number }>}
+   */
+  static async consumeRateLimit(client) {
+    const { maxRequests, windowSeconds } = client.rateLimit || {};
+    if (!maxRequests || !windowSeconds) {
+      return { allowed: true, limit: null, remaining: null, retryAfterSeconds: 0 };
+    }
+    const windowStart = Math.floor(Date.now() / (windowSeconds * 1000));
+    const key = `tp_rate:${client.keyId}:${windowStart}`;
+    let count = await cacheManager.increment(key, windowSeconds);
+    if (count === null) count = incrementLocal(key, windowSeconds);
+
+    const retryAfterSeconds = Math.max(1, Math.ceil(((windowStart + 1) * windowSeconds * 1000 - Date.now()) / 1000));
+    return {
+      allowed: count <= maxRequests,
+      limit: maxRequests,
+      remaining: Math.max(0, maxRequests - count),
+      retryAfterSeconds
+    };
+  }
+
+  /** Record usage of a client and secret. Throttled and fire-and-forget; never throws. */
+  static touch(client, secret) {
+    const now = Date.now();
+    if (now - (lastTouched.get(client.keyId) || 0) < TOUCH_INTERVAL_MS) return;
+    lastTouched.set(client.keyId, now);
+    ThirdPartyClient.updateOne(
+      { _id: client._id },
+      { $set: { lastUsedAt: new Date(now), 'secrets.$[s].lastUsedAt': new Date(now) } },
+      { arrayFilters: [{ 's._id': secret._id }] }
+    ).catch((err) => logger.warn('Failed to record third-party client usage', { keyId: client.keyId, error: err.message }));
+  }
+
+  /**
+   * Create a client with its first secret.
+   * @returns {Promise<{ client: Object, secret: string }>} secret is only available here
+   */
+  static async createClient(value, createdBy) {
+    const secret = this.generateSecret();
+    const client = await ThirdPartyClient.create({
+      name: value.name,
+      description: value.description || null,
+      keyId: this.generateKeyId(),
+      scopes: value.scopes,
+      ...(value.rateLimit && { rateLimit: value.rateLimit }),
+      secrets: [this.sealSecret(secret)],
+      createdBy: createdBy || null
+    });
+    logger.info('Third-party client created', { clientId: String(client._id), keyId: client.keyId });
+    return { client, secret };
+  }
+
+  /**
+   * Add a secret to a client. With `retireExistingInMinutes`, the current secrets expire after that
+   * grace period so the client can switch over without failed requests.
+   * @returns {Promise<{ client: Object, secret: string, secretId: string }>}
+   */
+  static async issueSecret(client, { retireExistingInMinutes } = {}) {
+    if (client.revokedAt) throw new AppError('Client has been revoked', 400);
+    const now = new Date();
+    const usable = client.secrets.filter((s) => isSecretUsable(s, now));
+    const retiring = retireExistingInMinutes !== undefined;
+    if (!retiring && usable.length >= MAX_ACTIVE_SECRETS) {
+      throw new AppError(`A client can have at most ${MAX_ACTIVE_SECRETS} active secrets; revoke or retire one first`, 400);
+    }
+
+    if (retiring) {
+      const expiresAt = new Date(now.getTime() + retireExistingInMinutes * 60 * 1000);
+      for (const s of usable) {
+        if (!s.expiresAt || s.expiresAt > expiresAt) s.expiresAt = expiresAt;
+      }
+    }
+    const secret = this.generateSecret();
+    client.secrets.push(this.sealSecret(secret));
+    await client.save();
+    const added = client.secrets[client.secrets.length - 1];
+    logger.info('Third-party client secret issued', { keyId: client.keyId, secretId: String(added._id) });
+    return { client, secret, secretId: String(added._id) };
+  }
+
+  static async revokeSecret(client, secretId) {
+    const secret = client.secrets.id(secretId);
+    if (!secret) throw new AppError('Secret not found', 404);
+    if (!secret.revokedAt) {
+      secret.revokedAt = new Date();
+      await client.save();
+      logger.info('Third-party client secret revoked', { keyId: client.keyId, secretId: String(secret._id) });
+    }
+    return client;
+  }
+
+  /** Permanently revoke a client and all its secrets. */
+  static async revokeClient(client, reason) {
+    if (client.revokedAt) return client;
+    const now = new Date();
+    client.isActive = false;
+    client.revokedAt = now;
+    client.revokedReason = reason || null;
+    for (const s of client.secrets) {
+      if (!s.revokedAt) s.revokedAt = now;
+    }
+    await client.save();
+    logger.warn('Third-party client revoked', { keyId: client.keyId, reason: client.revokedReason });
+    return client;
+  }
+}
+
+module.exports = { ThirdPartyClientService };
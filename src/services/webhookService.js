@@ -0,0 +1,346 @@
+/**
+ * Outbound webhooks: fan events out to an app's subscriptions, sign and deliver them with retries.
+ * Deliveries are stored in Mongo (WebhookDelivery) and picked up by a polling worker, so a restart
+ * never loses queued events.
+ */
+const crypto = require('crypto');
+const { WebhookSubscription } = require('../models/WebhookSubscription');
+const { WebhookDelivery } = require('../models/WebhookDelivery');
+const { WEBHOOK_TEST_EVENT } = require('../enums/webhookEvents');
+const { encrypt, decrypt } = require('../utils/encrypt');
+const { AppError } = require('../utils/errorHandler');
+const { assertPublicHost, requestUrl } = require('../utils/urlSafety');
+const { backoffDelayMs } = require('../utils/backoff');
+const { logger } = require('../utils/logger');
+
+const MAX_ATTEMPTS = Math.max(1, parseInt(process.env.WEBHOOK_MAX_ATTEMPTS, 10) || 8);
+const REQUEST_TIMEOUT_MS = parseInt(process.env.WEBHOOK_TIMEOUT_MS, 10) || 10000;
+const POLL_INTERVAL_MS = parseInt(process.env.WEBHOOK_POLL_INTERVAL_MS, 10) || 5000;
+const BATCH_SIZE = 20;
+// A delivery stuck in 'sending' longer than this (worker crashed mid-request) is picked up again.
+const STALE_LOCK_MS = REQUEST_TIMEOUT_MS * 3;
+// Subscriptions are disabled after this many deliveries in a row have exhausted their retries.
+const AUTO_DISABLE_AFTER = parseInt(process.env.WEBHOOK_AUTO_DISABLE_AFTER, 10) || 20;
+const RESPONSE_BODY_LIMIT = 2000;
+// Explicit opt-out of the private-address check, e.g. for receivers on the same private network.
+const ALLOW_PRIVATE_HOSTS = () => process.env.WEBHOOK_ALLOW_PRIVATE_HOSTS === 'true';
+
+let workerTimer = null;
+let workerRunning = false;
+
+function generateSecret() {
+  return `whsec_${crypto.randomBytes(24).toString('hex')}`;
+}
+
+/**
+ * Backoff before attempt `attempts + 1`: 30s, 1m, 2m, 4m ... capped at 6h, with ±20% jitter.
+ * @param {number} attempts - attempts made so far
+ * @returns {number} delay in ms
+ */
+function retryDelayMs(attempts) {
+  return backoffDelayMs(attempts, { baseMs: 30 * 1000, maxMs: 6 * 60 * 60 * 1000 });
+}
+
+/**
+ * Signature header value: `t=<unix seconds>,v1=<hex HMAC-SHA256 of "<t>.<body>">`.
+ * Receivers should recompute the HMAC over the raw body and reject stale timestamps.
+ */
+function signPayload(secret, body, timestamp = Math.floor(Date.now() / 1000)) {
+  const signature = crypto.createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex');
+  return `t=${timestamp},v1=${signature}`;
+}
+
+class WebhookService {
+  /**
+   * Reject URLs we refuse to call: hosts that are or resolve to private addresses (unless
+   * WEBHOOK_ALLOW_PRIVATE_HOSTS=true) and, in production, anything but https. Deliveries re-check the
+   * address they connect to, so a host re-pointed after this check is still refused.
+   * @param {string} url
+   * @throws {AppError} 400
+   */
+  static async assertDeliverableUrl(url) {
+    let parsed;
+    try {
+      parsed = new URL(url);
+    } catch (_) {
+      throw new AppError('Webhook URL is not a valid URL', 400);
+    }
+    if (!['http:', 'https:'].includes(parsed.protocol)) {
+      throw new AppError('Webhook URL must use http or https', 400);
+    }
+    if (process.env.NODE_ENV === 'production' && parsed.protocol !== 'https:') {
+      throw new AppError('Webhook URL must use https', 400);
+    }
+    if (ALLOW_PRIVATE_HOSTS()) return;
+    try {
+      await assertPublicHost(parsed.hostname);
+    } catch (error) {
+      throw new AppError(error.code === 'EPRIVATEADDRESS'
+        ? 'Webhook URL must point to a public host'
+        : 'Webhook URL host could not be resolved', 400);
+    }
+  }
+
+  /**
+   * Encrypt a signing secret for storage.
+   * @returns {{ secretEnc: string, secretHint: string }}
+   * @throws {AppError} 503 when the encryption key is not configured
+   */
+  static sealSecret(secret) {
+    const secretEnc = encrypt(secret);
+    if (!secretEnc) {
+      throw new AppError('Webhooks are not available: encryption key is not configured', 503);
+    }
+    return { secretEnc, secretHint: secret.slice(-4) };
+  }
+
+  static generateSecret() {
+    return generateSecret();
+  }
+
+  static serializeSubscription(sub) {
+    const obj = typeof sub.toObject === 'function' ? sub.toObject() : { ...sub };
+    delete obj.secretEnc;
+    delete obj.__v;
+    return obj;
+  }
+
+  static buildEnvelope(appId, eventType, data) {
+    return {
+      id: `evt_${crypto.randomBytes(12).toString('hex')}`,
+      type: eventType,
+      createdAt: new Date().toISOString(),
+      appId: String(appId),
+      data
+    };
+  }
+
+  /**
+   * Queue an event for every active subscription of the app that listens to it.
+   * Never throws: webhook fan-out must not fail the request that produced the event.
+   * @param {string|Object} appId
+   * @param {string} eventType - one of WEBHOOK_EVENTS
+   * @param {Object} data - event payload (`data` field of the envelope)
+   * @returns {Promise<number>} deliveries queued
+   */
+  static async emit(appId, eventType, data) {
+    if (!appId) return 0;
+    try {
+      const subs = await WebhookSubscription.find({ appId, isActive: true, events: eventType })
+        .select('_id')
+        .lean();
+      if (subs.length === 0) return 0;
+
+      const envelope = this.buildEnvelope(appId, eventType, data);
+      await WebhookDelivery.insertMany(subs.map((s) => ({
+        appId,
+        subscriptionId: s._id,
+        eventId: envelope.id,
+        eventType,
+        payload: envelope,
+        maxAttempts: MAX_ATTEMPTS,
+        nextAttemptAt: new Date()
+      })));
+      setImmediate(() => this.processDue().catch(() => {}));
+      return subs.length;
+    } catch (error) {
+      logger.error('Failed to queue webhook event', { appId: String(appId), eventType, error: error.message });
+      return 0;
+    }
+  }
+
+  /**
+   * Send a test event to one subscription right away and return the recorded delivery.
+   * Test deliveries are attempted once and are not retried.
+   */
+  static async sendTest(subscription) {
+    const envelope = this.buildEnvelope(subscription.appId, WEBHOOK_TEST_EVENT, {
+      message: 'This is a test event. If you can read this, your endpoint is receiving webhooks.',
+      subscriptionId: String(subscription._id)
+    });
+    const delivery = await WebhookDelivery.create({
+      appId: subscription.appId,
+      subscriptionId: subscription._id,
+      eventId: envelope.id,
+      eventType: WEBHOOK_TEST_EVENT,
+      payload: envelope,
+      isTest: true,
+      status: 'sending',
+      lockedAt: new Date(),
+      maxAttempts: 1
+    });
+    return this.attempt(delivery, subscription);
+  }
+
+  /** Put a finished delivery back on the queue with a fresh retry budget. */
+  static async redeliver(delivery) {
+    delivery.status = 'pending';
+    delivery.attempts = 0;
+    delivery.maxAttempts = delivery.isTest ? 1 : MAX_ATTEMPTS;
+    delivery.nextAttemptAt = new Date();
+    delivery.lockedAt = null;
+    delivery.error = null;
+    await delivery.save();
+    setImmediate(() => this.processDue().catch(() => {}));
+    return delivery;
+  }
+
+  /**
+   * POST one delivery to its subscription and record the outcome.
+   * @param {Object} delivery - WebhookDelivery document already locked ('sending')
+   * @param {Object} [subscription] - loaded with secretEnc; fetched when omitted
+   */
+  static async attempt(delivery, subscription) {
+    const sub = subscription?.secretEnc
+      ? subscription
+      : await WebhookSubscription.findById(delivery.subscriptionId).select('+secretEnc');
+
+    const now = new Date();
+    delivery.attempts += 1;
+    delivery.lastAttemptAt = now;
+
+    if (!sub || (!sub.isActive && !delivery.isTest)) {
+      // Deliveries queued before the subscription was disabled (by the owner or the auto-disable)
+      // are not sent; they can be redelivered once it is enabled again.
+      delivery.status = 'failed';
+      delivery.error = sub ? 'Subscription is disabled' : 'Subscription no longer exists';
+      delivery.lockedAt = null;
+      await delivery.save();
+      return delivery;
+    }
+
+    const secret = decrypt(sub.secretEnc);
+    const body = JSON.stringify(delivery.payload);
+    const started = Date.now();
+    let ok = false;
+
+    try {
+      if (!secret) throw new Error('Signing secret could not be decrypted');
+      await this.assertDeliverableUrl(sub.url);
+      const response = await requestUrl(sub.url, {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json',
+          'User-Agent': 'Assistly-Webhooks/1.0',
+          'X-Assistly-Event': delivery.eventType,
+          'X-Assistly-Delivery': String(delivery._id),
+          'X-Assistly-Signature': signPayload(secret, body)
+        },
+        body,
+        redirect: 'manual',
+        timeoutMs: REQUEST_TIMEOUT_MS,
+        allowPrivate: ALLOW_PRIVATE_HOSTS(),
+        bodyLimit: RESPONSE_BODY_LIMIT
+      });
+      const text = await response.text().catch(() => '');
+      delivery.responseStatus = response.status;
+      delivery.responseBody = text ? text.slice(0, RESPONSE_BODY_LIMIT) : null;
+      ok = response.status >= 200 && response.status < 300;
+      delivery.error = ok ? null : `Endpoint responded with HTTP ${response.status}`;
+    } catch (error) {
+      delivery.responseStatus = null;
+      delivery.responseBody = null;
+      delivery.error = error.name === 'TimeoutError'
+        ? `Request timed out after ${REQUEST_TIMEOUT_MS}ms`
+        : error.message;
+    }
+
+    delivery.durationMs = Date.now() - started;
+    delivery.lockedAt = null;
+    if (ok) {
+      delivery.status = 'succeeded';
+      delivery.deliveredAt = new Date();
+    } else if (delivery.attempts < delivery.maxAttempts) {
+      delivery.status = 'pending';
+      delivery.nextAttemptAt = new Date(Date.now() + retryDelayMs(delivery.attempts));
+    } else {
+      delivery.status = 'failed';
+    }
+    await delivery.save();
+
+    if (!delivery.isTest) {
+      await this.updateSubscriptionHealth(sub, delivery).catch((error) => {
+        logger.warn('Failed to update webhook subscription health', { subscriptionId: String(sub._id), error: error.message });
+      });
+    }
+    return delivery;
+  }
+
+  static async updateSubscriptionHealth(sub, delivery) {
+    if (delivery.status === 'pending') return;
+    if (delivery.status === 'succeeded') {
+      await WebhookSubscription.updateOne({ _id: sub._id }, {
+        $set: { consecutiveFailures: 0, lastDeliveryAt: new Date(), lastDeliveryStatus: 'succeeded' }
+      });
+      return;
+    }
+    const updated = await WebhookSubscription.findOneAndUpdate(
+      { _id: sub._id },
+      { $inc: { consecutiveFailures: 1 }, $set: { lastDeliveryAt: new Date(), lastDeliveryStatus: 'failed' } },
+      { new: true }
+    );
+    if (updated && updated.isActive && updated.consecutiveFailures >= AUTO_DISABLE_AFTER) {
+      updated.isActive = false;
+      updated.disabledAt = new Date();
+      updated.disabledReason = `Disabled after ${updated.consecutiveFailures} consecutive failed deliveries`;
+      await updated.save();
+      logger.warn('Webhook subscription auto-disabled', { subscriptionId: String(updated._id), appId: String(updated.appId) });
+    }
+  }
+
+  /**
+   * Atomically claim the next due delivery, reclaiming ones whose lock has gone stale.
+   * @returns {Promise<Object|null>}
+   */
+  static async claimNext() {
+    const now = new Date();
+    return WebhookDelivery.findOneAndUpdate(
+      {
+        $or: [
+          { status: 'pending', nextAttemptAt: { $lte: now } },
+          { status: 'sending', lockedAt: { $lte: new Date(now.getTime() - STALE_LOCK_MS) } }
+        ]
+      },
+      { $set: { status: 'sending', lockedAt: now } },
+      { sort: { nextAttemptAt: 1 }, new: true }
+    );
+  }
+
+  /** Deliver up to BATCH_SIZE due deliveries. Overlapping runs are skipped. */
+  static async processDue() {
+    if (workerRunning) return 0;
+    workerRunning = true;
+    let processed = 0;
+    try {
+      while (processed < BATCH_SIZE) {
+        const delivery = await this.claimNext();
+        if (!delivery) break;
+        await this.attempt(delivery);
+        processed += 1;
+      }
+    } catch (error) {
+      logger.error('Webhook worker error', { error: error.message });
+    } finally {
+      workerRunning = false;
+    }
+    return processed;
+  }
+
+  static startWorker() {
+    if (workerTimer) return;
+    workerTimer = setInterval(() => {
+      this.processDue().catch(() => {});
+    }, POLL_INTERVAL_MS);
+    if (typeof workerTimer.unref === 'function') workerTimer.unref();
+    logger.info('Webhook delivery worker started');
+  }
+
+  static stopWorker() {
+    if (workerTimer) {
+      clearInterval(workerTimer);
+      workerTimer = null;
+    }
+  }
+}
+
+module.exports = { WebhookService, signPayload, retryDelayMs };
@@ -159,6 +159,37 @@ class WhatsAppSenderService {
     return match ? match.sid : null;
   }
 
+  /**
+   * Send a WhatsApp message from a registered sender. Outside the 24h customer service window
+   * WhatsApp only delivers approved templates, so pass contentSid (+ contentVariables) for
+   * business-initiated messages such as reminders; body is used otherwise.
+   * @param {Object} params - { from, to, body?, contentSid?, contentVariables?, statusCallback? }
+   * @returns {Promise<{ sid: string, status: string }>}
+   */
+  async sendMessage({ from, to, body, contentSid, contentVariables, statusCallback }) {
+    const payload = {
+      from: this._senderId(from),
+      to: this._senderId(to)
+    };
+    if (contentSid) {
+      payload.contentSid = contentSid;
+      if (contentVariables) payload.contentVariables = JSON.stringify(contentVariables);
+    } else {
+      if (!body) throw new Error('Message body or contentSid is required');
+      payload.body = body;
+    }
+    if (statusCallback) payload.statusCallback = statusCallback;
+
+    try {
+      const message = await this.client.messages.create(payload);
+      logger.info('WhatsApp message sent', { sid: message.sid, to: payload.to, status: message.status });
+      return { sid: message.sid, status: message.status };
+    } catch (err) {
+      logger.error('Twilio WhatsApp sendMessage failed', { to: payload.to, error: err.message });
+      throw err;
+    }
+  }
+
   /**
    * Fetch sender status from Twilio (e.g. CREATING, ONLINE, PENDING_VERIFICATION, FAILED).
    * @param {string} senderSid - Twilio sender SID
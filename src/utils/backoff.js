@@ -0,0 +1,17 @@
+/**
+ * Exponential backoff with jitter for retry queues (webhook deliveries, appointment reminders).
+ * Each queue passes its own base and cap.
+ */
+
+/**
+ * Delay before attempt `attempts + 1`: baseMs, 2×, 4× ... capped at maxMs, with ±jitter (fraction).
+ * @param {number} attempts - attempts made so far
+ * @param {{ baseMs: number, maxMs: number, jitter?: number }} policy
+ * @returns {number} delay in ms
+ */
+function backoffDelayMs(attempts, { baseMs, maxMs, jitter = 0.2 }) {
+  const base = Math.min(baseMs * Math.pow(2, Math.max(0, attempts - 1)), maxMs);
+  return Math.round(base + base * jitter * (Math.random() * 2 - 1));
+}
+
+module.exports = { backoffDelayMs };
@@ -5,6 +5,7 @@ class CacheManager {
   constructor() {
     this.client = null;
     this.isConnected = false;
+    this.duplicates = []; // extra connections handed out by createPubSubClients()
   }
 
   async connect() {
@@ -61,6 +62,8 @@ class CacheManager {
   }
 
   async disconnect() {
+    const duplicates = this.duplicates.splice(0);
+    await Promise.all(duplicates.map((c) => c.quit().catch(() => {})));
     if (this.client && this.isConnected) {
       await this.client.quit();
       this.isConnected = false;
@@ -95,6 +98,64 @@ class CacheManager {
     }
   }
 
+  /**
+   * Atomic SET NX with TTL (seconds). Used for claims such as replay-protection nonces.
+   * @returns {Promise<boolean|null>} true if the key was set, false if it already existed,
+   *   null when Redis is unavailable (callers fall back to a local store)
+   */
+  async setIfAbsent(key, value, ttlSeconds) {
+    if (!this.isConnected || !this.client) {
+      return null;
+    }
+
+    try {
+      const result = await this.client.set(key, JSON.stringify(value), { NX: true, EX: ttlSeconds });
+      return result === 'OK';
+    } catch (error) {
+      logger.error('Cache setIfAbsent error:', error.message);
+      return null;
+    }
+  }
+
+  /**
+   * Increment a counter, starting its TTL (seconds) on first increment. Used for fixed-window rate limits.
+   * INCR and EXPIRE NX run in one MULTI, so a counter can never be left without a TTL (needs Redis 7+).
+   * @returns {Promise<number|null>} the new count, or null when Redis is unavailable
+   */
+  async increment(key, ttlSeconds) {
+    if (!this.isConnected || !this.client) {
+      return null;
+    }
+
+    try {
+      const [count] = await this.client.multi().incr(key).expire(key, ttlSeconds, 'NX').exec();
+      return Number(count);
+    } catch (error) {
+      logger.error('Cache increment error:', error.message);
+      return null;
+    }
+  }
+
+  /**
+   * Dedicated publisher/subscriber connections (a subscribed connection cannot run other commands),
+   * e.g. for the socket.io Redis adapter. Closed by disconnect().
+   * @returns {Promise<{ pubClient: Object, subClient: Object }|null>} null when Redis is not connected
+   */
+  async createPubSubClients() {
+    if (!this.isConnected || !this.client) {
+      return null;
+    }
+
+    const pubClient = this.client.duplicate();
+    const subClient = this.client.duplicate();
+    for (const c of [pubClient, subClient]) {
+      c.on('error', (err) => logger.warn('Redis pub/sub client error:', err.message));
+    }
+    await Promise.all([pubClient.connect(), subClient.connect()]);
+    this.duplicates.push(pubClient, subClient);
+    return { pubClient, subClient };
+  }
+
   async del(key) {
     if (!this.isConnected || !this.client) {
       return false;
@@ -0,0 +1,35 @@
+const { parsePhoneNumberFromString } = require('libphonenumber-js');
+
+/**
+ * Normalize a phone number to E.164 so the same person matches across channels
+ * (e.g. "07700 900123" on the web widget and "+447700900123" from WhatsApp).
+ * @param {string} raw - phone as entered or received
+ * @param {string} [countryCode] - ISO 3166-1 alpha-2 used for numbers without a country prefix
+ * @returns {string|null} E.164 number, or null when it cannot be parsed as a phone number
+ */
+function normalizePhone(raw, countryCode) {
+  const input = String(raw || '').trim().replace(/^whatsapp:/i, '');
+  if (!input) return null;
+  const region = String(countryCode || process.env.DEFAULT_PHONE_REGION || '').trim().toUpperCase() || undefined;
+  // "00" international prefix is common in chat input; libphonenumber only understands it with a region.
+  const candidate = input.startsWith('00') ? `+${input.slice(2)}` : input;
+  try {
+    const parsed = parsePhoneNumberFromString(candidate, region);
+    // isPossible() rather than isValid(): matching should not depend on how current the numbering-plan metadata is.
+    return parsed && parsed.isPossible() ? parsed.number : null;
+  } catch (_) {
+    return null;
+  }
+}
+
+/**
+ * Normalize an email for identity matching: trimmed and lowercased.
+ * @param {string} raw
+ * @returns {string|null}
+ */
+function normalizeEmail(raw) {
+  const email = String(raw || '').trim().toLowerCase();
+  return /^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(email) ? email : null;
+}
+
+module.exports = { normalizePhone, normalizeEmail };
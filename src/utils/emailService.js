@@ -1,10 +1,16 @@
 const sgMail = require('@sendgrid/mail');
 const { logger } = require('./logger');
+const { toIcsAttachment } = require('./icsCalendar');
 const {
   getCompanyTheme,
   buildBrandedOtpHtml,
   buildCustomerConfirmationHtml,
+  buildCustomerRescheduleHtml,
+  buildCustomerReminderHtml,
+  buildCustomerCancellationHtml,
+  buildCustomerWaitlistHtml,
   buildBusinessNotificationHtml,
+  buildBusinessBookingChangeHtml,
   buildQualifiedLeadNotificationHtml,
   buildCompletedWorkflowNotificationHtml,
 } = require('./emailTemplates');
@@ -25,6 +31,13 @@ function humanizeLeadType(value) {
     .join(' ');
 }
 
+/** Attachment list for appointmentData.calendarInvite ({ content, method }) when present. */
+function calendarInviteAttachments(appointmentData) {
+  const invite = appointmentData?.calendarInvite;
+  if (!invite?.content) return undefined;
+  return [toIcsAttachment(invite.content, invite.method, invite.method === 'CANCEL' ? 'cancel.ics' : 'invite.ics')];
+}
+
 class EmailService {
   constructor() {
     // Initialize SendGrid with API key from environment
@@ -50,6 +63,7 @@ class EmailService {
    * @param {string} emailData.textContent - Plain text content (optional)
    * @param {Object} emailData.dynamicTemplateData - Dynamic data for template (optional)
    * @param {string} emailData.templateId - SendGrid template ID (optional)
+   * @param {Array<Object>} emailData.attachments - SendGrid attachments, e.g. calendar invites (optional)
    * @returns {Promise<Object>} SendGrid response
    */
   async sendEmail(emailData) {
@@ -63,6 +77,7 @@ class EmailService {
         templateId,
         fromName,
         fromEmail,
+        attachments,
       } = emailData;
 
       // Validate required fields
@@ -86,7 +101,8 @@ class EmailService {
         html: htmlContent,
         ...(textContent && { text: textContent }),
         ...(templateId && { templateId }),
-        ...(dynamicTemplateData && { dynamicTemplateData })
+        ...(dynamicTemplateData && { dynamicTemplateData }),
+        ...(attachments && attachments.length > 0 && { attachments })
       };
 
       logger.info('Sending email', { to, subject, templateId: templateId || 'custom' });
@@ -273,6 +289,7 @@ class EmailService {
     const startText = appointmentData?.startText || '';
     const endText = appointmentData?.endText || '';
     const calendarLink = appointmentData?.link || '';
+    const manageLink = appointmentData?.manageLink || '';
     const postBookingNote = appointmentData?.postBookingNote || '';
     const contactPhone =
       businessData?.contactPhone ||
@@ -293,6 +310,7 @@ class EmailService {
       startText,
       endText,
       calendarLink,
+      manageLink,
       postBookingNote,
       contactPhone,
       theme,
@@ -305,6 +323,177 @@ class EmailService {
       textContent: `Hi ${customerName}, your ${serviceName} appointment with ${companyName} is confirmed for ${startText}. We look forward to seeing you!`,
       // In inbox, show the business brand (e.g. "Facelism") when SendGrid allows this display name on your domain.
       fromName: companyName,
+      attachments: calendarInviteAttachments(appointmentData),
+    });
+  }
+
+  async sendAppointmentRescheduledEmail(customerData, appointmentData, businessData = {}) {
+    const customerName = customerData?.name || 'Customer';
+    const customerEmail = customerData?.email;
+    if (!customerEmail) throw new Error('Customer email is required');
+
+    const companyName = businessData?.companyName || businessData?.name || process.env.FROM_NAME || 'Our Team';
+    const serviceName = appointmentData?.serviceName || appointmentData?.title || 'Appointment';
+    const startText = appointmentData?.startText || '';
+    const endText = appointmentData?.endText || '';
+    const previousStartText = appointmentData?.previousStartText || '';
+    const previousEndText = appointmentData?.previousEndText || '';
+    const calendarLink = appointmentData?.link || '';
+    const manageLink = appointmentData?.manageLink || '';
+    const contactPhone =
+      businessData?.contactPhone ||
+      businessData?.phone ||
+      businessData?.twilioPhoneNumber ||
+      businessData?.whatsappNumber ||
+      '';
+
+    const theme = getCompanyTheme(companyName, {
+      appId: businessData?.appId,
+      primaryColor: businessData?.primaryColor,
+      logoUrl: businessData?.logoUrl,
+    });
+
+    const htmlContent = buildCustomerRescheduleHtml({
+      customerName,
+      serviceName,
+      startText,
+      endText,
+      previousStartText,
+      previousEndText,
+      calendarLink,
+      manageLink,
+      contactPhone,
+      theme,
+    });
+
+    return this.sendEmail({
+      to: customerEmail,
+      subject: `Appointment Rescheduled – ${serviceName} | ${companyName}`,
+      htmlContent,
+      textContent: `Hi ${customerName}, your ${serviceName} appointment with ${companyName} has moved to ${startText}.`,
+      fromName: companyName,
+      attachments: calendarInviteAttachments(appointmentData),
+    });
+  }
+
+  async sendAppointmentReminderEmail(customerData, appointmentData, businessData = {}) {
+    const customerName = customerData?.name || 'Customer';
+    const customerEmail = customerData?.email;
+    if (!customerEmail) throw new Error('Customer email is required');
+
+    const companyName = businessData?.companyName || businessData?.name || process.env.FROM_NAME || 'Our Team';
+    const serviceName = appointmentData?.serviceName || appointmentData?.title || 'Appointment';
+    const startText = appointmentData?.startText || '';
+    const endText = appointmentData?.endText || '';
+    const calendarLink = appointmentData?.link || '';
+    const manageLink = appointmentData?.manageLink || '';
+    const contactPhone =
+      businessData?.contactPhone ||
+      businessData?.phone ||
+      businessData?.twilioPhoneNumber ||
+      businessData?.whatsappNumber ||
+      '';
+
+    const theme = getCompanyTheme(companyName, {
+      appId: businessData?.appId,
+      primaryColor: businessData?.primaryColor,
+      logoUrl: businessData?.logoUrl,
+    });
+
+    const htmlContent = buildCustomerReminderHtml({
+      customerName,
+      serviceName,
+      startText,
+      endText,
+      calendarLink,
+      manageLink,
+      contactPhone,
+      theme,
+    });
+
+    return this.sendEmail({
+      to: customerEmail,
+      subject: `Appointment Reminder – ${serviceName} | ${companyName}`,
+      htmlContent,
+      textContent: `Hi ${customerName}, this is a reminder of your ${serviceName} appointment with ${companyName} on ${startText}.`,
+      fromName: companyName,
+    });
+  }
+
+  async sendAppointmentCancelledEmail(customerData, appointmentData, businessData = {}) {
+    const customerName = customerData?.name || 'Customer';
+    const customerEmail = customerData?.email;
+    if (!customerEmail) throw new Error('Customer email is required');
+
+    const companyName = businessData?.companyName || businessData?.name || process.env.FROM_NAME || 'Our Team';
+    const serviceName = appointmentData?.serviceName || appointmentData?.title || 'Appointment';
+    const startText = appointmentData?.startText || '';
+    const endText = appointmentData?.endText || '';
+    const contactPhone =
+      businessData?.contactPhone ||
+      businessData?.phone ||
+      businessData?.twilioPhoneNumber ||
+      businessData?.whatsappNumber ||
+      '';
+
+    const theme = getCompanyTheme(companyName, {
+      appId: businessData?.appId,
+      primaryColor: businessData?.primaryColor,
+      logoUrl: businessData?.logoUrl,
+    });
+
+    const htmlContent = buildCustomerCancellationHtml({
+      customerName,
+      serviceName,
+      startText,
+      endText,
+      reason: appointmentData?.reason || '',
+      contactPhone,
+      theme,
+    });
+
+    return this.sendEmail({
+      to: customerEmail,
+      subject: `Appointment Cancelled – ${serviceName} | ${companyName}`,
+      htmlContent,
+      textContent: `Hi ${customerName}, your ${serviceName} appointment with ${companyName} on ${startText} has been cancelled.`,
+      fromName: companyName,
+      attachments: calendarInviteAttachments(appointmentData),
+    });
+  }
+
+  async sendAppointmentWaitlistedEmail(customerData, appointmentData, businessData = {}) {
+    const customerName = customerData?.name || 'Customer';
+    const customerEmail = customerData?.email;
+    if (!customerEmail) throw new Error('Customer email is required');
+
+    const companyName = businessData?.companyName || businessData?.name || process.env.FROM_NAME || 'Our Team';
+    const serviceName = appointmentData?.serviceName || appointmentData?.title || 'Session';
+    const startText = appointmentData?.startText || '';
+    const endText = appointmentData?.endText || '';
+
+    const theme = getCompanyTheme(companyName, {
+      appId: businessData?.appId,
+      primaryColor: businessData?.primaryColor,
+      logoUrl: businessData?.logoUrl,
+    });
+
+    const htmlContent = buildCustomerWaitlistHtml({
+      customerName,
+      serviceName,
+      startText,
+      endText,
+      position: appointmentData?.position || null,
+      manageLink: appointmentData?.manageLink || '',
+      theme,
+    });
+
+    return this.sendEmail({
+      to: customerEmail,
+      subject: `You're on the Waitlist – ${serviceName} | ${companyName}`,
+      htmlContent,
+      textContent: `Hi ${customerName}, ${serviceName} with ${companyName} on ${startText} is full, so you have been added to the waitlist. If a place opens up it is yours automatically and we will email you to confirm.`,
+      fromName: companyName,
     });
   }
 
@@ -349,6 +538,57 @@ class EmailService {
       htmlContent,
       textContent: `New appointment booked: ${serviceName} at ${startText}. Customer: ${customerName} | ${customerEmail} | ${customerPhone}.`,
       fromName: alertFromName,
+      attachments: calendarInviteAttachments(appointmentData),
+    });
+  }
+
+  /**
+   * Tell the business that a customer cancelled or rescheduled through their manage-booking link.
+   * @param {'cancelled'|'rescheduled'} change
+   */
+  async sendBookingChangeBusinessNotificationEmail(businessData, customerData, appointmentData, change) {
+    const businessEmail = businessData?.email;
+    if (!businessEmail) throw new Error('Business email is required');
+
+    const companyName = businessData?.companyName || businessData?.name || 'Business';
+    const customerName = customerData?.name || 'Customer';
+    const serviceName = appointmentData?.serviceName || appointmentData?.title || 'Appointment';
+    const startText = appointmentData?.startText || '';
+
+    const theme = getCompanyTheme(companyName, {
+      primaryColor: businessData?.primaryColor,
+      logoUrl: businessData?.logoUrl,
+    });
+
+    const htmlContent = buildBusinessBookingChangeHtml({
+      businessName: companyName,
+      change,
+      customerName,
+      customerEmail: customerData?.email || 'Not provided',
+      customerPhone: customerData?.phone || 'Not provided',
+      serviceName,
+      startText,
+      endText: appointmentData?.endText || '',
+      previousStartText: appointmentData?.previousStartText || '',
+      previousEndText: appointmentData?.previousEndText || '',
+      reason: appointmentData?.reason || '',
+      theme,
+    });
+
+    const alertFromName =
+      process.env.BOOKING_ALERT_FROM_NAME ||
+      process.env.FROM_NAME ||
+      'UpZilo';
+
+    const cancelled = change === 'cancelled';
+    return this.sendEmail({
+      to: businessEmail,
+      subject: `${cancelled ? 'Appointment Cancelled' : 'Appointment Rescheduled'} by ${customerName} – ${serviceName}`,
+      htmlContent,
+      textContent: cancelled
+        ? `${customerName} cancelled their ${serviceName} appointment on ${startText}.`
+        : `${customerName} moved their ${serviceName} appointment to ${startText}.`,
+      fromName: alertFromName,
     });
   }
 
@@ -255,6 +255,11 @@ function _divider(theme) {
   return `<hr style="border:none;border-top:1px solid ${theme.dividerColor};margin:20px 0;" />`;
 }
 
+function _manageBookingHtml(manageLink, theme) {
+  if (!manageLink) return '';
+  return `<p style="text-align:center;margin:8px 0 20px;font-size:13px;color:#6b7280;">Need to change your plans? ${_button(manageLink, 'Reschedule or Cancel', theme)}</p>`;
+}
+
 function _formatDateTimeRange(startText, endText) {
   const start = String(startText || '').trim();
   const end = String(endText || '').trim();
@@ -388,6 +393,7 @@ function buildCustomerConfirmationHtml({
   startText,
   endText,
   calendarLink,
+  manageLink,
   postBookingNote,
   contactPhone,
   theme,
@@ -415,6 +421,7 @@ function buildCustomerConfirmationHtml({
       </table>
       ${_divider(theme)}
       ${calendarLink ? `<p style="text-align:center;margin:20px 0;">${_button(calendarLink, 'View in Calendar', theme)}</p>` : ''}
+      ${_manageBookingHtml(manageLink, theme)}
       ${postBookingNote ? `
       <div style="background:#faf9f7;border-left:3px solid ${theme.primaryColor};padding:12px 16px;margin:16px 0;border-radius:0 4px 4px 0;">
         <p style="margin:0 0 4px;font-size:12px;font-weight:700;text-transform:uppercase;letter-spacing:0.08em;color:${theme.primaryColor};">Important Instructions</p>
@@ -430,6 +437,204 @@ function buildCustomerConfirmationHtml({
   return _wrapEmail(header, body, theme);
 }
 
+/**
+ * Build HTML for the "your appointment has moved" email sent TO the customer (business-branded header).
+ */
+function buildCustomerRescheduleHtml({
+  customerName,
+  serviceName,
+  startText,
+  endText,
+  previousStartText,
+  previousEndText,
+  calendarLink,
+  manageLink,
+  contactPhone,
+  theme,
+}) {
+  const header = _customerConfirmationHeader(theme);
+  const dateTimeText = _formatDateTimeRange(startText, endText);
+  const previousDateTimeText = _formatDateTimeRange(previousStartText, previousEndText);
+  const contactLine = contactPhone
+    ? `If the new time does not suit you, please contact us directly at <strong>${contactPhone}</strong>.`
+    : 'If the new time does not suit you, please contact us directly.';
+
+  const body = `
+    <div style="padding:28px 28px 8px;font-family:${theme.bodyFontFamily};color:#1f2937;line-height:1.6;">
+      <p style="font-size:16px;">Hi <strong>${customerName}</strong>,</p>
+      <p>Your appointment with <strong>${theme.companyName}</strong> has moved to a new time.</p>
+      ${_divider(theme)}
+      <table style="width:100%;border-collapse:collapse;">
+        <tr>
+          <td style="padding:8px 0;color:#6b7280;font-size:13px;width:130px;">Service</td>
+          <td style="padding:8px 0;font-weight:600;font-size:14px;color:#111827;">${serviceName}</td>
+        </tr>
+        <tr>
+          <td style="padding:8px 0;color:#6b7280;font-size:13px;">New Date &amp; Time</td>
+          <td style="padding:8px 0;font-weight:600;font-size:14px;color:#111827;">${dateTimeText}</td>
+        </tr>
+        ${previousDateTimeText ? `
+        <tr>
+          <td style="padding:8px 0;color:#6b7280;font-size:13px;">Previously</td>
+          <td style="padding:8px 0;font-size:14px;color:#9ca3af;text-decoration:line-through;">${previousDateTimeText}</td>
+        </tr>` : ''}
+      </table>
+      ${_divider(theme)}
+      ${calendarLink ? `<p style="text-align:center;margin:20px 0;">${_button(calendarLink, 'View in Calendar', theme)}</p>` : ''}
+      ${_manageBookingHtml(manageLink, theme)}
+      <p style="margin-top:24px;font-size:14px;">${contactLine}</p>
+      <p style="margin-top:20px;font-size:14px;">
+        Warm regards,<br/>
+        <strong style="font-family:${theme.fontFamily};color:${theme.primaryColor};">${theme.companyName}</strong>
+      </p>
+    </div>`;
+
+  return _wrapEmail(header, body, theme);
+}
+
+/**
+ * Build HTML for the "your appointment is coming up" reminder sent TO the customer (business-branded header).
+ */
+function buildCustomerReminderHtml({
+  customerName,
+  serviceName,
+  startText,
+  endText,
+  calendarLink,
+  manageLink,
+  contactPhone,
+  theme,
+}) {
+  const header = _customerConfirmationHeader(theme);
+  const dateTimeText = _formatDateTimeRange(startText, endText);
+  const contactLine = contactPhone
+    ? `If you can no longer make it, please let us know at <strong>${contactPhone}</strong>.`
+    : 'If you can no longer make it, please let us know.';
+
+  const body = `
+    <div style="padding:28px 28px 8px;font-family:${theme.bodyFontFamily};color:#1f2937;line-height:1.6;">
+      <p style="font-size:16px;">Hi <strong>${customerName}</strong>,</p>
+      <p>This is a reminder of your upcoming appointment with <strong>${theme.companyName}</strong>.</p>
+      ${_divider(theme)}
+      <table style="width:100%;border-collapse:collapse;">
+        <tr>
+          <td style="padding:8px 0;color:#6b7280;font-size:13px;width:130px;">Service</td>
+          <td style="padding:8px 0;font-weight:600;font-size:14px;color:#111827;">${serviceName}</td>
+        </tr>
+        <tr>
+          <td style="padding:8px 0;color:#6b7280;font-size:13px;">Date &amp; Time</td>
+          <td style="padding:8px 0;font-weight:600;font-size:14px;color:#111827;">${dateTimeText}</td>
+        </tr>
+      </table>
+      ${_divider(theme)}
+      ${calendarLink ? `<p style="text-align:center;margin:20px 0;">${_button(calendarLink, 'View in Calendar', theme)}</p>` : ''}
+      ${_manageBookingHtml(manageLink, theme)}
+      <p style="margin-top:24px;font-size:14px;">${contactLine}</p>
+      <p style="margin-top:20px;font-size:14px;">
+        See you soon,<br/>
+        <strong style="font-family:${theme.fontFamily};color:${theme.primaryColor};">${theme.companyName}</strong>
+      </p>
+    </div>`;
+
+  return _wrapEmail(header, body, theme);
+}
+
+/**
+ * Build HTML for the "your appointment has been cancelled" email sent TO the customer (business-branded header).
+ */
+function buildCustomerCancellationHtml({
+  customerName,
+  serviceName,
+  startText,
+  endText,
+  reason,
+  contactPhone,
+  theme,
+}) {
+  const header = _customerConfirmationHeader(theme);
+  const dateTimeText = _formatDateTimeRange(startText, endText);
+  const contactLine = contactPhone
+    ? `To book a new time, please contact us at <strong>${contactPhone}</strong>.`
+    : 'To book a new time, please get in touch with us.';
+
+  const body = `
+    <div style="padding:28px 28px 8px;font-family:${theme.bodyFontFamily};color:#1f2937;line-height:1.6;">
+      <p style="font-size:16px;">Hi <strong>${customerName}</strong>,</p>
+      <p>Your appointment with <strong>${theme.companyName}</strong> has been cancelled.</p>
+      ${_divider(theme)}
+      <table style="width:100%;border-collapse:collapse;">
+        <tr>
+          <td style="padding:8px 0;color:#6b7280;font-size:13px;width:130px;">Service</td>
+          <td style="padding:8px 0;font-weight:600;font-size:14px;color:#111827;">${serviceName}</td>
+        </tr>
+        <tr>
+          <td style="padding:8px 0;color:#6b7280;font-size:13px;">Date &amp; Time</td>
+          <td style="padding:8px 0;font-size:14px;color:#9ca3af;text-decoration:line-through;">${dateTimeText}</td>
+        </tr>
+        ${reason ? `
+        <tr>
+          <td style="padding:8px 0;color:#6b7280;font-size:13px;">Reason</td>
+          <td style="padding:8px 0;font-size:14px;color:#111827;">${_escapeHtml(reason)}</td>
+        </tr>` : ''}
+      </table>
+      ${_divider(theme)}
+      <p style="margin-top:24px;font-size:14px;">${contactLine}</p>
+      <p style="margin-top:20px;font-size:14px;">
+        Warm regards,<br/>
+        <strong style="font-family:${theme.fontFamily};color:${theme.primaryColor};">${theme.companyName}</strong>
+      </p>
+    </div>`;
+
+  return _wrapEmail(header, body, theme);
+}
+
+/**
+ * Build HTML for the "you are on the waitlist" email sent TO the customer of a full group session
+ * (business-branded header).
+ */
+function buildCustomerWaitlistHtml({
+  customerName,
+  serviceName,
+  startText,
+  endText,
+  position,
+  manageLink,
+  theme,
+}) {
+  const header = _customerConfirmationHeader(theme);
+  const dateTimeText = _formatDateTimeRange(startText, endText);
+
+  const body = `
+    <div style="padding:28px 28px 8px;font-family:${theme.bodyFontFamily};color:#1f2937;line-height:1.6;">
+      <p style="font-size:16px;">Hi <strong>${customerName}</strong>,</p>
+      <p>This session with <strong>${theme.companyName}</strong> is full, so you have been added to the waitlist. If a place opens up it is yours automatically, and we will email you to confirm.</p>
+      ${_divider(theme)}
+      <table style="width:100%;border-collapse:collapse;">
+        <tr>
+          <td style="padding:8px 0;color:#6b7280;font-size:13px;width:130px;">Session</td>
+          <td style="padding:8px 0;font-weight:600;font-size:14px;color:#111827;">${serviceName}</td>
+        </tr>
+        <tr>
+          <td style="padding:8px 0;color:#6b7280;font-size:13px;">Date &amp; Time</td>
+          <td style="padding:8px 0;font-size:14px;color:#111827;">${dateTimeText}</td>
+        </tr>
+        ${position ? `
+        <tr>
+          <td style="padding:8px 0;color:#6b7280;font-size:13px;">Waitlist position</td>
+          <td style="padding:8px 0;font-size:14px;color:#111827;">${position}</td>
+        </tr>` : ''}
+      </table>
+      ${_divider(theme)}
+      ${manageLink ? `<p style="text-align:center;margin:8px 0 20px;font-size:13px;color:#6b7280;">No longer interested? ${_button(manageLink, 'Leave the Waitlist', theme)}</p>` : ''}
+      <p style="margin-top:20px;font-size:14px;">
+        Warm regards,<br/>
+        <strong style="font-family:${theme.fontFamily};color:${theme.primaryColor};">${theme.companyName}</strong>
+      </p>
+    </div>`;
+
+  return _wrapEmail(header, body, theme);
+}
+
 /**
  * Build HTML for new appointment notification sent TO the business (UpZilo-branded header).
  */
@@ -487,6 +692,77 @@ function buildBusinessNotificationHtml({
   return _wrapEmail(header, body, brandTheme);
 }
 
+/**
+ * Build HTML for the notification sent TO the business when a customer cancels or reschedules
+ * through their manage-booking link (UpZilo-branded header).
+ */
+function buildBusinessBookingChangeHtml({
+  businessName,
+  change,
+  customerName,
+  customerEmail,
+  customerPhone,
+  serviceName,
+  startText,
+  endText,
+  previousStartText,
+  previousEndText,
+  reason,
+  theme,
+}) {
+  const brandTheme = _businessNotificationTheme(theme);
+  const header = _platformBusinessHeader(brandTheme.notifyIcon);
+  const cancelled = change === 'cancelled';
+  const dateTimeText = _formatDateTimeRange(startText, endText);
+  const previousDateTimeText = _formatDateTimeRange(previousStartText, previousEndText);
+
+  const body = `
+    <div style="padding:28px 28px 8px;font-family:${brandTheme.bodyFontFamily};color:#1f2937;line-height:1.6;">
+      <p style="font-size:15px;">Hi <strong>${businessName}</strong>,</p>
+      <p><strong>${_escapeHtml(customerName)}</strong> has ${cancelled ? 'cancelled their appointment' : 'moved their appointment to a new time'}.</p>
+      ${_divider(brandTheme)}
+      <p style="font-size:13px;font-weight:700;color:${brandTheme.primaryColor};text-transform:uppercase;letter-spacing:0.08em;margin-bottom:8px;">Appointment Details</p>
+      <table style="width:100%;border-collapse:collapse;">
+        <tr>
+          <td style="padding:8px 0;color:#6b7280;font-size:13px;width:130px;">Service</td>
+          <td style="padding:8px 0;font-weight:600;font-size:14px;color:#111827;">${serviceName}</td>
+        </tr>
+        <tr>
+          <td style="padding:8px 0;color:#6b7280;font-size:13px;">${cancelled ? 'Was Booked For' : 'New Date &amp; Time'}</td>
+          <td style="padding:8px 0;font-weight:600;font-size:14px;color:#111827;">${dateTimeText}</td>
+        </tr>
+        ${!cancelled && previousDateTimeText ? `
+        <tr>
+          <td style="padding:8px 0;color:#6b7280;font-size:13px;">Previously</td>
+          <td style="padding:8px 0;font-size:14px;color:#9ca3af;text-decoration:line-through;">${previousDateTimeText}</td>
+        </tr>` : ''}
+        ${reason ? `
+        <tr>
+          <td style="padding:8px 0;color:#6b7280;font-size:13px;">Reason</td>
+          <td style="padding:8px 0;font-size:14px;color:#111827;">${_escapeHtml(reason)}</td>
+        </tr>` : ''}
+      </table>
+      ${_divider(brandTheme)}
+      <p style="font-size:13px;font-weight:700;color:${brandTheme.primaryColor};text-transform:uppercase;letter-spacing:0.08em;margin-bottom:8px;">Customer Details</p>
+      <table style="width:100%;border-collapse:collapse;">
+        <tr>
+          <td style="padding:8px 0;color:#6b7280;font-size:13px;width:130px;">Name</td>
+          <td style="padding:8px 0;font-weight:600;font-size:14px;color:#111827;">${_escapeHtml(customerName)}</td>
+        </tr>
+        <tr>
+          <td style="padding:8px 0;color:#6b7280;font-size:13px;">Email</td>
+          <td style="padding:8px 0;font-size:14px;color:#111827;">${_escapeHtml(customerEmail)}</td>
+        </tr>
+        <tr>
+          <td style="padding:8px 0;color:#6b7280;font-size:13px;">Phone</td>
+          <td style="padding:8px 0;font-size:14px;color:#111827;">${_escapeHtml(customerPhone)}</td>
+        </tr>
+      </table>
+    </div>`;
+
+  return _wrapEmail(header, body, brandTheme);
+}
+
 /**
  * Build HTML for a qualified lead notification sent to the business.
  */
@@ -740,7 +1016,12 @@ module.exports = {
   getCompanyTheme,
   buildBrandedOtpHtml,
   buildCustomerConfirmationHtml,
+  buildCustomerRescheduleHtml,
+  buildCustomerReminderHtml,
+  buildCustomerCancellationHtml,
+  buildCustomerWaitlistHtml,
   buildBusinessNotificationHtml,
+  buildBusinessBookingChangeHtml,
   buildQualifiedLeadNotificationHtml,
   buildCompletedWorkflowNotificationHtml,
   resolveFrontendAssetUrl,
@@ -0,0 +1,154 @@
+/**
+ * iCalendar (RFC 5545) output for booking emails (iTIP REQUEST / CANCEL invites, RFC 5546), the
+ * per-app subscription feed and events written to CalDAV calendars.
+ */
+
+const PRODUCT_ID = '-//Assistly//Appointments//EN';
+const MAX_LINE_OCTETS = 75;
+
+/** 20250101T093000Z */
+function formatUtc(date) {
+  return new Date(date).toISOString().replace(/[-:]/g, '').replace(/\.\d{3}/, '');
+}
+
+/** Escape a TEXT value: backslash, semicolon, comma and newlines. */
+function escapeText(value) {
+  return String(value ?? '')
+    .replace(/\\/g, '\\\\')
+    .replace(/;/g, '\\;')
+    .replace(/,/g, '\\,')
+    .replace(/\r?\n/g, '\\n');
+}
+
+/** Quote a parameter value (e.g. CN) when it contains characters that need it. */
+function paramValue(value) {
+  const clean = String(value ?? '').replace(/"/g, "'").replace(/[\r\n]+/g, ' ');
+  return /[;:,]/.test(clean) ? `"${clean}"` : clean;
+}
+
+/** Fold a content line at 75 octets without splitting multi-byte characters. */
+function foldLine(line) {
+  if (Buffer.byteLength(line, 'utf8') <= MAX_LINE_OCTETS) return line;
+  const parts = [];
+  let current = '';
+  let currentBytes = 0;
+  for (const ch of line) {
+    const chBytes = Buffer.byteLength(ch, 'utf8');
+    // Continuation lines start with a space, which counts towards their length.
+    const limit = parts.length === 0 ? MAX_LINE_OCTETS : MAX_LINE_OCTETS - 1;
+    if (currentBytes + chBytes > limit) {
+      parts.push(current);
+      current = '';
+      currentBytes = 0;
+    }
+    current += ch;
+    currentBytes += chBytes;
+  }
+  parts.push(current);
+  return parts.join('\r\n ');
+}
+
+/** Domain part of event UIDs, so they are globally unique. */
+function uidDomain() {
+  const fromEmail = String(process.env.FROM_EMAIL || '');
+  return process.env.ICS_UID_DOMAIN || fromEmail.split('@')[1] || 'assistly.app';
+}
+
+/**
+ * VEVENT lines for one appointment.
+ * @param {Object} event
+ * @param {string} event.id - stable ID (Appointment _id, or provider event ID); becomes the UID
+ * @param {number} [event.sequence] - bumped on every change so calendars replace the old copy
+ * @param {Date|string} event.start
+ * @param {Date|string} event.end
+ * @param {string} [event.title]
+ * @param {string} [event.description]
+ * @param {string} [event.url]
+ * @param {boolean} [event.cancelled]
+ * @param {{ name?: string, email?: string }} [event.organizer]
+ * @param {{ name?: string, email?: string }} [event.attendee]
+ * @param {Date|string} [event.updatedAt]
+ * @returns {string[]}
+ */
+function buildEventLines(event) {
+  const lines = [
+    'BEGIN:VEVENT',
+    `UID:${event.id}@${uidDomain()}`,
+    `SEQUENCE:${event.sequence || 0}`,
+    `DTSTAMP:${formatUtc(new Date())}`,
+    `DTSTART:${formatUtc(event.start)}`,
+    `DTEND:${formatUtc(event.end)}`,
+    `SUMMARY:${escapeText(event.title || 'Appointment')}`
+  ];
+  if (event.updatedAt) lines.push(`LAST-MODIFIED:${formatUtc(event.updatedAt)}`);
+  if (event.description) lines.push(`DESCRIPTION:${escapeText(event.description)}`);
+  if (event.url) lines.push(`URL:${event.url}`);
+  if (event.organizer?.email) {
+    lines.push(`ORGANIZER;CN=${paramValue(event.organizer.name || event.organizer.email)}:mailto:${event.organizer.email}`);
+  }
+  if (event.attendee?.email) {
+    const attendeeParams = [
+      `CN=${paramValue(event.attendee.name || event.attendee.email)}`,
+      'ROLE=REQ-PARTICIPANT',
+      `PARTSTAT=${event.cancelled ? 'DECLINED' : 'ACCEPTED'}`
+    ];
+    lines.push(`ATTENDEE;${attendeeParams.join(';')}:mailto:${event.attendee.email}`);
+  }
+  lines.push(`STATUS:${event.cancelled ? 'CANCELLED' : 'CONFIRMED'}`);
+  lines.push('TRANSP:OPAQUE');
+  lines.push('END:VEVENT');
+  return lines;
+}
+
+/**
+ * A complete VCALENDAR document.
+ * @param {Object} params
+ * @param {'REQUEST'|'CANCEL'|'PUBLISH'|null} params.method - null for objects stored on a CalDAV server,
+ *   which must not carry a METHOD
+ * @param {Array<Object>} params.events - see buildEventLines
+ * @param {string} [params.name] - calendar name shown by subscribing clients (feeds)
+ * @param {string} [params.timeZone] - IANA timezone hint for subscribing clients (feeds)
+ * @returns {string}
+ */
+function buildCalendar({ method, events, name, timeZone }) {
+  const lines = [
+    'BEGIN:VCALENDAR',
+    'VERSION:2.0',
+    `PRODID:${PRODUCT_ID}`,
+    'CALSCALE:GREGORIAN'
+  ];
+  if (method) lines.push(`METHOD:${method}`);
+  if (name) lines.push(`X-WR-CALNAME:${escapeText(name)}`);
+  if (timeZone) lines.push(`X-WR-TIMEZONE:${timeZone}`);
+  if (method === 'PUBLISH' && name) {
+    lines.push('REFRESH-INTERVAL;VALUE=DURATION:PT1H');
+    lines.push('X-PUBLISHED-TTL:PT1H');
+  }
+  for (const event of events) lines.push(...buildEventLines(event));
+  lines.push('END:VCALENDAR');
+  return `${lines.map(foldLine).join('\r\n')}\r\n`;
+}
+
+/**
+ * SendGrid attachment for a calendar invite.
+ * @param {string} icsContent - from buildCalendar
+ * @param {'REQUEST'|'CANCEL'|'PUBLISH'} method
+ * @param {string} [filename]
+ */
+function toIcsAttachment(icsContent, method, filename = 'invite.ics') {
+  return {
+    content: Buffer.from(icsContent, 'utf8').toString('base64'),
+    filename,
+    type: `text/calendar; charset=UTF-8; method=${method}`,
+    disposition: 'attachment'
+  };
+}
+
+module.exports = {
+  buildCalendar,
+  buildEventLines,
+  toIcsAttachment,
+  formatUtc,
+  escapeText,
+  foldLine
+};
@@ -0,0 +1,64 @@
+/**
+ * Signed, expiring tokens for customer manage-booking links (view, reschedule or cancel one
+ * appointment without logging in). A token expires when its appointment ends.
+ *
+ * Signed with MANAGE_BOOKING_TOKEN_SECRET, or a key derived from JWT_SECRET, so a booking token can
+ * never be accepted as an access token and vice versa.
+ */
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const { AppError } = require('./errorHandler');
+
+const TOKEN_AUDIENCE = 'manage-booking';
+
+function getSigningKey() {
+  if (process.env.MANAGE_BOOKING_TOKEN_SECRET) return process.env.MANAGE_BOOKING_TOKEN_SECRET;
+  return crypto.createHmac('sha256', process.env.JWT_SECRET || '').update(TOKEN_AUDIENCE).digest('hex');
+}
+
+/**
+ * @param {Object} appointment - Appointment document (_id, owner, endAt)
+ * @returns {string}
+ */
+function createManageBookingToken(appointment) {
+  return jwt.sign(
+    { appId: String(appointment.owner), exp: Math.floor(new Date(appointment.endAt).getTime() / 1000) },
+    getSigningKey(),
+    { subject: String(appointment._id), audience: TOKEN_AUDIENCE }
+  );
+}
+
+/**
+ * @param {string} token
+ * @returns {{ appointmentId: string, appId: string }}
+ * @throws {AppError} 401 when the token is invalid or expired
+ */
+function verifyManageBookingToken(token) {
+  let decoded;
+  try {
+    decoded = jwt.verify(String(token || ''), getSigningKey(), { audience: TOKEN_AUDIENCE });
+  } catch (err) {
+    if (err.name === 'TokenExpiredError') {
+      throw new AppError('This booking link has expired', 401);
+    }
+    throw new AppError('Invalid booking link', 401);
+  }
+  return { appointmentId: decoded.sub, appId: decoded.appId };
+}
+
+/**
+ * Customer-facing URL for a token: MANAGE_BOOKING_URL, or FRONTEND_URL + /manage-booking.
+ * @returns {string} '' when neither is configured
+ */
+function buildManageBookingUrl(token) {
+  const frontendBase = (process.env.FRONTEND_URL || '').trim().replace(/\/$/, '');
+  const base = (process.env.MANAGE_BOOKING_URL || '').trim().replace(/\/$/, '')
+    || (frontendBase ? `${frontendBase}/manage-booking` : '');
+  return base ? `${base}/${token}` : '';
+}
+
+module.exports = {
+  createManageBookingToken,
+  verifyManageBookingToken,
+  buildManageBookingUrl
+};
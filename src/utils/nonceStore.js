@@ -0,0 +1,47 @@
+const cacheManager = require('./cache');
+const { logger } = require('./logger');
+
+const KEY_PREFIX = 'tp_nonce:';
+
+/**
+ * Replay-protection nonce store. Uses Redis (shared by every instance) when cacheManager is
+ * connected, otherwise a per-process Map. Claims are atomic in Redis via SET NX.
+ */
+class NonceStore {
+  constructor() {
+    this.local = new Map(); // nonce -> expiresAt (ms)
+    this.warnedFallback = false;
+  }
+
+  pruneLocal() {
+    const now = Date.now();
+    for (const [nonce, exp] of this.local.entries()) {
+      if (exp <= now) this.local.delete(nonce);
+    }
+  }
+
+  /**
+   * Record a nonce as used.
+   * @param {string} nonce
+   * @param {number} ttlMs - how long the nonce must stay unusable
+   * @returns {Promise<boolean>} true if this is the first use, false if it was seen before (replay)
+   */
+  async claim(nonce, ttlMs) {
+    const shared = await cacheManager.setIfAbsent(`${KEY_PREFIX}${nonce}`, 1, Math.ceil(ttlMs / 1000));
+    if (shared !== null) return shared;
+
+    if (process.env.REDIS_URL && !this.warnedFallback) {
+      logger.warn('Redis unavailable; nonce replay protection is per-instance only');
+      this.warnedFallback = true;
+    }
+    this.pruneLocal();
+    if (this.local.has(nonce)) return false;
+    this.local.set(nonce, Date.now() + ttlMs);
+    return true;
+  }
+}
+
+// Create singleton instance
+const nonceStore = new NonceStore();
+
+module.exports = nonceStore;
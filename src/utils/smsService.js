@@ -72,6 +72,57 @@ class SmsService {
     }
   }
 
+  /**
+   * Send a plain text SMS from the platform number
+   * @param {Object} messageData
+   * @param {string} messageData.to - Recipient phone number
+   * @param {string} messageData.body - Message text
+   * @param {string} [messageData.statusCallback] - URL Twilio posts delivery status updates to
+   * @returns {Promise<Object>} Twilio response
+   */
+  async sendSms(messageData) {
+    const { to, body, statusCallback } = messageData;
+
+    if (!to) {
+      throw new Error('Phone number is required');
+    }
+
+    if (!body) {
+      throw new Error('Message body is required');
+    }
+
+    const formattedNumber = to.startsWith('+') ? to : `+${to}`;
+
+    try {
+      const response = await this.client.messages.create({
+        body,
+        from: this.fromNumber,
+        to: formattedNumber,
+        ...(statusCallback && { statusCallback })
+      });
+
+      logger.info('SMS sent successfully', {
+        phoneNumber: formattedNumber,
+        messageSid: response.sid
+      });
+
+      return {
+        success: true,
+        messageSid: response.sid,
+        status: response.status,
+        response
+      };
+
+    } catch (error) {
+      logger.error('Failed to send SMS', {
+        error: error.message,
+        phoneNumber: formattedNumber
+      });
+
+      throw new Error(`SMS sending failed: ${error.message}`);
+    }
+  }
+
   /**
    * Test SMS service configuration
    * @returns {Promise<boolean>} True if configuration is valid
@@ -0,0 +1,191 @@
+/**
+ * Guards for server-side requests to user-supplied URLs (webhook endpoints, CalDAV servers).
+ * Hostnames are resolved and every address is checked, and requests connect only to the addresses
+ * that passed the check, so DNS names pointing at internal hosts (or re-pointed after validation)
+ * cannot be used to reach them.
+ */
+const dns = require('dns');
+const net = require('net');
+const http = require('http');
+const https = require('https');
+
+const PRIVATE_HOST_PATTERNS = [
+  /^localhost$/i,
+  /\.localhost$/i,
+  /\.local$/i,
+  /\.internal$/i
+];
+
+// Loopback, private, link-local, shared (CGNAT), multicast and reserved ranges. IPv4-mapped IPv6
+// addresses (::ffff:a.b.c.d) are matched against the IPv4 ranges by BlockList.
+const PRIVATE_ADDRESSES = new net.BlockList();
+for (const [prefix, bits] of [
+  ['0.0.0.0', 8], ['10.0.0.0', 8], ['100.64.0.0', 10], ['127.0.0.0', 8], ['169.254.0.0', 16],
+  ['172.16.0.0', 12], ['192.0.0.0', 24], ['192.0.2.0', 24], ['192.168.0.0', 16], ['198.18.0.0', 15],
+  ['198.51.100.0', 24], ['203.0.113.0', 24], ['224.0.0.0', 4], ['240.0.0.0', 4]
+]) {
+  PRIVATE_ADDRESSES.addSubnet(prefix, bits, 'ipv4');
+}
+for (const [prefix, bits] of [
+  ['::', 96], ['64:ff9b:1::', 48], ['100::', 64], ['2001:db8::', 32], ['fc00::', 7], ['fe80::', 10], ['ff00::', 8]
+]) {
+  PRIVATE_ADDRESSES.addSubnet(prefix, bits, 'ipv6');
+}
+
+const MAX_REDIRECTS = 5;
+const DEFAULT_BODY_LIMIT = 5 * 1024 * 1024;
+
+class PrivateAddressError extends Error {
+  constructor(hostname) {
+    super(`${hostname} resolves to a private or internal address`);
+    this.name = 'PrivateAddressError';
+    this.code = 'EPRIVATEADDRESS';
+  }
+}
+
+/** True for internal-only hostnames (localhost, *.local, *.internal). */
+function isPrivateHostname(hostname) {
+  return PRIVATE_HOST_PATTERNS.some((re) => re.test(String(hostname || '')));
+}
+
+/** True for loopback, private, link-local, multicast and reserved IPv4/IPv6 addresses. */
+function isPrivateAddress(address) {
+  const ip = String(address || '').replace(/^\[|\]$/g, '');
+  const family = net.isIP(ip);
+  if (!family) return false;
+  return PRIVATE_ADDRESSES.check(ip, family === 6 ? 'ipv6' : 'ipv4');
+}
+
+/**
+ * dns.lookup replacement that fails with EPRIVATEADDRESS when any address of the host is private.
+ * Given to http(s).request, so the connection goes to an address that was checked.
+ */
+function publicLookup(hostname, options, callback) {
+  if (typeof options === 'function') {
+    callback = options;
+    options = {};
+  }
+  const opts = typeof options === 'number' ? { family: options } : { ...options };
+  dns.lookup(hostname, { ...opts, all: true }, (err, addresses) => {
+    if (err) return callback(err);
+    if (addresses.length === 0 || addresses.some((a) => isPrivateAddress(a.address))) {
+      return callback(new PrivateAddressError(hostname));
+    }
+    if (opts.all) return callback(null, addresses);
+    return callback(null, addresses[0].address, addresses[0].family);
+  });
+}
+
+/**
+ * Check that a hostname is public: not an internal name, and every address it resolves to is public.
+ * @throws {PrivateAddressError} when it is not; the DNS error when it does not resolve
+ */
+async function assertPublicHost(hostname) {
+  const host = String(hostname || '').replace(/^\[|\]$/g, '');
+  if (isPrivateHostname(host) || isPrivateAddress(host)) throw new PrivateAddressError(host);
+  if (net.isIP(host)) return;
+  await new Promise((resolve, reject) => {
+    publicLookup(host, {}, (err) => (err ? reject(err) : resolve()));
+  });
+}
+
+/**
+ * Minimal fetch for user-supplied URLs: connects only to public addresses (unless allowPrivate),
+ * re-checks every redirect hop and reads at most bodyLimit bytes.
+ * @param {string} url
+ * @param {Object} [opts]
+ * @param {string} [opts.method]
+ * @param {Object} [opts.headers]
+ * @param {string|Buffer} [opts.body]
+ * @param {'follow'|'manual'} [opts.redirect]
+ * @param {number} [opts.timeoutMs]
+ * @param {boolean} [opts.allowPrivate] - skip the address check (explicit opt-out for self-hosted targets)
+ * @param {number} [opts.bodyLimit]
+ * @returns {Promise<{ status: number, headers: Headers, url: string, text: () => Promise<string> }>}
+ * @throws {PrivateAddressError} for private targets; an Error named TimeoutError after timeoutMs
+ */
+async function requestUrl(url, {
+  method = 'GET', headers = {}, body, redirect = 'manual', timeoutMs = 10000, allowPrivate = false, bodyLimit = DEFAULT_BODY_LIMIT
+} = {}) {
+  const deadline = Date.now() + timeoutMs;
+  let current = new URL(url);
+  let currentMethod = method;
+  let currentBody = body;
+  let currentHeaders = { ...headers };
+
+  for (let hop = 0; ; hop += 1) {
+    if (!['http:', 'https:'].includes(current.protocol)) throw new Error(`Unsupported protocol ${current.protocol}`);
+    if (!allowPrivate) await assertPublicHost(current.hostname);
+    const response = await sendOnce(current, {
+      method: currentMethod,
+      headers: currentHeaders,
+      body: currentBody,
+      timeoutMs: Math.max(1, deadline - Date.now()),
+      allowPrivate,
+      bodyLimit
+    });
+    const location = response.headers.get('location');
+    if (redirect !== 'follow' || ![301, 302, 303, 307, 308].includes(response.status) || !location) return response;
+    if (hop >= MAX_REDIRECTS) throw new Error('Too many redirects');
+
+    const next = new URL(location, current);
+    if (response.status === 303 || ([301, 302].includes(response.status) && currentMethod === 'POST')) {
+      currentMethod = 'GET';
+      currentBody = undefined;
+      currentHeaders = Object.fromEntries(Object.entries(currentHeaders).filter(([k]) => k.toLowerCase() !== 'content-type'));
+    }
+    // Like fetch, credentials are not sent on to another origin.
+    if (next.origin !== current.origin) {
+      currentHeaders = Object.fromEntries(Object.entries(currentHeaders).filter(([k]) => k.toLowerCase() !== 'authorization'));
+    }
+    current = next;
+  }
+}
+
+function sendOnce(url, { method, headers, body, timeoutMs, allowPrivate, bodyLimit }) {
+  const client = url.protocol === 'https:' ? https : http;
+  return new Promise((resolve, reject) => {
+    const req = client.request(url, {
+      method,
+      headers: body !== undefined ? { ...headers, 'Content-Length': Buffer.byteLength(body) } : headers,
+      ...(allowPrivate ? {} : { lookup: publicLookup })
+    }, (res) => {
+      const chunks = [];
+      let size = 0;
+      res.on('data', (chunk) => {
+        size += chunk.length;
+        if (size <= bodyLimit) chunks.push(chunk);
+      });
+      res.on('end', () => {
+        clearTimeout(timer);
+        const responseHeaders = new Headers();
+        for (const [name, value] of Object.entries(res.headers)) {
+          for (const v of [].concat(value)) responseHeaders.append(name, v);
+        }
+        const text = Buffer.concat(chunks).toString('utf8');
+        resolve({ status: res.statusCode, headers: responseHeaders, url: url.toString(), text: async () => text });
+      });
+      res.on('error', reject);
+    });
+    const timer = setTimeout(() => {
+      const error = new Error(`Request timed out after ${timeoutMs}ms`);
+      error.name = 'TimeoutError';
+      req.destroy(error);
+    }, timeoutMs);
+    req.on('error', (err) => {
+      clearTimeout(timer);
+      reject(err);
+    });
+    if (body !== undefined) req.write(body);
+    req.end();
+  });
+}
+
+module.exports = {
+  PrivateAddressError,
+  isPrivateHostname,
+  isPrivateAddress,
+  publicLookup,
+  assertPublicHost,
+  requestUrl
+};
@@ -1,10 +1,36 @@
 const { Server } = require('socket.io');
+const { createAdapter } = require('@socket.io/redis-adapter');
 const { logger } = require('./logger');
+const cacheManager = require('./cache');
+const { verifyAccessToken } = require('../middleware/auth');
+const { assertAppOwnership } = require('../middleware/appOwnership');
+const { WS_EVENTS } = require('../enums/websocketEvents');
+
+const userRoom = (userId) => `user_${userId}`;
+const appRoom = (appId) => `app_${appId}`;
+
+/**
+ * Access token from the socket handshake: `auth.token` (socket.io client option),
+ * then `Authorization: Bearer` header, then `?token=` query.
+ */
+function getHandshakeToken(socket) {
+  const { auth, headers, query } = socket.handshake || {};
+  if (auth?.token) return String(auth.token).replace(/^Bearer\s+/i, '');
+  const header = headers?.authorization;
+  if (header && header.startsWith('Bearer ')) return header.split(' ')[1];
+  if (query?.token) return String(query.token);
+  return null;
+}
+
+// Reply through the client's ack callback when it sent one.
+function reply(ack, payload) {
+  if (typeof ack === 'function') ack(payload);
+}
 
 class WebSocketServer {
   constructor() {
     this.io = null;
-    this.connectedUsers = new Map(); // userId -> socketId mapping
+    this.connectedUsers = new Map(); // userId -> Set of socketIds (one per tab/device)
   }
 
   initialize(server) {
@@ -15,28 +41,57 @@ class WebSocketServer {
       }
     });
 
+    // Reject connections without a valid access token (same JWT as the REST API).
+    this.io.use((socket, next) => {
+      try {
+        socket.data.user = verifyAccessToken(getHandshakeToken(socket));
+        next();
+      } catch (error) {
+        const err = new Error(error.message || 'Authentication failed');
+        err.data = { statusCode: error.statusCode || 401 };
+        next(err);
+      }
+    });
+
     this.io.on('connection', (socket) => {
-      logger.info(`WebSocket client connected: ${socket.id}`);
-
-      // Handle user authentication and room joining
-      socket.on('join', (userId) => {
-        if (userId) {
-          this.connectedUsers.set(userId, socket.id);
-          socket.join(`user_${userId}`);
-          logger.info(`User ${userId} joined WebSocket room`);
+      const user = socket.data.user;
+      const userId = String(user.id);
+      this.trackSocket(userId, socket.id);
+      socket.join(userRoom(userId));
+      logger.info(`WebSocket client connected: ${socket.id} (user ${userId})`);
+
+      // Legacy clients still emit `join` with their userId; the room is already joined on connect.
+      socket.on('join', (requestedUserId, ack) => {
+        if (requestedUserId && String(requestedUserId) !== userId && user.role !== 'admin') {
+          logger.warn(`WebSocket join rejected: user ${userId} requested room of user ${requestedUserId}`);
+          return reply(ack, { ok: false, error: 'You can only join your own room' });
         }
+        if (requestedUserId && String(requestedUserId) !== userId) socket.join(userRoom(requestedUserId));
+        reply(ack, { ok: true });
+      });
+
+      // Subscribe to one app's events; same rules as verifyAppOwnership.
+      socket.on('join_app', async (appId, ack) => {
+        try {
+          if (!appId) throw Object.assign(new Error('App ID is required'), { statusCode: 400 });
+          await assertAppOwnership(String(appId), userId);
+          socket.join(appRoom(appId));
+          logger.info(`User ${userId} joined WebSocket room for app ${appId}`);
+          reply(ack, { ok: true, appId: String(appId) });
+        } catch (error) {
+          reply(ack, { ok: false, error: error.statusCode ? error.message : 'Failed to join app room', statusCode: error.statusCode || 500 });
+        }
+      });
+
+      socket.on('leave_app', (appId, ack) => {
+        if (appId) socket.leave(appRoom(appId));
+        reply(ack, { ok: true });
       });
 
       // Handle disconnection
       socket.on('disconnect', () => {
-        // Find and remove the user from connectedUsers
-        for (const [userId, socketId] of this.connectedUsers.entries()) {
-          if (socketId === socket.id) {
-            this.connectedUsers.delete(userId);
-            logger.info(`User ${userId} disconnected from WebSocket`);
-            break;
-          }
-        }
+        this.untrackSocket(userId, socket.id);
+        logger.info(`WebSocket client disconnected: ${socket.id} (user ${userId})`);
       });
     });
 
@@ -44,7 +99,70 @@ class WebSocketServer {
     return this.io;
   }
 
-  // Broadcast to a specific user
+  /**
+   * Fan room emits out through Redis pub/sub so every instance delivers them to its own sockets.
+   * Without Redis the default in-memory adapter stays (single instance only).
+   * connectedUsers remains per instance either way.
+   */
+  async useRedisAdapter() {
+    if (!this.io) {
+      logger.warn('WebSocket server not initialized');
+      return false;
+    }
+
+    let clients = null;
+    try {
+      clients = await cacheManager.createPubSubClients();
+    } catch (error) {
+      logger.error('Failed to connect Redis pub/sub clients for WebSocket adapter:', error.message);
+    }
+    if (!clients) {
+      logger.info('WebSocket using in-memory adapter (Redis not available)');
+      return false;
+    }
+
+    this.io.adapter(createAdapter(clients.pubClient, clients.subClient));
+    logger.info('WebSocket using Redis adapter');
+    return true;
+  }
+
+  trackSocket(userId, socketId) {
+    if (!this.connectedUsers.has(userId)) this.connectedUsers.set(userId, new Set());
+    this.connectedUsers.get(userId).add(socketId);
+  }
+
+  untrackSocket(userId, socketId) {
+    const sockets = this.connectedUsers.get(userId);
+    if (!sockets) return;
+    sockets.delete(socketId);
+    if (sockets.size === 0) this.connectedUsers.delete(userId);
+  }
+
+  /**
+   * Emit an event to an app's room and, when known, to the owner's user room.
+   * Sockets in both rooms receive it once.
+   * @param {string} appId
+   * @param {string} event - one of WS_EVENTS
+   * @param {Object} data
+   * @param {string} [ownerUserId]
+   */
+  emitToApp(appId, event, data, ownerUserId = null) {
+    if (!this.io) {
+      logger.warn('WebSocket server not initialized');
+      return;
+    }
+
+    try {
+      let target = this.io.to(appRoom(appId));
+      if (ownerUserId) target = target.to(userRoom(ownerUserId));
+      target.emit(event, { appId: String(appId), ...data });
+      logger.info(`Broadcasted ${event} to app ${appId}`);
+    } catch (error) {
+      logger.error(`Error broadcasting ${event} to app:`, error);
+    }
+  }
+
+  // Broadcast a new lead to a specific user (and the lead's app room)
   broadcastToUser(userId, data) {
     if (!this.io) {
       logger.warn('WebSocket server not initialized');
@@ -52,13 +170,24 @@ class WebSocketServer {
     }
 
     try {
-      this.io.to(`user_${userId}`).emit('new_lead', data);
+      let target = this.io.to(userRoom(userId));
+      if (data?.lead?.appId) target = target.to(appRoom(data.lead.appId));
+      target.emit(WS_EVENTS.NEW_LEAD, data);
       logger.info(`Broadcasted new_lead to user ${userId}:`, data.type);
     } catch (error) {
       logger.error('Error broadcasting to user:', error);
     }
   }
 
+  // Broadcast a lead update to the lead's app room and owner
+  broadcastLeadUpdated(userId, lead) {
+    if (!lead?.appId) {
+      if (userId && this.io) this.io.to(userRoom(userId)).emit(WS_EVENTS.LEAD_UPDATED, { lead });
+      return;
+    }
+    this.emitToApp(lead.appId, WS_EVENTS.LEAD_UPDATED, { lead }, userId);
+  }
+
   // Broadcast app creation progress to a specific user
   broadcastAppCreationProgress(userId, progressData) {
     if (!this.io) {
@@ -67,7 +196,7 @@ class WebSocketServer {
     }
 
     try {
-      this.io.to(`user_${userId}`).emit('app_creation_progress', progressData);
+      this.io.to(userRoom(userId)).emit(WS_EVENTS.APP_CREATION_PROGRESS, progressData);
       logger.info(`Broadcasted app_creation_progress to user ${userId}:`, progressData.step);
     } catch (error) {
       logger.error('Error broadcasting app creation progress:', error);
@@ -94,9 +223,9 @@ class WebSocketServer {
     return this.connectedUsers.size;
   }
 
-  // Check if user is connected
+  // Check if user is connected (on any tab/device)
   isUserConnected(userId) {
-    return this.connectedUsers.has(userId);
+    return this.connectedUsers.has(String(userId));
   }
 }
 
@@ -0,0 +1,104 @@
+/**
+ * In-memory stand-in for a node-redis v4 client: the commands CacheManager uses, with key expiry
+ * driven by Date.now() so tests can move the clock.
+ */
+class FakeRedisClient {
+  constructor(store = new Map()) {
+    this.store = store; // key -> { value, expiresAt (ms) | null }
+    this.handlers = {};
+    this.failConnect = false;
+    this.failCommand = null; // name of a command that fails inside MULTI
+  }
+
+  on(event, handler) {
+    this.handlers[event] = handler;
+    return this;
+  }
+
+  async connect() {
+    if (this.failConnect) throw new Error('connect ECONNREFUSED 127.0.0.1:6379');
+    if (this.handlers.ready) this.handlers.ready();
+  }
+
+  async quit() {}
+
+  duplicate() {
+    const copy = new FakeRedisClient(this.store);
+    copy.failConnect = this.failConnect;
+    return copy;
+  }
+
+  entry(key) {
+    const entry = this.store.get(key);
+    if (entry && entry.expiresAt !== null && entry.expiresAt <= Date.now()) {
+      this.store.delete(key);
+      return undefined;
+    }
+    return entry;
+  }
+
+  async get(key) {
+    const entry = this.entry(key);
+    return entry ? entry.value : null;
+  }
+
+  async set(key, value, opts = {}) {
+    if (opts.NX && this.entry(key)) return null;
+    this.store.set(key, { value: String(value), expiresAt: opts.EX ? Date.now() + opts.EX * 1000 : null });
+    return 'OK';
+  }
+
+  async setEx(key, ttlSeconds, value) {
+    return this.set(key, value, { EX: ttlSeconds });
+  }
+
+  async incr(key) {
+    const entry = this.entry(key);
+    const count = (entry ? parseInt(entry.value, 10) : 0) + 1;
+    this.store.set(key, { value: String(count), expiresAt: entry ? entry.expiresAt : null });
+    return count;
+  }
+
+  async expire(key, ttlSeconds, mode) {
+    const entry = this.entry(key);
+    if (!entry) return 0;
+    if (mode === 'NX' && entry.expiresAt !== null) return 0;
+    entry.expiresAt = Date.now() + ttlSeconds * 1000;
+    return 1;
+  }
+
+  /** MULTI: queued commands run together on exec(); a queued failCommand fails the whole transaction. */
+  multi() {
+    const queue = [];
+    const chain = new Proxy({}, {
+      get: (target, name) => {
+        if (name === 'exec') {
+          return async () => {
+            if (queue.some(([command]) => command === this.failCommand)) throw new Error(`${this.failCommand} failed`);
+            const replies = [];
+            for (const [command, args] of queue) replies.push(await this[command](...args));
+            return replies;
+          };
+        }
+        return (...args) => {
+          queue.push([name, args]);
+          return chain;
+        };
+      }
+    });
+    return chain;
+  }
+
+  async ttl(key) {
+    const entry = this.entry(key);
+    if (!entry) return -2;
+    if (entry.expiresAt === null) return -1;
+    return Math.ceil((entry.expiresAt - Date.now()) / 1000);
+  }
+
+  async del(key) {
+    return this.store.delete(key) ? 1 : 0;
+  }
+}
+
+module.exports = { FakeRedisClient };
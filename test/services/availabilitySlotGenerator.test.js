@@ -0,0 +1,99 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const {
+  generateSlotsFromRules,
+  checkBookingAgainstRules,
+  combineSlotsForDuration
+} = require('../../src/services/availabilitySlotGenerator');
+
+// Open 09:00–12:00 UTC every day.
+const weeklyAvailability = [0, 1, 2, 3, 4, 5, 6].map((dayOfWeek) => ({
+  dayOfWeek,
+  slots: [{ start: '09:00', end: '12:00' }],
+  timezone: 'UTC'
+}));
+
+function startsOf(slots) {
+  return slots.map((s) => s.start.slice(0, 16));
+}
+
+function generate(opts) {
+  return generateSlotsFromRules({
+    timeMin: '2026-11-02T00:00:00.000Z',
+    timeMax: '2026-11-03T00:00:00.000Z',
+    weeklyAvailability,
+    slotMinutes: 30,
+    now: new Date('2026-11-01T00:00:00.000Z'),
+    ...opts
+  });
+}
+
+test('slots overlapping a busy time are left out', () => {
+  const slots = generate({ providerBusy: [{ start: '2026-11-02T10:00:00.000Z', end: '2026-11-02T10:30:00.000Z' }] });
+  assert.deepEqual(startsOf(slots), [
+    '2026-11-02T09:00', '2026-11-02T09:30', '2026-11-02T10:30', '2026-11-02T11:00', '2026-11-02T11:30'
+  ]);
+});
+
+test('buffers also keep slots that end or start too close to a busy time', () => {
+  const slots = generate({
+    providerBusy: [{ start: '2026-11-02T10:00:00.000Z', end: '2026-11-02T10:30:00.000Z' }],
+    rules: { bufferBeforeMinutes: 15, bufferAfterMinutes: 15 }
+  });
+  assert.deepEqual(startsOf(slots), ['2026-11-02T09:00', '2026-11-02T11:00', '2026-11-02T11:30']);
+});
+
+test('times held by other sessions are not offered', () => {
+  const slots = generate({ holds: [{ start: new Date('2026-11-02T09:00:00.000Z'), end: new Date('2026-11-02T10:00:00.000Z') }] });
+  assert.deepEqual(startsOf(slots), ['2026-11-02T10:00', '2026-11-02T10:30', '2026-11-02T11:00', '2026-11-02T11:30']);
+});
+
+test('minimum notice drops slots that start too soon', () => {
+  const now = new Date('2026-11-02T08:50:00.000Z');
+  const rules = { minNoticeMinutes: 60 };
+  assert.deepEqual(startsOf(generate({ now, rules })), [
+    '2026-11-02T10:00', '2026-11-02T10:30', '2026-11-02T11:00', '2026-11-02T11:30'
+  ]);
+  assert.match(checkBookingAgainstRules({ start: '2026-11-02T09:30:00.000Z', rules, now }), /at least 60 minutes/);
+  assert.equal(checkBookingAgainstRules({ start: '2026-11-02T10:00:00.000Z', rules, now }), null);
+});
+
+test('the booking horizon cuts off later slots', () => {
+  const now = new Date('2026-11-01T10:00:00.000Z');
+  const rules = { maxHorizonDays: 1 };
+  const slots = generate({ now, rules, timeMax: '2026-11-05T00:00:00.000Z' });
+  assert.deepEqual(startsOf(slots), ['2026-11-02T09:00', '2026-11-02T09:30', '2026-11-02T10:00']);
+  assert.match(checkBookingAgainstRules({ start: '2026-11-02T10:30:00.000Z', rules, now }), /at most 1 days/);
+});
+
+test('a day that reached its booking cap offers nothing', () => {
+  const rules = { dailyBookingCap: 1 };
+  const existingBookings = [{ start: '2026-11-02T09:00:00.000Z' }];
+  const slots = generate({ rules, existingBookings, timeMax: '2026-11-04T00:00:00.000Z' });
+  assert.ok(slots.length > 0);
+  assert.ok(slots.every((s) => s.start.startsWith('2026-11-03')));
+  assert.match(checkBookingAgainstRules({ start: '2026-11-02T11:00:00.000Z', rules, existingBookings }), /No more appointments/);
+  assert.equal(checkBookingAgainstRules({ start: '2026-11-03T11:00:00.000Z', rules, existingBookings }), null);
+});
+
+test('a service longer than one slot needs the whole duration free and inside opening hours', () => {
+  const slots = generate({
+    durationMinutes: 90,
+    intervalMinutes: 30,
+    providerBusy: [{ start: '2026-11-02T11:00:00.000Z', end: '2026-11-02T11:30:00.000Z' }]
+  });
+  assert.deepEqual(slots.map((s) => [s.start.slice(11, 16), s.end.slice(11, 16)]), [['09:00', '10:30'], ['09:30', '11:00']]);
+});
+
+test('back-to-back free slots are combined into longer appointments', () => {
+  const free = [
+    { start: '2026-11-02T09:00:00.000Z', end: '2026-11-02T09:30:00.000Z' },
+    { start: '2026-11-02T09:30:00.000Z', end: '2026-11-02T10:00:00.000Z' },
+    { start: '2026-11-02T10:00:00.000Z', end: '2026-11-02T10:30:00.000Z' },
+    // gap 10:30–11:00
+    { start: '2026-11-02T11:00:00.000Z', end: '2026-11-02T11:30:00.000Z' }
+  ];
+  assert.deepEqual(combineSlotsForDuration(free, 60).map((s) => [s.start.slice(11, 16), s.end.slice(11, 16)]), [
+    ['09:00', '10:00'], ['09:30', '10:30']
+  ]);
+});
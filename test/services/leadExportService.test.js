@@ -0,0 +1,23 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const ExcelJS = require('exceljs');
+const { parseImportFile } = require('../../src/services/leadExportService');
+
+test('CSV import rows keep their position in the file when blank rows are skipped', async () => {
+  const csv = '\nName,Email\n"Ann\nLee",ann@example.com\n\n,\nBob,bob@example.com\n';
+  const { records } = await parseImportFile({ buffer: Buffer.from(csv), originalname: 'leads.csv' });
+  assert.deepEqual(records.map((r) => r.rowNumber), [3, 6]);
+  assert.equal(records[1].values.leadEmail, 'bob@example.com');
+});
+
+test('XLSX import rows keep their sheet row numbers when empty rows are skipped', async () => {
+  const workbook = new ExcelJS.Workbook();
+  const sheet = workbook.addWorksheet('Leads');
+  sheet.getRow(1).values = ['Name', 'Email'];
+  sheet.getRow(2).values = ['Ann', 'ann@example.com'];
+  sheet.getRow(5).values = ['Bob', 'bob@example.com'];
+  const buffer = Buffer.from(await workbook.xlsx.writeBuffer());
+
+  const { records } = await parseImportFile({ buffer, originalname: 'leads.xlsx' });
+  assert.deepEqual(records.map((r) => r.rowNumber), [2, 5]);
+});
@@ -0,0 +1,39 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { leadQuerySchema } = require('../../src/models/Lead');
+const { buildSearchCondition, buildLeadSort } = require('../../src/services/leadSearchService');
+
+test('a single partial word is matched as a substring, not with $text', () => {
+  const { condition, isTextSearch } = buildSearchCondition('Joh');
+  assert.equal(isTextSearch, false);
+  assert.equal(condition.$text, undefined);
+  const leadName = condition.$or.find((c) => c.leadName).leadName;
+  assert.equal(leadName.test('Mary Johnson'), true);
+  assert.equal(leadName.test('Jane'), false);
+});
+
+test('regex characters in a single word are matched literally', () => {
+  const { condition } = buildSearchCondition('a.b');
+  const title = condition.$or.find((c) => c.title).title;
+  assert.equal(title.test('a.b roof'), true);
+  assert.equal(title.test('axb roof'), false);
+});
+
+test('several words use the text index and sort by relevance', () => {
+  assert.deepEqual(buildSearchCondition('kitchen remodel'), {
+    condition: { $text: { $search: 'kitchen remodel' } },
+    isTextSearch: true
+  });
+  assert.ok(buildLeadSort({ q: 'kitchen remodel' }).sort.score);
+  assert.deepEqual(buildLeadSort({ q: 'Joh' }).sort, { leadDateTime: -1 });
+});
+
+test('emails and phone numbers match the normalized contact keys', () => {
+  assert.deepEqual(buildSearchCondition(' John@Example.com ').condition, { normalizedEmail: 'john@example.com' });
+  assert.ok(buildSearchCondition('+1 (555) 123-4567').condition.$or.some((c) => c.leadPhoneNumber));
+});
+
+test('facet counts are only computed when asked for', () => {
+  assert.equal(leadQuerySchema.validate({}).value.facets, false);
+  assert.equal(leadQuerySchema.validate({ facets: 'true' }).value.facets, true);
+});
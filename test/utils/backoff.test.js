@@ -0,0 +1,20 @@
+const { test, afterEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const { backoffDelayMs } = require('../../src/utils/backoff');
+
+afterEach(() => {
+  mock.restoreAll();
+});
+
+test('delays double from the base and stop at the cap', () => {
+  mock.method(Math, 'random', () => 0.5); // no jitter
+  const policy = { baseMs: 1000, maxMs: 5000 };
+  assert.deepEqual([0, 1, 2, 3, 4, 10].map((a) => backoffDelayMs(a, policy)), [1000, 1000, 2000, 4000, 5000, 5000]);
+});
+
+test('jitter stays within the given fraction', () => {
+  mock.method(Math, 'random', () => 0);
+  assert.equal(backoffDelayMs(1, { baseMs: 1000, maxMs: 5000 }), 800);
+  mock.method(Math, 'random', () => 1);
+  assert.equal(backoffDelayMs(1, { baseMs: 1000, maxMs: 5000, jitter: 0.5 }), 1500);
+});
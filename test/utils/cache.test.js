@@ -0,0 +1,91 @@
+const { test, beforeEach, afterEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const redis = require('redis');
+const cacheManager = require('../../src/utils/cache');
+const { FakeRedisClient } = require('../helpers/fakeRedis');
+
+let now;
+let client;
+
+beforeEach(async () => {
+  now = Date.now();
+  mock.method(Date, 'now', () => now);
+  client = new FakeRedisClient();
+  mock.method(redis, 'createClient', () => client);
+  process.env.REDIS_URL = 'redis://redis.test:6379';
+  await cacheManager.connect();
+});
+
+afterEach(async () => {
+  await cacheManager.disconnect();
+  cacheManager.client = null;
+  cacheManager.isConnected = false;
+  delete process.env.REDIS_URL;
+  mock.restoreAll();
+});
+
+test('setIfAbsent only sets a key that does not exist yet (SET NX)', async () => {
+  assert.equal(await cacheManager.setIfAbsent('claim:a', 1, 60), true);
+  assert.equal(await cacheManager.setIfAbsent('claim:a', 2, 60), false);
+  assert.equal(await cacheManager.get('claim:a'), 1);
+});
+
+test('setIfAbsent keys can be set again once their TTL has passed', async () => {
+  assert.equal(await cacheManager.setIfAbsent('claim:b', 1, 30), true);
+  now += 29 * 1000;
+  assert.equal(await cacheManager.setIfAbsent('claim:b', 1, 30), false);
+  now += 2 * 1000;
+  assert.equal(await cacheManager.setIfAbsent('claim:b', 1, 30), true);
+});
+
+test('increment counts up and starts the TTL on the first increment only', async () => {
+  assert.equal(await cacheManager.increment('rate:x', 60), 1);
+  assert.equal(await client.ttl('rate:x'), 60);
+  now += 20 * 1000;
+  assert.equal(await cacheManager.increment('rate:x', 60), 2);
+  // The window is fixed: later increments do not extend it.
+  assert.equal(await client.ttl('rate:x'), 40);
+  now += 41 * 1000;
+  assert.equal(await cacheManager.increment('rate:x', 60), 1);
+});
+
+test('increment gives a counter left without a TTL one, so its window resets', async () => {
+  await client.set('rate:legacy', 7); // e.g. INCR succeeded but a separate EXPIRE did not
+  assert.equal(await cacheManager.increment('rate:legacy', 60), 8);
+  assert.equal(await client.ttl('rate:legacy'), 60);
+  now += 61 * 1000;
+  assert.equal(await cacheManager.increment('rate:legacy', 60), 1);
+});
+
+test('when the transaction fails no counter is left behind', async () => {
+  client.failCommand = 'expire';
+  assert.equal(await cacheManager.increment('rate:y', 60), null);
+  assert.equal(await client.ttl('rate:y'), -2);
+  client.failCommand = null;
+  assert.equal(await cacheManager.increment('rate:y', 60), 1);
+  assert.equal(await client.ttl('rate:y'), 60);
+});
+
+test('without REDIS_URL the cache is disabled and claims/counters report null', async () => {
+  await cacheManager.disconnect();
+  cacheManager.client = null;
+  delete process.env.REDIS_URL;
+  await cacheManager.connect();
+
+  assert.equal(cacheManager.isConnected, false);
+  assert.equal(redis.createClient.mock.callCount(), 1); // only the beforeEach connection
+  assert.equal(await cacheManager.setIfAbsent('claim:c', 1, 60), null);
+  assert.equal(await cacheManager.increment('rate:c', 60), null);
+  assert.equal(await cacheManager.createPubSubClients(), null);
+});
+
+test('an unreachable Redis leaves the cache disabled', async () => {
+  await cacheManager.disconnect();
+  client = new FakeRedisClient();
+  client.failConnect = true;
+  await cacheManager.connect();
+
+  assert.equal(cacheManager.isConnected, false);
+  assert.equal(cacheManager.client, null);
+  assert.equal(await cacheManager.setIfAbsent('claim:d', 1, 60), null);
+});
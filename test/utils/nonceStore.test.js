@@ -0,0 +1,73 @@
+const { test, beforeEach, afterEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const redis = require('redis');
+const cacheManager = require('../../src/utils/cache');
+const nonceStore = require('../../src/utils/nonceStore');
+const { FakeRedisClient } = require('../helpers/fakeRedis');
+
+let now;
+
+beforeEach(() => {
+  now = Date.now();
+  mock.method(Date, 'now', () => now);
+  nonceStore.local.clear();
+});
+
+afterEach(async () => {
+  await cacheManager.disconnect();
+  cacheManager.client = null;
+  cacheManager.isConnected = false;
+  delete process.env.REDIS_URL;
+  mock.restoreAll();
+});
+
+async function connectFakeRedis() {
+  const client = new FakeRedisClient();
+  mock.method(redis, 'createClient', () => client);
+  process.env.REDIS_URL = 'redis://redis.test:6379';
+  await cacheManager.connect();
+  assert.equal(cacheManager.isConnected, true);
+  return client;
+}
+
+test('with Redis, a replayed nonce is rejected', async () => {
+  const client = await connectFakeRedis();
+  assert.equal(await nonceStore.claim('n-1', 5 * 60 * 1000), true);
+  assert.equal(await nonceStore.claim('n-1', 5 * 60 * 1000), false);
+  assert.equal(await nonceStore.claim('n-2', 5 * 60 * 1000), true);
+  // Claims live in Redis (shared by every instance), not in the process.
+  assert.equal(nonceStore.local.size, 0);
+  assert.equal(await client.ttl('tp_nonce:n-1'), 300);
+});
+
+test('with Redis, a nonce can be used again after its TTL', async () => {
+  await connectFakeRedis();
+  assert.equal(await nonceStore.claim('n-3', 1500), true);
+  now += 1000;
+  assert.equal(await nonceStore.claim('n-3', 1500), false);
+  // TTLs are rounded up to whole seconds in Redis.
+  now += 1001;
+  assert.equal(await nonceStore.claim('n-3', 1500), true);
+});
+
+test('without REDIS_URL, nonces are tracked in memory with the same semantics', async () => {
+  delete process.env.REDIS_URL;
+  await cacheManager.connect();
+  assert.equal(cacheManager.isConnected, false);
+
+  assert.equal(await nonceStore.claim('n-4', 60 * 1000), true);
+  assert.equal(await nonceStore.claim('n-4', 60 * 1000), false);
+  assert.equal(nonceStore.local.has('n-4'), true);
+  now += 60 * 1000;
+  assert.equal(await nonceStore.claim('n-4', 60 * 1000), true);
+});
+
+test('when Redis drops, claims fall back to memory', async () => {
+  await connectFakeRedis();
+  assert.equal(await nonceStore.claim('n-5', 60 * 1000), true);
+  cacheManager.isConnected = false; // e.g. after an 'end' event
+
+  assert.equal(await nonceStore.claim('n-6', 60 * 1000), true);
+  assert.equal(await nonceStore.claim('n-6', 60 * 1000), false);
+  assert.equal(nonceStore.local.has('n-6'), true);
+});
@@ -0,0 +1,74 @@
+const { test, afterEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const dns = require('dns');
+const http = require('http');
+const { isPrivateAddress, publicLookup, assertPublicHost, requestUrl } = require('../../src/utils/urlSafety');
+
+afterEach(() => {
+  mock.restoreAll();
+});
+
+function resolveTo(addresses) {
+  mock.method(dns, 'lookup', (hostname, options, callback) => callback(null, addresses));
+}
+
+test('private, loopback, link-local and mapped addresses are private', () => {
+  for (const address of [
+    '127.0.0.1', '10.1.2.3', '172.16.0.1', '192.168.1.1', '169.254.169.254', '100.64.0.1', '0.0.0.0',
+    '::1', '::', 'fe80::1', 'fd00::1', '::ffff:127.0.0.1', '::ffff:7f00:1', '[::1]'
+  ]) {
+    assert.equal(isPrivateAddress(address), true, address);
+  }
+  for (const address of ['8.8.8.8', '1.1.1.1', '2606:4700:4700::1111', '::ffff:8.8.8.8']) {
+    assert.equal(isPrivateAddress(address), false, address);
+  }
+});
+
+test('a host with any private address is rejected', async () => {
+  resolveTo([{ address: '93.184.216.34', family: 4 }, { address: '10.0.0.5', family: 4 }]);
+  await assert.rejects(assertPublicHost('mixed.example.com'), { code: 'EPRIVATEADDRESS' });
+});
+
+test('internal names and private literals are rejected without a lookup', async () => {
+  mock.method(dns, 'lookup');
+  await assert.rejects(assertPublicHost('localhost'), { code: 'EPRIVATEADDRESS' });
+  await assert.rejects(assertPublicHost('db.internal'), { code: 'EPRIVATEADDRESS' });
+  await assert.rejects(assertPublicHost('[::ffff:7f00:1]'), { code: 'EPRIVATEADDRESS' });
+  await assertPublicHost('8.8.8.8');
+  assert.equal(dns.lookup.mock.callCount(), 0);
+});
+
+test('publicLookup hands the checked address to the socket', async () => {
+  resolveTo([{ address: '93.184.216.34', family: 4 }]);
+  const [address, family] = await new Promise((resolve, reject) => {
+    publicLookup('example.com', { family: 0 }, (err, addr, fam) => (err ? reject(err) : resolve([addr, fam])));
+  });
+  assert.equal(address, '93.184.216.34');
+  assert.equal(family, 4);
+});
+
+test('requestUrl refuses a DNS name that points at loopback', async () => {
+  resolveTo([{ address: '127.0.0.1', family: 4 }]);
+  await assert.rejects(requestUrl('http://rebind.example.com/hook'), { code: 'EPRIVATEADDRESS' });
+});
+
+test('requestUrl reaches a private host only when allowPrivate is set', async () => {
+  const server = http.createServer((req, res) => {
+    if (req.url === '/old') {
+      res.writeHead(302, { Location: '/new' });
+      return res.end();
+    }
+    res.writeHead(200, { 'Content-Type': 'text/plain' });
+    return res.end(`${req.method} ${req.url}`);
+  });
+  await new Promise((resolve) => server.listen(0, '127.0.0.1', resolve));
+  const base = `http://127.0.0.1:${server.address().port}`;
+  try {
+    await assert.rejects(requestUrl(`${base}/old`), { code: 'EPRIVATEADDRESS' });
+    const response = await requestUrl(`${base}/old`, { redirect: 'follow', allowPrivate: true });
+    assert.equal(response.status, 200);
+    assert.equal(await response.text(), 'GET /new');
+  } finally {
+    server.close();
+  }
+});
@@ -0,0 +1,57 @@
+const { test, beforeEach, afterEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const redis = require('redis');
+const cacheManager = require('../../src/utils/cache');
+const websocketServer = require('../../src/utils/websocketServer');
+const { FakeRedisClient } = require('../helpers/fakeRedis');
+
+let adapterCalls;
+
+beforeEach(() => {
+  adapterCalls = [];
+  websocketServer.io = { adapter: (adapter) => adapterCalls.push(adapter) };
+});
+
+afterEach(async () => {
+  await cacheManager.disconnect();
+  cacheManager.client = null;
+  cacheManager.isConnected = false;
+  websocketServer.io = null;
+  delete process.env.REDIS_URL;
+  mock.restoreAll();
+});
+
+test('without REDIS_URL the in-memory adapter is kept', async () => {
+  await cacheManager.connect();
+  assert.equal(await websocketServer.useRedisAdapter(), false);
+  assert.equal(adapterCalls.length, 0);
+});
+
+test('when the pub/sub connections cannot be opened the in-memory adapter is kept', async () => {
+  const client = new FakeRedisClient();
+  mock.method(redis, 'createClient', () => client);
+  process.env.REDIS_URL = 'redis://redis.test:6379';
+  await cacheManager.connect();
+  client.failConnect = true; // Redis went away after the main connection was made
+
+  assert.equal(await websocketServer.useRedisAdapter(), false);
+  assert.equal(adapterCalls.length, 0);
+});
+
+test('with Redis the Redis adapter is installed on dedicated connections', async () => {
+  const client = new FakeRedisClient();
+  mock.method(redis, 'createClient', () => client);
+  process.env.REDIS_URL = 'redis://redis.test:6379';
+  await cacheManager.connect();
+
+  assert.equal(await websocketServer.useRedisAdapter(), true);
+  assert.equal(adapterCalls.length, 1);
+  assert.equal(cacheManager.duplicates.length, 2);
+});
+
+test('before the server is initialized nothing is attempted', async () => {
+  websocketServer.io = null;
+  mock.method(cacheManager, 'createPubSubClients');
+  assert.equal(await websocketServer.useRedisAdapter(), false);
+  assert.equal(cacheManager.createPubSubClients.mock.callCount(), 0);
+});